@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * Import benchmark: generates a synthetic KubeJS export and imports it with and without the worker pool.
+ * Each run happens in its own process so peak memory (max RSS) is measured per run. The scan (listing files, tags and
+ * lang files) and the parse phase (reading, hashing and parsing recipe files, the only part workers take on) are timed apart.
+ *
+ * Usage: node bench/import-benchmark.js [--files 20000] [--mods 20] [--workers <n>]
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseArgs } = require('util');
+const { importRecipes } = require('../src/import-recipes');
+const { defaultWorkerCount } = require('../src/import-workers');
+const { loadReport } = require('../src/import-reports');
+const { getDataDir } = require('../src/datasets');
+const { loadImportConfig } = require('../src/utils');
+
+const RECIPE_TYPES = ['minecraft:crafting_shaped', 'minecraft:crafting_shapeless', 'minecraft:smelting'];
+
+/**
+ * Writes a fixture export: <files> recipes spread over the first <mods> supported mods
+ */
+function generateExport(exportDir, fileCount, modCount) {
+    const mods = loadImportConfig().mods.slice(0, modCount);
+
+    for (let i = 0; i < fileCount; i++) {
+        const mod = mods[i % mods.length];
+        const type = RECIPE_TYPES[i % RECIPE_TYPES.length];
+        const dir = path.join(exportDir, 'recipes', mod);
+        const recipe = type === 'minecraft:crafting_shaped'
+            ? { type, pattern: ['#X#', 'X#X', '#X#'], key: { '#': { item: `${mod}:part_${i % 97}` }, X: { tag: 'c:ingots/iron' } }, result: { id: `${mod}:item_${i}`, count: 2 } }
+            : type === 'minecraft:crafting_shapeless'
+                ? { type, ingredients: [{ item: `${mod}:dust_${i % 31}` }, { tag: 'c:gems' }, { item: 'minecraft:water_bucket' }], result: { id: `${mod}:mix_${i}` } }
+                : { type, ingredient: { item: `${mod}:ore_${i % 53}` }, result: { id: `${mod}:ingot_${i}` }, experience: 0.7, cookingtime: 200 };
+
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, `recipe_${i}.json`), JSON.stringify(recipe, null, 2));
+    }
+}
+
+/**
+ * Child process: one timed import, printed as JSON
+ */
+async function runOnce(exportDir, dataRoot, workers) {
+    const started = process.hrtime.bigint();
+    const stats = await importRecipes(exportDir, { dataRoot, workers, silent: true });
+    const ms = Number(process.hrtime.bigint() - started) / 1e6;
+    const { timings } = loadReport(path.join(getDataDir(undefined, dataRoot), 'reports'), stats.reportId);
+
+    console.log(JSON.stringify({
+        ms,
+        scanMs: timings.scan_ms,
+        parseMs: timings.parse_ms,
+        writeMs: timings.write_ms,
+        maxRssMb: process.resourceUsage().maxRSS / 1024,
+        imported: stats.imported
+    }));
+}
+
+async function main() {
+    const { values: flags } = parseArgs({
+        options: {
+            files: { type: 'string', default: '20000' },
+            mods: { type: 'string', default: '20' },
+            workers: { type: 'string' },
+            run: { type: 'string' },
+            export: { type: 'string' }
+        }
+    });
+
+    if (flags.run) {
+        await runOnce(flags.export, flags.run, Number(flags.workers));
+        return;
+    }
+
+    const fileCount = Number(flags.files);
+    const workers = flags.workers !== undefined ? Number(flags.workers) : Math.max(2, defaultWorkerCount());
+    const exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pattern-press-bench-'));
+    // Runs import into their own temp data directories, never the live data/
+    const dataRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'pattern-press-bench-data-'));
+    const runs = [['in-process', 0], [`${workers} workers`, workers]];
+
+    console.log(`🧪 Generating ${fileCount} recipe files across ${flags.mods} mods...`);
+    generateExport(exportDir, fileCount, Number(flags.mods));
+
+    try {
+        const results = runs.map(([label, workerCount]) => {
+            const runDataRoot = path.join(dataRoot, `workers-${workerCount}`);
+            const output = execFileSync(process.execPath, [__filename, '--run', runDataRoot, '--workers', String(workerCount), '--export', exportDir], { encoding: 'utf8' });
+            fs.rmSync(runDataRoot, { recursive: true, force: true });
+
+            const result = JSON.parse(output.trim().split('\n').pop());
+            console.log(`⏱️  ${label}: ${result.ms.toFixed(0)} ms (scan ${result.scanMs} ms, parse ${result.parseMs} ms, write ${result.writeMs} ms), peak RSS ${result.maxRssMb.toFixed(0)} MB (${result.imported} recipes)`);
+            return result;
+        });
+
+        console.log(`\n🚀 Speedup with ${workers} workers on ${os.availableParallelism()} CPU cores: ${(results[0].ms / results[1].ms).toFixed(2)}x overall, ${(results[0].parseMs / results[1].parseMs).toFixed(2)}x parsing`);
+    } finally {
+        fs.rmSync(exportDir, { recursive: true, force: true });
+        fs.rmSync(dataRoot, { recursive: true, force: true });
+    }
+}
+
+main().catch(error => {
+    console.error(`💥 Benchmark failed: ${error.message}`);
+    process.exit(1);
+});
\ No newline at end of file
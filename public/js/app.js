@@ -12,6 +12,33 @@ function app() {
         recipesPerPage: 6,
         selectedRecipeType: '',
         selectedMod: '',
+        showInactive: false,
+        searchQuery: '',
+        searchMatches: null,
+        searchError: '',
+        searchTimer: null,
+        datasets: [],
+        dataset: localStorage.getItem('pattern-press-dataset') || 'default',
+        view: 'recipes',
+        tagPanel: null,
+        diff: null,
+        diffFrom: '',
+        diffTo: '',
+        diffLoading: false,
+        diffError: '',
+        duplicates: null,
+        duplicatesKind: '',
+        duplicatesMod: '',
+        duplicatesLoading: false,
+        duplicatesError: '',
+        updateNotice: '',
+        importPath: '',
+        importFile: null,
+        importDataset: '',
+        importIncremental: false,
+        importJob: null,
+        importError: '',
+        importJobEvents: {},
 
         get totalRecipes() {
             return this.allRecipes.length;
@@ -46,6 +73,11 @@ function app() {
         get filteredRecipes() {
             let filtered = this.allRecipes;
 
+            // Hide recipes the game would not load unless the toggle is on
+            if (!this.showInactive) {
+                filtered = filtered.filter(recipe => recipe.load_status !== 'inactive');
+            }
+
             // Filter by mod if selected
             if (this.selectedMod) {
                 filtered = filtered.filter(recipe => recipe.mod === this.selectedMod);
@@ -56,6 +88,11 @@ function app() {
                 filtered = filtered.filter(recipe => recipe.type === this.selectedRecipeType);
             }
 
+            // The server evaluates the search query (qualifiers, tags, OR, NOT...) and sends back the matches
+            if (this.searchMatches) {
+                filtered = filtered.filter(recipe => this.searchMatches.has(recipe.id));
+            }
+
             return filtered;
         },
 
@@ -69,10 +106,266 @@ function app() {
             return this.filteredRecipes.slice(start, end);
         },
 
+        async loadDatasets() {
+            try {
+                const response = await fetch('/datasets');
+                const data = await response.json();
+                this.datasets = data.datasets || [];
+
+                // Fall back to the default dataset (or the only one imported) if the remembered one was removed
+                const names = this.datasets.map(dataset => dataset.name);
+                if (!names.includes(this.dataset)) {
+                    this.dataset = names.includes(data.default) || names.length === 0 ? data.default : names[0];
+                }
+            } catch (error) {
+                console.error('Failed to load datasets:', error);
+                this.datasets = [];
+            }
+        },
+
+        async loadNames() {
+            try {
+                const response = await fetch(`/names?dataset=${encodeURIComponent(this.dataset)}`);
+                const data = await response.json();
+                setItemNames(data.names);
+            } catch (error) {
+                // Without names the UI falls back to formatted IDs
+                console.error('Failed to load item names:', error);
+                setItemNames({});
+            }
+        },
+
+        async init() {
+            await this.loadDatasets();
+            await this.loadNames();
+            await this.loadRecipes();
+            this.listenForUpdates();
+        },
+
+        listenForUpdates() {
+            if (!window.EventSource) {
+                return;
+            }
+
+            // Watch mode and import jobs re-import datasets; reload in place, keeping filters and page
+            const events = new EventSource('/events');
+
+            // Progress of background imports; a small import can finish before POST /import returns
+            ['import-progress', 'import-done', 'import-failed'].forEach(name => {
+                events.addEventListener(name, event => {
+                    const job = JSON.parse(event.data);
+                    this.importJobEvents[job.id] = job;
+
+                    if (this.importJob && this.importJob.id === job.id) {
+                        this.importJob = job;
+                    }
+                });
+            });
+
+            events.addEventListener('data-updated', async event => {
+                const update = JSON.parse(event.data);
+                await this.loadDatasets();
+
+                if (update.dataset !== this.dataset) {
+                    return;
+                }
+
+                await this.loadNames();
+                await this.loadRecipes();
+                await this.loadSearchMatches();
+                if (this.view === 'duplicates') {
+                    await this.loadDuplicates();
+                }
+                this.currentPage = Math.min(this.currentPage, Math.max(1, this.totalPages));
+                this.updateNotice = `Recipes updated: ${update.added} added, ${update.changed} changed, ${update.removed} removed`;
+                setTimeout(() => this.updateNotice = '', 4000);
+            });
+        },
+
+        async switchDataset() {
+            localStorage.setItem('pattern-press-dataset', this.dataset);
+            this.selectedMod = '';
+            this.selectedRecipeType = '';
+            this.searchQuery = '';
+            this.searchMatches = null;
+            this.searchError = '';
+            this.currentPage = 1;
+            await this.loadNames();
+            await this.loadRecipes();
+
+            if (this.view === 'duplicates') {
+                await this.loadDuplicates();
+            }
+        },
+
+        get diffRows() {
+            if (!this.diff) {
+                return [];
+            }
+
+            // Flatten mod -> type -> counts into table rows
+            return Object.keys(this.diff.groups).sort().flatMap(mod =>
+                Object.keys(this.diff.groups[mod]).sort().map(type => ({ mod, type, ...this.diff.groups[mod][type] }))
+            );
+        },
+
+        openDiff() {
+            this.view = 'diff';
+
+            // Default to comparing the two most recently imported datasets
+            if (!this.diffFrom && this.datasets.length > 1) {
+                const byDate = [...this.datasets].sort((a, b) => String(a.generated_at).localeCompare(String(b.generated_at)));
+                this.diffFrom = byDate[byDate.length - 2].name;
+                this.diffTo = byDate[byDate.length - 1].name;
+            }
+        },
+
+        async loadDiff() {
+            try {
+                this.diffLoading = true;
+                this.diffError = '';
+                const response = await fetch(`/diff?from=${encodeURIComponent(this.diffFrom)}&to=${encodeURIComponent(this.diffTo)}`);
+                const data = await response.json();
+
+                if (!response.ok) {
+                    throw new Error(data.message || data.error);
+                }
+
+                this.diff = data;
+            } catch (error) {
+                console.error('Failed to load diff:', error);
+                this.diff = null;
+                this.diffError = error.message;
+            } finally {
+                this.diffLoading = false;
+            }
+        },
+
+        get filteredDuplicateGroups() {
+            if (!this.duplicates) {
+                return [];
+            }
+
+            return this.duplicates.groups.filter(group =>
+                (!this.duplicatesKind || group.kind === this.duplicatesKind) &&
+                (!this.duplicatesMod || group.recipes.some(recipe => recipe.mod === this.duplicatesMod))
+            );
+        },
+
+        async openDuplicates() {
+            this.view = 'duplicates';
+            await this.loadDuplicates();
+        },
+
+        async loadDuplicates() {
+            try {
+                this.duplicatesLoading = true;
+                this.duplicatesError = '';
+                const response = await fetch(`/duplicates?dataset=${encodeURIComponent(this.dataset)}`);
+                const data = await response.json();
+
+                if (!response.ok) {
+                    throw new Error(data.message || data.error);
+                }
+
+                this.duplicates = data;
+            } catch (error) {
+                console.error('Failed to load duplicates:', error);
+                this.duplicates = null;
+                this.duplicatesError = error.message;
+            } finally {
+                this.duplicatesLoading = false;
+            }
+        },
+
+        get importRunning() {
+            return Boolean(this.importJob) && (this.importJob.status === 'queued' || this.importJob.status === 'running');
+        },
+
+        get importProgressText() {
+            const progress = this.importJob && this.importJob.progress;
+            if (!progress) {
+                return 'Waiting to start...';
+            }
+
+            const counts = `${progress.imported} imported, ${progress.skipped} unsupported, ${progress.ignored} ignored, ${progress.errors} errors`;
+            return `${progress.phase === 'scanning' ? 'Scanning' : 'Parsing'} ${progress.done} / ${progress.total} files (${counts})`;
+        },
+
+        openImport() {
+            this.view = 'import';
+
+            if (!this.importDataset) {
+                this.importDataset = this.dataset;
+            }
+        },
+
+        async startImport() {
+            try {
+                this.importError = '';
+                const dataset = this.importDataset || 'default';
+                let response;
+
+                if (this.importFile) {
+                    const query = new URLSearchParams({ name: this.importFile.name, dataset, incremental: this.importIncremental });
+                    response = await fetch(`/import?${query}`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/octet-stream' },
+                        body: this.importFile
+                    });
+                } else {
+                    response = await fetch('/import', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ path: this.importPath, dataset, incremental: this.importIncremental })
+                    });
+                }
+
+                const data = await response.json();
+
+                if (!response.ok) {
+                    throw new Error(data.message || data.error);
+                }
+
+                this.importJob = this.importJobEvents[data.job.id] || data.job;
+            } catch (error) {
+                console.error('Failed to start import:', error);
+                this.importError = error.message;
+            }
+        },
+
+        async openTag(slot) {
+            if (!slot || slot.type !== 'tag') {
+                return;
+            }
+
+            this.tagPanel = { id: slot.tag, tag: null, loading: true, error: '' };
+
+            try {
+                const response = await fetch(`/tags/${slot.tag}?dataset=${encodeURIComponent(this.dataset)}`);
+                const data = await response.json();
+
+                if (!response.ok) {
+                    throw new Error(response.status === 404 ? 'This tag was not imported. Import the datapacks or mod jars that define it.' : data.message);
+                }
+
+                this.tagPanel.tag = data;
+            } catch (error) {
+                console.error('Failed to load tag:', error);
+                this.tagPanel.error = error.message;
+            } finally {
+                this.tagPanel.loading = false;
+            }
+        },
+
+        closeTag() {
+            this.tagPanel = null;
+        },
+
         async loadRecipes() {
             try {
                 this.loading = true;
-                const response = await fetch('/recipes?limit=20000');
+                const response = await fetch(`/recipes?limit=20000&inactive=true&dataset=${encodeURIComponent(this.dataset)}`);
                 const data = await response.json();
                 this.allRecipes = data.recipes || [];
                 this.recipes = this.allRecipes;
@@ -89,6 +382,46 @@ function app() {
             this.currentPage = 1; // Reset to first page when filtering
         },
 
+        searchRecipes() {
+            this.filterRecipes();
+
+            // Ask the server once typing pauses rather than on every key
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.loadSearchMatches(), 250);
+        },
+
+        async loadSearchMatches() {
+            const search = this.searchQuery.trim();
+
+            if (!search) {
+                this.searchMatches = null;
+                this.searchError = '';
+                return;
+            }
+
+            try {
+                const response = await fetch(`/recipes?limit=20000&inactive=true&dataset=${encodeURIComponent(this.dataset)}&search=${encodeURIComponent(search)}`);
+                const data = await response.json();
+
+                // A newer search is already on its way
+                if (search !== this.searchQuery.trim()) {
+                    return;
+                }
+
+                if (!response.ok) {
+                    // Malformed queries keep the last matches; the message says what is wrong and at which position
+                    throw new Error(data.message || data.error);
+                }
+
+                this.searchMatches = new Set(data.recipes.map(recipe => recipe.id));
+                this.searchError = '';
+                this.filterRecipes();
+            } catch (error) {
+                console.error('Failed to search recipes:', error);
+                this.searchError = error.message;
+            }
+        },
+
         nextPage() {
             if (this.currentPage < this.totalPages) {
                 this.currentPage++;
@@ -106,11 +439,21 @@ function app() {
         },
 
         handleKeydown(event) {
+            if (event.key === 'Escape' && this.tagPanel) {
+                this.closeTag();
+                return;
+            }
+
             // Ignore if user is typing in an input
             if (event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT' || event.target.tagName === 'TEXTAREA') {
                 return;
             }
 
+            // Page and recipe shortcuts only apply to the recipe list
+            if (this.view !== 'recipes') {
+                return;
+            }
+
             switch(event.key) {
                 case 'ArrowLeft':
                     event.preventDefault();
@@ -132,8 +475,8 @@ function app() {
                     break;
                 case '/':
                     event.preventDefault();
-                    // Focus on first select element (mod filter)
-                    document.getElementById('mod').focus();
+                    // Focus the search box
+                    document.getElementById('search').focus();
                     break;
             }
         },
@@ -11,16 +11,19 @@ function parseIngredientSlot(ingredient) {
 
     if (ingredient.item) {
         const itemParts = ingredient.item.split(':');
+        const path = itemParts.pop();
         return {
-            text: itemParts.pop(),
+            text: getItemName(ingredient.item) || path,
             type: 'item',
-            modText: itemParts.length > 0 ? itemParts[0] : 'minecraft'
+            modText: itemParts.length > 0 ? itemParts[0] : 'minecraft',
+            id: ingredient.item
         };
     } else if (ingredient.tag) {
         return {
             text: '#' + ingredient.tag,
             type: 'tag',
-            modText: 'tag'
+            modText: 'tag',
+            tag: ingredient.tag
         };
     }
     return null;
@@ -32,7 +35,7 @@ function parseIngredientSlot(ingredient) {
 function parseResult(result) {
     if (!result) return { text: 'Unknown', modText: 'minecraft' };
 
-    let text = result.id ? result.id.split(':').pop() : 'Unknown';
+    let text = result.id ? getItemName(result.id) || result.id.split(':').pop() : 'Unknown';
     if (result.count && result.count > 1) {
         text += ` x${result.count}`;
     }
@@ -40,7 +43,7 @@ function parseResult(result) {
     const itemParts = result.id ? result.id.split(':') : [];
     const modText = itemParts.length > 1 ? itemParts[0] : 'minecraft';
 
-    return { text, modText };
+    return { text, modText, id: result.id };
 }
 
 /**
@@ -168,7 +171,8 @@ function crushingGrid(recipe) {
 
             return {
                 text: `${parsed.text} (${chance}%)`,
-                modText: parsed.modText
+                modText: parsed.modText,
+                id: parsed.id
             };
         },
 
@@ -29,15 +29,61 @@ function formatRecipeType(type) {
 }
 
 /**
- * Get canonical name for recipe (mod:id)
+ * Get canonical name for recipe - the in-game recipe ID usable in event.remove({id: ...})
  */
 function getCanonicalName(recipe) {
     if (!recipe) return '';
 
-    // Return the full namespaced recipe identifier: mod:id
+    // Imports store the full resource location (create:crushing/copper_ore)
+    if (recipe.id && recipe.id.includes(':')) {
+        return recipe.id;
+    }
+
+    // Older imports only stored the file name
     return `${recipe.mod}:${recipe.id}`;
 }
 
+// Item ID -> display name, loaded from /names for the current dataset
+let itemNames = {};
+
+/**
+ * Replace the item name dictionary (called when a dataset is loaded)
+ */
+function setItemNames(names) {
+    itemNames = names || {};
+}
+
+/**
+ * Get the display name of an item ID, or null when no lang file named it
+ */
+function getItemName(itemId) {
+    return (itemId && itemNames[itemId]) || null;
+}
+
+/**
+ * Find the item a recipe produces (first result for multi-output recipes)
+ */
+function getResultItemId(recipe) {
+    if (recipe && recipe.outputs && recipe.outputs.length > 0) return recipe.outputs[0].id;
+
+    const data = recipe && recipe.data;
+    if (!data) return null;
+
+    let result = data.result !== undefined ? data.result : (data.results || data.output);
+    if (Array.isArray(result)) result = result[0];
+    if (result && typeof result === 'object' && result.result) result = result.result;
+    if (typeof result === 'string') return result;
+
+    return (result && (result.id || result.item)) || null;
+}
+
+/**
+ * Title for a recipe card: the display name of its result, else the formatted recipe name
+ */
+function recipeTitle(recipe) {
+    return getItemName(getResultItemId(recipe)) || formatName(recipe && recipe.name);
+}
+
 /**
  * Copy text to clipboard with fallback for older browsers
  */
@@ -155,6 +201,10 @@ window.isSupportedRecipeType = function(recipeType) {
 window.formatName = formatName;
 window.formatRecipeType = formatRecipeType;
 window.getCanonicalName = getCanonicalName;
+window.setItemNames = setItemNames;
+window.getItemName = getItemName;
+window.getResultItemId = getResultItemId;
+window.recipeTitle = recipeTitle;
 window.copyToClipboard = copyToClipboard;
 window.recipeMetadata = recipeMetadata;
 window.getSlotClasses = getSlotClasses;
\ No newline at end of file
@@ -0,0 +1,175 @@
+'use strict';
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Separator between an archive path and an entry inside it, e.g. mods/create.jar!/data/create/recipe/x.json
+const ARCHIVE_SEPARATOR = '!/';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// The most recently opened archive; imports read entries archive by archive so one is enough
+let cachedArchive = null;
+
+/**
+ * Checks if a file path points to a mod jar or zip archive
+ */
+function isArchive(filePath) {
+    return /\.(jar|zip)$/i.test(filePath);
+}
+
+/**
+ * Builds a virtual path for an entry inside an archive
+ */
+function toArchivePath(archivePath, entryName) {
+    return `${archivePath}${ARCHIVE_SEPARATOR}${entryName}`;
+}
+
+/**
+ * Splits a virtual archive path into the archive file and entry name, or returns null for plain paths
+ */
+function splitArchivePath(filePath) {
+    const match = filePath.match(/^(.*?\.(?:jar|zip))!\/(.+)$/i);
+
+    if (!match) {
+        return null;
+    }
+
+    return { archivePath: match[1], entryName: match[2] };
+}
+
+/**
+ * Locates the end of central directory record (it sits before an optional trailing comment)
+ */
+function findEndOfCentralDirectory(buffer) {
+    const minOffset = Math.max(0, buffer.length - 22 - 0xffff);
+
+    for (let offset = buffer.length - 22; offset >= minOffset; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+            return offset;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Parses the central directory of a zip buffer into a map of entry name to entry info
+ */
+function parseCentralDirectory(buffer, archivePath) {
+    const eocdOffset = findEndOfCentralDirectory(buffer);
+
+    if (eocdOffset === -1) {
+        throw new Error(`Not a valid zip archive: ${archivePath}`);
+    }
+
+    const entryCount = buffer.readUInt16LE(eocdOffset + 10);
+    let offset = buffer.readUInt32LE(eocdOffset + 16);
+
+    if (entryCount === 0xffff || offset === 0xffffffff) {
+        throw new Error(`ZIP64 archives are not supported: ${archivePath}`);
+    }
+
+    const entries = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+            throw new Error(`Corrupt central directory in ${archivePath}`);
+        }
+
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        entries.set(name, {
+            name,
+            method: buffer.readUInt16LE(offset + 10),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            size: buffer.readUInt32LE(offset + 24),
+            localHeaderOffset: buffer.readUInt32LE(offset + 42)
+        });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * Opens an archive (or reuses the cached one) and returns its buffer and entry map
+ */
+function openArchive(archivePath) {
+    if (cachedArchive && cachedArchive.path === archivePath) {
+        return cachedArchive;
+    }
+
+    const buffer = fs.readFileSync(archivePath);
+    const entries = parseCentralDirectory(buffer, archivePath);
+
+    cachedArchive = { path: archivePath, buffer, entries };
+    return cachedArchive;
+}
+
+/**
+ * Lists the file entry names in an archive (directories are skipped)
+ */
+function listArchiveEntries(archivePath) {
+    const archive = openArchive(archivePath);
+
+    return Array.from(archive.entries.keys()).filter(name => !name.endsWith('/'));
+}
+
+/**
+ * Reads and decompresses a single entry from an archive
+ */
+function readArchiveEntry(archivePath, entryName) {
+    const archive = openArchive(archivePath);
+    const entry = archive.entries.get(entryName);
+
+    if (!entry) {
+        throw new Error(`Entry ${entryName} not found in ${archivePath}`);
+    }
+
+    const { buffer } = archive;
+    const headerOffset = entry.localHeaderOffset;
+
+    if (buffer.readUInt32LE(headerOffset) !== LOCAL_FILE_HEADER) {
+        throw new Error(`Corrupt local header for ${entryName} in ${archivePath}`);
+    }
+
+    // The local header carries its own name/extra lengths, which may differ from the central directory
+    const dataOffset = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+    const data = buffer.subarray(dataOffset, dataOffset + entry.compressedSize);
+
+    if (entry.method === METHOD_STORED) {
+        return Buffer.from(data);
+    }
+
+    if (entry.method === METHOD_DEFLATED) {
+        return zlib.inflateRawSync(data);
+    }
+
+    throw new Error(`Unsupported compression method ${entry.method} for ${entryName} in ${archivePath}`);
+}
+
+/**
+ * Drops the cached archive so its buffer can be garbage collected
+ */
+function closeArchives() {
+    cachedArchive = null;
+}
+
+module.exports = {
+    ARCHIVE_SEPARATOR,
+    isArchive,
+    toArchivePath,
+    splitArchivePath,
+    listArchiveEntries,
+    readArchiveEntry,
+    closeArchives
+};
\ No newline at end of file
@@ -0,0 +1,81 @@
+'use strict';
+
+// Compiled patterns, keyed by their source text; configs are re-checked for every recipe
+const compiledPatterns = new Map();
+
+/**
+ * Escapes regex special characters in a literal string
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compiles a config pattern into a RegExp.
+ * "/.../" (optionally with flags, e.g. "/^create:.*$/i") is a regex;
+ * anything else is a glob where * matches any run of characters and ? a single one.
+ */
+function compilePattern(pattern) {
+    if (compiledPatterns.has(pattern)) {
+        return compiledPatterns.get(pattern);
+    }
+
+    const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    let compiled;
+
+    try {
+        compiled = regexMatch
+            ? new RegExp(regexMatch[1], regexMatch[2])
+            : new RegExp(`^${escapeRegExp(pattern).replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+    } catch (error) {
+        throw new Error(`Invalid pattern in import config: ${pattern} (${error.message})`);
+    }
+
+    compiledPatterns.set(pattern, compiled);
+    return compiled;
+}
+
+/**
+ * Checks if a value matches a pattern (exact string, glob or /regex/)
+ */
+function matchesPattern(pattern, value) {
+    if (pattern === value) {
+        return true;
+    }
+
+    return typeof value === 'string' && compilePattern(pattern).test(value);
+}
+
+/**
+ * Returns the first pattern in a list that matches the value, or null
+ */
+function findMatchingPattern(patterns, value) {
+    if (!Array.isArray(patterns)) {
+        return null;
+    }
+
+    return patterns.find(pattern => matchesPattern(pattern, value)) || null;
+}
+
+/**
+ * Looks up the per-mod rules for a mod: an exact key wins, then the first matching pattern key
+ */
+function findModRules(modRules, mod) {
+    if (!modRules) {
+        return null;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(modRules, mod)) {
+        return { key: mod, rules: modRules[mod] };
+    }
+
+    const key = Object.keys(modRules).find(pattern => matchesPattern(pattern, mod));
+    return key ? { key, rules: modRules[key] } : null;
+}
+
+module.exports = {
+    compilePattern,
+    matchesPattern,
+    findMatchingPattern,
+    findModRules
+};
\ No newline at end of file
@@ -0,0 +1,310 @@
+'use strict';
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const RecipeLoader = require('./recipe-loader');
+const { KIND } = require('./recipe-normalizer');
+const { lookupItemRecipes } = require('./item-index');
+const { checkQueryPattern, matchesQueryPattern } = require('./recipe-query');
+const { DEFAULT_DATASET, getDataDir, datasetExists } = require('./datasets');
+
+// No real crafting chain is this deep; past it the branch is cut and counted as raw
+const MAX_DEPTH = 32;
+
+// Anything bigger is a typo or an attempt to overflow the counts
+const MAX_PLAN_AMOUNT = 1000000;
+
+/**
+ * Counts how much of an item one craft of a recipe is sure to yield (outputs with a chance below 1 do not count)
+ */
+function outputAmount(recipe, itemId) {
+    return (recipe.outputs || [])
+        .filter(stack => stack.kind !== KIND.TAG && stack.id === itemId && stack.chance >= 1)
+        .reduce((total, stack) => total + stack.amount, 0);
+}
+
+/**
+ * Parses "<item>=<recipe ID>" and "#<tag>=<item>" pins (CLI flags, query parameters) into a lookup object
+ */
+function parsePreferences(entries = []) {
+    const prefer = {};
+
+    for (const entry of entries) {
+        const separator = entry.indexOf('=');
+
+        if (separator <= 0 || separator === entry.length - 1) {
+            throw new Error(`Invalid preference: ${entry} (use <item>=<recipe ID> or #<tag>=<item>)`);
+        }
+
+        prefer[entry.slice(0, separator)] = entry.slice(separator + 1);
+    }
+
+    return prefer;
+}
+
+/**
+ * Tells whether a requested amount (CLI argument, query parameter) is a finite number from above 0 up to MAX_PLAN_AMOUNT
+ */
+function isPlanAmount(amount) {
+    const value = Number(amount);
+    return Number.isFinite(value) && value > 0 && value <= MAX_PLAN_AMOUNT;
+}
+
+/**
+ * Validates exclude and raw patterns (CLI flags, query parameters) as query globs, throwing on /regex/ or overlong ones
+ */
+function checkPlanPatterns(patterns = []) {
+    patterns.forEach(checkQueryPattern);
+    return patterns;
+}
+
+function findPattern(patterns, value) {
+    return patterns.find(pattern => matchesQueryPattern(pattern, value));
+}
+
+/**
+ * Works out the raw materials for an amount of an item by walking producing recipes recursively.
+ *
+ * options.prefer pins a recipe per item ({ "ae2:controller": "<recipe ID>" }) or a member per tag ingredient
+ * ({ "#c:ingots/iron": "minecraft:iron_ingot" }); excludeTypes, excludeMods and raw take exact IDs or * and ? globs.
+ * Leftover outputs (a craft yielding more than needed, guaranteed byproducts) are used up by later steps.
+ * A recipe that needs an item already being planned further up the branch (ingot <-> block) is skipped;
+ * if that leaves no recipe, the branch is cut, marked as a cycle and its item counted as raw.
+ */
+function planCrafting(index, itemId, amount = 1, options = {}) {
+    const { tags = {}, prefer = {}, excludeTypes = [], excludeMods = [], raw = [], includeInactive = false } = options;
+    const leftovers = {};
+    const rawMaterials = new Map();
+    const catalysts = new Set();
+    const cycles = [];
+
+    // Tag ingredients are planned as one of their items: a pinned one, else the vanilla one, else the first
+    const resolveStack = stack => {
+        if (stack.kind !== KIND.TAG || findPattern(raw, `#${stack.id}`)) {
+            return stack.kind === KIND.TAG ? { kind: KIND.TAG, id: `#${stack.id}` } : { kind: stack.kind, id: stack.id };
+        }
+
+        const items = tags[stack.id] ? tags[stack.id].items : [];
+        const member = prefer[`#${stack.id}`] || items.find(item => item.startsWith('minecraft:')) || items[0];
+
+        return member ? { kind: KIND.ITEM, id: member, tag: stack.id } : { kind: KIND.TAG, id: `#${stack.id}` };
+    };
+
+    const isUsable = recipe =>
+        (includeInactive || recipe.load_status !== 'inactive') &&
+        !findPattern(excludeTypes, recipe.type) &&
+        !findPattern(excludeMods, recipe.mod);
+
+    const findProducers = id => lookupItemRecipes(index, 'producers', [id]).filter(recipe => outputAmount(recipe, id) > 0);
+
+    // Unpacking recipes (ingots from a block) have a recipe going the other way; they are the last resort
+    const isReversible = (recipe, id) => (recipe.inputs || []).some(input =>
+        findProducers(resolveStack(input).id).some(producer =>
+            (producer.inputs || []).some(back => resolveStack(back).id === id)
+        )
+    );
+
+    // A pinned recipe wins over the exclusions; otherwise one-way recipes, then recipes from the item's own mod come first
+    const chooseRecipe = (id, path) => {
+        const producers = findProducers(id);
+        const pinned = producers.find(recipe => recipe.id === prefer[id]);
+        const namespace = id.split(':')[0];
+        const rank = recipe => (isReversible(recipe, id) ? 2 : 0) + (recipe.mod === namespace ? 0 : 1);
+        const candidates = pinned
+            ? [pinned]
+            : producers.filter(isUsable).map(recipe => [rank(recipe), recipe]).sort((a, b) => a[0] - b[0]).map(([, recipe]) => recipe);
+        const recipe = candidates.find(candidate =>
+            !(candidate.inputs || []).some(input => path.includes(resolveStack(input).id))
+        );
+
+        return { recipe: recipe || null, cyclic: !recipe && candidates.length > 0 };
+    };
+
+    const addRaw = (stack, needed) => {
+        if (!rawMaterials.has(stack.id)) {
+            rawMaterials.set(stack.id, { id: stack.id, kind: stack.kind, amount: 0 });
+        }
+        rawMaterials.get(stack.id).amount += needed;
+    };
+
+    const expand = (stack, needed, path) => {
+        const node = { id: stack.id, kind: stack.kind, amount: needed };
+        if (stack.tag) {
+            node.tag = stack.tag;
+        }
+
+        const reused = Math.min(leftovers[stack.id] || 0, needed);
+        if (reused > 0) {
+            leftovers[stack.id] -= reused;
+            node.from_leftovers = reused;
+        }
+
+        const remaining = needed - reused;
+        if (remaining === 0) {
+            return node;
+        }
+
+        const branch = [...path, stack.id];
+        const { recipe, cyclic } = stack.kind === KIND.TAG || findPattern(raw, stack.id) || path.length >= MAX_DEPTH
+            ? { recipe: null, cyclic: false }
+            : chooseRecipe(stack.id, branch);
+
+        if (!recipe) {
+            if (cyclic) {
+                node.cycle = true;
+                cycles.push(branch);
+            }
+            node.raw = true;
+            addRaw(stack, remaining);
+            return node;
+        }
+
+        const perCraft = outputAmount(recipe, stack.id);
+        const crafts = Math.ceil(remaining / perCraft);
+        node.recipe = { id: recipe.id, type: recipe.type, mod: recipe.mod };
+        node.crafts = crafts;
+
+        leftovers[stack.id] = (leftovers[stack.id] || 0) + crafts * perCraft - remaining;
+        for (const output of recipe.outputs) {
+            if (output.id !== stack.id && output.kind !== KIND.TAG && output.chance >= 1) {
+                leftovers[output.id] = (leftovers[output.id] || 0) + output.amount * crafts;
+            }
+        }
+
+        (recipe.catalysts || []).forEach(catalyst => catalysts.add(catalyst.kind === KIND.TAG ? `#${catalyst.id}` : catalyst.id));
+        node.inputs = (recipe.inputs || []).map(input => expand(resolveStack(input), input.amount * crafts, branch));
+
+        return node;
+    };
+
+    const tree = expand({ kind: KIND.ITEM, id: itemId }, amount, []);
+    const byId = (a, b) => a.id.localeCompare(b.id);
+
+    return {
+        item: itemId,
+        amount,
+        tree,
+        raw: Array.from(rawMaterials.values()).sort(byId),
+        leftovers: Object.entries(leftovers)
+            .filter(([, count]) => count > 0)
+            .map(([id, count]) => ({ id, amount: count }))
+            .sort(byId),
+        catalysts: Array.from(catalysts).sort(),
+        cycles
+    };
+}
+
+/**
+ * Renders a plan as Markdown: raw materials, leftovers and the tree as a nested list
+ */
+function formatPlanMarkdown(plan, { dataset } = {}) {
+    const lines = [];
+
+    lines.push(`# Crafting plan: ${plan.amount} × ${plan.item}${dataset ? ` (${dataset})` : ''}`);
+    lines.push('');
+    lines.push('## Raw materials');
+    lines.push('');
+    lines.push('| Item | Amount |');
+    lines.push('| --- | ---: |');
+    plan.raw.forEach(entry => lines.push(`| ${entry.id} | ${entry.amount} |`));
+
+    if (plan.leftovers.length > 0) {
+        lines.push('');
+        lines.push('## Leftovers');
+        lines.push('');
+        plan.leftovers.forEach(entry => lines.push(`- ${entry.amount} × ${entry.id}`));
+    }
+
+    if (plan.catalysts.length > 0) {
+        lines.push('');
+        lines.push('## Machines and tools');
+        lines.push('');
+        plan.catalysts.forEach(id => lines.push(`- ${id}`));
+    }
+
+    if (plan.cycles.length > 0) {
+        lines.push('');
+        lines.push('## Cycles cut');
+        lines.push('');
+        plan.cycles.forEach(cycle => lines.push(`- ${cycle.join(' → ')}`));
+    }
+
+    lines.push('');
+    lines.push('## Steps');
+    lines.push('');
+
+    const addNode = (node, depth) => {
+        const notes = [];
+        if (node.recipe) notes.push(`\`${node.recipe.id}\` × ${node.crafts}`);
+        if (node.from_leftovers) notes.push(`${node.from_leftovers} from leftovers`);
+        if (node.raw) notes.push(node.cycle ? 'raw (cycle cut)' : 'raw');
+
+        lines.push(`${'  '.repeat(depth)}- ${node.amount} × ${node.id}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`);
+        (node.inputs || []).forEach(input => addNode(input, depth + 1));
+    };
+    addNode(plan.tree, 0);
+
+    return lines.join('\n');
+}
+
+// CLI usage
+if (require.main === module) {
+    const { values: flags, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            dataset: { type: 'string', short: 'd', default: DEFAULT_DATASET },
+            prefer: { type: 'string', short: 'p', multiple: true },
+            'exclude-type': { type: 'string', multiple: true },
+            'exclude-mod': { type: 'string', multiple: true },
+            raw: { type: 'string', multiple: true },
+            inactive: { type: 'boolean', default: false },
+            format: { type: 'string', short: 'f', default: 'markdown' },
+            output: { type: 'string', short: 'o' }
+        }
+    });
+    const [itemId, amount = '1'] = positionals;
+
+    if (!itemId || !isPlanAmount(amount) || !['markdown', 'json'].includes(flags.format)) {
+        console.log('Usage: node src/crafting-planner.js [--dataset <name>] [--prefer <item>=<recipe>] [--exclude-type <pattern>] [--exclude-mod <pattern>] [--raw <pattern>] [--format markdown|json] [--output <file>] <item> [amount]');
+        console.log('Example: node src/crafting-planner.js ae2:controller 64 --exclude-mod "create*"');
+        process.exit(1);
+    }
+
+    try {
+        if (!datasetExists(flags.dataset)) {
+            throw new Error(`No imported dataset named ${flags.dataset}`);
+        }
+
+        const loader = new RecipeLoader({ dataDir: getDataDir(flags.dataset) });
+        const plan = planCrafting(loader.getItemIndex(), itemId, Math.ceil(Number(amount)), {
+            tags: loader.loadTags(),
+            prefer: parsePreferences(flags.prefer),
+            excludeTypes: checkPlanPatterns(flags['exclude-type']),
+            excludeMods: checkPlanPatterns(flags['exclude-mod']),
+            raw: checkPlanPatterns(flags.raw),
+            includeInactive: flags.inactive
+        });
+        const output = flags.format === 'json'
+            ? JSON.stringify({ dataset: flags.dataset, ...plan }, null, 2)
+            : formatPlanMarkdown(plan, { dataset: flags.dataset });
+
+        if (flags.output) {
+            fs.writeFileSync(flags.output, output, 'utf8');
+            console.log(`💾 Saved crafting plan to ${flags.output} (${plan.raw.length} raw materials)`);
+        } else {
+            console.log(output);
+        }
+    } catch (error) {
+        console.error(`💥 Planning failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    MAX_PLAN_AMOUNT,
+    parsePreferences,
+    isPlanAmount,
+    checkPlanPatterns,
+    planCrafting,
+    formatPlanMarkdown
+};
\ No newline at end of file
@@ -0,0 +1,281 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const RecipeLoader = require('./recipe-loader');
+const { isValidDatasetName, getDataDir, datasetExists } = require('./datasets');
+
+// Recipe data fields that hold what a recipe produces; most other fields describe what it consumes
+const RESULT_FIELDS = ['result', 'results', 'output', 'outputs'];
+const INGREDIENT_FIELDS = ['ingredient', 'ingredients', 'key', 'pattern', 'base', 'addition', 'template', 'input', 'inputs'];
+
+/**
+ * Serializes a value with sorted object keys so key order does not count as a change
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Names the kind of change for a recipe data field
+ */
+function classifyField(field) {
+    if (RESULT_FIELDS.includes(field)) return 'results';
+    if (INGREDIENT_FIELDS.includes(field)) return 'ingredients';
+    if (field === 'type') return 'type';
+    return 'other';
+}
+
+/**
+ * Compares two versions of a recipe; returns null when nothing changed
+ */
+function compareRecipes(before, after) {
+    const beforeData = before.data || {};
+    const afterData = after.data || {};
+    const fields = new Set([...Object.keys(beforeData), ...Object.keys(afterData)]);
+    const changedFields = [];
+
+    for (const field of fields) {
+        if (stableStringify(beforeData[field]) !== stableStringify(afterData[field])) {
+            changedFields.push(field);
+        }
+    }
+
+    const kinds = new Set(changedFields.map(classifyField));
+    if ((before.load_status || 'active') !== (after.load_status || 'active')) {
+        kinds.add('load_status');
+    }
+
+    if (kinds.size === 0) {
+        return null;
+    }
+
+    return {
+        id: after.id,
+        mod: after.mod,
+        type: after.type,
+        changes: Array.from(kinds).sort(),
+        fields: changedFields.sort(),
+        before: before.data,
+        after: after.data
+    };
+}
+
+/**
+ * Compares the per-mod or per-type counts of two metadata objects
+ */
+function diffCounts(before = {}, after = {}) {
+    const counts = {};
+
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        const delta = (after[key] || 0) - (before[key] || 0);
+        if (delta !== 0) {
+            counts[key] = { before: before[key] || 0, after: after[key] || 0, delta };
+        }
+    }
+
+    return counts;
+}
+
+/**
+ * Adds a recipe to the mod -> type -> counts summary
+ */
+function countChange(groups, recipe, kind) {
+    if (!groups[recipe.mod]) {
+        groups[recipe.mod] = {};
+    }
+
+    if (!groups[recipe.mod][recipe.type]) {
+        groups[recipe.mod][recipe.type] = { added: 0, removed: 0, changed: 0 };
+    }
+
+    groups[recipe.mod][recipe.type][kind]++;
+}
+
+/**
+ * Diffs two sets of imported recipes (and their generateMetadata() output)
+ */
+function diffRecipes(beforeRecipes, afterRecipes, beforeMetadata = {}, afterMetadata = {}) {
+    const beforeById = new Map(beforeRecipes.map(recipe => [recipe.id, recipe]));
+    const afterById = new Map(afterRecipes.map(recipe => [recipe.id, recipe]));
+    const diff = {
+        summary: { added: 0, removed: 0, changed: 0, unchanged: 0 },
+        stats: {
+            total: {
+                before: beforeMetadata.total_recipes || beforeRecipes.length,
+                after: afterMetadata.total_recipes || afterRecipes.length
+            },
+            by_mod: diffCounts((beforeMetadata.stats || {}).by_mod, (afterMetadata.stats || {}).by_mod),
+            by_type: diffCounts((beforeMetadata.stats || {}).by_type, (afterMetadata.stats || {}).by_type)
+        },
+        groups: {},
+        added: [],
+        removed: [],
+        changed: []
+    };
+    diff.stats.total.delta = diff.stats.total.after - diff.stats.total.before;
+
+    for (const [id, recipe] of afterById) {
+        const previous = beforeById.get(id);
+
+        if (!previous) {
+            diff.added.push({ id, mod: recipe.mod, type: recipe.type, data: recipe.data });
+            countChange(diff.groups, recipe, 'added');
+            continue;
+        }
+
+        const change = compareRecipes(previous, recipe);
+        if (change) {
+            diff.changed.push(change);
+            countChange(diff.groups, recipe, 'changed');
+        } else {
+            diff.summary.unchanged++;
+        }
+    }
+
+    for (const [id, recipe] of beforeById) {
+        if (!afterById.has(id)) {
+            diff.removed.push({ id, mod: recipe.mod, type: recipe.type, data: recipe.data });
+            countChange(diff.groups, recipe, 'removed');
+        }
+    }
+
+    const byId = (a, b) => a.id.localeCompare(b.id);
+    diff.added.sort(byId);
+    diff.removed.sort(byId);
+    diff.changed.sort(byId);
+    diff.summary.added = diff.added.length;
+    diff.summary.removed = diff.removed.length;
+    diff.summary.changed = diff.changed.length;
+
+    return diff;
+}
+
+/**
+ * Resolves a diff side to a data directory: an imported dataset name, or a directory holding recipes/
+ * (e.g. a copy of an older data folder)
+ */
+function resolveDataDir(datasetOrPath) {
+    if (isValidDatasetName(datasetOrPath) && datasetExists(datasetOrPath)) {
+        return getDataDir(datasetOrPath);
+    }
+
+    if (fs.existsSync(path.join(datasetOrPath, 'recipes'))) {
+        return path.resolve(datasetOrPath);
+    }
+
+    throw new Error(`No dataset or data directory found for ${datasetOrPath}`);
+}
+
+/**
+ * Diffs two data directories
+ */
+function diffDataDirs(beforeDir, afterDir) {
+    const before = new RecipeLoader({ dataDir: beforeDir });
+    const after = new RecipeLoader({ dataDir: afterDir });
+
+    return diffRecipes(before.loadAllRecipes(), after.loadAllRecipes(), before.getMetadata(), after.getMetadata());
+}
+
+/**
+ * Renders a diff as Markdown for changelogs and pull requests
+ */
+function formatDiffMarkdown(diff, { from, to } = {}) {
+    const lines = [];
+    const { summary, stats } = diff;
+    const signed = value => (value > 0 ? `+${value}` : `${value}`);
+
+    lines.push(`# Recipe diff${from && to ? `: ${from} → ${to}` : ''}`);
+    lines.push('');
+    lines.push(`- Recipes: ${stats.total.before} → ${stats.total.after} (${signed(stats.total.delta)})`);
+    lines.push(`- Added: ${summary.added}, removed: ${summary.removed}, changed: ${summary.changed}, unchanged: ${summary.unchanged}`);
+
+    const mods = Object.keys(diff.groups).sort();
+    if (mods.length > 0) {
+        lines.push('');
+        lines.push('## By mod and type');
+        lines.push('');
+        lines.push('| Mod | Type | Added | Removed | Changed |');
+        lines.push('| --- | --- | ---: | ---: | ---: |');
+
+        for (const mod of mods) {
+            for (const type of Object.keys(diff.groups[mod]).sort()) {
+                const counts = diff.groups[mod][type];
+                lines.push(`| ${mod} | ${type} | ${counts.added} | ${counts.removed} | ${counts.changed} |`);
+            }
+        }
+    }
+
+    const sections = [
+        ['Added', diff.added, recipe => `- \`${recipe.id}\` (${recipe.type})`],
+        ['Removed', diff.removed, recipe => `- \`${recipe.id}\` (${recipe.type})`],
+        ['Changed', diff.changed, recipe => `- \`${recipe.id}\` (${recipe.type}): ${recipe.changes.join(', ')}`]
+    ];
+
+    for (const [title, recipes, formatLine] of sections) {
+        if (recipes.length === 0) {
+            continue;
+        }
+
+        lines.push('');
+        lines.push(`## ${title} (${recipes.length})`);
+        lines.push('');
+        recipes.forEach(recipe => lines.push(formatLine(recipe)));
+    }
+
+    return lines.join('\n');
+}
+
+// CLI usage
+if (require.main === module) {
+    const { values: flags, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', short: 'f', default: 'markdown' },
+            output: { type: 'string', short: 'o' }
+        }
+    });
+    const [from, to] = positionals;
+
+    if (!from || !to || !['markdown', 'json'].includes(flags.format)) {
+        console.log('Usage: node src/dataset-diff.js [--format markdown|json] [--output <file>] <before-dataset | data-dir> <after-dataset | data-dir>');
+        console.log('Example: node src/dataset-diff.js atm10-2.0 atm10-2.1 --output changes.md');
+        process.exit(1);
+    }
+
+    try {
+        const diff = diffDataDirs(resolveDataDir(from), resolveDataDir(to));
+        const output = flags.format === 'json'
+            ? JSON.stringify({ from, to, ...diff }, null, 2)
+            : formatDiffMarkdown(diff, { from, to });
+
+        if (flags.output) {
+            fs.writeFileSync(flags.output, output, 'utf8');
+            console.log(`💾 Saved diff to ${flags.output} (${diff.summary.added} added, ${diff.summary.removed} removed, ${diff.summary.changed} changed)`);
+        } else {
+            console.log(output);
+        }
+    } catch (error) {
+        console.error(`💥 Diff failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    stableStringify,
+    compareRecipes,
+    diffRecipes,
+    resolveDataDir,
+    diffDataDirs,
+    formatDiffMarkdown
+};
\ No newline at end of file
@@ -0,0 +1,100 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile } = require('./utils');
+
+// PATTERN_PRESS_DATA_ROOT moves all datasets, uploads and snapshots elsewhere (the server tests use a temp directory)
+const DATA_ROOT = process.env.PATTERN_PRESS_DATA_ROOT
+    ? path.resolve(process.env.PATTERN_PRESS_DATA_ROOT)
+    : path.join(__dirname, '..', 'data');
+
+// The unnamed dataset lives directly in data/, as it did before datasets existed
+const DEFAULT_DATASET = 'default';
+
+/**
+ * Checks a dataset name is usable as a directory name (letters, digits, _ . -)
+ */
+function isValidDatasetName(name) {
+    return typeof name === 'string' && /^[\w.-]+$/.test(name) && !/^\.+$/.test(name);
+}
+
+/**
+ * Returns the data directory of a dataset (data/ for the default one, data/datasets/<name>/ otherwise)
+ */
+function getDataDir(dataset = DEFAULT_DATASET, dataRoot = DATA_ROOT) {
+    if (!dataset || dataset === DEFAULT_DATASET) {
+        return dataRoot;
+    }
+
+    if (!isValidDatasetName(dataset)) {
+        throw new Error(`Invalid dataset name: ${dataset} (use letters, digits, _ . -)`);
+    }
+
+    return path.join(dataRoot, 'datasets', dataset);
+}
+
+/**
+ * Checks if a dataset has been imported
+ */
+function datasetExists(dataset = DEFAULT_DATASET, dataRoot = DATA_ROOT) {
+    if (dataset && dataset !== DEFAULT_DATASET && !isValidDatasetName(dataset)) {
+        return false;
+    }
+
+    const dataDir = getDataDir(dataset, dataRoot);
+    return fs.existsSync(path.join(dataDir, 'recipes')) || fs.existsSync(path.join(dataDir, 'metadata.json'));
+}
+
+/**
+ * Summarizes a dataset from its metadata.json
+ */
+function describeDataset(name, dataRoot) {
+    const summary = { name, total_recipes: 0, mods: 0, generated_at: null };
+    const metadataPath = path.join(getDataDir(name, dataRoot), 'metadata.json');
+
+    if (fs.existsSync(metadataPath)) {
+        try {
+            const metadata = readJsonFile(metadataPath);
+            summary.total_recipes = metadata.total_recipes;
+            summary.mods = metadata.mods.length;
+            summary.generated_at = metadata.generated_at;
+        } catch (error) {
+            console.warn(`Warning: Could not read metadata for dataset ${name}: ${error.message}`);
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Lists imported datasets, the default one first
+ */
+function listDatasets(dataRoot = DATA_ROOT) {
+    const datasetsDir = path.join(dataRoot, 'datasets');
+    const names = [];
+
+    if (datasetExists(DEFAULT_DATASET, dataRoot)) {
+        names.push(DEFAULT_DATASET);
+    }
+
+    if (fs.existsSync(datasetsDir)) {
+        const named = fs.readdirSync(datasetsDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && isValidDatasetName(entry.name) && entry.name !== DEFAULT_DATASET)
+            .map(entry => entry.name)
+            .filter(name => datasetExists(name, dataRoot))
+            .sort();
+        names.push(...named);
+    }
+
+    return names.map(name => describeDataset(name, dataRoot));
+}
+
+module.exports = {
+    DATA_ROOT,
+    DEFAULT_DATASET,
+    isValidDatasetName,
+    getDataDir,
+    datasetExists,
+    listDatasets
+};
\ No newline at end of file
@@ -0,0 +1,53 @@
+'use strict';
+
+// Comment lines keep idle connections open through proxies that drop silent streams
+const HEARTBEAT_MS = 30000;
+
+/**
+ * Creates a Server-Sent Events channel: connect() turns a request into a stream,
+ * broadcast() pushes a named event to every open stream
+ */
+function createEventStream({ heartbeatMs = HEARTBEAT_MS } = {}) {
+    const clients = new Set();
+    let heartbeat = null;
+
+    const stopHeartbeat = () => {
+        if (heartbeat && clients.size === 0) {
+            clearInterval(heartbeat);
+            heartbeat = null;
+        }
+    };
+
+    return {
+        clients,
+
+        connect(req, res) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive'
+            });
+            res.write(': connected\n\n');
+            clients.add(res);
+
+            if (!heartbeat) {
+                heartbeat = setInterval(() => clients.forEach(client => client.write(': ping\n\n')), heartbeatMs);
+                heartbeat.unref();
+            }
+
+            req.on('close', () => {
+                clients.delete(res);
+                stopHeartbeat();
+            });
+        },
+
+        broadcast(event, data) {
+            const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+            clients.forEach(client => client.write(message));
+        }
+    };
+}
+
+module.exports = {
+    createEventStream
+};
\ No newline at end of file
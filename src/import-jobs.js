@@ -0,0 +1,197 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { importRecipes } = require('./import-recipes');
+
+// Finished jobs kept for GET /import/jobs; older ones are forgotten
+const MAX_FINISHED_JOBS = 20;
+
+/**
+ * Reads the import root allowlist from a path.delimiter-separated list (PATTERN_PRESS_IMPORT_ROOTS)
+ */
+function parseImportRoots(value) {
+    return (value || '').split(path.delimiter).map(root => root.trim()).filter(Boolean);
+}
+
+/**
+ * Checks a path lies inside a root directory (or is the root)
+ */
+function isInside(root, target) {
+    const relative = path.relative(root, target);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Resolves a requested import path and checks it lies inside one of the allowed roots.
+ * The allowlist is checked before the path is looked at, and a missing path fails with the same error as a
+ * forbidden one, so clients cannot probe which paths exist. Symlinks are resolved so a link inside a root
+ * cannot point outside it.
+ */
+function resolveImportPath(requestedPath, importRoots) {
+    if (!importRoots || importRoots.length === 0) {
+        throw new Error('Server-side imports are disabled (start the server with --import-root <dir>)');
+    }
+
+    if (typeof requestedPath !== 'string' || requestedPath.trim() === '') {
+        throw new Error('Import path is required');
+    }
+
+    const notAllowed = new Error(`Import path is not an existing path inside the allowed import roots: ${requestedPath}`);
+    const requested = path.resolve(requestedPath);
+
+    if (!importRoots.some(root => isInside(path.resolve(root), requested)) || !fs.existsSync(requested)) {
+        throw notAllowed;
+    }
+
+    const resolved = fs.realpathSync(requested);
+    const allowed = importRoots.some(root => fs.existsSync(root) && isInside(fs.realpathSync(path.resolve(root)), resolved));
+
+    if (!allowed) {
+        throw notAllowed;
+    }
+
+    return resolved;
+}
+
+/**
+ * Keeps the headline numbers of an import run for the job status
+ */
+function summarizeStats(stats) {
+    return {
+        total: stats.total,
+        imported: stats.imported,
+        skipped: stats.skipped,
+        ignored: stats.ignored,
+        errors: stats.errors,
+        unchanged: stats.unchanged,
+        incremental: stats.incremental,
+        tags: stats.tags,
+        names: stats.names,
+        updatedMods: stats.updatedMods,
+        fileErrors: stats.fileErrors.slice(0, 20),
+        reportId: stats.reportId
+    };
+}
+
+/**
+ * Creates a queue that runs imports one at a time in the background. Every import the server starts goes through
+ * it, so two runs never share a dataset's staging directory and swap journal.
+ * onEvent(name, job, stats) is called with "import-progress", "import-done" (with the import stats) and "import-failed".
+ * options.runImport replaces importRecipes (tests).
+ */
+function createImportJobs({ onEvent = () => {}, runImport = importRecipes } = {}) {
+    const jobs = new Map();
+    const queue = [];
+    let nextId = 1;
+    let running = false;
+
+    const forgetOldJobs = () => {
+        const finished = Array.from(jobs.values()).filter(job => job.status === 'done' || job.status === 'failed');
+
+        finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => jobs.delete(job.id));
+    };
+
+    const runNext = async () => {
+        if (running || queue.length === 0) {
+            return;
+        }
+
+        const { job, cleanup, settle } = queue.shift();
+        running = true;
+        job.status = 'running';
+        job.started_at = new Date();
+
+        try {
+            const stats = await runImport(job.input_path, {
+                ...job.options,
+                dataset: job.dataset,
+                silent: true,
+                onProgress: progress => {
+                    job.progress = progress;
+                    onEvent('import-progress', job);
+                }
+            });
+
+            job.status = 'done';
+            job.summary = summarizeStats(stats);
+            job.finished_at = new Date();
+            onEvent('import-done', job, stats);
+            settle.resolve(stats);
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+            job.finished_at = new Date();
+            onEvent('import-failed', job);
+            settle.reject(error);
+        } finally {
+            if (cleanup) {
+                cleanup();
+            }
+            running = false;
+            forgetOldJobs();
+        }
+
+        await runNext();
+    };
+
+    const enqueue = ({ inputPath, source = inputPath, dataset, options = {}, trigger = 'request', cleanup = null }, settle) => {
+        const job = {
+            id: String(nextId++),
+            status: 'queued',
+            trigger,
+            source,
+            input_path: inputPath,
+            dataset: dataset || 'default',
+            options,
+            created_at: new Date(),
+            started_at: null,
+            finished_at: null,
+            progress: null,
+            summary: null,
+            error: null
+        };
+
+        jobs.set(job.id, job);
+        queue.push({ job, cleanup, settle });
+        runNext();
+
+        return job;
+    };
+
+    return {
+        /**
+         * Queues an import; cleanup() runs when it finishes (e.g. to delete an uploaded archive).
+         * trigger tells requests from the UI apart from watch mode re-imports ("watch").
+         */
+        submit(params) {
+            // Nobody waits for a submitted job; failures are reported through onEvent
+            return enqueue(params, { resolve: () => {}, reject: () => {} });
+        },
+
+        /**
+         * Queues an import like submit() and resolves with its stats once it has run (rejects if it fails)
+         */
+        run(params) {
+            return new Promise((resolve, reject) => enqueue(params, { resolve, reject }));
+        },
+
+        get(id) {
+            return jobs.get(id) || null;
+        },
+
+        /**
+         * Lists jobs, newest first
+         */
+        list() {
+            return Array.from(jobs.values()).reverse();
+        }
+    };
+}
+
+module.exports = {
+    parseImportRoots,
+    resolveImportPath,
+    summarizeStats,
+    createImportJobs
+};
\ No newline at end of file
@@ -0,0 +1,120 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./utils');
+const { ARCHIVE_SEPARATOR } = require('./archive-reader');
+
+// Version 2: recipes carry the normalized inputs/outputs/catalysts, so older imports are redone in full.
+// Version 3: entries mark recipes with load conditions, re-evaluated when the mod list or tags change
+const MANIFEST_VERSION = 3;
+
+/**
+ * Creates an empty import manifest
+ */
+function createManifest(inputPath, configHash) {
+    return {
+        version: MANIFEST_VERSION,
+        generated_at: new Date(),
+        input_path: inputPath,
+        config_hash: configHash,
+        files: {}
+    };
+}
+
+/**
+ * Loads a previous manifest, returning null if it is missing, unreadable or from another format version
+ */
+function loadManifest(manifestPath) {
+    if (!fs.existsSync(manifestPath)) {
+        return null;
+    }
+
+    try {
+        const manifest = readJsonFile(manifestPath);
+
+        if (!manifest || manifest.version !== MANIFEST_VERSION || !manifest.files) {
+            return null;
+        }
+
+        return manifest;
+    } catch (error) {
+        console.warn(`Warning: Ignoring unreadable import manifest: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Saves a manifest to disk
+ */
+function saveManifest(manifestPath, manifest) {
+    writeJsonFile(manifestPath, manifest);
+}
+
+/**
+ * Hashes any JSON-serializable value
+ */
+function hashJson(value) {
+    return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Hashes the import configuration so config edits can force a full re-import
+ */
+function hashConfig(config) {
+    return hashJson(config);
+}
+
+/**
+ * Builds the manifest key for a source file (input-relative, forward slashes)
+ */
+function toManifestKey(inputPath, filePath) {
+    // Entries of an archive given directly as input are keyed as <archive name>!/<entry>
+    const baseDir = filePath.startsWith(`${inputPath}${ARCHIVE_SEPARATOR}`) ? path.dirname(inputPath) : inputPath;
+    return path.relative(baseDir, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Compares current file hashes against a previous manifest
+ */
+function diffManifest(previous, currentHashes) {
+    const previousFiles = previous ? previous.files : {};
+    const changes = {
+        added: [],
+        changed: [],
+        removed: [],
+        unchanged: []
+    };
+
+    for (const [file, hash] of Object.entries(currentHashes)) {
+        const entry = previousFiles[file];
+
+        if (!entry) {
+            changes.added.push(file);
+        } else if (entry.hash !== hash) {
+            changes.changed.push(file);
+        } else {
+            changes.unchanged.push(file);
+        }
+    }
+
+    for (const file of Object.keys(previousFiles)) {
+        if (!Object.prototype.hasOwnProperty.call(currentHashes, file)) {
+            changes.removed.push(file);
+        }
+    }
+
+    return changes;
+}
+
+module.exports = {
+    MANIFEST_VERSION,
+    createManifest,
+    loadManifest,
+    saveManifest,
+    hashJson,
+    hashConfig,
+    toManifestKey,
+    diffManifest
+};
\ No newline at end of file
@@ -1,21 +1,151 @@
 'use strict';
 
+const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
 const { findJsonFiles, readJsonFile, ensureDirectoryExists, writeJsonFile, loadImportConfig } = require('./utils');
+const { ARCHIVE_SEPARATOR, closeArchives } = require('./archive-reader');
+const { validateRecipe } = require('./recipe-schemas');
+const { findMatchingPattern, findModRules } = require('./config-patterns');
+const { LOAD_STATUS, createConditionContext, getRecipeConditions, evaluateConditions } = require('./recipe-conditions');
+const { createReport, saveReport, loadReport } = require('./import-reports');
+const { getDataDir } = require('./datasets');
+const { createManifest, loadManifest, saveManifest, hashJson, hashConfig, toManifestKey, diffManifest } = require('./import-manifest');
+const { extractTagId, mergeTagFiles, resolveTags, toTagMembership } = require('./item-tags');
+const { DEFAULT_LOCALE, extractLangFile, buildNameDictionary } = require('./item-names');
+const { defaultWorkerCount, readJsonFiles } = require('./import-workers');
+const { createRecipeSpool } = require('./recipe-spool');
+const { normalizeRecipe } = require('./recipe-normalizer');
+const { SQLITE_FILE, isSqliteAvailable, SqliteStore } = require('./sqlite-store');
+const { DEFAULT_KEEP_SNAPSHOTS, parseKeepSnapshots, beginStaging, swapIn, recoverSwap } = require('./import-snapshots');
+
+// Where recipes are written: one JSON file per mod (the default, git-friendly) or a single SQLite database
+const STORAGE_TYPES = ['json', 'sqlite'];
+
+// Schema problems printed in the summary; the full list goes to import-diagnostics.json in the dataset
+const DIAGNOSTICS_SHOWN = 20;
+
+// Files between onProgress callbacks; each callback also yields so a server stays responsive
+const PROGRESS_INTERVAL = 100;
+
+// Recipe folder names: "recipes" up to 1.20, "recipe" from 1.21 on
+const RECIPE_FOLDERS = ['recipe', 'recipes'];
 
 /**
- * Extracts mod namespace from file path
+ * Splits a file path (including virtual archive paths) into segments
  */
-function extractModNamespace(filePath, recipeData) {
+function toPathSegments(filePath) {
     // Handle both Windows and Unix path separators
-    const pathParts = filePath.split(/[/\\]/);
-    const recipesIndex = pathParts.findIndex(part => part === 'recipes');
+    return filePath.replace(ARCHIVE_SEPARATOR, '/').split(/[/\\]/).filter(Boolean);
+}
+
+/**
+ * Checks if an input-relative path can hold a recipe. Datapack folders other than
+ * data/<ns>/recipe(s)/ (tags, loot tables, advancements...) and assets/ are not recipes.
+ */
+function isRecipeSource(relativePath) {
+    const parts = toPathSegments(relativePath);
+    const dataIndex = parts.indexOf('data');
+    const assetsIndex = parts.indexOf('assets');
+
+    // Resource pack content (lang files, models...) is never a recipe
+    if (assetsIndex !== -1 && (dataIndex === -1 || assetsIndex < dataIndex) && assetsIndex + 3 < parts.length) {
+        return false;
+    }
+
+    if (dataIndex === -1 || dataIndex + 3 >= parts.length) {
+        return true;
+    }
+
+    return RECIPE_FOLDERS.includes(parts[dataIndex + 2]);
+}
+
+/**
+ * Works out where a recipe lives in the game: its namespace and its path below the recipe folder.
+ * Understands the datapack layout (data/<ns>/recipe(s)/...), the KubeJS export layout
+ * (recipes/<ns>/...) and, relative to the input path, data/<ns>/... or a top-level <ns>/ folder.
+ */
+function locateRecipe(filePath, options = {}) {
+    const pathParts = toPathSegments(filePath);
+    const fileIndex = pathParts.length - 1;
+    const toRecipePath = parts => parts.join('/').replace(/\.json$/i, '');
+    let location = null;
+
+    // Datapack layout: data/<namespace>/recipe(s)/... (nearest match to the file)
+    for (let i = fileIndex - 3; i >= 0 && !location; i--) {
+        if (pathParts[i] === 'data' && RECIPE_FOLDERS.includes(pathParts[i + 2])) {
+            location = { namespace: pathParts[i + 1], recipePath: toRecipePath(pathParts.slice(i + 3)) };
+        }
+    }
+
+    // KubeJS export layout: recipes/<namespace>/...
+    if (!location) {
+        const recipesIndex = pathParts.findIndex((part, index) => RECIPE_FOLDERS.includes(part) && index + 1 < fileIndex);
+
+        if (recipesIndex !== -1) {
+            location = { namespace: pathParts[recipesIndex + 1], recipePath: toRecipePath(pathParts.slice(recipesIndex + 2)) };
+        }
+    }
+
+    // Exports not rooted in a recipes directory: fall back to the layout below the input path
+    const relativeParts = options.inputPath ? toPathSegments(toManifestKey(options.inputPath, filePath)) : [];
+    const isBelowInput = relativeParts.length > 0 && relativeParts[0] !== '..';
+
+    if (!location && isBelowInput) {
+        const dataIndex = relativeParts.indexOf('data');
+
+        if (dataIndex !== -1 && dataIndex + 1 < relativeParts.length - 1) {
+            location = { namespace: relativeParts[dataIndex + 1], recipePath: toRecipePath(relativeParts.slice(dataIndex + 2)) };
+        } else if (relativeParts.length > 1) {
+            location = { namespace: relativeParts[0], recipePath: toRecipePath(relativeParts.slice(1)) };
+        }
+    }
+
+    // An explicit namespace wins over anything found in the path
+    if (options.namespace) {
+        const recipePath = location
+            ? location.recipePath
+            : toRecipePath(isBelowInput ? relativeParts : pathParts.slice(fileIndex));
+        return { namespace: options.namespace, recipePath };
+    }
 
-    if (recipesIndex !== -1 && pathParts[recipesIndex + 1]) {
-        return pathParts[recipesIndex + 1];
+    if (!location) {
+        throw new Error(`Unable to extract mod namespace from file path: ${filePath} (use --namespace to set one)`);
     }
 
-    throw new Error(`Unable to extract mod namespace from file path: ${filePath}`);
+    return location;
+}
+
+/**
+ * Extracts mod namespace from file path
+ */
+function extractModNamespace(filePath, recipeData, options = {}) {
+    return locateRecipe(filePath, options).namespace;
+}
+
+/**
+ * Builds the in-game recipe ID (resource location), e.g. create:crushing/copper_ore
+ */
+function extractRecipeId(filePath, options = {}) {
+    const { namespace, recipePath } = locateRecipe(filePath, options);
+    return `${namespace}:${recipePath}`;
+}
+
+/**
+ * Removes recipes whose ID was already taken, keeping the first one seen
+ */
+function dropDuplicateRecipes(recipes, duplicates) {
+    const seen = new Map();
+
+    return recipes.filter(recipe => {
+        if (seen.has(recipe.id)) {
+            duplicates.push({ id: recipe.id, kept: seen.get(recipe.id).source, dropped: recipe.source });
+            return false;
+        }
+
+        seen.set(recipe.id, recipe);
+        return true;
+    });
 }
 
 /**
@@ -31,36 +161,70 @@ function extractCategory(recipeData) {
 }
 
 /**
- * Checks if a recipe should be imported based on configuration
+ * Normalizes a recipe type - add minecraft: prefix if missing
  */
-function shouldImportRecipe(mod, recipeType, config) {
+function normalizeRecipeType(recipeType) {
+    if (recipeType && !recipeType.includes(':')) {
+        return `minecraft:${recipeType}`;
+    }
+
+    return recipeType;
+}
+
+/**
+ * Checks if a recipe should be imported based on configuration.
+ * Every list accepts exact names, globs (*:crafting_special_*) and /regexes/; modRules.<mod>
+ * adds per-mod ignores and, with its own recipeTypes, replaces the global whitelist for that mod.
+ * The result names the rule that decided, e.g. "ignoredRecipeTypes: *:crafting_special_*".
+ */
+function shouldImportRecipe(mod, recipeType, config, recipeId = null) {
+    const modRules = findModRules(config.modRules, mod);
+    const modPrefix = modRules ? `modRules.${modRules.key}.` : null;
+    const check = (listName, prefix, patterns, value) => {
+        const pattern = findMatchingPattern(patterns, value);
+        return pattern === null ? null : `${prefix}${listName}: ${pattern}`;
+    };
+    // Per-mod lists are checked before the global ones so overrides show up in the decision log
+    const checkBoth = (listName, value) =>
+        (modRules && check(listName, modPrefix, modRules.rules[listName], value)) ||
+        check(listName, '', config[listName], value);
+
     // Check if mod is explicitly ignored
-    if (config.ignoredMods && config.ignoredMods.includes(mod)) {
-        return { allowed: false, reason: 'mod ignored' };
+    const ignoredMod = check('ignoredMods', '', config.ignoredMods, mod);
+    if (ignoredMod) {
+        return { allowed: false, reason: 'mod ignored', rule: ignoredMod };
+    }
+
+    // Check if this recipe is explicitly ignored
+    const ignoredId = recipeId !== null && checkBoth('ignoredRecipeIds', recipeId);
+    if (ignoredId) {
+        return { allowed: false, reason: 'recipe ignored', rule: ignoredId };
     }
 
     // Check if recipe type is explicitly ignored
-    if (config.ignoredRecipeTypes && config.ignoredRecipeTypes.includes(recipeType)) {
-        return { allowed: false, reason: 'recipe type ignored' };
+    const ignoredType = checkBoth('ignoredRecipeTypes', recipeType);
+    if (ignoredType) {
+        return { allowed: false, reason: 'recipe type ignored', rule: ignoredType };
     }
 
-    // Check if mod is allowed
-    if (!config.mods.includes(mod)) {
+    // Check if mod is allowed (having modRules does not make a mod supported on its own)
+    const supportedMod = check('mods', '', config.mods, mod);
+    if (!supportedMod) {
         return { allowed: false, reason: 'mod not supported' };
     }
 
-    // Check if recipe type is allowed
-    if (config.recipeTypes.includes(recipeType)) {
-        return { allowed: true };
+    // Recipes listed by ID are imported whatever their type
+    const allowedId = recipeId !== null && checkBoth('recipeIds', recipeId);
+    if (allowedId) {
+        return { allowed: true, rule: allowedId };
     }
 
-    // Check for wildcard patterns like "mekanism:*"
-    const wildcardMatch = config.recipeTypes.find(type =>
-        type.endsWith(':*') && recipeType.startsWith(type.slice(0, -1))
-    );
-
-    if (wildcardMatch) {
-        return { allowed: true };
+    // Check if recipe type is allowed, by the mod's own whitelist if it has one
+    const allowedType = modRules && modRules.rules.recipeTypes
+        ? check('recipeTypes', modPrefix, modRules.rules.recipeTypes, recipeType)
+        : check('recipeTypes', '', config.recipeTypes, recipeType);
+    if (allowedType) {
+        return { allowed: true, rule: allowedType };
     }
 
     return { allowed: false, reason: 'recipe type not supported' };
@@ -79,7 +243,8 @@ function generateMetadata(recipesByMod) {
         stats: {
             by_mod: {},
             by_type: {},
-            by_category: {}
+            by_category: {},
+            by_status: {}
         }
     };
 
@@ -105,6 +270,10 @@ function generateMetadata(recipesByMod) {
                 categorySet.add(recipe.category);
                 metadata.stats.by_category[recipe.category] = (metadata.stats.by_category[recipe.category] || 0) + 1;
             }
+
+            // Count load condition outcomes (recipes from older imports are active)
+            const status = recipe.load_status || LOAD_STATUS.ACTIVE;
+            metadata.stats.by_status[status] = (metadata.stats.by_status[status] || 0) + 1;
         }
     }
 
@@ -116,19 +285,113 @@ function generateMetadata(recipesByMod) {
     return metadata;
 }
 
+/**
+ * Keeps the recipe fields generateMetadata() counts, so written recipes can be released
+ */
+function summarizeRecipe(recipe) {
+    return { type: recipe.type, category: recipe.category, load_status: recipe.load_status };
+}
+
+/**
+ * Loads previously imported recipes for a mod from the output directory (or the SQLite store)
+ */
+function loadExistingRecipes(outputDir, mod, store = null) {
+    if (store) {
+        return store.loadMod(mod);
+    }
+
+    const filePath = path.join(outputDir, `${mod}.json`);
+
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+
+    return readJsonFile(filePath);
+}
+
+/**
+ * Lists the mods with previously imported recipes
+ */
+function listExistingMods(outputDir, store = null) {
+    if (store) {
+        return store.getMods();
+    }
+
+    if (!fs.existsSync(outputDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(outputDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'));
+}
+
 /**
  * Main import function
  */
-async function importRecipes(inputPath) {
-    console.log(`🔍 Starting import from: ${inputPath}`);
+async function importRecipes(inputPath, options = {}) {
+    // Parsed recipes wait in the spool (spilling to disk on big exports) until their mod file is written
+    const spool = createRecipeSpool();
+
+    try {
+        return await runImport(inputPath, options, spool);
+    } finally {
+        // A failed import must not leave spilled recipes in the temp dir
+        spool.close();
+    }
+}
+
+/**
+ * The import itself; parsed recipes go through the caller's spool
+ */
+async function runImport(inputPath, options, spool) {
+    // --json mode keeps stdout clean for the report
+    const log = options.silent ? () => {} : (...args) => console.log(...args);
+    const timings = {};
+    const startedAt = new Date();
+    let phaseStart = Date.now();
+
+    // Each dataset (pack or pack version) gets its own recipes, metadata, manifest and reports;
+    // options.dataRoot moves the whole data directory (the benchmark imports into a temp dir)
+    const dataDir = getDataDir(options.dataset, options.dataRoot);
+
+    // A crash during the previous run's swap leaves a journal; finish that swap before reading anything
+    if (recoverSwap(dataDir)) {
+        log(`🩹 Finished swapping in the data of an interrupted import`);
+    }
+
+    // A dataset stays in the storage it was imported with unless options.storage says otherwise
+    const sqlitePath = path.join(dataDir, SQLITE_FILE);
+    const storage = options.storage || (fs.existsSync(sqlitePath) ? 'sqlite' : 'json');
+
+    if (!STORAGE_TYPES.includes(storage)) {
+        throw new Error(`Unknown storage ${storage} (use ${STORAGE_TYPES.join(' or ')})`);
+    }
+
+    if (storage === 'sqlite' && !isSqliteAvailable()) {
+        throw new Error(`SQLite storage needs Node 22.5 or newer (node:sqlite); this is Node ${process.versions.node}`);
+    }
+
+    log(`🔍 Starting import from: ${inputPath}`);
+    if (options.dataset) {
+        log(`🗂️  Dataset: ${options.dataset}`);
+    }
+    if (storage === 'sqlite') {
+        log(`🗄️  Storage: ${SQLITE_FILE}`);
+    }
 
     // Load configuration
     const config = loadImportConfig();
-    console.log(`📋 Loaded config with ${Object.keys(config.mods).length} supported mods`);
+    log(`📋 Loaded config with ${Object.keys(config.mods).length} supported mods`);
+
+    // Checked up front so a bad count fails the import before any work, not while swapping the data in
+    const keepSnapshots = options.keepSnapshots !== undefined
+        ? parseKeepSnapshots(options.keepSnapshots, 'keepSnapshots')
+        : parseKeepSnapshots(config.keepSnapshots ?? DEFAULT_KEEP_SNAPSHOTS, 'keepSnapshots in config/import.json');
 
     // Find all JSON files
     const jsonFiles = findJsonFiles(inputPath);
-    console.log(`📁 Found ${jsonFiles.length} JSON files`);
+    log(`📁 Found ${jsonFiles.length} JSON files`);
 
     const stats = {
         total: 0,
@@ -136,33 +399,198 @@ async function importRecipes(inputPath) {
         skipped: 0,
         ignored: 0,
         errors: 0,
+        unchanged: 0,
+        incremental: false,
         byMod: {},
         skippedMods: new Set(),
-        skippedTypes: new Set()
+        skippedTypes: new Set(),
+        byStatus: {
+            [LOAD_STATUS.ACTIVE]: 0,
+            [LOAD_STATUS.INACTIVE]: 0,
+            [LOAD_STATUS.UNKNOWN]: 0
+        },
+        duplicates: [],
+        diagnostics: [],
+        tags: 0,
+        missingTags: [],
+        names: 0,
+        updatedMods: [],
+        snapshot: null,
+        ruleHits: {},
+        fileErrors: [],
+        changes: {
+            added: [],
+            changed: [],
+            removed: []
+        }
     };
 
-    const recipesByMod = {};
+    // Background jobs follow the run through options.onProgress({ phase, done, total, imported, ... })
+    const reportProgress = async (phase, done, total, force = false) => {
+        if (!options.onProgress || (!force && done % PROGRESS_INTERVAL !== 0)) {
+            return;
+        }
+
+        options.onProgress({
+            phase,
+            done,
+            total,
+            imported: stats.imported,
+            skipped: stats.skipped,
+            ignored: stats.ignored,
+            errors: stats.errors
+        });
+        await new Promise(resolve => setImmediate(resolve));
+    };
+
+    const outputDir = path.join(dataDir, 'recipes');
+    const manifestPath = path.join(dataDir, 'import-manifest.json');
+    const configHash = hashConfig(config);
+
+    const locateOptions = { namespace: options.namespace, inputPath };
+
+    // Recipe sources are only listed here; they are hashed as they are read for parsing
+    const filesByKey = {};
+    const knownMods = new Set(['minecraft', ...(config.loadedMods || [])]);
+    const tagFiles = [];
+    const langFiles = [];
+    const locale = (options.locale || DEFAULT_LOCALE).toLowerCase();
+    for (const [index, filePath] of jsonFiles.entries()) {
+        await reportProgress('scanning', index, jsonFiles.length);
 
-    // Process each JSON file
-    for (const filePath of jsonFiles) {
         try {
-            const recipeData = readJsonFile(filePath);
-            const mod = extractModNamespace(filePath, recipeData);
-            let recipeType = recipeData.type || 'unknown';
+            const key = toManifestKey(inputPath, filePath);
+
+            if (!isRecipeSource(key)) {
+                // Item tags and lang files are re-read on every run; they are small and cheap to rebuild
+                const tagId = extractTagId(filePath);
+                const langFile = extractLangFile(filePath);
+                if (tagId) {
+                    tagFiles.push({ id: tagId, data: readJsonFile(filePath), source: key });
+                } else if (langFile && (langFile.locale === locale || langFile.locale === DEFAULT_LOCALE)) {
+                    langFiles.push({ locale: langFile.locale, data: readJsonFile(filePath) });
+                }
+                continue;
+            }
+
+            filesByKey[key] = filePath;
 
-            // Normalize recipe type - add minecraft: prefix if missing
-            if (recipeType && !recipeType.includes(':')) {
-                recipeType = `minecraft:${recipeType}`;
+            // Every namespace with recipes in the export counts as a loaded mod for load conditions
+            knownMods.add(extractModNamespace(filePath, null, locateOptions));
+        } catch (error) {
+            stats.errors++;
+            stats.fileErrors.push({ file: toManifestKey(inputPath, filePath), error: error.message });
+            log(`❌ ${path.basename(filePath)}: ${error.message}`);
+        }
+    }
+
+    await reportProgress('scanning', jsonFiles.length, jsonFiles.length, true);
+
+    const tags = resolveTags(mergeTagFiles(tagFiles));
+    const tagMembership = toTagMembership(tags);
+    stats.tags = Object.keys(tags).length;
+    for (const [id, tag] of Object.entries(tags)) {
+        tag.missing.forEach(missing => stats.missingTags.push({ tag: id, missing }));
+    }
+    if (stats.tags > 0) {
+        log(`🏷️  Resolved ${stats.tags} item tags from ${tagFiles.length} files`);
+    }
+
+    const names = buildNameDictionary(langFiles, locale);
+    stats.names = Object.keys(names).length;
+    if (stats.names > 0) {
+        log(`🔤 Read ${stats.names} item names from ${langFiles.length} lang files (${locale})`);
+    }
+
+    timings.scan_ms = Date.now() - phaseStart;
+    phaseStart = Date.now();
+
+    // Incremental mode only makes sense against a manifest built with the same config
+    const tagsHash = stats.tags > 0 ? hashJson(tagMembership) : null;
+    let previousManifest = null;
+    if (options.incremental) {
+        previousManifest = loadManifest(manifestPath);
+
+        if (!previousManifest) {
+            log(`📋 No previous import manifest found, running full import`);
+        } else if (previousManifest.config_hash !== configHash) {
+            log(`📋 Import config changed since last run, running full import`);
+            previousManifest = null;
+        } else if ((previousManifest.storage || 'json') !== storage) {
+            log(`📋 Storage changed since last run, running full import`);
+            previousManifest = null;
+        } else if ((previousManifest.namespace || null) !== (options.namespace || null)) {
+            log(`📋 Namespace override changed since last run, running full import`);
+            previousManifest = null;
+        }
+    }
+
+    // Load conditions of unchanged recipes may flip when the mod list or the tag contents change. The file diff
+    // still holds; only the unchanged recipes that have conditions are re-evaluated (and their mods rewritten)
+    const modsChanged = Boolean(previousManifest) &&
+        JSON.stringify(previousManifest.known_mods) !== JSON.stringify(Array.from(knownMods).sort());
+    const tagsChanged = Boolean(previousManifest) && (previousManifest.tags_hash || null) !== tagsHash;
+    if (modsChanged || tagsChanged) {
+        log(`📋 ${modsChanged ? 'Mod list' : 'Item tags'} changed since last run, re-evaluating load conditions`);
+    }
+
+    // Without any tag files, tag conditions stay unknown rather than failing
+    const conditionContext = createConditionContext({ mods: knownMods, tags: stats.tags > 0 ? tagMembership : null });
+
+    stats.incremental = Boolean(previousManifest);
+    const sourceKeys = Object.keys(filesByKey);
+    const manifest = createManifest(inputPath, configHash);
+    manifest.namespace = options.namespace || null;
+    manifest.storage = storage;
+    manifest.known_mods = Array.from(knownMods).sort();
+    manifest.tags_hash = tagsHash;
+
+    // Every recipe file is read once, where it is hashed for the manifest and parsed unless the previous
+    // manifest has the same hash. Reading, hashing and parsing can run on worker threads; everything that
+    // decides what is imported stays here so results do not depend on the worker count
+    const workers = options.workers !== undefined ? options.workers : defaultWorkerCount();
+    const knownHashes = stats.incremental ? sourceKeys.map(key => (previousManifest.files[key] || {}).hash) : [];
+    const sources = readJsonFiles(sourceKeys.map(key => filesByKey[key]), { workers, knownHashes });
+    const fileHashes = {};
+    let index = 0;
+
+    for await (const source of sources) {
+        const key = sourceKeys[index];
+        await reportProgress('parsing', index++, sourceKeys.length);
+
+        fileHashes[key] = source.hash;
+        if (source.unchanged) {
+            continue;
+        }
+
+        const filePath = source.filePath;
+        const manifestEntry = { hash: source.hash, mod: null, id: null };
+        manifest.files[key] = manifestEntry;
+
+        try {
+            if (source.error) {
+                throw source.error;
             }
+
+            const recipeData = source.data;
+            const mod = extractModNamespace(filePath, recipeData, locateOptions);
+            const recipeType = normalizeRecipeType(recipeData.type || 'unknown');
+            manifestEntry.mod = mod;
             const fileName = path.basename(filePath, '.json');
 
+            const recipeId = extractRecipeId(filePath, locateOptions);
+
             stats.total++;
 
             // Check if we should import this recipe
-            const importCheck = shouldImportRecipe(mod, recipeType, config);
+            const importCheck = shouldImportRecipe(mod, recipeType, config, recipeId);
+            const ruleNote = importCheck.rule ? ` [${importCheck.rule}]` : '';
+            if (importCheck.rule) {
+                manifestEntry.rule = importCheck.rule;
+            }
 
             if (!importCheck.allowed) {
-                if (importCheck.reason === 'recipe type ignored' || importCheck.reason === 'mod ignored') {
+                if (importCheck.reason.endsWith('ignored')) {
                     stats.ignored++;
                 } else {
                     stats.skipped++;
@@ -177,7 +605,7 @@ async function importRecipes(inputPath) {
                 }
 
                 if (config.logging.logSkipped) {
-                    console.log(`⚠️  Skipped ${fileName} (${importCheck.reason})`);
+                    log(`⚠️  Skipped ${fileName} (${importCheck.reason})${ruleNote}`);
                 }
                 continue;
             }
@@ -185,75 +613,311 @@ async function importRecipes(inputPath) {
             // Extract normalized fields from recipe data
             const category = extractCategory(recipeData);
 
-            // Create recipe object
+            // Create recipe object; the normalized inputs/outputs/catalysts sit next to the untouched raw data
             const recipe = {
-                id: fileName,
+                id: recipeId,
                 mod: mod,
                 type: recipeType,
                 name: fileName,
                 category: category,
+                load_status: evaluateConditions(recipeData, conditionContext),
+                source: key,
                 data: recipeData,
+                ...normalizeRecipe(recipeData),
                 imported_at: new Date()
             };
+            manifestEntry.id = recipe.id;
+            if (getRecipeConditions(recipeData).length > 0) {
+                manifestEntry.conditions = true;
+            }
 
-            // Group by mod
-            if (!recipesByMod[mod]) {
-                recipesByMod[mod] = [];
-                stats.byMod[mod] = 0;
+            // Schema problems are kept in the manifest so incremental runs still report unchanged files
+            const problems = validateRecipe(recipeType, recipeData);
+            if (problems.length > 0) {
+                manifestEntry.diagnostics = problems.map(problem => ({ type: recipeType, ...problem }));
             }
 
-            recipesByMod[mod].push(recipe);
-            stats.byMod[mod]++;
+            // Group by mod
+            spool.add(mod, recipe);
+            stats.byMod[mod] = (stats.byMod[mod] || 0) + 1;
             stats.imported++;
+            stats.byStatus[recipe.load_status]++;
 
-            console.log(`✅ ${fileName} (${recipeType})`);
+            log(`✅ ${recipe.id} (${recipeType})${ruleNote}`);
 
         } catch (error) {
             stats.errors++;
-            console.log(`❌ ${path.basename(filePath)}: ${error.message}`);
+            stats.fileErrors.push({ file: key, error: error.message });
+            log(`❌ ${path.basename(filePath)}: ${error.message}`);
         }
     }
 
-    // Ensure output directory exists
-    const outputDir = path.join(__dirname, '..', 'data', 'recipes');
-    ensureDirectoryExists(outputDir);
+    // Release the last archive read from a jar or zip input
+    closeArchives();
+    await reportProgress('parsing', sourceKeys.length, sourceKeys.length, true);
 
-    // Save recipes by mod
-    for (const [mod, recipes] of Object.entries(recipesByMod)) {
-        const outputPath = path.join(outputDir, `${mod}.json`);
-        writeJsonFile(outputPath, recipes);
-        console.log(`💾 Saved ${recipes.length} ${mod} recipes to ${mod}.json`);
+    timings.parse_ms = Date.now() - phaseStart;
+    phaseStart = Date.now();
+
+    const fileChanges = diffManifest(previousManifest, fileHashes);
+    if (stats.incremental) {
+        stats.unchanged = fileChanges.unchanged.length;
+        log(`♻️  ${fileChanges.added.length} added, ${fileChanges.changed.length} changed, ${fileChanges.removed.length} removed, ${stats.unchanged} unchanged`);
+    }
+
+    let modsToWrite = spool.mods();
+    const staleSources = new Set([...fileChanges.changed, ...fileChanges.removed]);
+    const conditionalSources = new Set(modsChanged || tagsChanged
+        ? fileChanges.unchanged.filter(key => previousManifest.files[key].conditions)
+        : []);
+
+    if (stats.incremental) {
+        // Carry unchanged files over and merge their recipes with the re-parsed ones
+        const affectedMods = new Set(modsToWrite);
+
+        for (const key of fileChanges.unchanged) {
+            manifest.files[key] = previousManifest.files[key];
+        }
+
+        for (const key of [...staleSources, ...conditionalSources]) {
+            const previousEntry = previousManifest.files[key];
+            if (previousEntry && previousEntry.mod) {
+                affectedMods.add(previousEntry.mod);
+            }
+        }
+
+        modsToWrite = Array.from(affectedMods);
+
+        const describe = (entry, key) => ({ file: key, id: entry ? entry.id : null });
+        stats.changes.added = fileChanges.added.map(key => describe(manifest.files[key], key));
+        stats.changes.changed = fileChanges.changed.map(key => describe(manifest.files[key], key));
+        stats.changes.removed = fileChanges.removed.map(key => describe(previousManifest.files[key], key));
+    }
+
+    // Everything is written to a staging directory and swapped in at the end, so a crash never leaves a mix
+    // of old and new data and mods that are gone do not linger. Incremental runs start from a copy of the
+    // unchanged mod files (or of the whole database).
+    let carryOver = [];
+    if (stats.incremental) {
+        carryOver = storage === 'sqlite'
+            ? [SQLITE_FILE]
+            : listExistingMods(outputDir).filter(mod => !modsToWrite.includes(mod)).map(mod => path.join('recipes', `${mod}.json`));
+    }
+    const stagingDir = beginStaging(dataDir, { carryOver });
+    const stagedOutputDir = path.join(stagingDir, 'recipes');
+
+    let store = null;
+    if (storage === 'sqlite') {
+        store = new SqliteStore(path.join(stagingDir, SQLITE_FILE));
+    } else {
+        ensureDirectoryExists(stagedOutputDir);
+    }
+
+    const keptByMod = {};
+    if (stats.incremental) {
+        for (const mod of modsToWrite) {
+            keptByMod[mod] = loadExistingRecipes(outputDir, mod, store)
+                .filter(recipe => !staleSources.has(recipe.source))
+                .map(recipe => conditionalSources.has(recipe.source)
+                    ? { ...recipe, load_status: evaluateConditions(recipe.data, conditionContext) }
+                    : recipe);
+        }
+
+        if (conditionalSources.size > 0) {
+            log(`⏸️  Re-evaluated load conditions of ${conditionalSources.size} unchanged recipes`);
+        }
+    }
+
+    // Save recipes by mod, one mod in memory at a time. Only the fields generateMetadata() reads are kept afterwards.
+    const summariesByMod = {};
+    const parsedSources = new Set([...fileChanges.added, ...fileChanges.changed]);
+    for (const mod of modsToWrite) {
+        // IDs carry the mod namespace, so collisions can only happen within one mod
+        const duplicateCount = stats.duplicates.length;
+        const recipes = dropDuplicateRecipes((keptByMod[mod] || []).concat(await spool.take(mod)), stats.duplicates);
+
+        for (const duplicate of stats.duplicates.slice(duplicateCount)) {
+            if (parsedSources.has(duplicate.dropped)) {
+                stats.imported--;
+                stats.byMod[mod]--;
+            }
+        }
+
+        if (recipes.length === 0) {
+            // Every recipe for this mod was removed from the export; it is simply not part of the new data
+            if (store) {
+                store.removeMod(mod);
+            }
+            log(`🗑️  Dropped ${mod} (no recipes left)`);
+            continue;
+        }
+
+        if (store) {
+            store.writeMod(mod, recipes);
+        } else {
+            writeJsonFile(path.join(stagedOutputDir, `${mod}.json`), recipes);
+        }
+        summariesByMod[mod] = recipes.map(summarizeRecipe);
+        log(`💾 Saved ${recipes.length} ${mod} recipes to ${store ? SQLITE_FILE : `${mod}.json`}`);
+    }
+
+    // Mods whose recipe files were rewritten or removed; watch mode reports these to the browser
+    stats.updatedMods = modsToWrite.slice().sort();
+
+    // Metadata always covers the full data set, including mods untouched by this run
+    if (stats.incremental) {
+        for (const mod of listExistingMods(stagedOutputDir, store)) {
+            if (!summariesByMod[mod] && !modsToWrite.includes(mod)) {
+                summariesByMod[mod] = loadExistingRecipes(stagedOutputDir, mod, store).map(summarizeRecipe);
+            }
+        }
     }
 
     // Generate and save metadata
-    if (Object.keys(recipesByMod).length > 0) {
-        const metadata = generateMetadata(recipesByMod);
-        const metadataPath = path.join(__dirname, '..', 'data', 'metadata.json');
+    if (Object.keys(summariesByMod).length > 0) {
+        const metadata = generateMetadata(summariesByMod);
+        const metadataPath = path.join(stagingDir, 'metadata.json');
         writeJsonFile(metadataPath, metadata);
-        console.log(`📋 Generated metadata with ${metadata.mods.length} mods, ${metadata.recipe_types.length} recipe types, ${metadata.categories.length} categories`);
+        log(`📋 Generated metadata with ${metadata.mods.length} mods, ${metadata.recipe_types.length} recipe types, ${metadata.categories.length} categories`);
+    }
+
+    // Collect schema problems and rule hits for every file, including ones carried over unchanged
+    for (const [key, entry] of Object.entries(manifest.files)) {
+        for (const diagnostic of entry.diagnostics || []) {
+            stats.diagnostics.push({ file: key, id: entry.id, ...diagnostic });
+        }
+
+        if (entry.rule) {
+            stats.ruleHits[entry.rule] = (stats.ruleHits[entry.rule] || 0) + 1;
+        }
+    }
+
+    // Resolved tag memberships for /tags and the UI
+    if (stats.tags > 0) {
+        writeJsonFile(path.join(stagingDir, 'tags.json'), {
+            generated_at: new Date(),
+            total: stats.tags,
+            tags
+        });
+    }
+
+    // Item ID -> display name dictionary for /names and the UI
+    if (stats.names > 0) {
+        writeJsonFile(path.join(stagingDir, 'names.json'), {
+            generated_at: new Date(),
+            locale,
+            total: stats.names,
+            names
+        });
+    }
+
+    // The SQLite store indexes tags and names too
+    if (store) {
+        store.writeTags(stats.tags > 0 ? tags : {});
+        store.writeNames(names);
+        store.close();
+    }
+
+    writeJsonFile(path.join(stagingDir, 'import-diagnostics.json'), {
+        generated_at: new Date(),
+        input_path: inputPath,
+        total: stats.diagnostics.length,
+        diagnostics: stats.diagnostics
+    });
+
+    saveManifest(path.join(stagingDir, 'import-manifest.json'), manifest);
+
+    // Swap the new data in; the data it replaces is kept as a snapshot for rollback
+    stats.snapshot = swapIn(dataDir, stagingDir, { keep: keepSnapshots });
+    if (stats.snapshot) {
+        log(`📸 Kept the previous data as snapshot ${stats.snapshot}`);
     }
 
+    timings.write_ms = Date.now() - phaseStart;
+
+    // Keep a machine-readable record of every run
+    const report = createReport(stats, {
+        inputPath,
+        configHash,
+        startedAt,
+        finishedAt: new Date(),
+        timings
+    });
+    saveReport(path.join(dataDir, 'reports'), report);
+    stats.reportId = report.id;
+
     // Print summary
-    console.log(`\n📊 Import Summary:`);
-    console.log(`   📦 Total files: ${stats.total}`);
-    console.log(`   ✅ Imported: ${stats.imported}`);
-    console.log(`   ⚠️  Unsupported: ${stats.skipped}`);
-    console.log(`   🚫 Ignored: ${stats.ignored}`);
-    console.log(`   ❌ Errors: ${stats.errors}`);
+    log(`\n📊 Import Summary:`);
+    log(`   📦 Total files: ${stats.total}`);
+    log(`   ✅ Imported: ${stats.imported}`);
+    log(`   ⚠️  Unsupported: ${stats.skipped}`);
+    log(`   🚫 Ignored: ${stats.ignored}`);
+    log(`   ❌ Errors: ${stats.errors}`);
+
+    if (stats.byStatus.inactive > 0 || stats.byStatus.unknown > 0) {
+        log(`   ⏸️  Inactive (load conditions fail): ${stats.byStatus.inactive}`);
+        log(`   ❓ Unknown load conditions: ${stats.byStatus.unknown}`);
+    }
+
+    if (stats.incremental) {
+        log(`   ♻️  Unchanged: ${stats.unchanged}`);
+
+        const changeGroups = [
+            ['➕', 'Added', stats.changes.added],
+            ['✏️ ', 'Changed', stats.changes.changed],
+            ['➖', 'Removed', stats.changes.removed]
+        ];
+
+        for (const [icon, label, entries] of changeGroups) {
+            if (entries.length === 0) {
+                continue;
+            }
+
+            log(`\n${icon} ${label} (${entries.length}):`);
+            entries.forEach(entry => {
+                log(`   - ${entry.file}${entry.id ? ` (${entry.id})` : ''}`);
+            });
+        }
+    }
+
+    if (stats.diagnostics.length > 0) {
+        const shown = stats.diagnostics.slice(0, DIAGNOSTICS_SHOWN);
+        log(`\n🩺 Schema problems (${stats.diagnostics.length}):`);
+        shown.forEach(diagnostic => {
+            log(`   - ${diagnostic.file}#${diagnostic.pointer}: ${diagnostic.problem}`);
+        });
+        if (stats.diagnostics.length > shown.length) {
+            log(`   ... and ${stats.diagnostics.length - shown.length} more, see ${path.relative(process.cwd(), path.join(dataDir, 'import-diagnostics.json'))}`);
+        }
+    }
+
+    if (stats.missingTags.length > 0) {
+        log(`\n🏷️  Unresolved tag references (${stats.missingTags.length}):`);
+        stats.missingTags.forEach(entry => {
+            log(`   - #${entry.tag} → #${entry.missing}`);
+        });
+    }
+
+    if (stats.duplicates.length > 0) {
+        log(`\n🔁 Duplicate recipe IDs (${stats.duplicates.length}), only the first file was kept:`);
+        stats.duplicates.forEach(duplicate => {
+            log(`   - ${duplicate.id}: ${duplicate.dropped} (kept ${duplicate.kept})`);
+        });
+    }
 
     if (stats.skippedMods.size > 0) {
-        console.log(`\n🚫 Unsupported mods (${stats.skippedMods.size}):`);
+        log(`\n🚫 Unsupported mods (${stats.skippedMods.size}):`);
         Array.from(stats.skippedMods).forEach(mod => {
-            console.log(`   - ${mod}`);
+            log(`   - ${mod}`);
         });
     }
 
     if (stats.skippedTypes.size > 0) {
-        console.log(`\n🔍 Unsupported recipe types (${stats.skippedTypes.size}):`);
+        log(`\n🔍 Unsupported recipe types (${stats.skippedTypes.size}):`);
         Array.from(stats.skippedTypes).sort().forEach(type => {
-            console.log(`   - ${type}`);
+            log(`   - ${type}`);
         });
-        console.log(`\n💡 Add these types to config/import.json to support them`);
+        log(`\n💡 Add these types to config/import.json to support them, or run src/suggest-config.js to propose the edits`);
     }
 
     return stats;
@@ -261,22 +925,62 @@ async function importRecipes(inputPath) {
 
 // CLI usage
 if (require.main === module) {
-    const inputPath = process.argv[2];
+    const { values: flags, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            incremental: { type: 'boolean', short: 'i', default: false },
+            namespace: { type: 'string', short: 'n' },
+            dataset: { type: 'string', short: 'd' },
+            locale: { type: 'string', short: 'l' },
+            workers: { type: 'string', short: 'w' },
+            storage: { type: 'string', short: 's' },
+            'keep-snapshots': { type: 'string' },
+            json: { type: 'boolean', default: false }
+        }
+    });
+    const inputPath = positionals[0];
 
     if (!inputPath) {
-        console.log('Usage: node src/import-recipes.js <path-to-kubejs-export-directory>');
+        console.log('Usage: node src/import-recipes.js [--incremental] [--namespace <ns>] [--dataset <name>] [--locale <code>] [--workers <n>] [--storage json|sqlite] [--keep-snapshots <n>] [--json] <kubejs-export-directory | mods-folder | mod.jar | datapack.zip>');
         console.log('Example: node src/import-recipes.js "C:\\Users\\...\\kubejs\\export\\recipes\\minecraft"');
         process.exit(1);
     }
 
-    importRecipes(inputPath)
-        .then(() => {
+    importRecipes(inputPath, {
+        incremental: flags.incremental,
+        namespace: flags.namespace,
+        dataset: flags.dataset,
+        locale: flags.locale,
+        workers: flags.workers !== undefined ? Number(flags.workers) : undefined,
+        storage: flags.storage,
+        keepSnapshots: flags['keep-snapshots'],
+        silent: flags.json
+    })
+        .then(stats => {
+            if (flags.json) {
+                // CI parses the report from stdout and fails the build on errors
+                console.log(JSON.stringify(loadReport(path.join(getDataDir(flags.dataset), 'reports'), stats.reportId), null, 2));
+                process.exitCode = stats.errors > 0 ? 1 : 0;
+                return;
+            }
+
             console.log('\n🎉 Import completed successfully!');
         })
         .catch(error => {
-            console.error(`💥 Import failed: ${error.message}`);
+            if (flags.json) {
+                console.log(JSON.stringify({ error: error.message }, null, 2));
+            } else {
+                console.error(`💥 Import failed: ${error.message}`);
+            }
             process.exit(1);
         });
 }
 
-module.exports = { importRecipes };
\ No newline at end of file
+module.exports = {
+    importRecipes,
+    extractModNamespace,
+    extractRecipeId,
+    isRecipeSource,
+    normalizeRecipeType,
+    shouldImportRecipe
+};
\ No newline at end of file
@@ -0,0 +1,110 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile, ensureDirectoryExists } = require('./utils');
+
+const REPORT_VERSION = 1;
+
+/**
+ * Builds a report ID from the run start time (sortable and safe as a file name)
+ */
+function toReportId(startedAt) {
+    return new Date(startedAt).toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Builds a JSON-safe import report from the stats object returned by importRecipes()
+ */
+function createReport(stats, { inputPath, configHash, startedAt, finishedAt, timings }) {
+    return {
+        version: REPORT_VERSION,
+        id: toReportId(startedAt),
+        input_path: inputPath,
+        config_hash: configHash,
+        started_at: new Date(startedAt),
+        finished_at: new Date(finishedAt),
+        timings: {
+            ...timings,
+            total_ms: new Date(finishedAt) - new Date(startedAt)
+        },
+        stats: {
+            ...stats,
+            skippedMods: Array.from(stats.skippedMods).sort(),
+            skippedTypes: Array.from(stats.skippedTypes).sort()
+        }
+    };
+}
+
+/**
+ * Saves a report as <reportsDir>/<id>.json
+ */
+function saveReport(reportsDir, report) {
+    ensureDirectoryExists(reportsDir);
+    const reportPath = path.join(reportsDir, `${report.id}.json`);
+    writeJsonFile(reportPath, report);
+    return reportPath;
+}
+
+/**
+ * Lists past import runs, newest first, with the headline numbers of each
+ */
+function listReports(reportsDir) {
+    if (!fs.existsSync(reportsDir)) {
+        return [];
+    }
+
+    const reports = [];
+
+    for (const file of fs.readdirSync(reportsDir).filter(name => name.endsWith('.json'))) {
+        try {
+            const report = readJsonFile(path.join(reportsDir, file));
+            reports.push({
+                id: report.id,
+                input_path: report.input_path,
+                config_hash: report.config_hash,
+                started_at: report.started_at,
+                duration_ms: report.timings.total_ms,
+                incremental: report.stats.incremental,
+                total: report.stats.total,
+                imported: report.stats.imported,
+                skipped: report.stats.skipped,
+                ignored: report.stats.ignored,
+                errors: report.stats.errors,
+                diagnostics: report.stats.diagnostics.length,
+                skipped_mods: report.stats.skippedMods.length,
+                skipped_types: report.stats.skippedTypes.length
+            });
+        } catch (error) {
+            console.warn(`Warning: Skipping unreadable import report ${file}: ${error.message}`);
+        }
+    }
+
+    return reports.sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Loads a single report by ID, or null if it does not exist
+ */
+function loadReport(reportsDir, id) {
+    // IDs are generated from timestamps; anything else could escape the reports directory
+    if (!/^[\w-]+$/.test(id)) {
+        return null;
+    }
+
+    const reportPath = path.join(reportsDir, `${id}.json`);
+    if (!fs.existsSync(reportPath)) {
+        return null;
+    }
+
+    return readJsonFile(reportPath);
+}
+
+module.exports = {
+    REPORT_VERSION,
+    toReportId,
+    createReport,
+    saveReport,
+    listReports,
+    loadReport
+};
\ No newline at end of file
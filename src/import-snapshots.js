@@ -0,0 +1,259 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { readJsonFile, writeJsonFile, ensureDirectoryExists } = require('./utils');
+const { getDataDir, datasetExists } = require('./datasets');
+const { toReportId } = require('./import-reports');
+
+// Everything an import produces in a data directory; reports are history and stay where they are
+const DATA_ENTRIES = ['recipes', 'recipes.sqlite', 'metadata.json', 'import-manifest.json', 'import-diagnostics.json', 'tags.json', 'names.json'];
+
+const STAGING_DIR = '.staging';
+const SNAPSHOTS_DIR = 'snapshots';
+const SWAP_JOURNAL = '.swap.json';
+
+const DEFAULT_KEEP_SNAPSHOTS = 3;
+
+/**
+ * Throws unless keep is a snapshot count, a whole number of 0 or more: pruning to NaN snapshots would delete them all
+ */
+function checkKeep(keep, source = 'keep', value = keep) {
+    if (!Number.isInteger(keep) || keep < 0) {
+        throw new Error(`${source} must be a whole number of snapshots, 0 or more (got ${typeof value === 'string' ? `"${value}"` : value})`);
+    }
+}
+
+/**
+ * Reads a snapshot count from config or the text of a CLI option
+ */
+function parseKeepSnapshots(value, source = 'keep') {
+    const keep = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+
+    checkKeep(keep, source, value);
+    return keep;
+}
+
+/**
+ * Moves a file or directory, if it exists and the destination is still free
+ */
+function moveEntry(from, to) {
+    if (fs.existsSync(from) && !fs.existsSync(to)) {
+        fs.renameSync(from, to);
+    }
+}
+
+/**
+ * Creates an empty staging directory, dropping anything left by an interrupted run.
+ * carryOver lists data entries (relative paths) copied from the live data, e.g. unchanged mod files.
+ */
+function beginStaging(dataDir, { carryOver = [] } = {}) {
+    const stagingDir = path.join(dataDir, STAGING_DIR);
+
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    ensureDirectoryExists(stagingDir);
+
+    for (const entry of carryOver) {
+        const source = path.join(dataDir, entry);
+
+        if (fs.existsSync(source)) {
+            ensureDirectoryExists(path.dirname(path.join(stagingDir, entry)));
+            fs.copyFileSync(source, path.join(stagingDir, entry), fs.constants.COPYFILE_FICLONE);
+        }
+    }
+
+    return stagingDir;
+}
+
+/**
+ * Runs the swap described by the journal. Each phase only moves what is still in place,
+ * so an interrupted swap can simply be run again.
+ */
+function runSwap(dataDir, journal) {
+    const journalPath = path.join(dataDir, SWAP_JOURNAL);
+    const snapshotDir = path.join(dataDir, SNAPSHOTS_DIR, journal.snapshot);
+
+    if (journal.phase === 'retire') {
+        ensureDirectoryExists(snapshotDir);
+        DATA_ENTRIES.forEach(entry => moveEntry(path.join(dataDir, entry), path.join(snapshotDir, entry)));
+
+        // Nothing to keep from a first import
+        if (fs.readdirSync(snapshotDir).length === 0) {
+            fs.rmSync(snapshotDir, { recursive: true, force: true });
+        }
+
+        journal.phase = 'install';
+        writeJsonFile(journalPath, journal);
+    }
+
+    DATA_ENTRIES.forEach(entry => moveEntry(path.join(journal.source, entry), path.join(dataDir, entry)));
+    fs.rmSync(journal.source, { recursive: true, force: true });
+    fs.rmSync(journalPath, { force: true });
+}
+
+/**
+ * Swaps fully written data (a staging or snapshot directory) into place: the live data moves to a new
+ * snapshot first, then the new data moves in. Returns the snapshot ID, or null if there was no live data
+ * or keep left no room for it (keep 0).
+ */
+function swapIn(dataDir, sourceDir, { keep = DEFAULT_KEEP_SNAPSHOTS } = {}) {
+    // Refused before anything moves, rather than after the swap when pruning
+    checkKeep(keep);
+
+    const hasLiveData = DATA_ENTRIES.some(entry => fs.existsSync(path.join(dataDir, entry)));
+    let snapshot = toReportId(new Date());
+
+    // Two swaps within the same millisecond would otherwise share a snapshot
+    while (fs.existsSync(path.join(dataDir, SNAPSHOTS_DIR, snapshot))) {
+        snapshot = `${snapshot}-1`;
+    }
+
+    // The journal is written before anything moves, so a crash mid-swap is finished by recoverSwap()
+    const journal = { snapshot, source: sourceDir, phase: 'retire' };
+    writeJsonFile(path.join(dataDir, SWAP_JOURNAL), journal);
+    runSwap(dataDir, journal);
+
+    const pruned = pruneSnapshots(dataDir, keep);
+
+    return hasLiveData && !pruned.includes(snapshot) ? snapshot : null;
+}
+
+/**
+ * Finishes a swap a crashed run left halfway; returns true if there was one
+ */
+function recoverSwap(dataDir) {
+    const journalPath = path.join(dataDir, SWAP_JOURNAL);
+
+    if (!fs.existsSync(journalPath)) {
+        return false;
+    }
+
+    runSwap(dataDir, readJsonFile(journalPath));
+    return true;
+}
+
+/**
+ * Lists snapshots, newest first, with the recipe count and import time of the data they hold
+ */
+function listSnapshots(dataDir) {
+    const snapshotsDir = path.join(dataDir, SNAPSHOTS_DIR);
+
+    if (!fs.existsSync(snapshotsDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(snapshotsDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort()
+        .reverse()
+        .map(id => {
+            const metadataPath = path.join(snapshotsDir, id, 'metadata.json');
+            const summary = { id, total_recipes: null, generated_at: null };
+
+            if (fs.existsSync(metadataPath)) {
+                try {
+                    const metadata = readJsonFile(metadataPath);
+                    summary.total_recipes = metadata.total_recipes;
+                    summary.generated_at = metadata.generated_at;
+                } catch (error) {
+                    console.warn(`Warning: Could not read metadata for snapshot ${id}: ${error.message}`);
+                }
+            }
+
+            return summary;
+        });
+}
+
+/**
+ * Deletes all but the newest `keep` snapshots
+ */
+function pruneSnapshots(dataDir, keep = DEFAULT_KEEP_SNAPSHOTS) {
+    checkKeep(keep);
+
+    const stale = listSnapshots(dataDir).slice(keep);
+
+    for (const snapshot of stale) {
+        fs.rmSync(path.join(dataDir, SNAPSHOTS_DIR, snapshot.id), { recursive: true, force: true });
+    }
+
+    return stale.map(snapshot => snapshot.id);
+}
+
+/**
+ * Restores a snapshot (the newest one by default). The data it replaces becomes a snapshot itself,
+ * so rolling back again undoes the rollback; saved is null when keep 0 pruned it right away.
+ */
+function rollback(dataDir, { to, keep = DEFAULT_KEEP_SNAPSHOTS } = {}) {
+    const snapshots = listSnapshots(dataDir);
+    const target = to ? snapshots.find(snapshot => snapshot.id === to) : snapshots[0];
+
+    if (!target) {
+        throw new Error(to ? `No snapshot named ${to}` : 'No snapshots to roll back to');
+    }
+
+    recoverSwap(dataDir);
+    const saved = swapIn(dataDir, path.join(dataDir, SNAPSHOTS_DIR, target.id), { keep });
+
+    return { restored: target, saved };
+}
+
+// CLI usage
+if (require.main === module) {
+    const { values: flags, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            dataset: { type: 'string', short: 'd' },
+            to: { type: 'string' },
+            keep: { type: 'string' }
+        }
+    });
+    const [command] = positionals;
+
+    if (!['list', 'rollback'].includes(command)) {
+        console.log('Usage: node src/import-snapshots.js list|rollback [--dataset <name>] [--to <snapshot-id>] [--keep <n>]');
+        console.log('Example: node src/import-snapshots.js rollback --dataset atm10');
+        process.exit(1);
+    }
+
+    try {
+        if (flags.dataset && !datasetExists(flags.dataset)) {
+            throw new Error(`No imported dataset named ${flags.dataset}`);
+        }
+
+        const dataDir = getDataDir(flags.dataset);
+
+        if (command === 'list') {
+            const snapshots = listSnapshots(dataDir);
+            console.log(snapshots.length === 0 ? '📭 No snapshots yet' : `📸 ${snapshots.length} snapshots (newest first):`);
+            snapshots.forEach(snapshot => console.log(`   ${snapshot.id}  ${snapshot.total_recipes ?? '?'} recipes`));
+        } else {
+            const keep = flags.keep !== undefined ? parseKeepSnapshots(flags.keep, '--keep') : DEFAULT_KEEP_SNAPSHOTS;
+            const { restored, saved } = rollback(dataDir, { to: flags.to, keep });
+            console.log(`⏪ Restored snapshot ${restored.id} (${restored.total_recipes ?? '?'} recipes)`);
+            if (saved) {
+                console.log(`📸 Saved the replaced data as snapshot ${saved}; roll back again to undo`);
+            } else if (keep === 0) {
+                console.log('⚠️  No snapshot of the replaced data was kept (--keep 0); this rollback cannot be undone');
+            }
+        }
+    } catch (error) {
+        console.error(`💥 Snapshot command failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    DATA_ENTRIES,
+    STAGING_DIR,
+    SNAPSHOTS_DIR,
+    DEFAULT_KEEP_SNAPSHOTS,
+    parseKeepSnapshots,
+    beginStaging,
+    swapIn,
+    recoverSwap,
+    listSnapshots,
+    pruneSnapshots,
+    rollback
+};
\ No newline at end of file
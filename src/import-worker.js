@@ -0,0 +1,23 @@
+'use strict';
+
+// Worker thread for import-workers.js: reads, hashes and parses a batch of recipe files
+const { parentPort } = require('worker_threads');
+const { readHashedJsonFile } = require('./utils');
+const { closeArchives } = require('./archive-reader');
+
+parentPort.on('message', batch => {
+    // null is the pool's stop signal: the open archives are closed once, then the thread exits
+    if (batch === null) {
+        closeArchives();
+        parentPort.close();
+        return;
+    }
+
+    // Errors do not survive postMessage as Error objects; the pool rebuilds them from the message
+    const results = batch.filePaths.map((filePath, index) => {
+        const { error, ...result } = readHashedJsonFile(filePath, batch.knownHashes[index]);
+        return error ? { ...result, error: error.message } : result;
+    });
+
+    parentPort.postMessage(results);
+});
\ No newline at end of file
@@ -0,0 +1,139 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { readHashedJsonFile } = require('./utils');
+
+// Files per message to a worker; large enough that messaging is cheap next to parsing
+const BATCH_SIZE = 250;
+
+// Below this many files, starting workers costs more than it saves
+const MIN_FILES_FOR_WORKERS = 1000;
+
+// More workers than this mostly contend for the disk
+const MAX_DEFAULT_WORKERS = 8;
+
+/**
+ * Default worker count: one per spare CPU core (none on a single-core machine)
+ */
+function defaultWorkerCount() {
+    const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    return Math.min(MAX_DEFAULT_WORKERS, Math.max(0, cores - 1));
+}
+
+/**
+ * Starts worker threads that hash and parse batches of files; run() hands a batch to the next idle worker
+ */
+function createWorkerPool(size) {
+    const workers = Array.from({ length: size }, () => new Worker(path.join(__dirname, 'import-worker.js')));
+    const idle = [...workers];
+    const waiting = [];
+
+    const dispatch = () => {
+        while (idle.length > 0 && waiting.length > 0) {
+            const worker = idle.pop();
+            const { batch, resolve, reject } = waiting.shift();
+
+            const onMessage = results => {
+                worker.off('error', onError);
+                idle.push(worker);
+                dispatch();
+                resolve(results);
+            };
+            const onError = error => {
+                worker.off('message', onMessage);
+                reject(error);
+            };
+
+            worker.once('message', onMessage);
+            worker.once('error', onError);
+            worker.postMessage(batch);
+        }
+    };
+
+    return {
+        run(batch) {
+            return new Promise((resolve, reject) => {
+                waiting.push({ batch, resolve, reject });
+                dispatch();
+            });
+        },
+
+        /**
+         * Asks each worker to close its archives and exit; a worker that already died is skipped
+         */
+        close() {
+            return Promise.all(workers.map(worker => {
+                if (worker.threadId === -1) {
+                    return undefined;
+                }
+
+                const exited = new Promise(resolve => worker.once('exit', resolve));
+                worker.postMessage(null);
+                return exited;
+            }));
+        }
+    };
+}
+
+/**
+ * Reads, hashes and parses JSON files, yielding { filePath, hash, data } or { filePath, hash, error } in input order
+ * (see readHashedJsonFile). A file whose hash equals its entry in knownHashes is yielded as { filePath, hash, unchanged: true }
+ * without being parsed. With workers > 0 (and enough files) this runs on a worker pool with a few batches in flight,
+ * so only those batches are held in memory at once; otherwise files are read in this thread.
+ */
+async function* readJsonFiles(filePaths, { workers = 0, minFiles = MIN_FILES_FOR_WORKERS, batchSize = BATCH_SIZE, knownHashes = [] } = {}) {
+    if (workers < 1 || filePaths.length < minFiles) {
+        for (const [index, filePath] of filePaths.entries()) {
+            yield { filePath, ...readHashedJsonFile(filePath, knownHashes[index]) };
+        }
+        return;
+    }
+
+    const batches = [];
+    for (let start = 0; start < filePaths.length; start += batchSize) {
+        batches.push({
+            filePaths: filePaths.slice(start, start + batchSize),
+            knownHashes: knownHashes.slice(start, start + batchSize)
+        });
+    }
+
+    const pool = createWorkerPool(Math.min(workers, batches.length));
+    const inFlight = [];
+    let nextBatch = 0;
+
+    const startBatch = () => {
+        const promise = pool.run(batches[nextBatch++]);
+        // Failures surface when the batch is awaited; avoid an unhandled rejection before that
+        promise.catch(() => {});
+        inFlight.push(promise);
+    };
+
+    try {
+        while (nextBatch < batches.length && inFlight.length < workers * 2) {
+            startBatch();
+        }
+
+        for (const batch of batches) {
+            const results = await inFlight.shift();
+
+            if (nextBatch < batches.length) {
+                startBatch();
+            }
+
+            for (const [index, result] of results.entries()) {
+                yield result.error === undefined
+                    ? { filePath: batch.filePaths[index], ...result }
+                    : { filePath: batch.filePaths[index], ...result, error: new Error(result.error) };
+            }
+        }
+    } finally {
+        await pool.close();
+    }
+}
+
+module.exports = {
+    defaultWorkerCount,
+    readJsonFiles
+};
\ No newline at end of file
@@ -0,0 +1,90 @@
+'use strict';
+
+const { KIND } = require('./recipe-normalizer');
+
+// Which side of a recipe a lookup searches: what it makes, or what it takes (inputs and catalysts)
+const ITEM_ROLES = ['producers', 'consumers'];
+
+/**
+ * Index key of a normalized stack. Item tags get a leading #, as in recipe JSON; fluid and chemical tags already have one.
+ */
+function stackKey(stack) {
+    return stack.kind === KIND.TAG ? `#${stack.id}` : stack.id;
+}
+
+/**
+ * Adds a recipe position under a key; positions arrive in order, so a repeat can only be the last one
+ */
+function addToIndex(index, key, position) {
+    if (!index.has(key)) {
+        index.set(key, []);
+    }
+
+    const positions = index.get(key);
+    if (positions[positions.length - 1] !== position) {
+        positions.push(position);
+    }
+}
+
+/**
+ * Builds the inverted index over normalized recipes: stack key -> positions of the recipes that produce it
+ * (outputs) or consume it (inputs, their alternatives and catalysts)
+ */
+function buildItemIndex(recipes) {
+    const index = { recipes, producers: new Map(), consumers: new Map() };
+
+    recipes.forEach((recipe, position) => {
+        for (const stack of recipe.outputs || []) {
+            addToIndex(index.producers, stackKey(stack), position);
+        }
+
+        for (const stack of [...(recipe.inputs || []), ...(recipe.catalysts || [])]) {
+            for (const option of [stack, ...(stack.alternatives || [])]) {
+                addToIndex(index.consumers, stackKey(option), position);
+            }
+        }
+    });
+
+    return index;
+}
+
+/**
+ * Expands an item ID or #tag into the index keys that match it. An item also matches every tag it belongs to,
+ * so "what uses copper" finds recipes asking for #c:ingots/copper; a tag also matches its member items.
+ */
+function expandItemQuery(itemId, tags = {}) {
+    if (itemId.startsWith('#')) {
+        const tagId = itemId.slice(1);
+        return [itemId, ...(Object.prototype.hasOwnProperty.call(tags, tagId) ? tags[tagId].items : [])];
+    }
+
+    const keys = [itemId];
+    for (const [tagId, tag] of Object.entries(tags)) {
+        if (tag.items.includes(itemId)) {
+            keys.push(`#${tagId}`);
+        }
+    }
+
+    return keys;
+}
+
+/**
+ * Looks up the recipes indexed under any of the keys for a role, in their original order
+ */
+function lookupItemRecipes(index, role, keys) {
+    const positions = new Set();
+
+    for (const key of keys) {
+        (index[role].get(key) || []).forEach(position => positions.add(position));
+    }
+
+    return Array.from(positions).sort((a, b) => a - b).map(position => index.recipes[position]);
+}
+
+module.exports = {
+    ITEM_ROLES,
+    stackKey,
+    buildItemIndex,
+    expandItemQuery,
+    lookupItemRecipes
+};
\ No newline at end of file
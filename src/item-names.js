@@ -0,0 +1,102 @@
+'use strict';
+
+const DEFAULT_LOCALE = 'en_us';
+
+// Lang keys that name an item or block: item.<ns>.<path> / block.<ns>.<path>
+const NAME_KEY_PATTERN = /^(item|block)\.([a-z0-9_-]+)\.([a-z0-9_/-]+)$/;
+
+/**
+ * Works out the namespace and locale of a lang file (assets/<ns>/lang/<locale>.json), or null for other files
+ */
+function extractLangFile(filePath) {
+    const parts = filePath.replace('!/', '/').split(/[/\\]/).filter(Boolean);
+    const fileIndex = parts.length - 1;
+
+    if (fileIndex < 3 || parts[fileIndex - 1] !== 'lang' || parts[fileIndex - 3] !== 'assets') {
+        return null;
+    }
+
+    return {
+        namespace: parts[fileIndex - 2],
+        locale: parts[fileIndex].replace(/\.json$/i, '').toLowerCase()
+    };
+}
+
+/**
+ * Adds the item and block names from one lang file to a dictionary (item keys win over block keys)
+ */
+function addLangEntries(names, langData) {
+    for (const [key, value] of Object.entries(langData || {})) {
+        const match = key.match(NAME_KEY_PATTERN);
+
+        if (!match || typeof value !== 'string') {
+            continue;
+        }
+
+        const [, kind, namespace, itemPath] = match;
+        const itemId = `${namespace}:${itemPath}`;
+
+        if (kind === 'block' && names[itemId] && names[itemId].kind === 'item') {
+            continue;
+        }
+
+        names[itemId] = { name: value, kind };
+    }
+}
+
+/**
+ * Builds the item ID -> display name dictionary from lang files in load order.
+ * Later files override earlier ones (resource packs over mods); the default locale fills gaps.
+ */
+function buildNameDictionary(langFiles, locale = DEFAULT_LOCALE) {
+    const fallback = {};
+    const localized = {};
+
+    for (const { locale: fileLocale, data } of langFiles) {
+        if (fileLocale === locale) {
+            addLangEntries(localized, data);
+        } else if (fileLocale === DEFAULT_LOCALE) {
+            addLangEntries(fallback, data);
+        }
+    }
+
+    const names = {};
+    for (const [itemId, entry] of Object.entries({ ...fallback, ...localized })) {
+        names[itemId] = entry.name;
+    }
+
+    return names;
+}
+
+/**
+ * Finds the item a recipe produces (first result for multi-output recipes), or null
+ */
+function getResultItemId(recipeData) {
+    if (!recipeData) {
+        return null;
+    }
+
+    let result = recipeData.result !== undefined ? recipeData.result : (recipeData.results || recipeData.output);
+
+    if (Array.isArray(result)) {
+        result = result[0];
+    }
+
+    // actuallyadditions:crushing wraps each result: { result: { id }, chance }
+    if (result && typeof result === 'object' && result.result) {
+        result = result.result;
+    }
+
+    if (typeof result === 'string') {
+        return result;
+    }
+
+    return (result && (result.id || result.item)) || null;
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    extractLangFile,
+    buildNameDictionary,
+    getResultItemId
+};
\ No newline at end of file
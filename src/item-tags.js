@@ -0,0 +1,131 @@
+'use strict';
+
+// Item tag folders: "items" up to 1.20, "item" from 1.21 on
+const TAG_FOLDERS = ['item', 'items'];
+
+/**
+ * Works out the tag ID for an item tag file (data/<ns>/tags/item(s)/<path>.json), or null for other files
+ */
+function extractTagId(filePath) {
+    const parts = filePath.replace('!/', '/').split(/[/\\]/).filter(Boolean);
+
+    // Nearest data/ folder to the file, as for recipes
+    for (let i = parts.length - 5; i >= 0; i--) {
+        if (parts[i] === 'data' && parts[i + 2] === 'tags' && TAG_FOLDERS.includes(parts[i + 3])) {
+            const tagPath = parts.slice(i + 4).join('/').replace(/\.json$/i, '');
+            return `${parts[i + 1]}:${tagPath}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Normalizes one tag value: "ns:item", "#ns:tag" or { id, required }
+ */
+function parseTagValue(value) {
+    const raw = typeof value === 'string' ? value : value && value.id;
+
+    if (typeof raw !== 'string') {
+        return null;
+    }
+
+    const required = typeof value === 'object' ? value.required !== false : true;
+
+    return raw.startsWith('#')
+        ? { tag: raw.slice(1), required }
+        : { item: raw, required };
+}
+
+/**
+ * Merges tag files in load order. Files for the same tag append to each other,
+ * except that "replace": true throws away everything loaded before it.
+ */
+function mergeTagFiles(tagFiles) {
+    const definitions = {};
+
+    for (const { id, data, source } of tagFiles) {
+        if (!definitions[id] || data.replace === true) {
+            definitions[id] = { values: [], sources: [] };
+        }
+
+        const values = Array.isArray(data.values) ? data.values : [];
+        definitions[id].values.push(...values.map(parseTagValue).filter(Boolean));
+        definitions[id].sources.push(source);
+    }
+
+    return definitions;
+}
+
+/**
+ * Resolves nested #tag references so every tag lists its concrete items.
+ * Required references to unknown tags are reported in "missing"; cycles are broken and reported too.
+ */
+function resolveTags(definitions) {
+    const resolved = {};
+    const resolving = new Set();
+
+    const resolve = id => {
+        if (resolved[id]) {
+            return resolved[id];
+        }
+
+        const definition = definitions[id];
+        const tag = { items: [], tags: [], missing: [], sources: definition.sources };
+        const items = new Set();
+        resolving.add(id);
+
+        for (const value of definition.values) {
+            if (value.item) {
+                items.add(value.item);
+                continue;
+            }
+
+            tag.tags.push(value.tag);
+
+            if (!definitions[value.tag]) {
+                if (value.required) {
+                    tag.missing.push(value.tag);
+                }
+                continue;
+            }
+
+            if (resolving.has(value.tag)) {
+                tag.missing.push(`${value.tag} (circular reference)`);
+                continue;
+            }
+
+            resolve(value.tag).items.forEach(item => items.add(item));
+        }
+
+        resolving.delete(id);
+        tag.items = Array.from(items).sort();
+        resolved[id] = tag;
+        return tag;
+    };
+
+    Object.keys(definitions).sort().forEach(resolve);
+
+    return resolved;
+}
+
+/**
+ * Maps tag IDs to their items, the shape load conditions expect
+ */
+function toTagMembership(tags) {
+    const membership = {};
+
+    for (const [id, tag] of Object.entries(tags)) {
+        membership[id] = tag.items;
+    }
+
+    return membership;
+}
+
+module.exports = {
+    extractTagId,
+    parseTagValue,
+    mergeTagFiles,
+    resolveTags,
+    toTagMembership
+};
\ No newline at end of file
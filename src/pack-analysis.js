@@ -0,0 +1,275 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const RecipeLoader = require('./recipe-loader');
+const { KIND } = require('./recipe-normalizer');
+const { stackKey } = require('./item-index');
+const { readJsonFile } = require('./utils');
+const { findMatchingPattern } = require('./config-patterns');
+const { DEFAULT_DATASET, getDataDir, datasetExists } = require('./datasets');
+
+const ANALYSIS_CONFIG = path.join(__dirname, '..', 'config', 'analysis.json');
+
+// Longest conversion loop looked for; real exploits are one or two recipes round trips
+const MAX_LOOP_LENGTH = 4;
+
+/**
+ * Loads the analysis allowlists: "obtainable" (world-gen, mob drops, fluids) and "endProducts" (items nothing
+ * needs to use, such as tools). Both take the exact, glob and /regex/ patterns of the import config.
+ */
+function loadAnalysisConfig(configPath = ANALYSIS_CONFIG) {
+    const config = fs.existsSync(configPath) ? readJsonFile(configPath) : {};
+
+    return {
+        obtainable: config.obtainable || [],
+        endProducts: config.endProducts || []
+    };
+}
+
+/**
+ * Adds a recipe ID to the finding for a stack key
+ */
+function addFinding(findings, stack, recipeId) {
+    const key = stackKey(stack);
+
+    if (!findings.has(key)) {
+        findings.set(key, { id: key, kind: stack.kind, recipes: [] });
+    }
+
+    const recipes = findings.get(key).recipes;
+    if (!recipes.includes(recipeId)) {
+        recipes.push(recipeId);
+    }
+}
+
+/**
+ * Builds the one-input conversion edges (item -> item with the output/input ratio) that loops are made of.
+ * Only recipes whose every input slot takes the same item or tag count; anything else costs something extra.
+ */
+function buildConversions(recipes, tags) {
+    const conversions = new Map();
+
+    for (const recipe of recipes) {
+        const inputs = recipe.inputs || [];
+        const keys = new Set(inputs.map(stack => (stack.alternatives ? null : stackKey(stack))));
+
+        if (inputs.length === 0 || keys.size !== 1 || keys.has(null)) {
+            continue;
+        }
+
+        const input = inputs[0];
+        const consumed = inputs.reduce((total, stack) => total + stack.amount, 0);
+        const sources = input.kind === KIND.TAG ? (tags[input.id] ? tags[input.id].items : []) : [input.id];
+        const produced = {};
+
+        for (const output of recipe.outputs || []) {
+            if (output.kind !== KIND.TAG && output.chance >= 1) {
+                produced[output.id] = (produced[output.id] || 0) + output.amount;
+            }
+        }
+
+        for (const source of sources) {
+            if (!conversions.has(source)) {
+                conversions.set(source, new Map());
+            }
+
+            for (const [target, amount] of Object.entries(produced)) {
+                const ratio = amount / consumed;
+                const existing = conversions.get(source).get(target);
+
+                if (!existing || ratio > existing.ratio) {
+                    conversions.get(source).set(target, { ratio, recipe: recipe.id });
+                }
+            }
+        }
+    }
+
+    return conversions;
+}
+
+/**
+ * Finds conversion loops that end with more than they started with (gain > 1). Each loop is reported once,
+ * starting from its alphabetically first item.
+ */
+function findGainLoops(conversions) {
+    const loops = [];
+
+    const walk = (start, item, items, recipes, gain) => {
+        for (const [target, { ratio, recipe }] of conversions.get(item) || []) {
+            const total = gain * ratio;
+
+            if (target === start) {
+                if (total > 1 + 1e-9) {
+                    loops.push({ items: [...items, start], gain: Math.round(total * 1000) / 1000, recipes: [...recipes, recipe] });
+                }
+                continue;
+            }
+
+            if (target > start && !items.includes(target) && items.length < MAX_LOOP_LENGTH) {
+                walk(start, target, [...items, target], [...recipes, recipe], total);
+            }
+        }
+    };
+
+    for (const start of Array.from(conversions.keys()).sort()) {
+        walk(start, start, [start], [], 1);
+    }
+
+    return loops.sort((a, b) => b.gain - a.gain || a.items[0].localeCompare(b.items[0]));
+}
+
+/**
+ * Checks a pack's recipes for inputs nothing produces, outputs nothing uses and loops that make items from nothing.
+ * Inactive recipes are left out unless includeInactive is set. Tags count as their items both ways: a tag input
+ * is obtainable if any of its items is, and an item in a tag some recipe takes is used.
+ */
+function analyzePack(recipes, { tags = {}, obtainable = [], endProducts = [], includeInactive = false } = {}) {
+    const active = includeInactive ? recipes : recipes.filter(recipe => recipe.load_status !== 'inactive');
+    const produced = new Set();
+    const used = new Set();
+
+    for (const recipe of active) {
+        for (const stack of recipe.outputs || []) {
+            produced.add(stackKey(stack));
+            if (stack.kind === KIND.TAG && tags[stack.id]) {
+                tags[stack.id].items.forEach(item => produced.add(item));
+            }
+        }
+
+        for (const stack of [...(recipe.inputs || []), ...(recipe.catalysts || [])]) {
+            for (const option of [stack, ...(stack.alternatives || [])]) {
+                used.add(stackKey(option));
+                if (option.kind === KIND.TAG && tags[option.id]) {
+                    tags[option.id].items.forEach(item => used.add(item));
+                }
+            }
+        }
+    }
+
+    const isObtainable = option => {
+        const key = stackKey(option);
+
+        if (produced.has(key) || findMatchingPattern(obtainable, key)) {
+            return true;
+        }
+
+        const items = option.kind === KIND.TAG && tags[option.id] ? tags[option.id].items : [];
+        return items.some(item => produced.has(item) || findMatchingPattern(obtainable, item));
+    };
+
+    // A slot is only a problem when none of its options can be had
+    const unobtainable = new Map();
+    for (const recipe of active) {
+        for (const stack of [...(recipe.inputs || []), ...(recipe.catalysts || [])]) {
+            const options = [stack, ...(stack.alternatives || [])];
+
+            if (!options.some(isObtainable)) {
+                options.forEach(option => addFinding(unobtainable, option, recipe.id));
+            }
+        }
+    }
+
+    const orphans = new Map();
+    for (const recipe of active) {
+        for (const stack of recipe.outputs || []) {
+            if (stack.kind !== KIND.TAG && !used.has(stack.id) && !findMatchingPattern(endProducts, stack.id)) {
+                addFinding(orphans, stack, recipe.id);
+            }
+        }
+    }
+
+    const loops = findGainLoops(buildConversions(active, tags));
+    const byId = (a, b) => a.id.localeCompare(b.id);
+
+    return {
+        summary: { recipes: active.length, unobtainable: unobtainable.size, orphans: orphans.size, loops: loops.length },
+        unobtainable: Array.from(unobtainable.values()).sort(byId),
+        orphans: Array.from(orphans.values()).sort(byId),
+        loops
+    };
+}
+
+/**
+ * Renders an analysis report as Markdown, each finding with the recipe IDs behind it
+ */
+function formatAnalysisMarkdown(report, { dataset } = {}) {
+    const lines = [];
+    const { summary } = report;
+    const recipeList = recipes => recipes.map(id => `\`${id}\``).join(', ');
+
+    lines.push(`# Pack analysis${dataset ? `: ${dataset}` : ''}`);
+    lines.push('');
+    lines.push(`- Recipes checked: ${summary.recipes}`);
+    lines.push(`- Unobtainable inputs: ${summary.unobtainable}, orphan outputs: ${summary.orphans}, gain loops: ${summary.loops}`);
+
+    const sections = [
+        ['Unobtainable inputs', report.unobtainable, finding => `- ${finding.id}, needed by ${recipeList(finding.recipes)}`],
+        ['Orphan outputs', report.orphans, finding => `- ${finding.id}, made by ${recipeList(finding.recipes)}`],
+        ['Gain loops', report.loops, loop => `- ${loop.items.join(' → ')} (×${loop.gain}) via ${recipeList(loop.recipes)}`]
+    ];
+
+    for (const [title, findings, formatLine] of sections) {
+        if (findings.length === 0) {
+            continue;
+        }
+
+        lines.push('');
+        lines.push(`## ${title} (${findings.length})`);
+        lines.push('');
+        findings.forEach(finding => lines.push(formatLine(finding)));
+    }
+
+    return lines.join('\n');
+}
+
+// CLI usage
+if (require.main === module) {
+    const { values: flags } = parseArgs({
+        options: {
+            dataset: { type: 'string', short: 'd', default: DEFAULT_DATASET },
+            format: { type: 'string', short: 'f', default: 'markdown' },
+            output: { type: 'string', short: 'o' },
+            inactive: { type: 'boolean', default: false }
+        }
+    });
+
+    if (!['markdown', 'json'].includes(flags.format)) {
+        console.log('Usage: node src/pack-analysis.js [--dataset <name>] [--format markdown|json] [--output <file>] [--inactive]');
+        console.log('Example: node src/pack-analysis.js --dataset atm10 --output health.md');
+        process.exit(1);
+    }
+
+    try {
+        if (!datasetExists(flags.dataset)) {
+            throw new Error(`No imported dataset named ${flags.dataset}`);
+        }
+
+        const loader = new RecipeLoader({ dataDir: getDataDir(flags.dataset) });
+        const report = analyzePack(loader.loadAllRecipes(), {
+            tags: loader.loadTags(),
+            includeInactive: flags.inactive,
+            ...loadAnalysisConfig()
+        });
+        const output = flags.format === 'json'
+            ? JSON.stringify({ dataset: flags.dataset, ...report }, null, 2)
+            : formatAnalysisMarkdown(report, { dataset: flags.dataset });
+
+        if (flags.output) {
+            fs.writeFileSync(flags.output, output, 'utf8');
+            console.log(`💾 Saved pack analysis to ${flags.output} (${report.summary.unobtainable} unobtainable, ${report.summary.orphans} orphans, ${report.summary.loops} loops)`);
+        } else {
+            console.log(output);
+        }
+    } catch (error) {
+        console.error(`💥 Analysis failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    loadAnalysisConfig,
+    analyzePack,
+    formatAnalysisMarkdown
+};
\ No newline at end of file
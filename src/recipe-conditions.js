@@ -0,0 +1,151 @@
+'use strict';
+
+// Recipe keys that hold load conditions, per loader
+const CONDITION_KEYS = ['neoforge:conditions', 'forge:conditions', 'conditions', 'fabric:load_conditions'];
+
+const LOAD_STATUS = {
+    ACTIVE: 'active',
+    INACTIVE: 'inactive',
+    UNKNOWN: 'unknown'
+};
+
+/**
+ * Creates the context conditions are evaluated against.
+ * tags maps tag IDs (without #) to item lists; leave it null when no tags were imported.
+ */
+function createConditionContext({ mods = [], tags = null } = {}) {
+    return {
+        mods: new Set(mods),
+        tags: tags
+    };
+}
+
+/**
+ * Collects the load conditions declared on a recipe
+ */
+function getRecipeConditions(recipeData) {
+    if (!recipeData || typeof recipeData !== 'object') {
+        return [];
+    }
+
+    const conditions = [];
+    for (const key of CONDITION_KEYS) {
+        if (Array.isArray(recipeData[key])) {
+            conditions.push(...recipeData[key]);
+        }
+    }
+
+    return conditions;
+}
+
+/**
+ * Combines condition results with three-valued AND (null means unknown)
+ */
+function all(results) {
+    if (results.includes(false)) return false;
+    if (results.includes(null)) return null;
+    return true;
+}
+
+/**
+ * Combines condition results with three-valued OR (null means unknown)
+ */
+function any(results) {
+    if (results.includes(true)) return true;
+    if (results.includes(null)) return null;
+    return false;
+}
+
+/**
+ * Inverts a three-valued result
+ */
+function negate(result) {
+    return result === null ? null : !result;
+}
+
+/**
+ * Checks if a tag has members. Unknown when no tags were imported or the tag was never seen.
+ */
+function isTagEmpty(tagId, context) {
+    if (!context.tags || typeof tagId !== 'string') {
+        return null;
+    }
+
+    const tag = context.tags[tagId.replace(/^#/, '')];
+    if (!tag) {
+        return null;
+    }
+
+    return tag.length === 0;
+}
+
+/**
+ * Evaluates a single condition: true, false, or null when it cannot be decided
+ */
+function evaluateCondition(condition, context) {
+    if (!condition || typeof condition !== 'object') {
+        return null;
+    }
+
+    // Forge/NeoForge use "type", Fabric uses "condition"; the namespace does not change the meaning
+    const rawType = condition.type || condition.condition || '';
+    const type = rawType.includes(':') ? rawType.split(':')[1] : rawType;
+    const children = condition.values || [];
+
+    switch (type) {
+        case 'true':
+            return true;
+        case 'false':
+            return false;
+        case 'not':
+            return negate(evaluateCondition(condition.value, context));
+        case 'and':
+            return all(children.map(child => evaluateCondition(child, context)));
+        case 'or':
+            return any(children.map(child => evaluateCondition(child, context)));
+        case 'mod_loaded':
+            return context.mods.has(condition.modid);
+        case 'all_mods_loaded':
+            return children.every(modId => context.mods.has(modId));
+        case 'any_mod_loaded':
+            return children.some(modId => context.mods.has(modId));
+        case 'item_exists': {
+            // Items from a mod that is not loaded cannot exist; otherwise we have no item registry to check
+            const namespace = typeof condition.item === 'string' && condition.item.includes(':')
+                ? condition.item.split(':')[0]
+                : 'minecraft';
+            return context.mods.has(namespace) ? null : false;
+        }
+        case 'tag_empty':
+            return isTagEmpty(condition.tag, context);
+        case 'tags_populated':
+            return all(children.map(tagId => negate(isTagEmpty(tagId, context))));
+        default:
+            return null;
+    }
+}
+
+/**
+ * Works out whether the game would load a recipe: active, inactive or unknown
+ */
+function evaluateConditions(recipeData, context) {
+    const conditions = getRecipeConditions(recipeData);
+
+    if (conditions.length === 0) {
+        return LOAD_STATUS.ACTIVE;
+    }
+
+    const result = all(conditions.map(condition => evaluateCondition(condition, context)));
+
+    if (result === true) return LOAD_STATUS.ACTIVE;
+    if (result === false) return LOAD_STATUS.INACTIVE;
+    return LOAD_STATUS.UNKNOWN;
+}
+
+module.exports = {
+    LOAD_STATUS,
+    createConditionContext,
+    getRecipeConditions,
+    evaluateCondition,
+    evaluateConditions
+};
\ No newline at end of file
@@ -0,0 +1,243 @@
+'use strict';
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const RecipeLoader = require('./recipe-loader');
+const { normalizeRecipe } = require('./recipe-normalizer');
+const { stableStringify } = require('./dataset-diff');
+const { DEFAULT_DATASET, getDataDir, datasetExists } = require('./datasets');
+
+/**
+ * Serializes one normalized stack; the options of an "any of" slot are sorted so their order does not count
+ */
+function duplicateStackKey(stack, itemKey = id => id) {
+    const options = [stack, ...(stack.alternatives || [])]
+        .map(option => (option.kind === 'item' ? itemKey(option.id) : `${option.kind}:${option.id}`))
+        .sort()
+        .join('|');
+
+    return `${options}*${stack.amount}@${stack.chance}`;
+}
+
+/**
+ * Serializes a list of stacks regardless of their order
+ */
+function stacksKey(stacks, itemKey) {
+    return (stacks || []).map(stack => duplicateStackKey(stack, itemKey)).sort().join(',');
+}
+
+/**
+ * Maps items to the material tag that unifies them (c:ingots/copper for every mod's copper ingot).
+ * Only tags with a "/" in their path count, and the smallest one wins: broad or mixed tags such as
+ * c:ingots or minecraft:beacon_payment_items would merge different materials.
+ */
+function buildUnificationTags(tags = {}) {
+    const unification = {};
+
+    for (const [id, tag] of Object.entries(tags)) {
+        if (!id.slice(id.indexOf(':') + 1).includes('/')) {
+            continue;
+        }
+
+        for (const item of tag.items) {
+            const current = unification[item];
+            const smaller = !current || tag.items.length < tags[current].items.length ||
+                (tag.items.length === tags[current].items.length && id < current);
+
+            if (smaller) {
+                unification[item] = id;
+            }
+        }
+    }
+
+    return unification;
+}
+
+/**
+ * Lists the recipe fields a duplicate report shows
+ */
+function describeRecipe(recipe) {
+    return {
+        id: recipe.id,
+        mod: recipe.mod,
+        source: recipe.source,
+        outputs: recipe.outputs.map(stack => stack.id)
+    };
+}
+
+/**
+ * Finds exact duplicates (the same recipe JSON under several IDs) and equivalent recipes
+ * (same type, inputs and catalysts; outputs that are the same item or unified by a material tag).
+ * Recipes the game does not load, and recipes without inputs or outputs, are left out.
+ */
+function findDuplicateRecipes(recipes, { tags = {}, includeInactive = false } = {}) {
+    const unification = buildUnificationTags(tags);
+    const unifiedItem = id => (unification[id] ? `#${unification[id]}` : id);
+    const buckets = new Map();
+
+    for (const stored of recipes) {
+        if (!includeInactive && stored.load_status === 'inactive') {
+            continue;
+        }
+
+        // Recipes imported before the normalized model only have the raw data
+        const recipe = stored.inputs ? stored : { ...stored, ...normalizeRecipe(stored.data) };
+
+        if (recipe.inputs.length === 0 || recipe.outputs.length === 0) {
+            continue;
+        }
+
+        const key = [recipe.type, stacksKey(recipe.inputs), stacksKey(recipe.catalysts), stacksKey(recipe.outputs, unifiedItem)].join('\n');
+
+        if (!buckets.has(key)) {
+            buckets.set(key, []);
+        }
+        buckets.get(key).push(recipe);
+    }
+
+    const report = {
+        summary: { recipes: 0, exact: 0, equivalent: 0, redundant: 0 },
+        groups: []
+    };
+
+    for (const bucket of buckets.values()) {
+        report.summary.recipes += bucket.length;
+
+        if (bucket.length < 2) {
+            continue;
+        }
+
+        const byData = new Map();
+        for (const recipe of bucket) {
+            const dataKey = stableStringify(recipe.data);
+            byData.set(dataKey, [...(byData.get(dataKey) || []), recipe]);
+        }
+
+        const [first] = bucket;
+        const group = (kind, members, unifiedBy = []) => ({
+            kind,
+            type: first.type,
+            inputs: first.inputs,
+            catalysts: first.catalysts,
+            unified_by: unifiedBy,
+            recipes: members.map(describeRecipe).sort((a, b) => a.id.localeCompare(b.id))
+        });
+
+        for (const members of byData.values()) {
+            if (members.length > 1) {
+                report.groups.push(group('exact', members));
+            }
+        }
+
+        // Outputs that are not all the same item were matched through their material tags
+        const outputIds = new Set(bucket.map(recipe => stacksKey(recipe.outputs)));
+        if (byData.size > 1) {
+            const unifiedBy = outputIds.size > 1
+                ? Array.from(new Set(bucket.flatMap(recipe => recipe.outputs).map(stack => unification[stack.id]).filter(Boolean))).sort()
+                : [];
+            report.groups.push(group('equivalent', bucket, unifiedBy));
+        }
+
+        // Every recipe but one per bucket could go
+        report.summary.redundant += bucket.length - 1;
+    }
+
+    report.groups.sort((a, b) => a.kind.localeCompare(b.kind) || a.recipes[0].id.localeCompare(b.recipes[0].id));
+    report.summary.exact = report.groups.filter(group => group.kind === 'exact').length;
+    report.summary.equivalent = report.groups.filter(group => group.kind === 'equivalent').length;
+
+    return report;
+}
+
+/**
+ * Narrows a duplicate report to groups of one kind, recipe type or involving one mod
+ */
+function filterDuplicateGroups(groups, { kind, type, mod } = {}) {
+    return groups.filter(group =>
+        (!kind || group.kind === kind) &&
+        (!type || group.type === type) &&
+        (!mod || group.recipes.some(recipe => recipe.mod === mod))
+    );
+}
+
+/**
+ * Renders a duplicate report as Markdown, with the recipe IDs ready for event.remove({ id })
+ */
+function formatDuplicatesMarkdown(report, { dataset } = {}) {
+    const lines = [];
+    const { summary } = report;
+
+    lines.push(`# Duplicate recipes${dataset ? `: ${dataset}` : ''}`);
+    lines.push('');
+    lines.push(`- Recipes checked: ${summary.recipes}`);
+    lines.push(`- Exact duplicate groups: ${summary.exact}, equivalent groups: ${summary.equivalent}`);
+    lines.push(`- Redundant recipes: ${summary.redundant}`);
+
+    for (const [kind, title] of [['exact', 'Exact duplicates'], ['equivalent', 'Equivalent recipes']]) {
+        const groups = report.groups.filter(group => group.kind === kind);
+
+        if (groups.length === 0) {
+            continue;
+        }
+
+        lines.push('');
+        lines.push(`## ${title} (${groups.length})`);
+
+        for (const group of groups) {
+            const unified = group.unified_by.length > 0 ? ` via ${group.unified_by.map(tag => `#${tag}`).join(', ')}` : '';
+            lines.push('');
+            lines.push(`### ${group.type}${unified}`);
+            lines.push('');
+            group.recipes.forEach(recipe => lines.push(`- \`${recipe.id}\` → ${recipe.outputs.join(', ')}`));
+        }
+    }
+
+    return lines.join('\n');
+}
+
+// CLI usage
+if (require.main === module) {
+    const { values: flags } = parseArgs({
+        options: {
+            dataset: { type: 'string', short: 'd', default: DEFAULT_DATASET },
+            format: { type: 'string', short: 'f', default: 'markdown' },
+            output: { type: 'string', short: 'o' },
+            inactive: { type: 'boolean', default: false }
+        }
+    });
+
+    if (!['markdown', 'json'].includes(flags.format)) {
+        console.log('Usage: node src/recipe-duplicates.js [--dataset <name>] [--format markdown|json] [--output <file>] [--inactive]');
+        console.log('Example: node src/recipe-duplicates.js --dataset atm10 --output duplicates.md');
+        process.exit(1);
+    }
+
+    try {
+        if (!datasetExists(flags.dataset)) {
+            throw new Error(`No imported dataset named ${flags.dataset}`);
+        }
+
+        const loader = new RecipeLoader({ dataDir: getDataDir(flags.dataset) });
+        const report = findDuplicateRecipes(loader.loadAllRecipes(), { tags: loader.loadTags(), includeInactive: flags.inactive });
+        const output = flags.format === 'json'
+            ? JSON.stringify({ dataset: flags.dataset, ...report }, null, 2)
+            : formatDuplicatesMarkdown(report, { dataset: flags.dataset });
+
+        if (flags.output) {
+            fs.writeFileSync(flags.output, output, 'utf8');
+            console.log(`💾 Saved duplicate report to ${flags.output} (${report.summary.exact} exact, ${report.summary.equivalent} equivalent groups)`);
+        } else {
+            console.log(output);
+        }
+    } catch (error) {
+        console.error(`💥 Duplicate check failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    buildUnificationTags,
+    findDuplicateRecipes,
+    filterDuplicateGroups,
+    formatDuplicatesMarkdown
+};
\ No newline at end of file
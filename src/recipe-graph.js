@@ -0,0 +1,284 @@
+'use strict';
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const RecipeLoader = require('./recipe-loader');
+const { KIND } = require('./recipe-normalizer');
+const { stackKey, buildItemIndex, expandItemQuery, lookupItemRecipes } = require('./item-index');
+const { DEFAULT_DATASET, getDataDir, datasetExists } = require('./datasets');
+
+const GRAPH_FORMATS = ['json', 'dot', 'graphml'];
+
+// up: what the root is made from, down: what it is used in
+const GRAPH_DIRECTIONS = ['up', 'down', 'both'];
+
+const DEFAULT_DEPTH = 3;
+
+/**
+ * Node ID of a stack; the kind prefix keeps items apart from recipes and tags with the same ID
+ */
+function stackNodeId(stack) {
+    return `${stack.kind}:${stack.id}`;
+}
+
+/**
+ * Picks the recipes within `depth` recipe steps of a root item or #tag, following ingredients (up),
+ * usages (down) or both. Tags count as their items, as in the item lookups.
+ */
+function selectSubgraph(recipes, root, { depth = DEFAULT_DEPTH, direction = 'up', tags = {} } = {}) {
+    const index = buildItemIndex(recipes);
+    const selected = new Set();
+    const seen = new Set([root]);
+    let frontier = [root];
+
+    for (let level = 0; level < depth && frontier.length > 0; level++) {
+        const next = [];
+        const visit = key => {
+            if (!seen.has(key)) {
+                seen.add(key);
+                next.push(key);
+            }
+        };
+
+        for (const key of frontier) {
+            const keys = expandItemQuery(key, tags);
+
+            if (direction !== 'down') {
+                for (const recipe of lookupItemRecipes(index, 'producers', keys)) {
+                    selected.add(recipe);
+                    (recipe.inputs || []).forEach(stack => [stack, ...(stack.alternatives || [])].forEach(option => visit(stackKey(option))));
+                }
+            }
+
+            if (direction !== 'up') {
+                for (const recipe of lookupItemRecipes(index, 'consumers', keys)) {
+                    selected.add(recipe);
+                    (recipe.outputs || []).forEach(stack => visit(stackKey(stack)));
+                }
+            }
+        }
+
+        frontier = next;
+    }
+
+    return recipes.filter(recipe => selected.has(recipe));
+}
+
+/**
+ * Builds the item -> recipe -> item graph of a set of recipes. Inputs (every option of a slot) and catalysts point
+ * at the recipe, the recipe points at its outputs, and items point at the tags in the graph that contain them.
+ */
+function buildRecipeGraph(recipes, { tags = {}, names = {} } = {}) {
+    const nodes = new Map();
+    const edges = [];
+
+    const addStack = stack => {
+        const id = stackNodeId(stack);
+        if (!nodes.has(id)) {
+            nodes.set(id, { id, kind: stack.kind, item: stack.id, label: names[stack.id] || (stack.kind === KIND.TAG ? `#${stack.id}` : stack.id) });
+        }
+        return id;
+    };
+
+    for (const recipe of recipes) {
+        const recipeNode = `recipe:${recipe.id}`;
+        nodes.set(recipeNode, { id: recipeNode, kind: 'recipe', label: recipe.id, mod: recipe.mod, type: recipe.type });
+
+        for (const [role, stacks] of [['input', recipe.inputs], ['catalyst', recipe.catalysts]]) {
+            for (const stack of stacks || []) {
+                [stack, ...(stack.alternatives || [])].forEach((option, optionIndex) => {
+                    edges.push({
+                        source: addStack(option),
+                        target: recipeNode,
+                        role,
+                        amount: option.amount,
+                        ...(optionIndex > 0 ? { alternative: true } : {})
+                    });
+                });
+            }
+        }
+
+        for (const stack of recipe.outputs || []) {
+            edges.push({ source: recipeNode, target: addStack(stack), role: 'output', amount: stack.amount, chance: stack.chance });
+        }
+    }
+
+    // Tag membership, limited to items that are in the graph anyway
+    for (const node of Array.from(nodes.values())) {
+        if (node.kind !== KIND.TAG || !tags[node.item]) {
+            continue;
+        }
+
+        for (const item of tags[node.item].items) {
+            const memberNode = stackNodeId({ kind: KIND.ITEM, id: item });
+            if (nodes.has(memberNode)) {
+                edges.push({ source: memberNode, target: node.id, role: 'member' });
+            }
+        }
+    }
+
+    const nodeList = Array.from(nodes.values());
+
+    return {
+        summary: {
+            recipes: recipes.length,
+            items: nodeList.length - recipes.length,
+            edges: edges.length
+        },
+        nodes: nodeList,
+        edges
+    };
+}
+
+/**
+ * Quotes a Graphviz ID or label
+ */
+function dotQuote(text) {
+    return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Renders a graph as Graphviz DOT: items as boxes, tags as dashed boxes, recipes as ellipses
+ */
+function formatGraphDot(graph) {
+    const shapes = { recipe: 'shape=ellipse', tag: 'shape=box, style=dashed' };
+    const lines = ['digraph recipes {', '    rankdir=LR;', '    node [shape=box];'];
+
+    for (const node of graph.nodes) {
+        const shape = shapes[node.kind] ? `, ${shapes[node.kind]}` : '';
+        const tooltip = node.kind === 'recipe' ? node.type : node.item;
+        lines.push(`    ${dotQuote(node.id)} [label=${dotQuote(node.label)}, tooltip=${dotQuote(tooltip)}${shape}];`);
+    }
+
+    for (const edge of graph.edges) {
+        const attributes = [];
+        if (edge.amount !== undefined && edge.amount !== 1) attributes.push(`label=${dotQuote(edge.chance < 1 ? `${edge.amount} (${edge.chance * 100}%)` : edge.amount)}`);
+        if (edge.role === 'catalyst' || edge.role === 'member' || edge.alternative) attributes.push('style=dashed');
+
+        lines.push(`    ${dotQuote(edge.source)} -> ${dotQuote(edge.target)}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`);
+    }
+
+    lines.push('}');
+    return lines.join('\n');
+}
+
+/**
+ * Escapes text for XML attributes and content
+ */
+function xmlEscape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders a graph as GraphML, with the node and edge fields as data keys (for Gephi, yEd, Cytoscape...)
+ */
+function formatGraphMl(graph) {
+    const nodeKeys = [['kind', 'string'], ['label', 'string'], ['mod', 'string'], ['type', 'string']];
+    const edgeKeys = [['role', 'string'], ['amount', 'double'], ['chance', 'double'], ['alternative', 'boolean']];
+    const data = (fields, entry) => fields
+        .filter(([name]) => entry[name] !== undefined)
+        .map(([name]) => `<data key="${name}">${xmlEscape(entry[name])}</data>`)
+        .join('');
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        ...nodeKeys.map(([name, type]) => `  <key id="${name}" for="node" attr.name="${name}" attr.type="${type}"/>`),
+        ...edgeKeys.map(([name, type]) => `  <key id="${name}" for="edge" attr.name="${name}" attr.type="${type}"/>`),
+        '  <graph id="recipes" edgedefault="directed">'
+    ];
+
+    for (const node of graph.nodes) {
+        lines.push(`    <node id="${xmlEscape(node.id)}">${data(nodeKeys, node)}</node>`);
+    }
+
+    graph.edges.forEach((edge, position) => {
+        lines.push(`    <edge id="e${position}" source="${xmlEscape(edge.source)}" target="${xmlEscape(edge.target)}">${data(edgeKeys, edge)}</edge>`);
+    });
+
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n');
+}
+
+/**
+ * Renders a graph in one of GRAPH_FORMATS
+ */
+function formatGraph(graph, format) {
+    if (format === 'dot') return formatGraphDot(graph);
+    if (format === 'graphml') return formatGraphMl(graph);
+    return JSON.stringify(graph, null, 2);
+}
+
+/**
+ * Builds the graph of a dataset: recipes narrowed with the filterRecipes() filters, then optionally to a subgraph
+ */
+function exportRecipeGraph(loader, filters = {}, { root, depth, direction } = {}) {
+    const tags = loader.loadTags();
+    let recipes = loader.filterRecipes(filters.mod ? loader.loadMod(filters.mod) : loader.loadAllRecipes(), filters);
+
+    if (root) {
+        recipes = selectSubgraph(recipes, root, { depth, direction, tags });
+    }
+
+    return buildRecipeGraph(recipes, { tags, names: loader.loadNames().names });
+}
+
+// CLI usage
+if (require.main === module) {
+    const { values: flags } = parseArgs({
+        options: {
+            dataset: { type: 'string', short: 'd', default: DEFAULT_DATASET },
+            format: { type: 'string', short: 'f', default: 'dot' },
+            output: { type: 'string', short: 'o' },
+            mod: { type: 'string' },
+            type: { type: 'string' },
+            search: { type: 'string' },
+            inactive: { type: 'boolean', default: false },
+            root: { type: 'string', short: 'r' },
+            depth: { type: 'string', default: String(DEFAULT_DEPTH) },
+            direction: { type: 'string', default: 'up' }
+        }
+    });
+
+    if (!GRAPH_FORMATS.includes(flags.format) || !GRAPH_DIRECTIONS.includes(flags.direction) || !(Number(flags.depth) > 0)) {
+        console.log('Usage: node src/recipe-graph.js [--dataset <name>] [--format dot|graphml|json] [--output <file>] [--mod <mod>] [--type <type>] [--search <text>] [--inactive] [--root <item | #tag> [--depth <n>] [--direction up|down|both]]');
+        console.log('Example: node src/recipe-graph.js --root ae2:controller --depth 4 --output controller.dot');
+        process.exit(1);
+    }
+
+    try {
+        if (!datasetExists(flags.dataset)) {
+            throw new Error(`No imported dataset named ${flags.dataset}`);
+        }
+
+        const loader = new RecipeLoader({ dataDir: getDataDir(flags.dataset) });
+        const graph = exportRecipeGraph(
+            loader,
+            { mod: flags.mod, type: flags.type, search: flags.search, includeInactive: flags.inactive },
+            { root: flags.root, depth: Number(flags.depth), direction: flags.direction }
+        );
+        const output = formatGraph(graph, flags.format);
+
+        if (flags.output) {
+            fs.writeFileSync(flags.output, output, 'utf8');
+            console.log(`💾 Saved recipe graph to ${flags.output} (${graph.summary.recipes} recipes, ${graph.summary.items} items, ${graph.summary.edges} edges)`);
+        } else {
+            console.log(output);
+        }
+    } catch (error) {
+        console.error(`💥 Graph export failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    GRAPH_FORMATS,
+    GRAPH_DIRECTIONS,
+    DEFAULT_DEPTH,
+    selectSubgraph,
+    buildRecipeGraph,
+    formatGraphDot,
+    formatGraphMl,
+    formatGraph,
+    exportRecipeGraph
+};
\ No newline at end of file
@@ -3,17 +3,85 @@
 const path = require('path');
 const fs = require('fs');
 const { readJsonFile } = require('./utils');
+const { DATA_ROOT } = require('./datasets');
+const { SQLITE_FILE, SqliteStore } = require('./sqlite-store');
+const { buildItemIndex, expandItemQuery, lookupItemRecipes } = require('./item-index');
+const { parseSearchQuery, isPlainTextQuery, compileSearchQuery } = require('./recipe-query');
+
+/**
+ * The parsed search of a set of filters: filters.query when the caller parsed it already (the server does,
+ * to answer malformed queries with a 400), otherwise filters.search parsed here. Malformed queries throw.
+ */
+function searchQuery(filters) {
+    return filters.query !== undefined ? filters.query : parseSearchQuery(filters.search);
+}
+
+/**
+ * Builds the pagination block of a paged response
+ */
+function buildPagination(page, limit, total) {
+    const offset = (page - 1) * limit;
+
+    return {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: offset + limit < total,
+        hasPrev: page > 1
+    };
+}
 
 class RecipeLoader {
-    constructor() {
+    /**
+     * options.dataDir is the dataset directory holding recipes/ and metadata.json (defaults to data/)
+     */
+    constructor(options = {}) {
         this.cache = new Map(); // Cache loaded recipe files
-        this.dataDir = path.join(__dirname, '..', 'data', 'recipes');
+        this.datasetDir = options.dataDir || DATA_ROOT;
+        this.dataDir = path.join(this.datasetDir, 'recipes');
+        this.tags = null;
+        this.names = null;
+        this.itemIndex = null; // Producers and consumers per item, see src/item-index.js
+        this.store = undefined; // SqliteStore, null for JSON datasets, undefined until checked
+    }
+
+    /**
+     * Opens the SQLite store of a dataset imported with --storage sqlite; null for JSON datasets
+     */
+    getStore() {
+        if (this.store === undefined) {
+            const dbPath = path.join(this.datasetDir, SQLITE_FILE);
+            this.store = fs.existsSync(dbPath) ? new SqliteStore(dbPath) : null;
+        }
+
+        return this.store;
+    }
+
+    /**
+     * The SQLite store when it can run a parsed search itself: no search, or one plain word or phrase.
+     * Structured queries are evaluated over the loaded recipes instead.
+     */
+    getSearchStore(query) {
+        return query === null || isPlainTextQuery(query) ? this.getStore() : null;
+    }
+
+    /**
+     * Filters for the SQLite store, with the search replaced by the plain word or phrase it was parsed to
+     */
+    storeFilters(filters, query) {
+        return { ...filters, search: query ? query.value : undefined };
     }
 
     /**
      * Gets all available mod files
      */
     getAvailableMods() {
+        const store = this.getStore();
+        if (store) {
+            return store.getMods();
+        }
+
         if (!fs.existsSync(this.dataDir)) {
             return [];
         }
@@ -32,14 +100,15 @@ class RecipeLoader {
             return this.cache.get(modName);
         }
 
+        const store = this.getStore();
         const filePath = path.join(this.dataDir, `${modName}.json`);
 
-        if (!fs.existsSync(filePath)) {
+        if (!store && !fs.existsSync(filePath)) {
             return [];
         }
 
         try {
-            const recipes = readJsonFile(filePath);
+            const recipes = store ? store.loadMod(modName) : readJsonFile(filePath);
             this.cache.set(modName, recipes);
             return recipes;
         } catch (error) {
@@ -69,6 +138,11 @@ class RecipeLoader {
     filterRecipes(recipes, filters = {}) {
         let filtered = [...recipes];
 
+        // Hide recipes whose load conditions fail unless asked for them
+        if (!filters.includeInactive) {
+            filtered = filtered.filter(recipe => recipe.load_status !== 'inactive');
+        }
+
         // Filter by mod
         if (filters.mod) {
             filtered = filtered.filter(recipe => recipe.mod === filters.mod);
@@ -79,13 +153,10 @@ class RecipeLoader {
             filtered = filtered.filter(recipe => recipe.type === filters.type);
         }
 
-        // Search in name/id
-        if (filters.search) {
-            const searchLower = filters.search.toLowerCase();
-            filtered = filtered.filter(recipe =>
-                recipe.name.toLowerCase().includes(searchLower) ||
-                recipe.id.toLowerCase().includes(searchLower)
-            );
+        // Search query (see src/recipe-query.js); plain words match the name/id and the display name of the result item
+        const query = searchQuery(filters);
+        if (query) {
+            filtered = filtered.filter(compileSearchQuery(query, { tags: this.loadTags(), names: this.loadNames().names }));
         }
 
         return filtered;
@@ -100,21 +171,64 @@ class RecipeLoader {
 
         return {
             recipes: paginatedRecipes,
-            pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                total: recipes.length,
-                totalPages: Math.ceil(recipes.length / limit),
-                hasNext: offset + limit < recipes.length,
-                hasPrev: page > 1
-            }
+            pagination: buildPagination(page, limit, recipes.length)
         };
     }
 
+    /**
+     * Filters and paginates recipes; SQLite datasets do both in the database instead of loading every mod
+     */
+    findRecipes(filters = {}, page = 1, limit = 20) {
+        const query = searchQuery(filters);
+        const store = this.getSearchStore(query);
+
+        if (store) {
+            const { recipes, total } = store.queryRecipes(this.storeFilters(filters, query), page, limit);
+            return { recipes, pagination: buildPagination(page, limit, total) };
+        }
+
+        const recipes = filters.mod ? this.loadMod(filters.mod) : this.loadAllRecipes();
+        return this.paginate(this.filterRecipes(recipes, { ...filters, query }), page, limit);
+    }
+
+    /**
+     * Builds the item index over every recipe once; it is rebuilt after clearCache()
+     */
+    getItemIndex() {
+        if (!this.itemIndex) {
+            this.itemIndex = buildItemIndex(this.loadAllRecipes());
+        }
+
+        return this.itemIndex;
+    }
+
+    /**
+     * Finds the recipes that produce or consume (role "producers" / "consumers") an item or #tag, tag-aware,
+     * then filters and paginates them like findRecipes(). SQLite datasets look them up in the database.
+     */
+    findItemRecipes(itemId, role, filters = {}, page = 1, limit = 20) {
+        const keys = expandItemQuery(itemId, this.loadTags());
+        const query = searchQuery(filters);
+        const store = this.getSearchStore(query);
+
+        if (store) {
+            const { recipes, total } = store.queryItemRecipes(role, keys, this.storeFilters(filters, query), page, limit);
+            return { recipes, pagination: buildPagination(page, limit, total) };
+        }
+
+        const recipes = lookupItemRecipes(this.getItemIndex(), role, keys);
+        return this.paginate(this.filterRecipes(recipes, { ...filters, query }), page, limit);
+    }
+
     /**
      * Gets recipe statistics
      */
     getStats() {
+        const store = this.getStore();
+        if (store) {
+            return store.getStats();
+        }
+
         const allRecipes = this.loadAllRecipes();
         const stats = {
             total: allRecipes.length,
@@ -145,7 +259,7 @@ class RecipeLoader {
      * Gets metadata (from generated metadata.json or computed from recipes)
      */
     getMetadata() {
-        const metadataPath = path.join(__dirname, '..', 'data', 'metadata.json');
+        const metadataPath = path.join(this.datasetDir, 'metadata.json');
 
         // Try to load pre-generated metadata first
         if (fs.existsSync(metadataPath)) {
@@ -174,7 +288,8 @@ class RecipeLoader {
             stats: {
                 by_mod: {},
                 by_type: {},
-                by_category: {}
+                by_category: {},
+                by_status: {}
             }
         };
 
@@ -198,6 +313,10 @@ class RecipeLoader {
                 categorySet.add(recipe.category);
                 metadata.stats.by_category[recipe.category] = (metadata.stats.by_category[recipe.category] || 0) + 1;
             }
+
+            // Count load condition outcomes (recipes from older imports are active)
+            const status = recipe.load_status || 'active';
+            metadata.stats.by_status[status] = (metadata.stats.by_status[status] || 0) + 1;
         }
 
         // Convert sets to sorted arrays
@@ -208,11 +327,78 @@ class RecipeLoader {
         return metadata;
     }
 
+    /**
+     * Loads resolved item tags (tag ID -> { items, tags, missing, sources }), empty if none were imported
+     */
+    loadTags() {
+        if (this.tags) {
+            return this.tags;
+        }
+
+        const tagsPath = path.join(this.datasetDir, 'tags.json');
+
+        if (!fs.existsSync(tagsPath)) {
+            return {};
+        }
+
+        try {
+            this.tags = readJsonFile(tagsPath).tags;
+            return this.tags;
+        } catch (error) {
+            console.error(`Error loading tags: ${error.message}`);
+            return {};
+        }
+    }
+
+    /**
+     * Gets a single tag by ID (with or without a leading #), or null
+     */
+    getTag(tagId) {
+        const id = tagId.replace(/^#/, '');
+        const tags = this.loadTags();
+
+        // A plain-object lookup would find /tags/constructor on the prototype
+        return Object.prototype.hasOwnProperty.call(tags, id) ? { id, ...tags[id] } : null;
+    }
+
+    /**
+     * Loads item display names ({ locale, names: item ID -> name }), empty if no lang files were imported
+     */
+    loadNames() {
+        if (this.names) {
+            return this.names;
+        }
+
+        const namesPath = path.join(this.datasetDir, 'names.json');
+
+        if (!fs.existsSync(namesPath)) {
+            return { locale: null, names: {} };
+        }
+
+        try {
+            const { locale, names } = readJsonFile(namesPath);
+            this.names = { locale, names };
+            return this.names;
+        } catch (error) {
+            console.error(`Error loading item names: ${error.message}`);
+            return { locale: null, names: {} };
+        }
+    }
+
     /**
      * Clears the cache (useful for reloading after import)
      */
     clearCache() {
         this.cache.clear();
+        this.tags = null;
+        this.names = null;
+        this.itemIndex = null;
+
+        // A re-import may have switched storage
+        if (this.store) {
+            this.store.close();
+        }
+        this.store = undefined;
     }
 }
 
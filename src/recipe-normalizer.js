@@ -0,0 +1,208 @@
+'use strict';
+
+// Kinds of stacks in the normalized model. Fluid and chemical tags keep their kind with a "#" on the ID.
+const KIND = {
+    ITEM: 'item',
+    TAG: 'tag',
+    FLUID: 'fluid',
+    CHEMICAL: 'chemical'
+};
+
+// Fields that name what a recipe needs but does not use up
+const CATALYST_FIELDS = ['catalyst', 'catalysts', 'tool', 'mold'];
+
+// Input fields not covered by the *ingredient(s) / *input(s) naming pattern
+const INPUT_FIELDS = ['base', 'addition', 'template', 'material', 'reagent', 'pedestalItems', 'fluid'];
+
+const INPUT_FIELD_PATTERN = /(ingredients?|inputs?)$/i;
+const OUTPUT_FIELD_PATTERN = /(results?|outputs?)$/i;
+
+// Stack keys that hold a chemical ID (Mekanism chemicals, and gases etc. before 1.21)
+const CHEMICAL_KEYS = ['chemical', 'gas', 'infuse_type', 'slurry', 'pigment'];
+
+/**
+ * Decides whether a recipe data field lists inputs, outputs or catalysts (null for anything else)
+ */
+function classifyField(field) {
+    if (CATALYST_FIELDS.includes(field)) return 'catalysts';
+    if (OUTPUT_FIELD_PATTERN.test(field)) return 'outputs';
+    if (INPUT_FIELD_PATTERN.test(field) || INPUT_FIELDS.includes(field)) return 'inputs';
+    return null;
+}
+
+/**
+ * Guesses the stack kind from a field name (fluid_input, chemical_output...) for stacks that only carry an ID
+ */
+function kindFromField(field) {
+    if (/fluid/i.test(field)) return KIND.FLUID;
+    if (/chemical|gas|infuse|slurry|pigment/i.test(field)) return KIND.CHEMICAL;
+    return null;
+}
+
+/**
+ * Builds one stack entry; amounts and chances that are not numbers fall back to 1
+ */
+function createStack(kind, id, amount, chance) {
+    return {
+        kind,
+        id,
+        amount: typeof amount === 'number' ? amount : 1,
+        chance: typeof chance === 'number' ? chance : 1
+    };
+}
+
+/**
+ * Normalizes one ingredient or result: "ns:id", "#ns:tag", { item | id | tag | fluid | chemical, count | amount, chance },
+ * wrapped stacks ({ ingredient, count }, { result, chance }) and lists of alternatives.
+ * Returns null for shapes it does not understand (loader-specific custom ingredients).
+ */
+function parseStack(value, kindHint = null) {
+    if (typeof value === 'string') {
+        if (kindHint) {
+            return createStack(kindHint, value);
+        }
+
+        return value.startsWith('#') ? createStack(KIND.TAG, value.slice(1)) : createStack(KIND.ITEM, value);
+    }
+
+    // A list in a single slot means "any of these"; the first one stands for the slot
+    if (Array.isArray(value)) {
+        const options = value.map(option => parseStack(option, kindHint)).filter(Boolean);
+
+        if (options.length <= 1) {
+            return options[0] || null;
+        }
+
+        return { ...options[0], alternatives: options.slice(1) };
+    }
+
+    if (!value || typeof value !== 'object') {
+        return null;
+    }
+
+    const amount = value.count !== undefined ? value.count : value.amount;
+
+    // Wrapped stacks: { ingredient, count } (sized ingredients), { result, chance } (Actually Additions), { item: { item } } (Ars Nouveau)
+    const wrapped = [value.ingredient, value.result, value.item].find(inner => inner && typeof inner === 'object');
+    if (wrapped) {
+        const inner = parseStack(wrapped, kindHint);
+
+        if (!inner) {
+            return null;
+        }
+
+        return {
+            ...inner,
+            amount: typeof amount === 'number' ? amount : inner.amount,
+            chance: typeof value.chance === 'number' ? value.chance : inner.chance
+        };
+    }
+
+    // NeoForge compound ingredients list their children; component ingredients name their items
+    if (value.children || value.items) {
+        return parseStack(value.children || value.items, kindHint);
+    }
+
+    const fluidTag = value.fluidTag || value.fluid_tag;
+    const chemicalKey = CHEMICAL_KEYS.find(key => typeof value[key] === 'string');
+
+    if (typeof value.fluid === 'string') {
+        return createStack(KIND.FLUID, value.fluid, amount, value.chance);
+    }
+
+    if (typeof fluidTag === 'string') {
+        return createStack(KIND.FLUID, `#${fluidTag}`, amount, value.chance);
+    }
+
+    if (chemicalKey) {
+        return createStack(KIND.CHEMICAL, value[chemicalKey], amount, value.chance);
+    }
+
+    if (typeof value.tag === 'string') {
+        return kindHint
+            ? createStack(kindHint, `#${value.tag}`, amount, value.chance)
+            : createStack(KIND.TAG, value.tag, amount, value.chance);
+    }
+
+    const id = typeof value.item === 'string' ? value.item : value.id;
+    if (typeof id === 'string') {
+        return createStack(kindHint || KIND.ITEM, id, amount, value.chance);
+    }
+
+    return null;
+}
+
+/**
+ * Counts how often each key symbol appears in a shaped crafting pattern
+ */
+function countPatternSymbols(pattern) {
+    const counts = {};
+
+    for (const row of pattern) {
+        for (const symbol of String(row)) {
+            if (symbol !== ' ') {
+                counts[symbol] = (counts[symbol] || 0) + 1;
+            }
+        }
+    }
+
+    return counts;
+}
+
+/**
+ * Builds the normalized model of a recipe: { inputs, outputs, catalysts }, each a list of
+ * { kind, id, amount, chance } stacks (plus alternatives for "any of" slots). The raw data is not changed.
+ */
+function normalizeRecipe(recipeData) {
+    const model = { inputs: [], outputs: [], catalysts: [] };
+
+    if (!recipeData || typeof recipeData !== 'object') {
+        return model;
+    }
+
+    // Shaped crafting: one input per key symbol, as many as the pattern uses
+    if (recipeData.key && typeof recipeData.key === 'object' && Array.isArray(recipeData.pattern)) {
+        const counts = countPatternSymbols(recipeData.pattern);
+
+        for (const [symbol, ingredient] of Object.entries(recipeData.key)) {
+            const stack = parseStack(ingredient);
+
+            if (stack && counts[symbol]) {
+                model.inputs.push({ ...stack, amount: stack.amount * counts[symbol] });
+            }
+        }
+    }
+
+    for (const [field, value] of Object.entries(recipeData)) {
+        const target = classifyField(field);
+
+        if (!target || value === undefined || value === null) {
+            continue;
+        }
+
+        // Plural fields (ingredients, results, pedestalItems...) hold one slot per element
+        const slots = /s$/.test(field) && Array.isArray(value) ? value : [value];
+        const kindHint = kindFromField(field);
+
+        for (const slot of slots) {
+            const stack = parseStack(slot, kindHint);
+
+            if (stack) {
+                model[target].push(stack);
+            }
+        }
+    }
+
+    // Create deploying/item application can keep the held item (the second ingredient)
+    if ((recipeData.keepHeldItem === true || recipeData.keep_held_item === true) && model.inputs.length > 1) {
+        model.catalysts.push(...model.inputs.splice(1, 1));
+    }
+
+    return model;
+}
+
+module.exports = {
+    KIND,
+    parseStack,
+    normalizeRecipe
+};
\ No newline at end of file
@@ -0,0 +1,437 @@
+'use strict';
+
+const { stackKey, expandItemQuery } = require('./item-index');
+const { getResultItemId } = require('./item-names');
+
+// Qualifiers a term can carry ("mod:create"); anything else before a colon is part of a plain term, like an ID
+const QUERY_FIELDS = {
+    mod: 'mod',
+    type: 'type',
+    category: 'category',
+    in: 'input',
+    input: 'input',
+    out: 'output',
+    output: 'output',
+    tag: 'tag',
+    json: 'json'
+};
+
+const JSON_COMPARISON = /^([^=<>]+)(>=|<=|=|>|<)(.*)$/;
+
+// Query values come from whoever calls the API. Globs are matched without building a RegExp, so no value can
+// make matching backtrack; /regex/ values are refused for the same reason. Globs are capped in length as well.
+const MAX_PATTERN_LENGTH = 200;
+const REGEX_VALUE = /^\/.+\/[a-z]*$/;
+
+/**
+ * True for a value that matches as a glob (* and ?) rather than as plain text
+ */
+function isPattern(value) {
+    return /[*?]/.test(value);
+}
+
+/**
+ * Throws for query values that cannot be matched: /regex/ and overlong globs
+ */
+function checkQueryPattern(pattern) {
+    if (REGEX_VALUE.test(pattern)) {
+        throw new Error(`Regular expressions are not supported in queries, use * and ? globs: ${pattern}`);
+    }
+
+    if (isPattern(pattern) && pattern.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`Pattern longer than ${MAX_PATTERN_LENGTH} characters`);
+    }
+}
+
+/**
+ * Checks whether a glob piece (? stands for any one character) matches value at the given offset
+ */
+function segmentMatchesAt(value, segment, start) {
+    if (start < 0 || start + segment.length > value.length) {
+        return false;
+    }
+
+    for (let i = 0; i < segment.length; i++) {
+        if (segment[i] !== '?' && segment[i] !== value[start + i]) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Matches a glob piece by piece: the text before the first * anchors the start, the text after the last * the end,
+ * and the pieces in between are taken at their leftmost place. Leftmost is always safe (a * can absorb whatever
+ * lies between two pieces), so nothing is ever retried and the cost stays bounded by pattern times value length.
+ */
+function matchesGlob(pattern, value) {
+    const segments = pattern.split('*');
+    const first = segments[0];
+
+    if (segments.length === 1) {
+        return value.length === pattern.length && segmentMatchesAt(value, pattern, 0);
+    }
+
+    const last = segments[segments.length - 1];
+    const end = value.length - last.length;
+    if (end < first.length || !segmentMatchesAt(value, first, 0) || !segmentMatchesAt(value, last, end)) {
+        return false;
+    }
+
+    let position = first.length;
+    for (const segment of segments.slice(1, -1)) {
+        while (position + segment.length <= end && !segmentMatchesAt(value, segment, position)) {
+            position++;
+        }
+
+        if (position + segment.length > end) {
+            return false;
+        }
+        position += segment.length;
+    }
+
+    return true;
+}
+
+/**
+ * Checks a value against a query value: exact text or a glob
+ */
+function matchesQueryPattern(pattern, value) {
+    if (pattern === value) {
+        return true;
+    }
+
+    return typeof value === 'string' && isPattern(pattern) && matchesGlob(pattern, value);
+}
+
+/**
+ * Builds a parse error that points at the offending position of the query
+ */
+function queryError(message, position, query) {
+    const error = new Error(`${message} at position ${position + 1} of "${query}"`);
+    error.position = position;
+    return error;
+}
+
+/**
+ * Splits a query into ( ) OR AND NOT - and terms. A term may quote a value ("iron ingot", in:"#c:ingots/iron");
+ * a quoted term is kept as one phrase.
+ */
+function tokenizeQuery(query) {
+    const tokens = [];
+    let position = 0;
+
+    while (position < query.length) {
+        const char = query[position];
+
+        if (/\s/.test(char)) {
+            position++;
+            continue;
+        }
+
+        if (char === '(' || char === ')') {
+            tokens.push({ kind: char, position });
+            position++;
+            continue;
+        }
+
+        // A leading - negates the term or group after it
+        if (char === '-' && position + 1 < query.length && !/\s/.test(query[position + 1])) {
+            tokens.push({ kind: 'NOT', position });
+            position++;
+            continue;
+        }
+
+        const start = position;
+        let text = '';
+        let quoted = false;
+
+        while (position < query.length && !/[\s()]/.test(query[position])) {
+            if (query[position] === '"') {
+                const end = query.indexOf('"', position + 1);
+                if (end === -1) {
+                    throw queryError('Unclosed quote', position, query);
+                }
+
+                text += query.slice(position + 1, end);
+                quoted = true;
+                position = end + 1;
+                continue;
+            }
+
+            // A /regex/ value runs to its closing slash and flags, parentheses and all, so it is refused as one term
+            if (query[position] === '/' && /^[a-z]+:$/i.test(text) && QUERY_FIELDS[text.slice(0, -1).toLowerCase()]) {
+                const closing = query.slice(position + 1).match(/\/[a-z]*(?=[\s)]|$)/);
+                if (closing) {
+                    const end = position + 1 + closing.index + closing[0].length;
+                    text += query.slice(position, end);
+                    position = end;
+                    continue;
+                }
+            }
+
+            text += query[position];
+            position++;
+        }
+
+        if (!quoted && (text === 'OR' || text === '|' || text === 'AND' || text === 'NOT')) {
+            tokens.push({ kind: text === '|' ? 'OR' : text, position: start });
+        } else {
+            tokens.push({ kind: 'term', text, quoted, raw: query.slice(start, position), position: start });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Turns a term token into a field node; unknown qualifiers and unqualified words match as text
+ */
+function parseTerm(token, query) {
+    const colon = token.raw.indexOf(':');
+    const field = colon > 0 ? QUERY_FIELDS[token.raw.slice(0, colon).toLowerCase()] : undefined;
+
+    if (!field) {
+        return { field: 'text', value: token.text.toLowerCase() };
+    }
+
+    const value = token.text.slice(token.text.indexOf(':') + 1);
+    if (value === '') {
+        throw queryError(`Missing value for ${token.raw.slice(0, colon)}:`, token.position, query);
+    }
+
+    const node = { field, value: value.toLowerCase() };
+
+    if (field === 'json') {
+        const comparison = value.match(JSON_COMPARISON);
+        Object.assign(node, comparison ? { path: comparison[1], operator: comparison[2], value: comparison[3] } : { path: value, value: undefined });
+    }
+
+    if (typeof node.value === 'string') {
+        try {
+            checkQueryPattern(node.value);
+        } catch (error) {
+            throw queryError(error.message, token.position, query);
+        }
+    }
+
+    return node;
+}
+
+/**
+ * Parses a search query into a tree of { and }, { or }, { not } and field nodes; null for an empty query.
+ * Terms next to each other are ANDed, OR binds looser than AND, and NOT (or a leading -) applies to one term or group.
+ * Throws an Error with the position of the problem for malformed queries.
+ */
+function parseSearchQuery(query) {
+    const text = String(query || '');
+    const tokens = tokenizeQuery(text);
+    let index = 0;
+
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    const peek = () => tokens[index];
+    const endPosition = () => (peek() ? peek().position : text.length);
+
+    const parseOr = () => {
+        const terms = [parseAnd()];
+
+        while (peek() && peek().kind === 'OR') {
+            index++;
+            terms.push(parseAnd());
+        }
+
+        return terms.length === 1 ? terms[0] : { or: terms };
+    };
+
+    const parseAnd = () => {
+        const terms = [parseNot()];
+
+        while (peek() && peek().kind !== 'OR' && peek().kind !== ')') {
+            if (peek().kind === 'AND') {
+                index++;
+            }
+            terms.push(parseNot());
+        }
+
+        return terms.length === 1 ? terms[0] : { and: terms };
+    };
+
+    const parseNot = () => {
+        if (peek() && peek().kind === 'NOT') {
+            index++;
+            return { not: parseNot() };
+        }
+
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+
+        if (!token) {
+            throw queryError('Expected a term', text.length, text);
+        }
+
+        if (token.kind === '(') {
+            index++;
+            if (peek() && peek().kind === ')') {
+                throw queryError('Empty group', token.position, text);
+            }
+
+            const node = parseOr();
+            if (!peek() || peek().kind !== ')') {
+                throw queryError('Missing )', endPosition(), text);
+            }
+
+            index++;
+            return node;
+        }
+
+        if (token.kind !== 'term') {
+            throw queryError(`Unexpected ${token.kind}`, token.position, text);
+        }
+
+        index++;
+        return parseTerm(token, text);
+    };
+
+    const tree = parseOr();
+    if (index < tokens.length) {
+        throw queryError(`Unexpected ${peek().kind === 'term' ? peek().raw : peek().kind}`, peek().position, text);
+    }
+
+    return tree;
+}
+
+/**
+ * True for a query that is one plain text term, the only kind the SQLite store can search itself
+ */
+function isPlainTextQuery(tree) {
+    return tree !== null && tree.field === 'text';
+}
+
+/**
+ * Every option of every stack in a list: the stack itself and its "any of" alternatives
+ */
+function stackOptions(stacks) {
+    return (stacks || []).flatMap(stack => [stack, ...(stack.alternatives || [])]);
+}
+
+/**
+ * Checks a namespaced ID against a value; a value without a namespace matches the path ("crushing" -> create:crushing)
+ */
+function matchesId(value, id) {
+    if (typeof id !== 'string') {
+        return false;
+    }
+
+    return matchesQueryPattern(value, id) || (!value.includes(':') && matchesQueryPattern(value, id.slice(id.indexOf(':') + 1)));
+}
+
+/**
+ * Matches stacks against an item value: plain IDs and #tags are tag-aware as in the item lookups,
+ * globs are tested against the stack keys
+ */
+function matchesStacks(value, stacks, tags) {
+    const keys = stackOptions(stacks).map(stackKey);
+
+    if (isPattern(value)) {
+        return keys.some(key => matchesQueryPattern(value, key));
+    }
+
+    const wanted = new Set(expandItemQuery(value, tags));
+    return keys.some(key => wanted.has(key));
+}
+
+/**
+ * Collects the values at a dotted path ("results.0.id"); arrays without an index fan out to every element
+ */
+function jsonPathValues(data, path) {
+    let values = [data];
+
+    for (const segment of path.split('.')) {
+        values = values.flatMap(value => {
+            if (Array.isArray(value)) {
+                return /^\d+$/.test(segment) ? [value[Number(segment)]] : value.map(entry => (entry !== null && typeof entry === 'object' ? entry[segment] : undefined));
+            }
+
+            return value !== null && typeof value === 'object' ? [value[segment]] : [];
+        });
+    }
+
+    return values.filter(value => value !== undefined && value !== null);
+}
+
+/**
+ * Compares a raw JSON value with a json: term; < and > compare numbers, = compares text (globs allowed)
+ */
+function compareJsonValue(actual, operator, expected) {
+    if (operator === '=') {
+        return typeof actual !== 'object' && matchesQueryPattern(expected, String(actual));
+    }
+
+    const number = Number(actual);
+    const target = Number(expected);
+    if (typeof actual === 'object' || Number.isNaN(number) || Number.isNaN(target)) {
+        return false;
+    }
+
+    return { '>': number > target, '<': number < target, '>=': number >= target, '<=': number <= target }[operator];
+}
+
+/**
+ * Turns a parsed query into a recipe predicate. Text terms match the recipe ID, name and the display name of
+ * its result, as the plain search always has; tags and names come from the dataset.
+ */
+function compileSearchQuery(tree, { tags = {}, names = {} } = {}) {
+    const matchers = {
+        text: (node, recipe) => {
+            // Recipes imported before the normalized model only have the raw data to go on
+            const resultId = recipe.outputs && recipe.outputs.length > 0 ? recipe.outputs[0].id : getResultItemId(recipe.data);
+            const displayName = Object.prototype.hasOwnProperty.call(names, resultId) ? names[resultId] : undefined;
+
+            return recipe.name.toLowerCase().includes(node.value) ||
+                recipe.id.toLowerCase().includes(node.value) ||
+                (displayName !== undefined && displayName.toLowerCase().includes(node.value));
+        },
+        mod: (node, recipe) => matchesQueryPattern(node.value, recipe.mod),
+        type: (node, recipe) => matchesId(node.value, recipe.type),
+        category: (node, recipe) => typeof recipe.category === 'string' && matchesQueryPattern(node.value, recipe.category.toLowerCase()),
+        input: (node, recipe) => matchesStacks(node.value, [...(recipe.inputs || []), ...(recipe.catalysts || [])], tags),
+        output: (node, recipe) => matchesStacks(node.value, recipe.outputs, tags),
+        tag: (node, recipe) => {
+            const tagKey = node.value.startsWith('#') ? node.value : `#${node.value}`;
+            const tagId = tagKey.slice(1);
+            const wanted = new Set([tagKey, ...(Object.prototype.hasOwnProperty.call(tags, tagId) ? tags[tagId].items : [])]);
+            const stacks = [...(recipe.inputs || []), ...(recipe.catalysts || []), ...(recipe.outputs || [])];
+
+            return stackOptions(stacks).some(option => wanted.has(stackKey(option)));
+        },
+        json: (node, recipe) => {
+            const values = jsonPathValues(recipe.data, node.path);
+            return node.operator ? values.some(value => compareJsonValue(value, node.operator, node.value)) : values.length > 0;
+        }
+    };
+
+    const evaluate = (node, recipe) => {
+        if (node.and) return node.and.every(term => evaluate(term, recipe));
+        if (node.or) return node.or.some(term => evaluate(term, recipe));
+        if (node.not) return !evaluate(node.not, recipe);
+        return matchers[node.field](node, recipe);
+    };
+
+    return recipe => tree === null || evaluate(tree, recipe);
+}
+
+module.exports = {
+    QUERY_FIELDS,
+    checkQueryPattern,
+    matchesQueryPattern,
+    parseSearchQuery,
+    isPlainTextQuery,
+    compileSearchQuery
+};
\ No newline at end of file
@@ -0,0 +1,294 @@
+'use strict';
+
+const RESOURCE_LOCATION = /^[a-z0-9_.-]+:[a-z0-9_./-]+$/;
+
+/**
+ * Escapes a key for use in a JSON pointer (RFC 6901)
+ */
+function escapePointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Returns a readable name for the JSON type of a value
+ */
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/*
+ * Field specs. Each one is a function (value, pointer, problems) that records problems
+ * as { pointer, problem } and returns nothing.
+ */
+
+const string = (value, pointer, problems) => {
+    if (typeof value !== 'string') {
+        problems.push({ pointer, problem: `expected a string, got ${describeType(value)}` });
+    }
+};
+
+const number = (value, pointer, problems) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        problems.push({ pointer, problem: `expected a number, got ${describeType(value)}` });
+    }
+};
+
+const object = (value, pointer, problems) => {
+    if (describeType(value) !== 'object') {
+        problems.push({ pointer, problem: `expected an object, got ${describeType(value)}` });
+    }
+};
+
+const resourceLocation = (value, pointer, problems) => {
+    if (typeof value !== 'string' || !RESOURCE_LOCATION.test(value)) {
+        problems.push({ pointer, problem: `expected a namespaced ID like minecraft:stick, got ${JSON.stringify(value)}` });
+    }
+};
+
+/**
+ * Ingredient: { item } or { tag }, a custom ingredient with a type, a list of alternatives,
+ * or (1.21.2+) a bare "ns:item" / "#ns:tag" string
+ */
+const ingredient = (value, pointer, problems) => {
+    if (typeof value === 'string') {
+        resourceLocation(value.replace(/^#/, ''), pointer, problems);
+        return;
+    }
+
+    if (Array.isArray(value)) {
+        if (value.length === 0) {
+            problems.push({ pointer, problem: 'ingredient list is empty' });
+        }
+        value.forEach((alternative, index) => ingredient(alternative, `${pointer}/${index}`, problems));
+        return;
+    }
+
+    if (describeType(value) !== 'object') {
+        problems.push({ pointer, problem: `expected an ingredient, got ${describeType(value)}` });
+        return;
+    }
+
+    // Loader-specific ingredients (neoforge:compound, fabric:type...) have their own shapes
+    if (value.type || value['fabric:type']) {
+        return;
+    }
+
+    if (value.item !== undefined) {
+        resourceLocation(value.item, `${pointer}/item`, problems);
+    } else if (value.tag !== undefined) {
+        resourceLocation(value.tag, `${pointer}/tag`, problems);
+    } else {
+        problems.push({ pointer, problem: 'ingredient needs an "item" or "tag"' });
+    }
+};
+
+/**
+ * Result stack: { id, count } (1.20.5+), { item, count } (older) or a bare item ID string
+ */
+const result = (value, pointer, problems) => {
+    if (typeof value === 'string') {
+        resourceLocation(value, pointer, problems);
+        return;
+    }
+
+    if (describeType(value) !== 'object') {
+        problems.push({ pointer, problem: `expected a result item, got ${describeType(value)}` });
+        return;
+    }
+
+    const idKey = value.id !== undefined ? 'id' : 'item';
+    if (value[idKey] === undefined) {
+        problems.push({ pointer, problem: 'result needs an "id" or "item"' });
+    } else {
+        resourceLocation(value[idKey], `${pointer}/${idKey}`, problems);
+    }
+
+    if (value.count !== undefined && (!Number.isInteger(value.count) || value.count < 1)) {
+        problems.push({ pointer: `${pointer}/count`, problem: `count must be a positive integer, got ${JSON.stringify(value.count)}` });
+    }
+};
+
+/**
+ * Array whose items all match a spec, with optional length bounds
+ */
+function arrayOf(spec, { min = 0, max = Infinity } = {}) {
+    return (value, pointer, problems) => {
+        if (!Array.isArray(value)) {
+            problems.push({ pointer, problem: `expected an array, got ${describeType(value)}` });
+            return;
+        }
+
+        if (value.length < min || value.length > max) {
+            const bounds = max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+            problems.push({ pointer, problem: `expected ${bounds} entries, got ${value.length}` });
+        }
+
+        value.forEach((item, index) => spec(item, `${pointer}/${index}`, problems));
+    };
+}
+
+/**
+ * Object whose values all match a spec (e.g. a shaped recipe key)
+ */
+function mapOf(spec) {
+    return (value, pointer, problems) => {
+        if (describeType(value) !== 'object') {
+            problems.push({ pointer, problem: `expected an object, got ${describeType(value)}` });
+            return;
+        }
+
+        for (const [key, item] of Object.entries(value)) {
+            spec(item, `${pointer}/${escapePointer(key)}`, problems);
+        }
+    };
+}
+
+/**
+ * Object with its own required and optional fields
+ */
+function shape(schema) {
+    return (value, pointer, problems) => {
+        if (describeType(value) !== 'object') {
+            problems.push({ pointer, problem: `expected an object, got ${describeType(value)}` });
+            return;
+        }
+
+        checkFields(value, schema, pointer, problems);
+    };
+}
+
+/**
+ * Shaped crafting: every pattern row has the same width and every symbol is in the key
+ */
+function checkShapedPattern(data, problems) {
+    if (!Array.isArray(data.pattern) || describeType(data.key) !== 'object') {
+        return;
+    }
+
+    const widths = new Set(data.pattern.filter(row => typeof row === 'string').map(row => row.length));
+    if (widths.size > 1) {
+        problems.push({ pointer: '/pattern', problem: 'pattern rows have different widths' });
+    }
+
+    data.pattern.forEach((row, rowIndex) => {
+        if (typeof row !== 'string') return;
+
+        for (const symbol of new Set(row)) {
+            if (symbol !== ' ' && data.key[symbol] === undefined) {
+                problems.push({ pointer: `/pattern/${rowIndex}`, problem: `symbol "${symbol}" is not defined in key` });
+            }
+        }
+    });
+}
+
+const COOKING = {
+    required: { ingredient, result },
+    optional: { cookingtime: number, experience: number, group: string, category: string }
+};
+
+const SMITHING = {
+    required: { template: ingredient, base: ingredient, addition: ingredient, result }
+};
+
+// Declarative schemas for the recipe types the browser knows how to render
+const SCHEMAS = {
+    'minecraft:crafting_shaped': {
+        required: {
+            pattern: arrayOf(string, { min: 1, max: 3 }),
+            key: mapOf(ingredient),
+            result
+        },
+        optional: { group: string, category: string },
+        checks: [checkShapedPattern]
+    },
+    'minecraft:crafting_shapeless': {
+        required: { ingredients: arrayOf(ingredient, { min: 1, max: 9 }), result },
+        optional: { group: string, category: string }
+    },
+    'minecraft:smelting': COOKING,
+    'minecraft:blasting': COOKING,
+    'minecraft:smoking': COOKING,
+    'minecraft:campfire_cooking': COOKING,
+    'minecraft:stonecutting': {
+        required: { ingredient, result },
+        optional: { count: number, group: string }
+    },
+    'minecraft:smithing': {
+        required: { base: ingredient, addition: ingredient, result }
+    },
+    'minecraft:smithing_transform': SMITHING,
+    'minecraft:smithing_trim': {
+        required: { template: ingredient, base: ingredient, addition: ingredient }
+    },
+    'actuallyadditions:crushing': {
+        required: {
+            ingredient,
+            result: arrayOf(shape({ required: { result }, optional: { chance: number } }), { min: 1 })
+        }
+    },
+    'actuallyadditions:coffee_ingredient': {
+        required: { ingredient, effects: arrayOf(object) },
+        optional: { max_amplifier: number }
+    },
+    'actuallyadditions:color_change': {
+        required: { ingredient, result }
+    }
+};
+
+/**
+ * Applies a schema's field specs and cross-field checks to an object
+ */
+function checkFields(data, schema, pointer, problems) {
+    for (const [field, spec] of Object.entries(schema.required || {})) {
+        if (data[field] === undefined) {
+            problems.push({ pointer: `${pointer}/${escapePointer(field)}`, problem: `missing required field "${field}"` });
+        } else {
+            spec(data[field], `${pointer}/${escapePointer(field)}`, problems);
+        }
+    }
+
+    for (const [field, spec] of Object.entries(schema.optional || {})) {
+        if (data[field] !== undefined) {
+            spec(data[field], `${pointer}/${escapePointer(field)}`, problems);
+        }
+    }
+
+    for (const check of schema.checks || []) {
+        check(data, problems);
+    }
+}
+
+/**
+ * Checks if a recipe type has a schema
+ */
+function hasSchema(recipeType) {
+    return Object.prototype.hasOwnProperty.call(SCHEMAS, recipeType);
+}
+
+/**
+ * Validates recipe data against the schema for its type.
+ * Returns a list of { pointer, problem }; types without a schema always pass.
+ */
+function validateRecipe(recipeType, recipeData) {
+    if (!hasSchema(recipeType)) {
+        return [];
+    }
+
+    const problems = [];
+
+    if (describeType(recipeData) !== 'object') {
+        problems.push({ pointer: '', problem: `expected a recipe object, got ${describeType(recipeData)}` });
+        return problems;
+    }
+
+    checkFields(recipeData, SCHEMAS[recipeType], '', problems);
+    return problems;
+}
+
+module.exports = {
+    SCHEMAS,
+    hasSchema,
+    validateRecipe
+};
\ No newline at end of file
@@ -0,0 +1,106 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+
+// Recipes kept as objects before every buffer spills to disk; bounds memory on very large exports
+const MAX_BUFFERED_RECIPES = 5000;
+
+/**
+ * Collects parsed recipes per mod until they are written. Small imports stay in memory;
+ * past maxBuffered recipes the buffers spill to one NDJSON temp file per mod.
+ */
+function createRecipeSpool({ maxBuffered = MAX_BUFFERED_RECIPES } = {}) {
+    const mods = new Map();
+    let buffered = 0;
+    let spoolDir = null;
+
+    const spillAll = () => {
+        if (!spoolDir) {
+            spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pattern-press-spool-'));
+        }
+
+        for (const [mod, entry] of mods) {
+            if (entry.buffer.length === 0) {
+                continue;
+            }
+
+            entry.file = entry.file || path.join(spoolDir, `${mod}.ndjson`);
+            fs.appendFileSync(entry.file, `${entry.buffer.map(recipe => JSON.stringify(recipe)).join('\n')}\n`, 'utf8');
+            entry.buffer = [];
+        }
+
+        buffered = 0;
+    };
+
+    return {
+        add(mod, recipe) {
+            if (!mods.has(mod)) {
+                mods.set(mod, { buffer: [], file: null });
+            }
+
+            mods.get(mod).buffer.push(recipe);
+            buffered++;
+
+            if (buffered >= maxBuffered) {
+                spillAll();
+            }
+        },
+
+        /**
+         * Mods with recipes, in the order they were first seen
+         */
+        mods() {
+            return Array.from(mods.keys());
+        },
+
+        /**
+         * Resolves to a mod's recipes in the order they were added and frees them
+         */
+        async take(mod) {
+            const entry = mods.get(mod);
+
+            if (!entry) {
+                return [];
+            }
+
+            const recipes = [];
+
+            if (entry.file) {
+                // Line by line, so a spilled mod is never held as one string on top of its recipes
+                const lines = readline.createInterface({ input: fs.createReadStream(entry.file, 'utf8'), crlfDelay: Infinity });
+                for await (const line of lines) {
+                    if (line) {
+                        recipes.push(JSON.parse(line));
+                    }
+                }
+                fs.unlinkSync(entry.file);
+            }
+
+            recipes.push(...entry.buffer);
+            buffered -= entry.buffer.length;
+            mods.delete(mod);
+
+            return recipes;
+        },
+
+        /**
+         * Removes the temp files of anything not taken
+         */
+        close() {
+            if (spoolDir) {
+                fs.rmSync(spoolDir, { recursive: true, force: true });
+                spoolDir = null;
+            }
+
+            mods.clear();
+            buffered = 0;
+        }
+    };
+}
+
+module.exports = {
+    createRecipeSpool
+};
\ No newline at end of file
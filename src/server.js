@@ -2,12 +2,96 @@
 
 const express = require('express');
 const cors = require('cors');
+const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
 const RecipeLoader = require('./recipe-loader');
+const { listReports, loadReport } = require('./import-reports');
+const { DATA_ROOT, DEFAULT_DATASET, isValidDatasetName, getDataDir, datasetExists, listDatasets } = require('./datasets');
+const { diffRecipes, formatDiffMarkdown } = require('./dataset-diff');
+const { findDuplicateRecipes, filterDuplicateGroups, formatDuplicatesMarkdown } = require('./recipe-duplicates');
+const { MAX_PLAN_AMOUNT, parsePreferences, isPlanAmount, checkPlanPatterns, planCrafting, formatPlanMarkdown } = require('./crafting-planner');
+const { GRAPH_FORMATS, GRAPH_DIRECTIONS, DEFAULT_DEPTH, exportRecipeGraph, formatGraph } = require('./recipe-graph');
+const { loadAnalysisConfig, analyzePack, formatAnalysisMarkdown } = require('./pack-analysis');
+const { parseSearchQuery } = require('./recipe-query');
+const { createEventStream } = require('./event-stream');
+const { watchImport, hasChanges } = require('./watch-import');
+const { parseImportRoots, resolveImportPath, createImportJobs } = require('./import-jobs');
+const { isArchive } = require('./archive-reader');
 
 const app = express();
 const PORT = 3000;
-const recipeLoader = new RecipeLoader();
+
+// Item IDs and #tags look like namespace:path (c:ingots/iron); the route splits them from the rest of the path
+const ITEM_ID = /^#?[^:/]+:.+$/;
+
+// Directories POST /import may read from; nothing is importable by path unless listed (--import-root adds more)
+const importRoots = parseImportRoots(process.env.PATTERN_PRESS_IMPORT_ROOTS);
+
+// One loader (and recipe cache) per dataset, created on first use
+const recipeLoaders = new Map();
+
+// Open browser tabs listen here for data changes and import progress
+const events = createEventStream();
+
+/**
+ * Drops a dataset's cached recipes and tells open tabs to reload it
+ */
+function notifyDataUpdated(dataset, stats, files = []) {
+    const recipeLoader = recipeLoaders.get(dataset);
+    if (recipeLoader) {
+        recipeLoader.clearCache();
+    }
+
+    events.broadcast('data-updated', {
+        dataset,
+        mods: stats.updatedMods,
+        files,
+        added: stats.changes.added.length,
+        changed: stats.changes.changed.length,
+        removed: stats.changes.removed.length,
+        reportId: stats.reportId
+    });
+}
+
+// Imports started from the UI and watch mode re-imports run one at a time; progress goes out as import-* events
+const importJobs = createImportJobs({
+    onEvent: (name, job, stats) => {
+        events.broadcast(name, job);
+
+        // Watch mode reports its re-imports through its own callbacks
+        if (job.trigger === 'watch') {
+            return;
+        }
+
+        if (name === 'import-done') {
+            console.log(`📥 Import job ${job.id} finished: ${job.summary.imported} recipes into ${job.dataset}`);
+            notifyDataUpdated(job.dataset, stats);
+        } else if (name === 'import-failed') {
+            console.error(`💥 Import job ${job.id} failed: ${job.error}`);
+        }
+    }
+});
+
+/**
+ * Resolves the ?dataset= selector (or another dataset name) to its loader, or sends a 404 and returns null
+ */
+function getRecipeLoader(req, res, dataset = req.query.dataset || DEFAULT_DATASET) {
+    // The default dataset is served (empty) even before the first import
+    if (dataset !== DEFAULT_DATASET && !datasetExists(dataset)) {
+        res.status(404).json({
+            error: 'Dataset not found',
+            message: `No imported dataset named ${dataset}`
+        });
+        return null;
+    }
+
+    if (!recipeLoaders.has(dataset)) {
+        recipeLoaders.set(dataset, new RecipeLoader({ dataDir: getDataDir(dataset) }));
+    }
+
+    return recipeLoaders.get(dataset);
+}
 
 // Middleware
 app.use(cors());
@@ -19,7 +103,7 @@ app.get('/', (req, res) => {
     const indexPath = path.join(__dirname, '..', 'public', 'index.html');
 
     // If index.html doesn't exist, send a simple response
-    if (!require('fs').existsSync(indexPath)) {
+    if (!fs.existsSync(indexPath)) {
         res.send(`
             <html>
                 <head><title>Pattern Press</title></head>
@@ -32,7 +116,19 @@ app.get('/', (req, res) => {
                         <li><a href="/recipes?mod=minecraft">/recipes?mod=minecraft</a> - Minecraft recipes</li>
                         <li><a href="/recipes?type=minecraft:crafting_shaped">/recipes?type=minecraft:crafting_shaped</a> - Shaped crafting recipes</li>
                         <li><a href="/recipes?search=boat">/recipes?search=boat</a> - Search for boats</li>
+                        <li><a href="/recipes?search=mod:create%20type:crushing%20-out:%23c:dusts">/recipes?search=mod:create type:crushing -out:#c:dusts</a> - Query with field qualifiers</li>
                         <li><a href="/stats">/stats</a> - Recipe statistics</li>
+                        <li><a href="/datasets">/datasets</a> - Imported datasets</li>
+                        <li><a href="/tags">/tags</a> - Item tags and their members</li>
+                        <li><a href="/names">/names</a> - Item display names from lang files</li>
+                        <li><a href="/items/minecraft:iron_ingot/recipes">/items/minecraft:iron_ingot/recipes</a> - Recipes that make an item (<code>/usages</code> for recipes that use it)</li>
+                        <li><a href="/duplicates">/duplicates</a> - Duplicate and equivalent recipes</li>
+                        <li><a href="/analysis">/analysis</a> - Unobtainable inputs, orphan outputs and gain loops</li>
+                        <li><a href="/graph?format=dot">/graph?format=dot</a> - Item → recipe → item graph (DOT, GraphML or JSON)</li>
+                        <li><a href="/plan?item=minecraft:piston&amount=8">/plan?item=minecraft:piston&amount=8</a> - Crafting tree and raw materials for an item</li>
+                        <li><a href="/import/reports">/import/reports</a> - Past import runs</li>
+                        <li><a href="/import/jobs">/import/jobs</a> - Background imports started with POST /import</li>
+                        <li><a href="/events">/events</a> - Live data update events (watch mode)</li>
                     </ul>
                 </body>
             </html>
@@ -43,24 +139,35 @@ app.get('/', (req, res) => {
     res.sendFile(indexPath);
 });
 
-app.get('/recipes', (req, res) => {
+/**
+ * Parses the search parameter up front so a malformed query gets a 400 pointing at the problem.
+ * Returns { query } (a null query without a search) for the loader, or null once the 400 is sent.
+ */
+function readSearchQuery(req, res) {
     try {
-        const { mod, type, search, page = 1, limit = 20 } = req.query;
+        return { query: parseSearchQuery(req.query.search) };
+    } catch (error) {
+        res.status(400).json({
+            error: 'Invalid search query',
+            message: error.message,
+            position: error.position
+        });
+        return null;
+    }
+}
 
-        // Load recipes (from specific mod or all mods)
-        let recipes;
-        if (mod) {
-            recipes = recipeLoader.loadMod(mod);
-        } else {
-            recipes = recipeLoader.loadAllRecipes();
-        }
+app.get('/recipes', (req, res) => {
+    try {
+        const { mod, type, inactive, page = 1, limit = 20 } = req.query;
+        const recipeLoader = getRecipeLoader(req, res);
+        if (!recipeLoader) return;
 
-        // Apply filters
-        const filters = { mod, type, search };
-        const filteredRecipes = recipeLoader.filterRecipes(recipes, filters);
+        const search = readSearchQuery(req, res);
+        if (!search) return;
 
-        // Paginate results
-        const result = recipeLoader.paginate(filteredRecipes, page, limit);
+        // Filter and paginate (in the database for SQLite datasets)
+        const filters = { mod, type, query: search.query, includeInactive: inactive === 'true' };
+        const result = recipeLoader.findRecipes(filters, page, limit);
 
         res.json(result);
     } catch (error) {
@@ -74,6 +181,9 @@ app.get('/recipes', (req, res) => {
 
 app.get('/stats', (req, res) => {
     try {
+        const recipeLoader = getRecipeLoader(req, res);
+        if (!recipeLoader) return;
+
         const stats = recipeLoader.getStats();
         res.json(stats);
     } catch (error) {
@@ -87,6 +197,9 @@ app.get('/stats', (req, res) => {
 
 app.get('/metadata', (req, res) => {
     try {
+        const recipeLoader = getRecipeLoader(req, res);
+        if (!recipeLoader) return;
+
         const metadata = recipeLoader.getMetadata();
         res.json(metadata);
     } catch (error) {
@@ -98,19 +211,517 @@ app.get('/metadata', (req, res) => {
     }
 });
 
-// Future: Import from frontend-provided path
-app.post('/import', (req, res) => {
-    // TODO: Accept { path: "/path/to/kubejs/export/recipes" }
-    // Validate path, run import process, return results
-    res.json({
-        success: false,
-        message: 'Frontend import not implemented yet'
-    });
+app.get('/tags', (req, res) => {
+    try {
+        const { search, page = 1, limit = 100 } = req.query;
+        const recipeLoader = getRecipeLoader(req, res);
+        if (!recipeLoader) return;
+
+        let tags = Object.entries(recipeLoader.loadTags())
+            .map(([id, tag]) => ({ id, count: tag.items.length }))
+            .sort((a, b) => a.id.localeCompare(b.id));
+
+        if (search) {
+            const searchLower = search.replace(/^#/, '').toLowerCase();
+            tags = tags.filter(tag => tag.id.toLowerCase().includes(searchLower));
+        }
+
+        const result = recipeLoader.paginate(tags, page, limit);
+        res.json({ tags: result.recipes, pagination: result.pagination });
+    } catch (error) {
+        console.error('Error loading tags:', error);
+        res.status(500).json({
+            error: 'Failed to load tags',
+            message: error.message
+        });
+    }
+});
+
+// Tag IDs contain slashes (c:ingots/copper), so the rest of the path is the ID
+app.get('/tags/*id', (req, res) => {
+    try {
+        const recipeLoader = getRecipeLoader(req, res);
+        if (!recipeLoader) return;
+
+        const tagId = req.params.id.join('/');
+        const tag = recipeLoader.getTag(tagId);
+
+        if (!tag) {
+            res.status(404).json({
+                error: 'Tag not found',
+                message: `No item tag with ID ${tagId}`
+            });
+            return;
+        }
+
+        res.json(tag);
+    } catch (error) {
+        console.error('Error loading tag:', error);
+        res.status(500).json({
+            error: 'Failed to load tag',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Serves one side of the item lookup: recipes that make an item (/items/:id/recipes) or use it (/items/:id/usages)
+ */
+function sendItemRecipes(req, res, role) {
+    try {
+        const { mod, type, inactive, page = 1, limit = 20 } = req.query;
+        const recipeLoader = getRecipeLoader(req, res);
+        if (!recipeLoader) return;
+
+        const search = readSearchQuery(req, res);
+        if (!search) return;
+
+        // Item and tag IDs are namespaced; anything else (__proto__, constructor) names nothing in any dataset
+        const itemId = req.params.id.join('/');
+        if (!ITEM_ID.test(itemId)) {
+            res.status(404).json({
+                error: 'Item not found',
+                message: `${itemId} is not an item or #tag ID (namespace:path)`
+            });
+            return;
+        }
+
+        const filters = { mod, type, query: search.query, includeInactive: inactive === 'true' };
+        const result = recipeLoader.findItemRecipes(itemId, role, filters, page, limit);
+        const { names } = recipeLoader.loadNames();
+        const name = Object.prototype.hasOwnProperty.call(names, itemId) ? names[itemId] : null;
+
+        res.json({ item: { id: itemId, name }, ...result });
+    } catch (error) {
+        console.error('Error looking up item recipes:', error);
+        res.status(500).json({
+            error: 'Failed to look up item recipes',
+            message: error.message
+        });
+    }
+}
+
+// Item and tag IDs can contain slashes too; tags are passed with their # (URL-encoded as %23)
+app.get('/items/*id/recipes', (req, res) => sendItemRecipes(req, res, 'producers'));
+app.get('/items/*id/usages', (req, res) => sendItemRecipes(req, res, 'consumers'));
+
+// The UI loads the whole dictionary once and looks names up locally
+app.get('/names', (req, res) => {
+    try {
+        const recipeLoader = getRecipeLoader(req, res);
+        if (!recipeLoader) return;
+
+        res.json(recipeLoader.loadNames());
+    } catch (error) {
+        console.error('Error loading item names:', error);
+        res.status(500).json({
+            error: 'Failed to load item names',
+            message: error.message
+        });
+    }
+});
+
+app.get('/datasets', (req, res) => {
+    try {
+        res.json({ datasets: listDatasets(), default: DEFAULT_DATASET });
+    } catch (error) {
+        console.error('Error listing datasets:', error);
+        res.status(500).json({
+            error: 'Failed to list datasets',
+            message: error.message
+        });
+    }
+});
+
+app.get('/diff', (req, res) => {
+    try {
+        const { from, to, format = 'json' } = req.query;
+
+        if (!from || !to) {
+            res.status(400).json({
+                error: 'Missing datasets',
+                message: 'Pass the datasets to compare as ?from=<dataset>&to=<dataset>'
+            });
+            return;
+        }
+
+        const before = getRecipeLoader(req, res, from);
+        if (!before) return;
+        const after = getRecipeLoader(req, res, to);
+        if (!after) return;
+
+        const diff = diffRecipes(before.loadAllRecipes(), after.loadAllRecipes(), before.getMetadata(), after.getMetadata());
+
+        if (format === 'markdown') {
+            res.type('text/markdown').send(formatDiffMarkdown(diff, { from, to }));
+            return;
+        }
+
+        res.json({ from, to, ...diff });
+    } catch (error) {
+        console.error('Error diffing datasets:', error);
+        res.status(500).json({
+            error: 'Failed to diff datasets',
+            message: error.message
+        });
+    }
+});
+
+app.get('/duplicates', (req, res) => {
+    try {
+        const { kind, type, mod, inactive, format = 'json' } = req.query;
+        const dataset = req.query.dataset || DEFAULT_DATASET;
+        const recipeLoader = getRecipeLoader(req, res);
+        if (!recipeLoader) return;
+
+        if (kind && !['exact', 'equivalent'].includes(kind)) {
+            res.status(400).json({
+                error: 'Invalid kind',
+                message: 'kind must be exact or equivalent'
+            });
+            return;
+        }
+
+        const report = findDuplicateRecipes(recipeLoader.loadAllRecipes(), {
+            tags: recipeLoader.loadTags(),
+            includeInactive: inactive === 'true'
+        });
+        report.groups = filterDuplicateGroups(report.groups, { kind, type, mod });
+
+        if (format === 'markdown') {
+            res.type('text/markdown').send(formatDuplicatesMarkdown(report, { dataset }));
+            return;
+        }
+
+        res.json({ dataset, ...report });
+    } catch (error) {
+        console.error('Error finding duplicate recipes:', error);
+        res.status(500).json({
+            error: 'Failed to find duplicate recipes',
+            message: error.message
+        });
+    }
 });
 
-app.listen(PORT, () => {
-    console.log(`🎯 Pattern Press running on http://localhost:${PORT}`);
-    console.log(`📁 Serving recipes from data/recipes/`);
+/**
+ * Reads a list query parameter given repeatedly and/or comma-separated
+ */
+function listParam(value) {
+    return [].concat(value || []).flatMap(entry => entry.split(',')).map(entry => entry.trim()).filter(Boolean);
+}
+
+app.get('/plan', (req, res) => {
+    try {
+        const { item, amount = 1, inactive, format = 'json' } = req.query;
+        const dataset = req.query.dataset || DEFAULT_DATASET;
+        const recipeLoader = getRecipeLoader(req, res);
+        if (!recipeLoader) return;
+
+        if (!item || !isPlanAmount(amount)) {
+            res.status(400).json({
+                error: 'Invalid plan request',
+                message: `item is required and amount must be a number from above 0 up to ${MAX_PLAN_AMOUNT}`
+            });
+            return;
+        }
+
+        let prefer, excludeTypes, excludeMods, raw;
+        try {
+            prefer = parsePreferences(listParam(req.query.prefer));
+            excludeTypes = checkPlanPatterns(listParam(req.query.exclude_type));
+            excludeMods = checkPlanPatterns(listParam(req.query.exclude_mod));
+            raw = checkPlanPatterns(listParam(req.query.raw));
+        } catch (error) {
+            res.status(400).json({ error: 'Invalid plan request', message: error.message });
+            return;
+        }
+
+        const plan = planCrafting(recipeLoader.getItemIndex(), item, Math.ceil(Number(amount)), {
+            tags: recipeLoader.loadTags(),
+            prefer,
+            excludeTypes,
+            excludeMods,
+            raw,
+            includeInactive: inactive === 'true'
+        });
+
+        if (format === 'markdown') {
+            res.type('text/markdown').send(formatPlanMarkdown(plan, { dataset }));
+            return;
+        }
+
+        res.json({ dataset, ...plan });
+    } catch (error) {
+        console.error('Error planning crafting tree:', error);
+        res.status(500).json({
+            error: 'Failed to plan crafting tree',
+            message: error.message
+        });
+    }
+});
+
+app.get('/analysis', (req, res) => {
+    try {
+        const { inactive, format = 'json' } = req.query;
+        const dataset = req.query.dataset || DEFAULT_DATASET;
+        const recipeLoader = getRecipeLoader(req, res);
+        if (!recipeLoader) return;
+
+        // Re-read on every request so allowlist edits show up without a restart
+        const report = analyzePack(recipeLoader.loadAllRecipes(), {
+            tags: recipeLoader.loadTags(),
+            includeInactive: inactive === 'true',
+            ...loadAnalysisConfig()
+        });
+
+        if (format === 'markdown') {
+            res.type('text/markdown').send(formatAnalysisMarkdown(report, { dataset }));
+            return;
+        }
+
+        res.json({ dataset, ...report });
+    } catch (error) {
+        console.error('Error analyzing pack:', error);
+        res.status(500).json({
+            error: 'Failed to analyze pack',
+            message: error.message
+        });
+    }
 });
 
+// Graph formats other than JSON are sent as files for Graphviz, Gephi, yEd...
+const GRAPH_CONTENT_TYPES = { dot: 'text/vnd.graphviz', graphml: 'application/graphml+xml' };
+
+app.get('/graph', (req, res) => {
+    try {
+        const { mod, type, inactive, root, depth = DEFAULT_DEPTH, direction = 'up', format = 'json' } = req.query;
+        const recipeLoader = getRecipeLoader(req, res);
+        if (!recipeLoader) return;
+
+        const search = readSearchQuery(req, res);
+        if (!search) return;
+
+        if (!GRAPH_FORMATS.includes(format) || !GRAPH_DIRECTIONS.includes(direction) || !(Number(depth) > 0)) {
+            res.status(400).json({
+                error: 'Invalid graph request',
+                message: `format must be ${GRAPH_FORMATS.join(', ')}, direction ${GRAPH_DIRECTIONS.join(', ')} and depth a positive number`
+            });
+            return;
+        }
+
+        const filters = { mod, type, query: search.query, includeInactive: inactive === 'true' };
+        const graph = exportRecipeGraph(recipeLoader, filters, { root, depth: Number(depth), direction });
+
+        if (format === 'json') {
+            res.json(graph);
+            return;
+        }
+
+        // attachment() would guess the type from the extension (.dot is a Word template), so the type goes last
+        res.attachment(`recipes.${format}`)
+            .type(GRAPH_CONTENT_TYPES[format])
+            .send(formatGraph(graph, format));
+    } catch (error) {
+        console.error('Error exporting recipe graph:', error);
+        res.status(500).json({
+            error: 'Failed to export recipe graph',
+            message: error.message
+        });
+    }
+});
+
+app.get('/import/reports', (req, res) => {
+    try {
+        const recipeLoader = getRecipeLoader(req, res);
+        if (!recipeLoader) return;
+
+        res.json({ reports: listReports(path.join(recipeLoader.datasetDir, 'reports')) });
+    } catch (error) {
+        console.error('Error listing import reports:', error);
+        res.status(500).json({
+            error: 'Failed to list import reports',
+            message: error.message
+        });
+    }
+});
+
+app.get('/import/reports/:id', (req, res) => {
+    try {
+        const recipeLoader = getRecipeLoader(req, res);
+        if (!recipeLoader) return;
+
+        const report = loadReport(path.join(recipeLoader.datasetDir, 'reports'), req.params.id);
+
+        if (!report) {
+            res.status(404).json({
+                error: 'Import report not found',
+                message: `No import report with ID ${req.params.id}`
+            });
+            return;
+        }
+
+        res.json(report);
+    } catch (error) {
+        console.error('Error loading import report:', error);
+        res.status(500).json({
+            error: 'Failed to load import report',
+            message: error.message
+        });
+    }
+});
+
+// Server-Sent Events: "data-updated" after watch mode re-imports a dataset
+app.get('/events', (req, res) => {
+    events.connect(req, res);
+});
+
+// Uploaded jars and zips arrive as the raw request body
+const archiveUpload = express.raw({
+    type: ['application/zip', 'application/java-archive', 'application/octet-stream'],
+    limit: '1gb'
+});
+
+/**
+ * Starts a background import from a server-side path (JSON body { path, dataset, incremental, namespace, locale })
+ * or an uploaded archive (raw body, options in the query string with ?name=<file.zip>)
+ */
+app.post('/import', archiveUpload, (req, res) => {
+    const upload = Buffer.isBuffer(req.body);
+    const params = upload ? req.query : (req.body || {});
+    const dataset = params.dataset || DEFAULT_DATASET;
+
+    if (dataset !== DEFAULT_DATASET && !isValidDatasetName(dataset)) {
+        res.status(400).json({
+            error: 'Invalid dataset name',
+            message: `Invalid dataset name: ${dataset} (use letters, digits, _ . -)`
+        });
+        return;
+    }
+
+    const options = {
+        incremental: params.incremental === true || params.incremental === 'true',
+        namespace: params.namespace || undefined,
+        locale: params.locale || undefined
+    };
+
+    try {
+        if (upload) {
+            const name = path.basename(params.name || '');
+
+            if (!isArchive(name) || req.body.length === 0) {
+                res.status(400).json({
+                    error: 'Invalid upload',
+                    message: 'Upload a .jar or .zip file and pass its file name as ?name='
+                });
+                return;
+            }
+
+            const uploadsDir = path.join(DATA_ROOT, 'uploads');
+            const uploadPath = path.join(uploadsDir, `${Date.now()}-${name}`);
+            fs.mkdirSync(uploadsDir, { recursive: true });
+            fs.writeFileSync(uploadPath, req.body);
+
+            const job = importJobs.submit({
+                inputPath: uploadPath,
+                source: name,
+                dataset,
+                options,
+                cleanup: () => fs.rmSync(uploadPath, { force: true })
+            });
+            res.status(202).json({ job });
+            return;
+        }
+
+        let inputPath;
+        try {
+            inputPath = resolveImportPath(params.path, importRoots);
+        } catch (error) {
+            res.status(importRoots.length === 0 ? 403 : 400).json({
+                error: 'Import path not allowed',
+                message: error.message
+            });
+            return;
+        }
+
+        const job = importJobs.submit({ inputPath, source: params.path, dataset, options });
+        res.status(202).json({ job });
+    } catch (error) {
+        console.error('Error starting import:', error);
+        res.status(500).json({
+            error: 'Failed to start import',
+            message: error.message
+        });
+    }
+});
+
+app.get('/import/jobs', (req, res) => {
+    res.json({ jobs: importJobs.list() });
+});
+
+app.get('/import/jobs/:id', (req, res) => {
+    const job = importJobs.get(req.params.id);
+
+    if (!job) {
+        res.status(404).json({
+            error: 'Import job not found',
+            message: `No import job with ID ${req.params.id}`
+        });
+        return;
+    }
+
+    res.json(job);
+});
+
+/**
+ * Re-imports the watched input on every change, then drops the dataset's cached recipes and tells open tabs.
+ * Re-imports queue behind POST /import jobs instead of running alongside them.
+ */
+function startWatchMode(inputPath, { dataset = DEFAULT_DATASET, namespace, locale }) {
+    const watcher = watchImport(inputPath, {
+        dataset,
+        namespace,
+        locale,
+        runImport: (input, options) => importJobs.run({ inputPath: input, dataset, options, trigger: 'watch' }),
+        onImport: (stats, files) => {
+            if (!hasChanges(stats)) {
+                return;
+            }
+
+            console.log(`🔄 Re-imported ${dataset}: ${stats.updatedMods.join(', ') || 'no recipe files changed'}`);
+            notifyDataUpdated(dataset, stats, files);
+        },
+        onError: error => console.error(`💥 Watch import failed: ${error.message}`)
+    });
+
+    console.log(`👀 Watching ${inputPath} for changes (dataset: ${dataset})`);
+
+    // Catch up with anything exported while the server was down
+    watcher.flush();
+    return watcher;
+}
+
+// Flags are only read when run directly, so requiring the app (tests) ignores the host process's arguments
+if (require.main === module) {
+    const { values: flags } = parseArgs({
+        options: {
+            watch: { type: 'string', short: 'w' },
+            dataset: { type: 'string', short: 'd' },
+            namespace: { type: 'string', short: 'n' },
+            locale: { type: 'string', short: 'l' },
+            'import-root': { type: 'string', multiple: true }
+        }
+    });
+
+    importRoots.unshift(...(flags['import-root'] || []));
+
+    app.listen(PORT, () => {
+        console.log(`🎯 Pattern Press running on http://localhost:${PORT}`);
+        console.log(`📁 Serving datasets: ${listDatasets().map(dataset => dataset.name).join(', ') || 'none imported yet'}`);
+
+        if (flags.watch) {
+            startWatchMode(flags.watch, flags);
+        }
+    });
+}
+
 module.exports = app;
\ No newline at end of file
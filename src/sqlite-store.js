@@ -0,0 +1,323 @@
+'use strict';
+
+// Datasets stored in SQLite keep everything the recipes/ folder would hold in this file
+const SQLITE_FILE = 'recipes.sqlite';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS recipes (
+        id TEXT PRIMARY KEY,
+        mod TEXT NOT NULL,
+        type TEXT NOT NULL,
+        name TEXT NOT NULL,
+        category TEXT,
+        load_status TEXT NOT NULL,
+        source TEXT,
+        position INTEGER NOT NULL,
+        recipe TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS recipes_mod ON recipes (mod, position);
+    CREATE INDEX IF NOT EXISTS recipes_type ON recipes (type);
+    CREATE INDEX IF NOT EXISTS recipes_load_status ON recipes (load_status);
+
+    CREATE TABLE IF NOT EXISTS ingredients (
+        recipe_id TEXT NOT NULL,
+        role TEXT NOT NULL,
+        slot INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        item_id TEXT NOT NULL,
+        amount REAL NOT NULL,
+        chance REAL NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS ingredients_item ON ingredients (item_id);
+    CREATE INDEX IF NOT EXISTS ingredients_recipe ON ingredients (recipe_id);
+
+    CREATE TABLE IF NOT EXISTS outputs (
+        recipe_id TEXT NOT NULL,
+        slot INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        item_id TEXT NOT NULL,
+        amount REAL NOT NULL,
+        chance REAL NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS outputs_item ON outputs (item_id);
+    CREATE INDEX IF NOT EXISTS outputs_recipe ON outputs (recipe_id, slot);
+
+    CREATE TABLE IF NOT EXISTS tags (
+        id TEXT PRIMARY KEY,
+        tag TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS tag_items (
+        tag_id TEXT NOT NULL,
+        item_id TEXT NOT NULL,
+        PRIMARY KEY (tag_id, item_id)
+    );
+    CREATE INDEX IF NOT EXISTS tag_items_item ON tag_items (item_id);
+
+    CREATE TABLE IF NOT EXISTS names (
+        item_id TEXT PRIMARY KEY,
+        name TEXT NOT NULL
+    );
+`;
+
+let sqlite;
+
+/**
+ * Loads node:sqlite (Node 22.5+), or returns null on older Node versions
+ */
+function loadSqlite() {
+    if (sqlite === undefined) {
+        try {
+            sqlite = require('node:sqlite');
+        } catch (error) {
+            sqlite = null;
+        }
+    }
+
+    return sqlite;
+}
+
+/**
+ * Checks if this Node version ships node:sqlite
+ */
+function isSqliteAvailable() {
+    return loadSqlite() !== null;
+}
+
+/**
+ * Escapes % and _ so user input matches literally in a LIKE pattern
+ */
+function escapeLike(text) {
+    return text.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Recipe storage in a single SQLite database, with the normalized stacks and tags in indexed tables.
+ * Recipes keep their full JSON in recipes.recipe; the other columns are there to filter on.
+ */
+class SqliteStore {
+    constructor(dbPath) {
+        const sqliteModule = loadSqlite();
+
+        if (!sqliteModule) {
+            throw new Error(`SQLite storage needs Node 22.5 or newer (node:sqlite); this is Node ${process.versions.node}`);
+        }
+
+        this.db = new sqliteModule.DatabaseSync(dbPath);
+        this.db.exec(SCHEMA);
+    }
+
+    /**
+     * Runs fn inside a transaction, rolling back if it throws
+     */
+    transaction(fn) {
+        this.db.exec('BEGIN');
+
+        try {
+            const result = fn();
+            this.db.exec('COMMIT');
+            return result;
+        } catch (error) {
+            this.db.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    /**
+     * Lists mods that have recipes
+     */
+    getMods() {
+        return this.db.prepare('SELECT DISTINCT mod FROM recipes ORDER BY mod').all().map(row => row.mod);
+    }
+
+    /**
+     * Loads one mod's recipes in import order
+     */
+    loadMod(mod) {
+        return this.db.prepare('SELECT recipe FROM recipes WHERE mod = ? ORDER BY position').all(mod)
+            .map(row => JSON.parse(row.recipe));
+    }
+
+    /**
+     * Removes a mod's recipes and their stacks
+     */
+    removeMod(mod) {
+        this.transaction(() => this.deleteMod(mod));
+    }
+
+    /**
+     * Deletes a mod's rows; callers wrap this in a transaction
+     */
+    deleteMod(mod) {
+        const ids = 'SELECT id FROM recipes WHERE mod = ?';
+        this.db.prepare(`DELETE FROM ingredients WHERE recipe_id IN (${ids})`).run(mod);
+        this.db.prepare(`DELETE FROM outputs WHERE recipe_id IN (${ids})`).run(mod);
+        this.db.prepare('DELETE FROM recipes WHERE mod = ?').run(mod);
+    }
+
+    /**
+     * Replaces a mod's recipes, the same way the JSON backend rewrites <mod>.json
+     */
+    writeMod(mod, recipes) {
+        const insertRecipe = this.db.prepare(`
+            INSERT INTO recipes (id, mod, type, name, category, load_status, source, position, recipe)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        const insertIngredient = this.db.prepare(`
+            INSERT INTO ingredients (recipe_id, role, slot, kind, item_id, amount, chance) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+        const insertOutput = this.db.prepare(`
+            INSERT INTO outputs (recipe_id, slot, kind, item_id, amount, chance) VALUES (?, ?, ?, ?, ?, ?)
+        `);
+
+        this.transaction(() => {
+            this.deleteMod(mod);
+
+            recipes.forEach((recipe, position) => {
+                insertRecipe.run(
+                    recipe.id,
+                    recipe.mod,
+                    recipe.type,
+                    recipe.name,
+                    recipe.category || null,
+                    recipe.load_status || 'active',
+                    recipe.source || null,
+                    position,
+                    JSON.stringify(recipe)
+                );
+
+                // Every option of an "any of" slot is indexed under the same slot number
+                const stacks = [
+                    ...(recipe.inputs || []).map(stack => ['input', stack]),
+                    ...(recipe.catalysts || []).map(stack => ['catalyst', stack])
+                ];
+                stacks.forEach(([role, stack], slot) => {
+                    for (const option of [stack, ...(stack.alternatives || [])]) {
+                        insertIngredient.run(recipe.id, role, slot, option.kind, option.id, option.amount, option.chance);
+                    }
+                });
+
+                (recipe.outputs || []).forEach((stack, slot) => {
+                    insertOutput.run(recipe.id, slot, stack.kind, stack.id, stack.amount, stack.chance);
+                });
+            });
+        });
+    }
+
+    /**
+     * Replaces the resolved tags (tag ID -> { items, tags, missing, sources })
+     */
+    writeTags(tags) {
+        const insertTag = this.db.prepare('INSERT INTO tags (id, tag) VALUES (?, ?)');
+        const insertItem = this.db.prepare('INSERT INTO tag_items (tag_id, item_id) VALUES (?, ?)');
+
+        this.transaction(() => {
+            this.db.exec('DELETE FROM tags; DELETE FROM tag_items;');
+
+            for (const [id, tag] of Object.entries(tags)) {
+                insertTag.run(id, JSON.stringify(tag));
+                tag.items.forEach(item => insertItem.run(id, item));
+            }
+        });
+    }
+
+    /**
+     * Replaces the item display names used by search
+     */
+    writeNames(names) {
+        const insertName = this.db.prepare('INSERT INTO names (item_id, name) VALUES (?, ?)');
+
+        this.transaction(() => {
+            this.db.exec('DELETE FROM names;');
+
+            for (const [itemId, name] of Object.entries(names)) {
+                insertName.run(itemId, name);
+            }
+        });
+    }
+
+    /**
+     * Finds the recipes producing (outputs) or consuming (inputs and catalysts) any of the item index keys
+     * ("ns:item", "#ns:tag"), with the filters and paging of queryRecipes()
+     */
+    queryItemRecipes(role, keys, filters = {}, page = 1, limit = 20) {
+        const table = role === 'producers' ? 'outputs' : 'ingredients';
+        const tagIds = keys.filter(key => key.startsWith('#')).map(key => key.slice(1));
+        const placeholders = values => values.map(() => '?').join(', ');
+
+        // Item tags are stored without their #; fluid and chemical tags keep it
+        const condition = `EXISTS (
+            SELECT 1 FROM ${table} WHERE ${table}.recipe_id = recipes.id
+            AND ((kind = 'tag' AND item_id IN (${placeholders(tagIds)})) OR (kind != 'tag' AND item_id IN (${placeholders(keys)})))
+        )`;
+
+        return this.queryRecipes(filters, page, limit, [condition], [...tagIds, ...keys]);
+    }
+
+    /**
+     * Filters and pages recipes in SQL. Takes the same filters as RecipeLoader.filterRecipes();
+     * search matches the ID, the name and the display name of the first output. Extra WHERE conditions
+     * and their parameters narrow it further. Returns { recipes, total }.
+     */
+    queryRecipes(filters = {}, page = 1, limit = 20, conditions = [], conditionParams = []) {
+        const where = [...conditions];
+        const params = [...conditionParams];
+
+        if (!filters.includeInactive) {
+            where.push("load_status != 'inactive'");
+        }
+
+        if (filters.mod) {
+            where.push('mod = ?');
+            params.push(filters.mod);
+        }
+
+        if (filters.type) {
+            where.push('type = ?');
+            params.push(filters.type);
+        }
+
+        if (filters.search) {
+            const pattern = `%${escapeLike(filters.search.toLowerCase())}%`;
+            where.push(`(lower(id) LIKE ? ESCAPE '\\' OR lower(name) LIKE ? ESCAPE '\\' OR EXISTS (
+                SELECT 1 FROM outputs JOIN names ON names.item_id = outputs.item_id
+                WHERE outputs.recipe_id = recipes.id AND outputs.slot = 0 AND lower(names.name) LIKE ? ESCAPE '\\'
+            ))`);
+            params.push(pattern, pattern, pattern);
+        }
+
+        const clause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+        const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM recipes ${clause}`).get(...params);
+        const rows = this.db.prepare(`SELECT recipe FROM recipes ${clause} ORDER BY mod, position LIMIT ? OFFSET ?`)
+            .all(...params, Number(limit), (Number(page) - 1) * Number(limit));
+
+        return { recipes: rows.map(row => JSON.parse(row.recipe)), total };
+    }
+
+    /**
+     * Counts recipes per mod and type, as RecipeLoader.getStats() does
+     */
+    getStats() {
+        const stats = { total: 0, byMod: {}, byType: {}, mods: this.getMods() };
+
+        for (const row of this.db.prepare('SELECT mod, COUNT(*) AS count FROM recipes GROUP BY mod').all()) {
+            stats.byMod[row.mod] = row.count;
+            stats.total += row.count;
+        }
+
+        for (const row of this.db.prepare('SELECT type, COUNT(*) AS count FROM recipes GROUP BY type').all()) {
+            stats.byType[row.type] = row.count;
+        }
+
+        return stats;
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = {
+    SQLITE_FILE,
+    isSqliteAvailable,
+    SqliteStore
+};
\ No newline at end of file
@@ -0,0 +1,297 @@
+'use strict';
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { findJsonFiles, readJsonFile, ensureDirectoryExists, writeJsonFile, loadImportConfig } = require('./utils');
+const { closeArchives } = require('./archive-reader');
+const { toManifestKey } = require('./import-manifest');
+const { extractModNamespace, extractRecipeId, isRecipeSource, normalizeRecipeType, shouldImportRecipe } = require('./import-recipes');
+const { matchesPattern } = require('./config-patterns');
+const { DATA_ROOT } = require('./datasets');
+
+const CONFIG_PATH = path.join(__dirname, '..', 'config', 'import.json');
+const PROPOSAL_PATH = path.join(DATA_ROOT, 'config-proposal.json');
+
+// Example files kept per mod or recipe type
+const EXAMPLES_PER_GROUP = 3;
+
+/**
+ * Adds a file to a counted group, keeping only the first few as examples
+ */
+function countInGroup(group, file) {
+    group.count++;
+
+    if (group.examples.length < EXAMPLES_PER_GROUP) {
+        group.examples.push(file);
+    }
+}
+
+/**
+ * Scans an export without importing it and groups what the config does not cover yet:
+ * unsupported mods (with the recipe types they use) and unsupported types of supported mods
+ */
+function scanExport(inputPath, config, options = {}) {
+    const locateOptions = { namespace: options.namespace, inputPath };
+    const scan = {
+        input_path: inputPath,
+        totals: { files: 0, supported: 0, ignored: 0, unsupported: 0, errors: 0 },
+        unsupportedMods: [],
+        unsupportedTypes: [],
+        errors: []
+    };
+    const modGroups = new Map();
+    const typeGroups = new Map();
+
+    for (const filePath of findJsonFiles(inputPath)) {
+        const key = toManifestKey(inputPath, filePath);
+
+        if (!isRecipeSource(key)) {
+            continue;
+        }
+
+        scan.totals.files++;
+
+        try {
+            const recipeData = readJsonFile(filePath);
+            const mod = extractModNamespace(filePath, recipeData, locateOptions);
+            const recipeType = normalizeRecipeType(recipeData.type || 'unknown');
+            const recipeId = extractRecipeId(filePath, locateOptions);
+            const importCheck = shouldImportRecipe(mod, recipeType, config, recipeId);
+
+            if (importCheck.allowed) {
+                scan.totals.supported++;
+                continue;
+            }
+
+            if (importCheck.reason.endsWith('ignored')) {
+                scan.totals.ignored++;
+                continue;
+            }
+
+            scan.totals.unsupported++;
+
+            if (importCheck.reason === 'mod not supported') {
+                if (!modGroups.has(mod)) {
+                    modGroups.set(mod, { mod, count: 0, examples: [], types: {} });
+                }
+
+                const group = modGroups.get(mod);
+                countInGroup(group, key);
+                group.types[recipeType] = (group.types[recipeType] || 0) + 1;
+            } else {
+                if (!typeGroups.has(recipeType)) {
+                    typeGroups.set(recipeType, { type: recipeType, count: 0, examples: [], mods: [] });
+                }
+
+                const group = typeGroups.get(recipeType);
+                countInGroup(group, key);
+                if (!group.mods.includes(mod)) {
+                    group.mods.push(mod);
+                }
+            }
+        } catch (error) {
+            scan.totals.errors++;
+            scan.errors.push({ file: key, error: error.message });
+        }
+    }
+
+    closeArchives();
+
+    // Most common first: those are the ones worth deciding on
+    const byCount = (a, b) => b.count - a.count;
+    scan.unsupportedMods = Array.from(modGroups.values()).sort(byCount);
+    scan.unsupportedTypes = Array.from(typeGroups.values()).sort(byCount);
+
+    return scan;
+}
+
+/**
+ * Adds a value to a config list unless it is already there
+ */
+function addToList(config, changes, listName, value) {
+    if (!config[listName]) {
+        config[listName] = [];
+    }
+
+    if (!config[listName].includes(value)) {
+        config[listName].push(value);
+        changes[listName].push(value);
+    }
+}
+
+/**
+ * Builds a proposed config from a scan and a set of rules:
+ * allowMods (support the mod and whitelist every type it uses), ignoreMods,
+ * allowTypes / ignoreTypes (exact or "ns:*") and ignoreRest (ignore anything no rule decided)
+ */
+function buildProposal(scan, config, rules = {}) {
+    const allowMods = rules.allowMods || [];
+    const ignoreMods = rules.ignoreMods || [];
+    const allowTypes = rules.allowTypes || [];
+    const ignoreTypes = rules.ignoreTypes || [];
+
+    const proposed = JSON.parse(JSON.stringify(config));
+    const changes = { mods: [], ignoredMods: [], recipeTypes: [], ignoredRecipeTypes: [] };
+    const undecided = { mods: [], types: [] };
+
+    // Types are decided per type rule first, then by the mod they come from
+    const decideType = (recipeType, mods, fallback) => {
+        if (ignoreTypes.some(rule => matchesPattern(rule, recipeType))) {
+            return 'ignore';
+        }
+        if (allowTypes.some(rule => matchesPattern(rule, recipeType)) || mods.some(mod => allowMods.includes(mod))) {
+            return 'allow';
+        }
+        return fallback;
+    };
+
+    for (const group of scan.unsupportedMods) {
+        if (allowMods.includes(group.mod)) {
+            addToList(proposed, changes, 'mods', group.mod);
+
+            for (const recipeType of Object.keys(group.types)) {
+                const decision = decideType(recipeType, [group.mod], 'allow');
+
+                if (decision === 'ignore') {
+                    addToList(proposed, changes, 'ignoredRecipeTypes', recipeType);
+                } else if (!shouldImportRecipe(group.mod, recipeType, proposed).allowed) {
+                    addToList(proposed, changes, 'recipeTypes', recipeType);
+                }
+            }
+        } else if (ignoreMods.includes(group.mod) || rules.ignoreRest) {
+            addToList(proposed, changes, 'ignoredMods', group.mod);
+        } else {
+            undecided.mods.push(group.mod);
+        }
+    }
+
+    for (const group of scan.unsupportedTypes) {
+        const decision = decideType(group.type, group.mods, rules.ignoreRest ? 'ignore' : null);
+
+        if (decision === 'allow') {
+            addToList(proposed, changes, 'recipeTypes', group.type);
+        } else if (decision === 'ignore') {
+            addToList(proposed, changes, 'ignoredRecipeTypes', group.type);
+        } else {
+            undecided.types.push(group.type);
+        }
+    }
+
+    return { config: proposed, changes, undecided };
+}
+
+/**
+ * Formats proposed config changes as a diff-style list of added entries
+ */
+function formatConfigDiff(changes) {
+    const lines = [];
+
+    for (const [listName, added] of Object.entries(changes)) {
+        if (added.length === 0) {
+            continue;
+        }
+
+        lines.push(`  "${listName}": [`);
+        added.forEach(value => lines.push(`+   "${value}"`));
+        lines.push('  ]');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Prints the scan grouped by unsupported mod and type
+ */
+function printScan(scan) {
+    const { totals } = scan;
+    console.log(`\n📊 Scanned ${totals.files} files: ${totals.supported} supported, ${totals.ignored} ignored, ${totals.unsupported} unsupported, ${totals.errors} errors`);
+
+    if (scan.unsupportedMods.length > 0) {
+        console.log(`\n🚫 Unsupported mods (${scan.unsupportedMods.length}):`);
+        scan.unsupportedMods.forEach(group => {
+            const types = Object.entries(group.types)
+                .sort((a, b) => b[1] - a[1])
+                .map(([type, count]) => `${type} ×${count}`)
+                .join(', ');
+            console.log(`   - ${group.mod} (${group.count} recipes): ${types}`);
+            console.log(`     e.g. ${group.examples.join(', ')}`);
+        });
+    }
+
+    if (scan.unsupportedTypes.length > 0) {
+        console.log(`\n🔍 Unsupported recipe types (${scan.unsupportedTypes.length}):`);
+        scan.unsupportedTypes.forEach(group => {
+            console.log(`   - ${group.type} (${group.count} recipes from ${group.mods.join(', ')})`);
+            console.log(`     e.g. ${group.examples.join(', ')}`);
+        });
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const { values: flags, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            'allow-mod': { type: 'string', multiple: true, default: [] },
+            'ignore-mod': { type: 'string', multiple: true, default: [] },
+            'allow-type': { type: 'string', multiple: true, default: [] },
+            'ignore-type': { type: 'string', multiple: true, default: [] },
+            'ignore-rest': { type: 'boolean', default: false },
+            namespace: { type: 'string', short: 'n' },
+            apply: { type: 'boolean', default: false }
+        }
+    });
+    const inputPath = positionals[0];
+
+    if (!inputPath) {
+        console.log('Usage: node src/suggest-config.js [--allow-mod <mod>] [--ignore-mod <mod>] [--allow-type <pattern>] [--ignore-type <pattern>] [--ignore-rest] [--apply] <export-path>');
+        console.log('Example: node src/suggest-config.js --allow-mod create --ignore-rest "C:\\Users\\...\\kubejs\\export"');
+        process.exit(1);
+    }
+
+    try {
+        console.log(`🔍 Scanning export: ${inputPath}`);
+
+        const config = loadImportConfig();
+        const scan = scanExport(inputPath, config, { namespace: flags.namespace });
+        const proposal = buildProposal(scan, config, {
+            allowMods: flags['allow-mod'],
+            ignoreMods: flags['ignore-mod'],
+            allowTypes: flags['allow-type'],
+            ignoreTypes: flags['ignore-type'],
+            ignoreRest: flags['ignore-rest']
+        });
+
+        printScan(scan);
+
+        const diff = formatConfigDiff(proposal.changes);
+        console.log(diff ? `\n📝 Proposed config/import.json changes:\n${diff}` : '\n✅ No config changes proposed');
+
+        if (proposal.undecided.mods.length > 0 || proposal.undecided.types.length > 0) {
+            console.log(`\n❔ Undecided: ${proposal.undecided.mods.length} mods, ${proposal.undecided.types.length} recipe types (use --allow-*, --ignore-* or --ignore-rest)`);
+        }
+
+        if (flags.apply) {
+            writeJsonFile(CONFIG_PATH, proposal.config);
+            console.log(`\n💾 Applied proposal to config/import.json`);
+        } else {
+            ensureDirectoryExists(path.dirname(PROPOSAL_PATH));
+            writeJsonFile(PROPOSAL_PATH, {
+                generated_at: new Date(),
+                input_path: inputPath,
+                scan,
+                ...proposal
+            });
+            console.log(`\n💾 Saved proposal to data/config-proposal.json (run again with --apply to update config/import.json)`);
+        }
+    } catch (error) {
+        console.error(`💥 Config suggestion failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    scanExport,
+    buildProposal,
+    formatConfigDiff
+};
\ No newline at end of file
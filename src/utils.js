@@ -2,11 +2,36 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { isArchive, toArchivePath, splitArchivePath, listArchiveEntries, readArchiveEntry } = require('./archive-reader');
+
+// Entries read from mod jars and datapack zips: data/<namespace>/recipe(s)/**/*.json,
+// item tags in data/<namespace>/tags/item(s)/**/*.json and assets/<namespace>/lang/<locale>.json
+const ARCHIVE_DATA_PATTERN = /^(data\/[^/]+\/(recipes?|tags\/items?)\/.+|assets\/[^/]+\/lang\/[^/]+)\.json$/i;
+
+/**
+ * Lists recipe, item tag and lang JSON entries inside a jar or zip as virtual archive paths
+ */
+function findArchiveDataFiles(archivePath) {
+    try {
+        return listArchiveEntries(archivePath)
+            .filter(entryName => ARCHIVE_DATA_PATTERN.test(entryName))
+            .map(entryName => toArchivePath(archivePath, entryName));
+    } catch (error) {
+        console.warn(`Warning: Could not read archive ${archivePath}: ${error.message}`);
+        return [];
+    }
+}
 
 /**
  * Recursively finds all JSON files in a directory and its subdirectories.
+ * Mod jars and datapack zips (given directly or found while scanning) contribute their recipe, item tag and lang entries.
  */
 function findJsonFiles(dirPath) {
+    if (fs.existsSync(dirPath) && fs.statSync(dirPath).isFile() && isArchive(dirPath)) {
+        return findArchiveDataFiles(dirPath);
+    }
+
     if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
         throw new Error(`Directory does not exist: ${dirPath}`);
     }
@@ -24,6 +49,8 @@ function findJsonFiles(dirPath) {
                     scan(fullPath);
                 } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.json')) {
                     results.push(fullPath);
+                } else if (entry.isFile() && isArchive(entry.name)) {
+                    results.push(...findArchiveDataFiles(fullPath));
                 }
             }
         } catch (error) {
@@ -35,18 +62,63 @@ function findJsonFiles(dirPath) {
     return results;
 }
 
+/**
+ * Reads the raw contents of a file or of an entry inside an archive.
+ */
+function readSourceFile(filePath) {
+    const archiveEntry = splitArchivePath(filePath);
+
+    if (archiveEntry) {
+        return readArchiveEntry(archiveEntry.archivePath, archiveEntry.entryName);
+    }
+
+    return fs.readFileSync(filePath);
+}
+
+// Strip the BOM some mods ship their data files with
+function parseJsonContent(content) {
+    return JSON.parse(content.toString('utf8').replace(/^\uFEFF/, ''));
+}
+
+function hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+}
+
 /**
  * Safely reads and parses a JSON file.
  */
 function readJsonFile(filePath) {
     try {
-        const content = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(content);
+        return parseJsonContent(readSourceFile(filePath));
     } catch (error) {
         throw new Error(`Failed to read JSON file ${filePath}: ${error.message}`);
     }
 }
 
+/**
+ * Computes a SHA-1 hash of a file's raw contents.
+ */
+function hashFile(filePath) {
+    return hashContent(readSourceFile(filePath));
+}
+
+/**
+ * Reads a JSON file once for both its hash (the same as hashFile's) and its data: { hash, data }.
+ * A file whose hash equals knownHash is not parsed ({ hash, unchanged: true }). Failures come back
+ * as { hash, error }, with a null hash when the file could not be read at all.
+ */
+function readHashedJsonFile(filePath, knownHash = null) {
+    let hash = null;
+
+    try {
+        const content = readSourceFile(filePath);
+        hash = hashContent(content);
+        return hash === knownHash ? { hash, unchanged: true } : { hash, data: parseJsonContent(content) };
+    } catch (error) {
+        return { hash, error: new Error(`Failed to read JSON file ${filePath}: ${error.message}`) };
+    }
+}
+
 /**
  * Ensures a directory exists, creating it recursively if needed.
  */
@@ -56,12 +128,40 @@ function ensureDirectoryExists(dirPath) {
     }
 }
 
+// Arrays are written in chunks of about this size instead of as one string
+const WRITE_CHUNK_SIZE = 1024 * 1024;
+
 /**
  * Writes JSON data to a file with consistent formatting.
+ * Arrays (mod files with tens of thousands of recipes) are streamed element by element;
+ * the output is the same as JSON.stringify(data, null, 2).
  */
 function writeJsonFile(filePath, data) {
-    const jsonString = JSON.stringify(data, null, 2);
-    fs.writeFileSync(filePath, jsonString, 'utf8');
+    if (!Array.isArray(data) || data.length === 0) {
+        fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+        return;
+    }
+
+    const fd = fs.openSync(filePath, 'w');
+
+    try {
+        let chunk = '[\n';
+
+        data.forEach((item, index) => {
+            // Elements JSON cannot represent (undefined, functions) become null, as in JSON.stringify
+            const json = JSON.stringify(item, null, 2);
+            chunk += `  ${json === undefined ? 'null' : json.replace(/\n/g, '\n  ')}${index < data.length - 1 ? ',' : ''}\n`;
+
+            if (chunk.length >= WRITE_CHUNK_SIZE) {
+                fs.writeSync(fd, chunk);
+                chunk = '';
+            }
+        });
+
+        fs.writeSync(fd, `${chunk}]`);
+    } finally {
+        fs.closeSync(fd);
+    }
 }
 
 /**
@@ -79,7 +179,10 @@ function loadImportConfig() {
 
 module.exports = {
     findJsonFiles,
+    readSourceFile,
     readJsonFile,
+    hashFile,
+    readHashedJsonFile,
     ensureDirectoryExists,
     writeJsonFile,
     loadImportConfig
@@ -0,0 +1,101 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { importRecipes } = require('./import-recipes');
+
+// KubeJS rewrites the export file by file, so wait for a quiet moment before re-importing
+const DEBOUNCE_MS = 500;
+
+// Editors and the game touch other files (backups, logs); only these can change imported data
+const WATCHED_EXTENSIONS = ['.json', '.jar', '.zip'];
+
+/**
+ * Checks if a changed file can affect the import (some platforms report no file name; assume it can)
+ */
+function isWatchedFile(filename) {
+    return !filename || WATCHED_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+/**
+ * Checks if an incremental import changed anything worth reloading for
+ */
+function hasChanges(stats) {
+    const { added, changed, removed } = stats.changes;
+    return !stats.incremental || added.length + changed.length + removed.length > 0;
+}
+
+/**
+ * Watches an import input and re-imports it incrementally after changes settle.
+ * Changes that arrive during an import queue one more run once it finishes.
+ * options: importRecipes options plus debounceMs, onImport(stats, files), onError(error), watch (fs.watch) and
+ * runImport (importRecipes; the server passes its import job queue so re-imports never overlap other imports)
+ */
+function watchImport(inputPath, options = {}) {
+    const {
+        debounceMs = DEBOUNCE_MS,
+        onImport = () => {},
+        onError = () => {},
+        watch = fs.watch,
+        runImport = importRecipes,
+        ...importOptions
+    } = options;
+    const changedFiles = new Set();
+    let timer = null;
+    let running = false;
+    let pending = false;
+
+    const run = async () => {
+        timer = null;
+
+        if (running) {
+            pending = true;
+            return;
+        }
+
+        const files = Array.from(changedFiles).sort();
+        changedFiles.clear();
+        running = true;
+
+        try {
+            const stats = await runImport(inputPath, { ...importOptions, incremental: true, silent: true });
+            onImport(stats, files);
+        } catch (error) {
+            onError(error);
+        } finally {
+            running = false;
+        }
+
+        if (pending) {
+            pending = false;
+            await run();
+        }
+    };
+
+    const isDirectory = fs.statSync(inputPath).isDirectory();
+    const watcher = watch(inputPath, { recursive: isDirectory }, (eventType, filename) => {
+        if (!isWatchedFile(filename)) {
+            return;
+        }
+
+        changedFiles.add(filename ? filename.split(path.sep).join('/') : inputPath);
+        clearTimeout(timer);
+        timer = setTimeout(run, debounceMs);
+    });
+
+    return {
+        // Runs an import now, e.g. to catch up with changes made while the watcher was not running
+        flush: run,
+
+        close() {
+            clearTimeout(timer);
+            watcher.close();
+        }
+    };
+}
+
+module.exports = {
+    isWatchedFile,
+    hasChanges,
+    watchImport
+};
\ No newline at end of file
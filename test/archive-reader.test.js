@@ -0,0 +1,91 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { createZip } = require('./helpers/create-zip');
+const {
+    isArchive,
+    toArchivePath,
+    splitArchivePath,
+    listArchiveEntries,
+    readArchiveEntry,
+    closeArchives
+} = require('../src/archive-reader');
+
+describe('archive-reader.js', () => {
+    const testDir = path.join(__dirname, 'temp-archives');
+    const jarPath = path.join(testDir, 'create.jar');
+
+    beforeEach(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+        fs.mkdirSync(testDir, { recursive: true });
+        closeArchives();
+    });
+
+    afterEach(() => {
+        closeArchives();
+        fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    describe('isArchive', () => {
+        it('should recognize jar and zip files', () => {
+            expect(isArchive('mods/create.jar')).toBe(true);
+            expect(isArchive('datapacks/tweaks.ZIP')).toBe(true);
+            expect(isArchive('recipes/boat.json')).toBe(false);
+        });
+    });
+
+    describe('splitArchivePath', () => {
+        it('should split virtual archive paths', () => {
+            const virtualPath = toArchivePath('/pack/mods/create.jar', 'data/create/recipe/crushing/ore.json');
+
+            expect(splitArchivePath(virtualPath)).toEqual({
+                archivePath: '/pack/mods/create.jar',
+                entryName: 'data/create/recipe/crushing/ore.json'
+            });
+        });
+
+        it('should return null for plain paths', () => {
+            expect(splitArchivePath('/export/recipes/minecraft/boat.json')).toBeNull();
+        });
+    });
+
+    describe('listArchiveEntries', () => {
+        it('should list file entries and skip directories', () => {
+            createZip(jarPath, {
+                'data/': '',
+                'data/create/recipe/mixing.json': '{}',
+                'META-INF/MANIFEST.MF': 'Manifest-Version: 1.0'
+            });
+
+            expect(listArchiveEntries(jarPath)).toEqual([
+                'data/create/recipe/mixing.json',
+                'META-INF/MANIFEST.MF'
+            ]);
+        });
+
+        it('should reject files that are not zip archives', () => {
+            fs.writeFileSync(jarPath, 'definitely not a zip file, just some text padding it out');
+
+            expect(() => listArchiveEntries(jarPath)).toThrow('Not a valid zip archive');
+        });
+    });
+
+    describe('readArchiveEntry', () => {
+        it('should read deflated and stored entries', () => {
+            createZip(jarPath, {
+                'data/create/recipe/mixing.json': '{"type":"create:mixing"}',
+                'notes.txt': 'stored as-is'
+            });
+
+            expect(readArchiveEntry(jarPath, 'data/create/recipe/mixing.json').toString()).toBe('{"type":"create:mixing"}');
+            expect(readArchiveEntry(jarPath, 'notes.txt').toString()).toBe('stored as-is');
+        });
+
+        it('should throw for missing entries', () => {
+            createZip(jarPath, { 'a.json': '{}' });
+
+            expect(() => readArchiveEntry(jarPath, 'b.json')).toThrow('Entry b.json not found');
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,69 @@
+'use strict';
+
+const { compilePattern, matchesPattern, findMatchingPattern, findModRules } = require('../src/config-patterns');
+
+describe('config-patterns.js', () => {
+    describe('matchesPattern', () => {
+        it('should match exact strings', () => {
+            expect(matchesPattern('create:mixing', 'create:mixing')).toBe(true);
+            expect(matchesPattern('create:mixing', 'create:milling')).toBe(false);
+        });
+
+        it('should match globs', () => {
+            expect(matchesPattern('*:crafting_special_*', 'minecraft:crafting_special_bookcloning')).toBe(true);
+            expect(matchesPattern('*:crafting_special_*', 'minecraft:crafting_shaped')).toBe(false);
+            expect(matchesPattern('mekanism:*', 'mekanism:crushing')).toBe(true);
+            expect(matchesPattern('mekanism:*', 'mekanismgenerators:fission')).toBe(false);
+            expect(matchesPattern('ae2?', 'ae2x')).toBe(true);
+        });
+
+        it('should treat regex characters in globs literally', () => {
+            expect(matchesPattern('create:a.b', 'create:axb')).toBe(false);
+            expect(matchesPattern('create:(x)', 'create:(x)')).toBe(true);
+        });
+
+        it('should match /regex/ patterns with flags', () => {
+            expect(matchesPattern('/^integrated(crafting|tunnels)$/', 'integratedtunnels')).toBe(true);
+            expect(matchesPattern('/^integrated(crafting|tunnels)$/', 'integrateddynamics')).toBe(false);
+            expect(matchesPattern('/^CREATE:/i', 'create:mixing')).toBe(true);
+        });
+    });
+
+    describe('compilePattern', () => {
+        it('should reuse compiled patterns', () => {
+            expect(compilePattern('ars_*')).toBe(compilePattern('ars_*'));
+        });
+
+        it('should report invalid regexes', () => {
+            expect(() => compilePattern('/(unclosed/')).toThrow('Invalid pattern in import config: /(unclosed/');
+        });
+    });
+
+    describe('findMatchingPattern', () => {
+        it('should return the first matching pattern', () => {
+            expect(findMatchingPattern(['create:milling', 'create:*', '*'], 'create:mixing')).toBe('create:*');
+            expect(findMatchingPattern(['create:*'], 'mekanism:crushing')).toBeNull();
+            expect(findMatchingPattern(undefined, 'create:mixing')).toBeNull();
+        });
+    });
+
+    describe('findModRules', () => {
+        const modRules = {
+            'integrated*': { ignoredRecipeTypes: ['*:special'] },
+            integrateddynamics: { recipeTypes: ['integrateddynamics:squeezer'] }
+        };
+
+        it('should prefer an exact key over pattern keys', () => {
+            expect(findModRules(modRules, 'integrateddynamics')).toEqual({
+                key: 'integrateddynamics',
+                rules: modRules.integrateddynamics
+            });
+            expect(findModRules(modRules, 'integratedtunnels').key).toBe('integrated*');
+        });
+
+        it('should return null when no rules apply', () => {
+            expect(findModRules(modRules, 'create')).toBeNull();
+            expect(findModRules(undefined, 'create')).toBeNull();
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,116 @@
+'use strict';
+
+const { buildItemIndex } = require('../src/item-index');
+const { parsePreferences, isPlanAmount, checkPlanPatterns, planCrafting, formatPlanMarkdown } = require('../src/crafting-planner');
+const { stack, recipe } = require('./helpers/recipe-fixtures');
+
+describe('crafting-planner.js', () => {
+    const tags = {
+        'minecraft:logs': { items: ['minecraft:birch_log', 'minecraft:oak_log'], tags: [], missing: [] },
+        'c:ingots/iron': { items: ['minecraft:iron_ingot'], tags: [], missing: [] }
+    };
+    const recipes = [
+        recipe('minecraft:oak_planks', [stack('tag', 'minecraft:logs')], [stack('item', 'minecraft:oak_planks', 4)], { type: 'minecraft:crafting_shapeless' }),
+        recipe('minecraft:stick', [stack('item', 'minecraft:oak_planks', 2)], [stack('item', 'minecraft:stick', 4)]),
+        recipe('minecraft:torch', [stack('item', 'minecraft:coal'), stack('item', 'minecraft:stick')], [stack('item', 'minecraft:torch', 4)]),
+        recipe('minecraft:lantern', [stack('item', 'minecraft:torch'), stack('item', 'minecraft:iron_nugget', 8)], [stack('item', 'minecraft:lantern')]),
+        recipe('minecraft:oak_sign', [stack('item', 'minecraft:stick'), stack('item', 'minecraft:oak_planks', 2)], [stack('item', 'minecraft:oak_sign', 3)]),
+        recipe('minecraft:iron_nugget', [stack('tag', 'c:ingots/iron')], [stack('item', 'minecraft:iron_nugget', 9)], { type: 'minecraft:crafting_shapeless' }),
+        recipe('minecraft:iron_block', [stack('item', 'minecraft:iron_ingot', 9)], [stack('item', 'minecraft:iron_block')]),
+        recipe('minecraft:iron_ingot_from_block', [stack('item', 'minecraft:iron_block')], [stack('item', 'minecraft:iron_ingot', 9)], { type: 'minecraft:crafting_shapeless' }),
+        recipe('minecraft:iron_ingot', [stack('item', 'minecraft:raw_iron')], [stack('item', 'minecraft:iron_ingot')], { type: 'minecraft:smelting' }),
+        recipe('create:crushing/raw_iron', [stack('item', 'minecraft:raw_iron')], [stack('item', 'create:crushed_raw_iron'), stack('item', 'minecraft:iron_nugget', 1, { chance: 0.5 })], { type: 'create:crushing' }),
+        recipe('create:iron_ingot', [stack('item', 'create:crushed_raw_iron')], [stack('item', 'minecraft:iron_ingot', 2)], {
+            type: 'create:splashing',
+            catalysts: [stack('item', 'create:encased_fan')]
+        })
+    ];
+    const index = buildItemIndex(recipes);
+    const rawOf = plan => Object.fromEntries(plan.raw.map(entry => [entry.id, entry.amount]));
+
+    it('should round crafts up to the output count and keep the surplus as leftovers', () => {
+        const plan = planCrafting(index, 'minecraft:stick', 6, { tags });
+
+        expect(plan.tree).toEqual(expect.objectContaining({ id: 'minecraft:stick', amount: 6, crafts: 2, recipe: expect.objectContaining({ id: 'minecraft:stick' }) }));
+        expect(plan.tree.inputs[0]).toEqual(expect.objectContaining({ id: 'minecraft:oak_planks', amount: 4, crafts: 1 }));
+        expect(plan.tree.inputs[0].inputs[0]).toEqual(expect.objectContaining({ id: 'minecraft:birch_log', tag: 'minecraft:logs', raw: true }));
+        expect(plan.raw).toEqual([{ id: 'minecraft:birch_log', kind: 'item', amount: 1 }]);
+        expect(plan.leftovers).toEqual([{ id: 'minecraft:stick', amount: 2 }]);
+    });
+
+    it('should combine crafts across branches', () => {
+        const plan = planCrafting(index, 'minecraft:lantern', 2, { tags });
+
+        expect(plan.tree.inputs[0]).toEqual(expect.objectContaining({ id: 'minecraft:torch', amount: 2, crafts: 1 }));
+        expect(rawOf(plan)).toEqual({ 'minecraft:birch_log': 1, 'minecraft:coal': 1, 'minecraft:raw_iron': 2 });
+        expect(plan.leftovers).toEqual([
+            { id: 'minecraft:iron_nugget', amount: 2 },
+            { id: 'minecraft:oak_planks', amount: 2 },
+            { id: 'minecraft:stick', amount: 3 },
+            { id: 'minecraft:torch', amount: 2 }
+        ]);
+    });
+
+    it('should take what an earlier branch made too much of from the leftovers', () => {
+        const plan = planCrafting(index, 'minecraft:oak_sign', 3, { tags });
+
+        // The stick branch crafts 4 planks and uses 2; the planks slot takes the other 2
+        expect(plan.tree.inputs[1]).toEqual({ id: 'minecraft:oak_planks', kind: 'item', amount: 2, from_leftovers: 2 });
+        expect(rawOf(plan)).toEqual({ 'minecraft:birch_log': 1 });
+    });
+
+    it('should skip recipes that loop back and cut cycles with no way out', () => {
+        const plan = planCrafting(index, 'minecraft:iron_block', 1, { tags });
+        expect(plan.tree.inputs[0].recipe.id).toBe('minecraft:iron_ingot');
+        expect(plan.cycles).toEqual([]);
+
+        const looping = planCrafting(buildItemIndex(recipes.filter(entry => entry.id.startsWith('minecraft:iron_') && entry.type !== 'minecraft:smelting')), 'minecraft:iron_block', 1, { tags });
+        expect(looping.tree.inputs[0]).toEqual(expect.objectContaining({ id: 'minecraft:iron_ingot', raw: true, cycle: true }));
+        expect(looping.cycles).toEqual([['minecraft:iron_block', 'minecraft:iron_ingot']]);
+        expect(rawOf(looping)).toEqual({ 'minecraft:iron_ingot': 9 });
+    });
+
+    it('should follow pinned recipes and tag members, and honour exclusions and raw patterns', () => {
+        const pinned = planCrafting(index, 'minecraft:iron_ingot', 4, { tags, prefer: { 'minecraft:iron_ingot': 'create:iron_ingot' } });
+        expect(pinned.tree).toEqual(expect.objectContaining({ crafts: 2, recipe: expect.objectContaining({ id: 'create:iron_ingot' }) }));
+        expect(rawOf(pinned)).toEqual({ 'minecraft:raw_iron': 2 });
+        expect(pinned.catalysts).toEqual(['create:encased_fan']);
+
+        // Chance outputs never count as made
+        expect(pinned.leftovers).toEqual([]);
+
+        const oak = planCrafting(index, 'minecraft:oak_planks', 4, { tags, prefer: { '#minecraft:logs': 'minecraft:oak_log' } });
+        expect(rawOf(oak)).toEqual({ 'minecraft:oak_log': 1 });
+
+        const noSmelting = planCrafting(index, 'minecraft:iron_ingot', 1, { tags, excludeTypes: ['minecraft:smelting', 'minecraft:crafting_*'], excludeMods: ['create*'] });
+        expect(noSmelting.tree.raw).toBe(true);
+
+        const stopAtLogs = planCrafting(index, 'minecraft:stick', 4, { tags, raw: ['#minecraft:logs', 'minecraft:oak_planks'] });
+        expect(rawOf(stopAtLogs)).toEqual({ 'minecraft:oak_planks': 2 });
+    });
+
+    it('should parse pins and reject malformed ones', () => {
+        expect(parsePreferences(['ae2:controller=ae2:network/blocks/controller', '#c:ingots/iron=minecraft:iron_ingot'])).toEqual({
+            'ae2:controller': 'ae2:network/blocks/controller',
+            '#c:ingots/iron': 'minecraft:iron_ingot'
+        });
+        expect(() => parsePreferences(['ae2:controller'])).toThrow('Invalid preference');
+    });
+
+    it('should only take finite amounts up to the cap and glob patterns', () => {
+        expect(['1', '2.5', 1000000].map(isPlanAmount)).toEqual([true, true, true]);
+        expect(['0', '-2', 'Infinity', '1e9', 'NaN'].map(isPlanAmount)).toEqual([false, false, false, false, false]);
+
+        expect(checkPlanPatterns(['create*', 'minecraft:?_log'])).toEqual(['create*', 'minecraft:?_log']);
+        expect(() => checkPlanPatterns(['/(/'])).toThrow('Regular expressions are not supported');
+    });
+
+    it('should render the plan as Markdown', () => {
+        const markdown = formatPlanMarkdown(planCrafting(index, 'minecraft:stick', 6, { tags }), { dataset: 'atm10' });
+
+        expect(markdown).toContain('# Crafting plan: 6 × minecraft:stick (atm10)');
+        expect(markdown).toContain('| minecraft:birch_log | 1 |');
+        expect(markdown).toContain('- 2 × minecraft:stick');
+        expect(markdown).toContain('  - 4 × minecraft:oak_planks (`minecraft:oak_planks` × 1)');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,132 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { stableStringify, compareRecipes, diffRecipes, resolveDataDir, diffDataDirs, formatDiffMarkdown } = require('../src/dataset-diff');
+
+describe('dataset-diff.js', () => {
+    function recipe(id, type, data, extra = {}) {
+        return { id, mod: id.split(':')[0], type, data: { type, ...data }, ...extra };
+    }
+
+    const before = [
+        recipe('minecraft:boat', 'minecraft:crafting_shaped', { pattern: ['# #', '###'], key: { '#': { item: 'minecraft:oak_planks' } }, result: { id: 'minecraft:oak_boat' } }),
+        recipe('minecraft:glass', 'minecraft:smelting', { ingredient: { item: 'minecraft:sand' }, result: { id: 'minecraft:glass' }, cookingtime: 200 }),
+        recipe('create:crushing/ore', 'create:crushing', { ingredients: [{ item: 'minecraft:iron_ore' }], results: [{ id: 'create:crushed_raw_iron' }] }),
+        recipe('create:old', 'create:mixing', { ingredients: [], results: [] })
+    ];
+    const after = [
+        recipe('minecraft:boat', 'minecraft:crafting_shaped', { result: { id: 'minecraft:oak_boat' }, key: { '#': { item: 'minecraft:oak_planks' } }, pattern: ['# #', '###'] }),
+        recipe('minecraft:glass', 'minecraft:smelting', { ingredient: { tag: 'c:sands' }, result: { id: 'minecraft:glass' }, cookingtime: 100 }),
+        recipe('create:crushing/ore', 'create:crushing', { ingredients: [{ item: 'minecraft:iron_ore' }], results: [{ id: 'create:crushed_raw_iron', count: 2 }] }),
+        recipe('create:new', 'create:mixing', { ingredients: [], results: [] })
+    ];
+
+    describe('stableStringify', () => {
+        it('should ignore object key order', () => {
+            expect(stableStringify({ b: 1, a: [{ d: 2, c: 3 }] })).toBe(stableStringify({ a: [{ c: 3, d: 2 }], b: 1 }));
+            expect(stableStringify([1, 2])).not.toBe(stableStringify([2, 1]));
+        });
+    });
+
+    describe('compareRecipes', () => {
+        it('should return null for identical recipes', () => {
+            expect(compareRecipes(before[0], after[0])).toBeNull();
+        });
+
+        it('should classify changed fields as ingredients, results or other', () => {
+            expect(compareRecipes(before[1], after[1])).toMatchObject({
+                id: 'minecraft:glass',
+                changes: ['ingredients', 'other'],
+                fields: ['cookingtime', 'ingredient']
+            });
+            expect(compareRecipes(before[2], after[2]).changes).toEqual(['results']);
+        });
+
+        it('should report load status changes', () => {
+            const inactive = { ...before[0], load_status: 'inactive' };
+
+            expect(compareRecipes(before[0], inactive).changes).toEqual(['load_status']);
+        });
+    });
+
+    describe('diffRecipes', () => {
+        it('should list added, removed and changed recipes', () => {
+            const diff = diffRecipes(before, after);
+
+            expect(diff.summary).toEqual({ added: 1, removed: 1, changed: 2, unchanged: 1 });
+            expect(diff.added.map(entry => entry.id)).toEqual(['create:new']);
+            expect(diff.removed.map(entry => entry.id)).toEqual(['create:old']);
+            expect(diff.changed.map(entry => entry.id)).toEqual(['create:crushing/ore', 'minecraft:glass']);
+        });
+
+        it('should group changes by mod and type', () => {
+            const diff = diffRecipes(before, after);
+
+            expect(diff.groups).toEqual({
+                create: {
+                    'create:mixing': { added: 1, removed: 1, changed: 0 },
+                    'create:crushing': { added: 0, removed: 0, changed: 1 }
+                },
+                minecraft: {
+                    'minecraft:smelting': { added: 0, removed: 0, changed: 1 }
+                }
+            });
+        });
+
+        it('should compare metadata stats', () => {
+            const diff = diffRecipes(before, after.slice(0, 3), {
+                total_recipes: 4,
+                stats: { by_mod: { minecraft: 2, create: 2 }, by_type: { 'create:mixing': 1 } }
+            }, {
+                total_recipes: 3,
+                stats: { by_mod: { minecraft: 2, create: 1 }, by_type: {} }
+            });
+
+            expect(diff.stats.total).toEqual({ before: 4, after: 3, delta: -1 });
+            expect(diff.stats.by_mod).toEqual({ create: { before: 2, after: 1, delta: -1 } });
+            expect(diff.stats.by_type).toEqual({ 'create:mixing': { before: 1, after: 0, delta: -1 } });
+        });
+    });
+
+    describe('formatDiffMarkdown', () => {
+        it('should render a summary, a mod/type table and recipe lists', () => {
+            const markdown = formatDiffMarkdown(diffRecipes(before, after), { from: 'v1', to: 'v2' });
+
+            expect(markdown).toContain('# Recipe diff: v1 → v2');
+            expect(markdown).toContain('- Recipes: 4 → 4 (0)');
+            expect(markdown).toContain('| create | create:mixing | 1 | 1 | 0 |');
+            expect(markdown).toContain('## Added (1)\n\n- `create:new` (create:mixing)');
+            expect(markdown).toContain('- `minecraft:glass` (minecraft:smelting): ingredients, other');
+        });
+    });
+
+    describe('data directories', () => {
+        const testDir = path.join(__dirname, 'temp-diff');
+
+        function writeDataDir(name, recipes) {
+            const dataDir = path.join(testDir, name);
+            fs.mkdirSync(path.join(dataDir, 'recipes'), { recursive: true });
+            fs.writeFileSync(path.join(dataDir, 'recipes', 'all.json'), JSON.stringify(recipes));
+            return dataDir;
+        }
+
+        afterEach(() => {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        });
+
+        it('should diff two data directories', () => {
+            const diff = diffDataDirs(writeDataDir('v1', before), writeDataDir('v2', after));
+
+            expect(diff.summary).toEqual({ added: 1, removed: 1, changed: 2, unchanged: 1 });
+            expect(diff.stats.total).toEqual({ before: 4, after: 4, delta: 0 });
+        });
+
+        it('should resolve directory paths and reject unknown sides', () => {
+            const dataDir = writeDataDir('v1', before);
+
+            expect(resolveDataDir(dataDir)).toBe(dataDir);
+            expect(() => resolveDataDir(path.join(testDir, 'missing'))).toThrow('No dataset or data directory found');
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,71 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_ROOT, isValidDatasetName, getDataDir, datasetExists, listDatasets } = require('../src/datasets');
+
+describe('datasets.js', () => {
+    const dataRoot = path.join(__dirname, 'temp-datasets');
+
+    function writeDataset(dataDir, metadata) {
+        fs.mkdirSync(path.join(dataDir, 'recipes'), { recursive: true });
+        if (metadata) {
+            fs.writeFileSync(path.join(dataDir, 'metadata.json'), JSON.stringify(metadata));
+        }
+    }
+
+    beforeEach(() => {
+        fs.rmSync(dataRoot, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataRoot, { recursive: true, force: true });
+    });
+
+    describe('getDataDir', () => {
+        it('should keep the default dataset in the data root', () => {
+            expect(getDataDir()).toBe(DATA_ROOT);
+            expect(getDataDir('default', dataRoot)).toBe(dataRoot);
+        });
+
+        it('should put named datasets under datasets/', () => {
+            expect(getDataDir('atm10-2.1', dataRoot)).toBe(path.join(dataRoot, 'datasets', 'atm10-2.1'));
+        });
+
+        it('should reject names that are not plain directory names', () => {
+            expect(() => getDataDir('../secrets', dataRoot)).toThrow('Invalid dataset name');
+            expect(() => getDataDir('..', dataRoot)).toThrow('Invalid dataset name');
+            expect(isValidDatasetName('pack v2')).toBe(false);
+            expect(isValidDatasetName('pack_v2.1')).toBe(true);
+        });
+    });
+
+    describe('datasetExists', () => {
+        it('should check for imported recipes', () => {
+            writeDataset(path.join(dataRoot, 'datasets', 'pack'));
+
+            expect(datasetExists('pack', dataRoot)).toBe(true);
+            expect(datasetExists('other', dataRoot)).toBe(false);
+            expect(datasetExists('../pack', dataRoot)).toBe(false);
+        });
+    });
+
+    describe('listDatasets', () => {
+        it('should list the default dataset first, then named ones by name', () => {
+            writeDataset(dataRoot, { total_recipes: 5, mods: ['minecraft'], generated_at: '2025-09-20T10:00:00.000Z' });
+            writeDataset(path.join(dataRoot, 'datasets', 'zpack'), { total_recipes: 7, mods: ['minecraft', 'create'], generated_at: '2025-09-21T10:00:00.000Z' });
+            writeDataset(path.join(dataRoot, 'datasets', 'apack'));
+            fs.mkdirSync(path.join(dataRoot, 'datasets', 'empty'), { recursive: true });
+
+            expect(listDatasets(dataRoot)).toEqual([
+                { name: 'default', total_recipes: 5, mods: 1, generated_at: '2025-09-20T10:00:00.000Z' },
+                { name: 'apack', total_recipes: 0, mods: 0, generated_at: null },
+                { name: 'zpack', total_recipes: 7, mods: 2, generated_at: '2025-09-21T10:00:00.000Z' }
+            ]);
+        });
+
+        it('should return an empty list before the first import', () => {
+            expect(listDatasets(dataRoot)).toEqual([]);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,61 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const { createEventStream } = require('../src/event-stream');
+
+/**
+ * Minimal stand-in for an http.ServerResponse that records what was written
+ */
+function createResponse() {
+    return {
+        chunks: [],
+        writeHead: jest.fn(),
+        write(chunk) {
+            this.chunks.push(chunk);
+        }
+    };
+}
+
+describe('event-stream.js', () => {
+    it('should open an event stream and push named events to every client', () => {
+        const stream = createEventStream();
+        const first = createResponse();
+        const second = createResponse();
+
+        stream.connect(new EventEmitter(), first);
+        stream.connect(new EventEmitter(), second);
+        stream.broadcast('data-updated', { dataset: 'default', mods: ['create'] });
+
+        expect(first.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+        expect(first.chunks).toContain('event: data-updated\ndata: {"dataset":"default","mods":["create"]}\n\n');
+        expect(second.chunks).toContain('event: data-updated\ndata: {"dataset":"default","mods":["create"]}\n\n');
+    });
+
+    it('should stop writing to clients that disconnected', () => {
+        const stream = createEventStream();
+        const req = new EventEmitter();
+        const res = createResponse();
+
+        stream.connect(req, res);
+        req.emit('close');
+        stream.broadcast('data-updated', {});
+
+        expect(stream.clients.size).toBe(0);
+        expect(res.chunks).toEqual([': connected\n\n']);
+    });
+
+    it('should send heartbeats while clients are connected', () => {
+        jest.useFakeTimers();
+        const stream = createEventStream({ heartbeatMs: 1000 });
+        const req = new EventEmitter();
+        const res = createResponse();
+
+        stream.connect(req, res);
+        jest.advanceTimersByTime(1000);
+        req.emit('close');
+        jest.advanceTimersByTime(1000);
+
+        expect(res.chunks).toEqual([': connected\n\n', ': ping\n\n']);
+        jest.useRealTimers();
+    });
+});
\ No newline at end of file
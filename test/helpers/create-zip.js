@@ -0,0 +1,55 @@
+'use strict';
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+/**
+ * Writes a minimal zip archive for tests. Entries map names to string contents;
+ * names ending in .txt are stored, everything else is deflated.
+ */
+function createZip(zipPath, entries) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const [name, content] of Object.entries(entries)) {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const raw = Buffer.from(content, 'utf8');
+        const method = name.endsWith('.txt') ? 0 : 8;
+        const data = method === 0 ? raw : zlib.deflateRawSync(raw);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(raw.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, nameBuffer, data);
+        centralParts.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + data.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(entries).length, 8);
+    end.writeUInt16LE(Object.keys(entries).length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    fs.writeFileSync(zipPath, Buffer.concat([...localParts, centralDirectory, end]));
+}
+
+module.exports = { createZip };
\ No newline at end of file
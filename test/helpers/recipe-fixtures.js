@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Builds a normalized stack as the importer stores it
+ */
+function stack(kind, id, amount = 1, extra = {}) {
+    return { kind, id, amount, chance: 1, ...extra };
+}
+
+/**
+ * Builds an imported recipe from normalized stacks; shaped crafting unless extra sets another type,
+ * and extra overrides any other field (catalysts, load_status, data, ...)
+ */
+function recipe(id, inputs, outputs, extra = {}) {
+    return {
+        id,
+        name: id.split(/[:/]/).pop(),
+        mod: id.split(':')[0],
+        type: 'minecraft:crafting_shaped',
+        load_status: 'active',
+        inputs,
+        outputs,
+        catalysts: [],
+        data: {},
+        ...extra
+    };
+}
+
+module.exports = { stack, recipe };
\ No newline at end of file
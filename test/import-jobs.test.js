@@ -0,0 +1,189 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseImportRoots, resolveImportPath, summarizeStats, createImportJobs } = require('../src/import-jobs');
+const { watchImport } = require('../src/watch-import');
+
+const baseStats = {
+    total: 3,
+    imported: 2,
+    skipped: 1,
+    ignored: 0,
+    errors: 0,
+    unchanged: 0,
+    incremental: false,
+    tags: 0,
+    names: 0,
+    updatedMods: ['minecraft'],
+    fileErrors: [],
+    changes: { added: [], changed: [], removed: [] },
+    reportId: 'report-1'
+};
+
+// Lets queued jobs run to completion
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('import-jobs.js', () => {
+    let rootDir;
+    let outsideDir;
+
+    beforeEach(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-root-'));
+        outsideDir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-outside-'));
+        fs.mkdirSync(path.join(rootDir, 'atm10', 'kubejs'), { recursive: true });
+    });
+
+    afterEach(() => {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+        fs.rmSync(outsideDir, { recursive: true, force: true });
+    });
+
+    describe('parseImportRoots', () => {
+        it('should split a delimited list and drop blanks', () => {
+            expect(parseImportRoots(['/srv/packs', '', ' /home/me/exports '].join(path.delimiter))).toEqual(['/srv/packs', '/home/me/exports']);
+            expect(parseImportRoots(undefined)).toEqual([]);
+        });
+    });
+
+    describe('resolveImportPath', () => {
+        it('should accept paths inside an import root', () => {
+            const target = path.join(rootDir, 'atm10', 'kubejs');
+
+            expect(resolveImportPath(target, [rootDir])).toBe(fs.realpathSync(target));
+            expect(resolveImportPath(rootDir, [rootDir])).toBe(fs.realpathSync(rootDir));
+        });
+
+        it('should reject paths outside the import roots', () => {
+            expect(() => resolveImportPath(outsideDir, [rootDir])).toThrow('not an existing path inside the allowed import roots');
+            expect(() => resolveImportPath(path.join(rootDir, '..', path.basename(outsideDir)), [rootDir])).toThrow('not an existing path inside the allowed import roots');
+        });
+
+        it('should reject symlinks that point outside the import roots', () => {
+            const link = path.join(rootDir, 'escape');
+            fs.symlinkSync(outsideDir, link);
+
+            expect(() => resolveImportPath(link, [rootDir])).toThrow('not an existing path inside the allowed import roots');
+        });
+
+        it('should reject missing paths and refuse everything without roots', () => {
+            expect(() => resolveImportPath(path.join(rootDir, 'missing'), [rootDir])).toThrow('not an existing path inside the allowed import roots');
+            expect(() => resolveImportPath(path.join(outsideDir, 'missing'), [rootDir])).toThrow('not an existing path inside the allowed import roots');
+            expect(() => resolveImportPath('', [rootDir])).toThrow('Import path is required');
+            expect(() => resolveImportPath(rootDir, [])).toThrow('Server-side imports are disabled');
+        });
+    });
+
+    describe('summarizeStats', () => {
+        it('should keep the headline numbers of an import', () => {
+            expect(summarizeStats(baseStats)).toMatchObject({ total: 3, imported: 2, skipped: 1, updatedMods: ['minecraft'], reportId: 'report-1' });
+        });
+    });
+
+    describe('createImportJobs', () => {
+        it('should run a job in the background and report progress and the summary', async () => {
+            const onEvent = jest.fn();
+            const runImport = jest.fn(async (inputPath, options) => {
+                options.onProgress({ phase: 'parsing', done: 1, total: 3, imported: 1, skipped: 0, ignored: 0, errors: 0 });
+                return baseStats;
+            });
+            const jobs = createImportJobs({ onEvent, runImport });
+
+            const job = jobs.submit({ inputPath: '/srv/packs/atm10', dataset: 'atm10', options: { incremental: true } });
+            await settle();
+
+            expect(runImport).toHaveBeenCalledWith('/srv/packs/atm10', expect.objectContaining({ dataset: 'atm10', incremental: true, silent: true }));
+            expect(onEvent.mock.calls.map(call => call[0])).toEqual(['import-progress', 'import-done']);
+            expect(onEvent).toHaveBeenLastCalledWith('import-done', job, baseStats);
+            expect(jobs.get(job.id)).toMatchObject({ status: 'done', summary: { imported: 2 }, progress: { done: 1, total: 3 } });
+        });
+
+        it('should run jobs one at a time in order', async () => {
+            const order = [];
+            let finishFirst;
+            const runImport = jest.fn(inputPath => {
+                order.push(inputPath);
+                return inputPath === 'first'
+                    ? new Promise(resolve => { finishFirst = () => resolve(baseStats); })
+                    : Promise.resolve(baseStats);
+            });
+            const jobs = createImportJobs({ runImport });
+
+            const first = jobs.submit({ inputPath: 'first' });
+            const second = jobs.submit({ inputPath: 'second' });
+
+            expect(first.status).toBe('running');
+            expect(second.status).toBe('queued');
+            expect(order).toEqual(['first']);
+
+            finishFirst();
+            await settle();
+
+            expect(order).toEqual(['first', 'second']);
+            expect(jobs.list().map(job => job.id)).toEqual([second.id, first.id]);
+        });
+
+        it('should not run a watch re-import alongside a POST /import job on the same dataset', async () => {
+            let active = 0;
+            let maxActive = 0;
+            const finishers = [];
+            const runImport = jest.fn(() => {
+                active++;
+                maxActive = Math.max(maxActive, active);
+                return new Promise(resolve => finishers.push(() => {
+                    active--;
+                    resolve({ ...baseStats, incremental: true });
+                }));
+            });
+            const jobs = createImportJobs({ runImport });
+            const watcher = watchImport(rootDir, {
+                dataset: 'atm10',
+                watch: () => ({ close: () => {} }),
+                runImport: (inputPath, options) => jobs.run({ inputPath, dataset: 'atm10', options, trigger: 'watch' })
+            });
+
+            try {
+                const job = jobs.submit({ inputPath: rootDir, dataset: 'atm10' });
+                const reimport = watcher.flush();
+                await settle();
+
+                expect(runImport).toHaveBeenCalledTimes(1);
+                expect(jobs.list().map(entry => [entry.trigger, entry.status])).toEqual([['watch', 'queued'], ['request', 'running']]);
+
+                finishers.shift()();
+                await settle();
+                finishers.shift()();
+                await reimport;
+
+                expect(runImport).toHaveBeenCalledTimes(2);
+                expect(runImport).toHaveBeenLastCalledWith(rootDir, expect.objectContaining({ dataset: 'atm10', incremental: true }));
+                expect(maxActive).toBe(1);
+                expect(jobs.get(job.id).status).toBe('done');
+            } finally {
+                watcher.close();
+            }
+        });
+
+        it('should resolve run() with the import stats and reject it when the import fails', async () => {
+            const jobs = createImportJobs({ runImport: inputPath => (inputPath === 'bad' ? Promise.reject(new Error('Invalid JSON')) : Promise.resolve(baseStats)) });
+
+            await expect(jobs.run({ inputPath: 'good' })).resolves.toBe(baseStats);
+            await expect(jobs.run({ inputPath: 'bad' })).rejects.toThrow('Invalid JSON');
+        });
+
+        it('should record failures and run cleanup', async () => {
+            const onEvent = jest.fn();
+            const cleanup = jest.fn();
+            const jobs = createImportJobs({ onEvent, runImport: () => Promise.reject(new Error('Invalid dataset name: ..')) });
+
+            const job = jobs.submit({ inputPath: '/tmp/upload.zip', source: 'pack.zip', cleanup });
+            await settle();
+
+            expect(jobs.get(job.id)).toMatchObject({ status: 'failed', error: 'Invalid dataset name: ..', source: 'pack.zip' });
+            expect(onEvent).toHaveBeenCalledWith('import-failed', job);
+            expect(cleanup).toHaveBeenCalled();
+            expect(jobs.get('missing')).toBeNull();
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,108 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { createManifest, loadManifest, saveManifest, hashConfig, toManifestKey, diffManifest } = require('../src/import-manifest');
+
+describe('import-manifest.js', () => {
+    const testDir = path.join(__dirname, 'temp-manifest');
+    const manifestPath = path.join(testDir, 'import-manifest.json');
+
+    beforeEach(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+        fs.mkdirSync(testDir, { recursive: true });
+    });
+
+    afterEach(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    describe('loadManifest / saveManifest', () => {
+        it('should round-trip a manifest', () => {
+            const manifest = createManifest('/export', 'abc');
+            manifest.files['minecraft/boat.json'] = { hash: '123', mod: 'minecraft', id: 'boat' };
+
+            saveManifest(manifestPath, manifest);
+            const loaded = loadManifest(manifestPath);
+
+            expect(loaded.config_hash).toBe('abc');
+            expect(loaded.files).toEqual(manifest.files);
+        });
+
+        it('should return null when the manifest is missing', () => {
+            expect(loadManifest(manifestPath)).toBeNull();
+        });
+
+        it('should ignore manifests from another format version', () => {
+            fs.writeFileSync(manifestPath, JSON.stringify({ version: 0, files: {} }));
+
+            expect(loadManifest(manifestPath)).toBeNull();
+        });
+
+        it('should ignore unreadable manifests', () => {
+            jest.spyOn(console, 'warn').mockImplementation();
+            fs.writeFileSync(manifestPath, 'not json');
+
+            expect(loadManifest(manifestPath)).toBeNull();
+            expect(console.warn).toHaveBeenCalled();
+
+            console.warn.mockRestore();
+        });
+    });
+
+    describe('hashConfig', () => {
+        it('should change when the config changes', () => {
+            const config = { mods: ['minecraft'], recipeTypes: [] };
+
+            expect(hashConfig(config)).toBe(hashConfig({ ...config }));
+            expect(hashConfig(config)).not.toBe(hashConfig({ ...config, mods: ['create'] }));
+        });
+    });
+
+    describe('toManifestKey', () => {
+        it('should build input-relative keys with forward slashes', () => {
+            const inputPath = path.join('export', 'recipes');
+            const filePath = path.join(inputPath, 'create', 'crushing', 'ore.json');
+
+            expect(toManifestKey(inputPath, filePath)).toBe('create/crushing/ore.json');
+        });
+
+        it('should key entries of an archive input by the archive name', () => {
+            const jarPath = path.join('pack', 'mods', 'create.jar');
+
+            expect(toManifestKey(jarPath, `${jarPath}!/data/create/recipe/mixing.json`)).toBe('create.jar!/data/create/recipe/mixing.json');
+        });
+    });
+
+    describe('diffManifest', () => {
+        it('should classify added, changed, removed and unchanged files', () => {
+            const previous = {
+                files: {
+                    'a.json': { hash: '1' },
+                    'b.json': { hash: '2' },
+                    'c.json': { hash: '3' }
+                }
+            };
+
+            const result = diffManifest(previous, {
+                'a.json': '1',
+                'b.json': '22',
+                'd.json': '4'
+            });
+
+            expect(result).toEqual({
+                added: ['d.json'],
+                changed: ['b.json'],
+                removed: ['c.json'],
+                unchanged: ['a.json']
+            });
+        });
+
+        it('should treat every file as added without a previous manifest', () => {
+            const result = diffManifest(null, { 'a.json': '1' });
+
+            expect(result.added).toEqual(['a.json']);
+            expect(result.removed).toEqual([]);
+        });
+    });
+});
\ No newline at end of file
@@ -2,18 +2,29 @@
 
 const fs = require('fs');
 const path = require('path');
-const { importRecipes } = require('../src/import-recipes');
+const { importRecipes, extractModNamespace, extractRecipeId, isRecipeSource, normalizeRecipeType, shouldImportRecipe } = require('../src/import-recipes');
 
 // Mock the utils module
 jest.mock('../src/utils', () => ({
     findJsonFiles: jest.fn(),
     readJsonFile: jest.fn(),
+    readHashedJsonFile: jest.fn(),
     ensureDirectoryExists: jest.fn(),
     writeJsonFile: jest.fn(),
     loadImportConfig: jest.fn()
 }));
 
+// Staging and the swap move real directories; their own tests cover that
+jest.mock('../src/import-snapshots', () => ({
+    DEFAULT_KEEP_SNAPSHOTS: 3,
+    parseKeepSnapshots: jest.requireActual('../src/import-snapshots').parseKeepSnapshots,
+    beginStaging: jest.fn(dataDir => require('path').join(dataDir, '.staging')),
+    swapIn: jest.fn(() => null),
+    recoverSwap: jest.fn(() => false)
+}));
+
 const mockUtils = require('../src/utils');
+const mockSnapshots = require('../src/import-snapshots');
 
 describe('import-recipes.js', () => {
     const testInputPath = '/test/input/path';
@@ -36,6 +47,18 @@ describe('import-recipes.js', () => {
         mockUtils.loadImportConfig.mockReturnValue(mockConfig);
         mockUtils.ensureDirectoryExists.mockImplementation(() => {});
         mockUtils.writeJsonFile.mockImplementation(() => {});
+        // One read per recipe file: hashed, then parsed through readJsonFile unless the hash is already known
+        mockUtils.readHashedJsonFile.mockImplementation((filePath, knownHash = null) => {
+            const hash = `hash:${filePath}`;
+            if (hash === knownHash) {
+                return { hash, unchanged: true };
+            }
+            try {
+                return { hash, data: mockUtils.readJsonFile(filePath) };
+            } catch (error) {
+                return { hash, error };
+            }
+        });
 
         // Mock console methods to avoid test output noise
         jest.spyOn(console, 'log').mockImplementation();
@@ -78,7 +101,7 @@ describe('import-recipes.js', () => {
             const writeCall = mockUtils.writeJsonFile.mock.calls[0];
             expect(writeCall[1]).toHaveLength(2); // Should have 2 recipes
             expect(writeCall[1][0]).toMatchObject({
-                id: 'acacia_boat',
+                id: 'minecraft:acacia_boat',
                 mod: 'minecraft',
                 type: 'minecraft:crafting_shaped'
             });
@@ -133,6 +156,92 @@ describe('import-recipes.js', () => {
             expect(result.skippedTypes.has('minecraft:minecraft:stonecutting')).toBe(true);
         });
 
+        it('should write a report with per-file errors and timings', async () => {
+            mockUtils.findJsonFiles.mockReturnValue([
+                '/test/recipes/minecraft/broken.json',
+                '/test/recipes/minecraft/boat.json'
+            ]);
+            mockUtils.readJsonFile
+                .mockImplementationOnce(() => {
+                    throw new Error('Invalid JSON');
+                })
+                .mockReturnValueOnce({ type: 'minecraft:crafting_shaped' });
+
+            const result = await importRecipes('/test');
+
+            const reportCall = mockUtils.writeJsonFile.mock.calls.find(call => /reports[\/\\].+\.json$/.test(call[0]));
+            const report = reportCall[1];
+
+            expect(report.id).toBe(result.reportId);
+            expect(report.input_path).toBe('/test');
+            expect(report.config_hash).toMatch(/^[0-9a-f]{40}$/);
+            expect(report.timings).toEqual(expect.objectContaining({
+                scan_ms: expect.any(Number),
+                parse_ms: expect.any(Number),
+                write_ms: expect.any(Number),
+                total_ms: expect.any(Number)
+            }));
+            expect(report.stats).toMatchObject({ imported: 1, errors: 1, skippedMods: [], skippedTypes: [] });
+            expect(report.stats.fileErrors).toEqual([{ file: 'recipes/minecraft/broken.json', error: 'Invalid JSON' }]);
+        });
+
+        it('should log and count the rule behind each decision', async () => {
+            mockUtils.loadImportConfig.mockReturnValue({
+                ...mockConfig,
+                recipeTypes: ['minecraft:crafting_*'],
+                ignoredRecipeIds: ['minecraft:*_from_*']
+            });
+            mockUtils.findJsonFiles.mockReturnValue([
+                '/test/recipes/minecraft/boat.json',
+                '/test/recipes/minecraft/stick.json',
+                '/test/recipes/minecraft/slab_from_stone.json'
+            ]);
+            mockUtils.readJsonFile.mockReturnValue({ type: 'minecraft:crafting_shaped' });
+
+            const result = await importRecipes('/test');
+
+            expect(result.imported).toBe(2);
+            expect(result.ignored).toBe(1);
+            expect(result.ruleHits).toEqual({
+                'recipeTypes: minecraft:crafting_*': 2,
+                'ignoredRecipeIds: minecraft:*_from_*': 1
+            });
+            expect(console.log).toHaveBeenCalledWith('✅ minecraft:boat (minecraft:crafting_shaped) [recipeTypes: minecraft:crafting_*]');
+            expect(console.log).toHaveBeenCalledWith('⚠️  Skipped slab_from_stone (recipe ignored) [ignoredRecipeIds: minecraft:*_from_*]');
+        });
+
+        it('should write into a named dataset', async () => {
+            mockUtils.findJsonFiles.mockReturnValue(['/test/recipes/minecraft/boat.json']);
+            mockUtils.readJsonFile.mockReturnValue({ type: 'minecraft:crafting_shaped' });
+
+            await importRecipes('/test', { dataset: 'atm10' });
+
+            const datasetDir = path.join(__dirname, '..', 'data', 'datasets', 'atm10');
+            const stagingDir = path.join(datasetDir, '.staging');
+            const writtenPaths = mockUtils.writeJsonFile.mock.calls.map(call => call[0]);
+
+            expect(writtenPaths).toEqual(expect.arrayContaining([
+                path.join(stagingDir, 'recipes', 'minecraft.json'),
+                path.join(stagingDir, 'metadata.json'),
+                path.join(stagingDir, 'import-manifest.json')
+            ]));
+            expect(writtenPaths.every(writtenPath => writtenPath.startsWith(datasetDir))).toBe(true);
+            expect(mockSnapshots.swapIn).toHaveBeenCalledWith(datasetDir, stagingDir, expect.any(Object));
+        });
+
+        it('should reject invalid dataset names', async () => {
+            await expect(importRecipes('/test', { dataset: '../elsewhere' })).rejects.toThrow('Invalid dataset name');
+        });
+
+        it('should not log anything in silent mode', async () => {
+            mockUtils.findJsonFiles.mockReturnValue(['/test/recipes/minecraft/boat.json']);
+            mockUtils.readJsonFile.mockReturnValue({ type: 'minecraft:crafting_shaped' });
+
+            await importRecipes('/test', { silent: true });
+
+            expect(console.log).not.toHaveBeenCalled();
+        });
+
         it('should handle JSON parsing errors', async () => {
             const mockFiles = ['/test/recipes/minecraft/broken.json'];
 
@@ -172,6 +281,22 @@ describe('import-recipes.js', () => {
             expect(writeCall[1][0].mod).toBe('mekanism');
         });
 
+        it('should extract mod namespace from archive entries', async () => {
+            const mockFiles = ['/pack/mods/mekanism.jar!/data/mekanism/recipes/chemical.json'];
+            const configWithMekanism = {
+                ...mockConfig,
+                mods: [...mockConfig.mods, 'mekanism'],
+                recipeTypes: [...mockConfig.recipeTypes, 'mekanism:*']
+            };
+            mockUtils.loadImportConfig.mockReturnValue(configWithMekanism);
+            mockUtils.findJsonFiles.mockReturnValue(mockFiles);
+            mockUtils.readJsonFile.mockReturnValue({ type: 'mekanism:chemical_conversion' });
+
+            const result = await importRecipes('/pack/mods');
+
+            expect(result.byMod.mekanism).toBe(1);
+        });
+
         it('should support wildcard recipe types', async () => {
             const mockFiles = ['/test/recipes/mekanism/chemical.json'];
             const mockRecipe = { type: 'mekanism:chemical_conversion' };
@@ -209,7 +334,7 @@ describe('import-recipes.js', () => {
             const savedRecipe = writeCall[1][0];
 
             expect(savedRecipe).toMatchObject({
-                id: 'test',
+                id: 'minecraft:test',
                 mod: 'minecraft',
                 type: 'minecraft:crafting_shaped',
                 name: 'test',
@@ -240,8 +365,589 @@ describe('import-recipes.js', () => {
             await importRecipes(testInputPath);
 
             expect(mockUtils.ensureDirectoryExists).toHaveBeenCalledWith(
-                expect.stringMatching(/data[\/\\]recipes$/)
+                expect.stringMatching(/data[\/\\]\.staging[\/\\]recipes$/)
             );
         });
     });
+
+    describe('extractModNamespace', () => {
+        it('should read the namespace after a recipes folder (KubeJS export layout)', () => {
+            expect(extractModNamespace('/export/recipes/create/crushing/ore.json')).toBe('create');
+            expect(extractModNamespace('C:\\export\\recipes\\mekanism\\enriching.json')).toBe('mekanism');
+        });
+
+        it('should support the 1.21 singular recipe folder', () => {
+            expect(extractModNamespace('/export/recipe/create/crushing/ore.json')).toBe('create');
+        });
+
+        it('should read the namespace from datapack paths', () => {
+            expect(extractModNamespace('/pack/datapacks/tweaks/data/kubejs/recipe/custom.json')).toBe('kubejs');
+            expect(extractModNamespace('/pack/data/create/recipes/mixing.json')).toBe('create');
+            expect(extractModNamespace('/mods/create.jar!/data/create/recipe/crushing/ore.json')).toBe('create');
+        });
+
+        it('should fall back to the layout below the input path', () => {
+            expect(extractModNamespace('/export/minecraft/boat.json', {}, { inputPath: '/export' })).toBe('minecraft');
+            expect(extractModNamespace('/export/pack/data/farmersdelight/cooking/stew.json', {}, { inputPath: '/export' })).toBe('farmersdelight');
+        });
+
+        it('should prefer an explicit namespace override', () => {
+            expect(extractModNamespace('/export/recipes/create/ore.json', {}, { namespace: 'kubejs' })).toBe('kubejs');
+            expect(extractModNamespace('/export/boat.json', {}, { namespace: 'minecraft', inputPath: '/export' })).toBe('minecraft');
+        });
+
+        it('should throw when no namespace can be found', () => {
+            expect(() => extractModNamespace('/export/boat.json', {}, { inputPath: '/export' }))
+                .toThrow('Unable to extract mod namespace');
+        });
+    });
+
+    describe('extractRecipeId', () => {
+        it('should keep subdirectories in the recipe ID', () => {
+            expect(extractRecipeId('/export/recipes/create/crushing/copper_ore.json')).toBe('create:crushing/copper_ore');
+            expect(extractRecipeId('/export/recipes/create/milling/copper_ore.json')).toBe('create:milling/copper_ore');
+        });
+
+        it('should build IDs from datapack and archive paths', () => {
+            expect(extractRecipeId('/mods/create.jar!/data/create/recipe/crushing/copper_ore.json')).toBe('create:crushing/copper_ore');
+            expect(extractRecipeId('/export/minecraft/boat.json', { inputPath: '/export' })).toBe('minecraft:boat');
+        });
+
+        it('should combine the namespace override with the detected path', () => {
+            expect(extractRecipeId('/export/recipes/create/crushing/ore.json', { namespace: 'kubejs' })).toBe('kubejs:crushing/ore');
+            expect(extractRecipeId('/export/misc/boat.json', { namespace: 'kubejs', inputPath: '/export/misc' })).toBe('kubejs:boat');
+        });
+    });
+
+    describe('normalizeRecipeType', () => {
+        it('should add the minecraft namespace to bare types', () => {
+            expect(normalizeRecipeType('crafting_shaped')).toBe('minecraft:crafting_shaped');
+            expect(normalizeRecipeType('create:mixing')).toBe('create:mixing');
+        });
+    });
+
+    describe('shouldImportRecipe', () => {
+        it('should give the reason a recipe is not imported', () => {
+            const config = { ...mockConfig, ignoredMods: ['kubejs'], recipeTypes: ['create:*'], mods: ['create'] };
+
+            expect(shouldImportRecipe('create', 'create:mixing', config)).toEqual({ allowed: true, rule: 'recipeTypes: create:*' });
+            expect(shouldImportRecipe('kubejs', 'create:mixing', config)).toEqual({ allowed: false, reason: 'mod ignored', rule: 'ignoredMods: kubejs' });
+            expect(shouldImportRecipe('botania', 'create:mixing', config)).toEqual({ allowed: false, reason: 'mod not supported' });
+            expect(shouldImportRecipe('create', 'minecraft:smelting', config)).toEqual({ allowed: false, reason: 'recipe type not supported' });
+        });
+    });
+
+    describe('shouldImportRecipe patterns and mod rules', () => {
+        const config = {
+            ...mockConfig,
+            mods: ['minecraft', 'mekanism', 'integrated*'],
+            ignoredMods: ['/^kubejs|crafttweaker$/'],
+            recipeTypes: ['minecraft:*', 'mekanism:*', 'integrated*:*'],
+            ignoredRecipeTypes: ['*:crafting_special_*'],
+            ignoredRecipeIds: ['minecraft:*_from_stonecutting'],
+            recipeIds: ['integrateddynamics:special/*'],
+            modRules: {
+                mekanism: {
+                    recipeTypes: ['mekanism:crushing', 'mekanism:enriching'],
+                    ignoredRecipeIds: ['mekanism:compat/*']
+                }
+            }
+        };
+
+        it('should match mods, types and IDs by pattern', () => {
+            expect(shouldImportRecipe('crafttweaker', 'minecraft:crafting_shaped', config))
+                .toEqual({ allowed: false, reason: 'mod ignored', rule: 'ignoredMods: /^kubejs|crafttweaker$/' });
+            expect(shouldImportRecipe('minecraft', 'minecraft:crafting_special_firework_rocket', config))
+                .toEqual({ allowed: false, reason: 'recipe type ignored', rule: 'ignoredRecipeTypes: *:crafting_special_*' });
+            expect(shouldImportRecipe('minecraft', 'minecraft:stonecutting', config, 'minecraft:stone_slab_from_stonecutting'))
+                .toEqual({ allowed: false, reason: 'recipe ignored', rule: 'ignoredRecipeIds: minecraft:*_from_stonecutting' });
+            expect(shouldImportRecipe('integratedtunnels', 'integratedtunnels:importer', config))
+                .toEqual({ allowed: true, rule: 'recipeTypes: integrated*:*' });
+        });
+
+        it('should import recipes listed by ID whatever their type', () => {
+            expect(shouldImportRecipe('integrateddynamics', 'minecraft:crafting_special_custom', config, 'integrateddynamics:special/x'))
+                .toEqual({ allowed: false, reason: 'recipe type ignored', rule: 'ignoredRecipeTypes: *:crafting_special_*' });
+            expect(shouldImportRecipe('integrateddynamics', 'integrateddynamics:special_type', { ...config, recipeTypes: [] }, 'integrateddynamics:special/x'))
+                .toEqual({ allowed: true, rule: 'recipeIds: integrateddynamics:special/*' });
+        });
+
+        it('should replace the global whitelist with a mod whitelist', () => {
+            expect(shouldImportRecipe('mekanism', 'mekanism:crushing', config, 'mekanism:crushing/ore'))
+                .toEqual({ allowed: true, rule: 'modRules.mekanism.recipeTypes: mekanism:crushing' });
+            expect(shouldImportRecipe('mekanism', 'mekanism:sawing', config, 'mekanism:sawing/log'))
+                .toEqual({ allowed: false, reason: 'recipe type not supported' });
+            expect(shouldImportRecipe('mekanism', 'mekanism:crushing', config, 'mekanism:compat/ore'))
+                .toEqual({ allowed: false, reason: 'recipe ignored', rule: 'modRules.mekanism.ignoredRecipeIds: mekanism:compat/*' });
+        });
+
+        it('should not support a mod just because it has mod rules', () => {
+            const withRulesOnly = { ...config, modRules: { botania: { recipeTypes: ['botania:*'] } } };
+
+            expect(shouldImportRecipe('botania', 'botania:petal_apothecary', withRulesOnly))
+                .toEqual({ allowed: false, reason: 'mod not supported' });
+        });
+    });
+
+    describe('isRecipeSource', () => {
+        it('should accept export paths and datapack recipe folders', () => {
+            expect(isRecipeSource('recipes/minecraft/boat.json')).toBe(true);
+            expect(isRecipeSource('data/create/recipe/crushing/ore.json')).toBe(true);
+            expect(isRecipeSource('create.jar!/data/create/recipes/mixing.json')).toBe(true);
+        });
+
+        it('should reject other datapack folders', () => {
+            expect(isRecipeSource('data/create/tags/item/ores.json')).toBe(false);
+            expect(isRecipeSource('data/minecraft/loot_table/blocks/stone.json')).toBe(false);
+        });
+
+        it('should reject resource pack assets', () => {
+            expect(isRecipeSource('assets/create/lang/en_us.json')).toBe(false);
+            expect(isRecipeSource('create.jar!/assets/create/models/item/brass_ingot.json')).toBe(false);
+        });
+    });
+
+    describe('recipe IDs', () => {
+        it('should keep same-named recipes from different subdirectories apart', async () => {
+            mockUtils.loadImportConfig.mockReturnValue({ ...mockConfig, mods: ['create'], recipeTypes: ['create:*'] });
+            mockUtils.findJsonFiles.mockReturnValue([
+                '/export/recipes/create/crushing/copper_ore.json',
+                '/export/recipes/create/milling/copper_ore.json'
+            ]);
+            mockUtils.readJsonFile.mockReturnValue({ type: 'create:crushing' });
+
+            const result = await importRecipes('/export');
+
+            const writeCall = mockUtils.writeJsonFile.mock.calls[0];
+            expect(writeCall[1].map(recipe => recipe.id)).toEqual(['create:crushing/copper_ore', 'create:milling/copper_ore']);
+            expect(writeCall[1].map(recipe => recipe.name)).toEqual(['copper_ore', 'copper_ore']);
+            expect(result.duplicates).toEqual([]);
+        });
+
+        it('should report duplicate IDs and keep the first recipe', async () => {
+            mockUtils.loadImportConfig.mockReturnValue({ ...mockConfig, mods: ['create'], recipeTypes: ['create:*'] });
+            mockUtils.findJsonFiles.mockReturnValue([
+                '/pack/create.jar!/data/create/recipe/crushing/copper_ore.json',
+                '/pack/overrides.zip!/data/create/recipe/crushing/copper_ore.json'
+            ]);
+            mockUtils.readJsonFile.mockReturnValue({ type: 'create:crushing' });
+
+            const result = await importRecipes('/pack');
+
+            expect(result.imported).toBe(1);
+            expect(result.byMod.create).toBe(1);
+            expect(result.duplicates).toEqual([{
+                id: 'create:crushing/copper_ore',
+                kept: 'create.jar!/data/create/recipe/crushing/copper_ore.json',
+                dropped: 'overrides.zip!/data/create/recipe/crushing/copper_ore.json'
+            }]);
+            expect(mockUtils.writeJsonFile.mock.calls[0][1]).toHaveLength(1);
+        });
+    });
+
+    describe('load conditions', () => {
+        it('should mark recipes by whether their load conditions pass', async () => {
+            mockUtils.findJsonFiles.mockReturnValue([
+                '/export/recipes/minecraft/plain.json',
+                '/export/recipes/minecraft/with_create.json',
+                '/export/recipes/minecraft/with_tag.json',
+                '/export/recipes/create/mixing.json'
+            ]);
+            mockUtils.readJsonFile.mockImplementation(filePath => ({
+                '/export/recipes/minecraft/plain.json': { type: 'minecraft:smelting' },
+                '/export/recipes/minecraft/with_create.json': {
+                    type: 'minecraft:smelting',
+                    'neoforge:conditions': [{ type: 'neoforge:mod_loaded', modid: 'thermal' }]
+                },
+                '/export/recipes/minecraft/with_tag.json': {
+                    type: 'minecraft:smelting',
+                    'forge:conditions': [{ type: 'forge:not', value: { type: 'forge:tag_empty', tag: 'c:ingots/tin' } }]
+                },
+                '/export/recipes/create/mixing.json': { type: 'create:mixing' }
+            }[filePath]));
+
+            const result = await importRecipes('/export');
+
+            const saved = mockUtils.writeJsonFile.mock.calls[0][1];
+            expect(saved.map(recipe => recipe.load_status)).toEqual(['active', 'inactive', 'unknown']);
+            expect(result.byStatus).toEqual({ active: 1, inactive: 1, unknown: 1 });
+        });
+
+        it('should count mods from config loadedMods as loaded', async () => {
+            mockUtils.loadImportConfig.mockReturnValue({ ...mockConfig, loadedMods: ['jei'] });
+            mockUtils.findJsonFiles.mockReturnValue(['/export/recipes/minecraft/jei_compat.json']);
+            mockUtils.readJsonFile.mockReturnValue({
+                type: 'minecraft:smelting',
+                'neoforge:conditions': [{ type: 'neoforge:mod_loaded', modid: 'jei' }]
+            });
+
+            await importRecipes('/export');
+
+            expect(mockUtils.writeJsonFile.mock.calls[0][1][0].load_status).toBe('active');
+        });
+    });
+
+    describe('item tags', () => {
+        const tagFiles = {
+            '/pack/data/c/tags/item/ingots/tin.json': { values: [{ id: 'thermal:tin_ingot', required: false }] },
+            '/pack/data/c/tags/item/ingots/copper.json': { values: ['minecraft:copper_ingot'] },
+            '/pack/data/c/tags/item/ingots.json': { values: ['#c:ingots/copper', '#c:ingots/tin', '#c:ingots/zinc'] },
+            '/pack/data/minecraft/recipe/tin_block.json': {
+                type: 'minecraft:smelting',
+                'neoforge:conditions': [{ type: 'neoforge:not', value: { type: 'neoforge:tag_empty', tag: 'c:ingots/copper' } }]
+            },
+            '/pack/data/minecraft/recipe/zinc_block.json': {
+                type: 'minecraft:smelting',
+                'neoforge:conditions': [{ type: 'neoforge:tag_empty', tag: 'c:ingots/copper' }]
+            }
+        };
+
+        beforeEach(() => {
+            mockUtils.findJsonFiles.mockReturnValue(Object.keys(tagFiles));
+            mockUtils.readJsonFile.mockImplementation(filePath => tagFiles[filePath]);
+        });
+
+        it('should resolve item tags and save them next to the recipes', async () => {
+            const result = await importRecipes('/pack');
+
+            const tagsCall = mockUtils.writeJsonFile.mock.calls.find(call => call[0].endsWith('tags.json'));
+            const { tags } = tagsCall[1];
+
+            expect(result.tags).toBe(3);
+            expect(tags['c:ingots'].items).toEqual(['minecraft:copper_ingot', 'thermal:tin_ingot']);
+            expect(tags['c:ingots'].sources).toEqual(['data/c/tags/item/ingots.json']);
+            expect(result.missingTags).toEqual([{ tag: 'c:ingots', missing: 'c:ingots/zinc' }]);
+        });
+
+        it('should not import tag files as recipes', async () => {
+            const result = await importRecipes('/pack');
+
+            expect(result.total).toBe(2);
+        });
+
+        it('should evaluate tag conditions against the imported tags', async () => {
+            await importRecipes('/pack');
+
+            const saved = mockUtils.writeJsonFile.mock.calls.find(call => call[0].endsWith('minecraft.json'))[1];
+            expect(saved.map(recipe => [recipe.id, recipe.load_status])).toEqual([
+                ['minecraft:tin_block', 'active'],
+                ['minecraft:zinc_block', 'inactive']
+            ]);
+        });
+    });
+
+    describe('progress', () => {
+        it('should report scanning and parsing progress', async () => {
+            const files = Array.from({ length: 150 }, (_, i) => `${testInputPath}/recipes/minecraft/recipe_${i}.json`);
+            mockUtils.findJsonFiles.mockReturnValue(files);
+            mockUtils.readJsonFile.mockReturnValue({ type: 'minecraft:crafting_shaped' });
+            const onProgress = jest.fn();
+
+            await importRecipes(testInputPath, { onProgress });
+
+            expect(onProgress.mock.calls.map(([progress]) => [progress.phase, progress.done])).toEqual([
+                ['scanning', 0],
+                ['scanning', 100],
+                ['scanning', 150],
+                ['parsing', 0],
+                ['parsing', 100],
+                ['parsing', 150]
+            ]);
+            expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ total: 150, imported: 150, errors: 0 }));
+        });
+    });
+
+    describe('item names', () => {
+        const packFiles = {
+            '/pack/assets/minecraft/lang/en_us.json': { 'item.minecraft.oak_boat': 'Oak Boat', 'item.minecraft.stick': 'Stick' },
+            '/pack/assets/minecraft/lang/de_de.json': { 'item.minecraft.oak_boat': 'Eichenboot' },
+            '/pack/assets/minecraft/lang/fr_fr.json': { 'item.minecraft.oak_boat': 'Bateau en chêne' },
+            '/pack/data/minecraft/recipe/oak_boat.json': { type: 'minecraft:crafting_shaped', result: { id: 'minecraft:oak_boat' } }
+        };
+
+        beforeEach(() => {
+            mockUtils.findJsonFiles.mockReturnValue(Object.keys(packFiles));
+            mockUtils.readJsonFile.mockImplementation(filePath => packFiles[filePath]);
+        });
+
+        it('should save en_us item names next to the recipes', async () => {
+            const result = await importRecipes('/pack');
+
+            const namesCall = mockUtils.writeJsonFile.mock.calls.find(call => call[0].endsWith('names.json'));
+
+            expect(result.total).toBe(1);
+            expect(result.names).toBe(2);
+            expect(namesCall[1].locale).toBe('en_us');
+            expect(namesCall[1].names).toEqual({ 'minecraft:oak_boat': 'Oak Boat', 'minecraft:stick': 'Stick' });
+        });
+
+        it('should use the requested locale and fall back to en_us', async () => {
+            await importRecipes('/pack', { locale: 'de_DE' });
+
+            const namesCall = mockUtils.writeJsonFile.mock.calls.find(call => call[0].endsWith('names.json'));
+
+            expect(namesCall[1].locale).toBe('de_de');
+            expect(namesCall[1].names).toEqual({ 'minecraft:oak_boat': 'Eichenboot', 'minecraft:stick': 'Stick' });
+            expect(mockUtils.readJsonFile).not.toHaveBeenCalledWith('/pack/assets/minecraft/lang/fr_fr.json');
+        });
+    });
+
+    describe('normalized model', () => {
+        it('should store inputs, outputs and catalysts next to the raw data', async () => {
+            const recipeData = {
+                type: 'minecraft:smelting',
+                ingredient: { tag: 'c:ores/iron' },
+                result: { id: 'minecraft:iron_ingot' },
+                experience: 0.7
+            };
+            mockUtils.findJsonFiles.mockReturnValue(['/export/recipes/minecraft/iron_ingot.json']);
+            mockUtils.readJsonFile.mockReturnValue(recipeData);
+
+            await importRecipes('/export');
+
+            const [saved] = mockUtils.writeJsonFile.mock.calls[0][1];
+            expect(saved.data).toBe(recipeData);
+            expect(saved.inputs).toEqual([{ kind: 'tag', id: 'c:ores/iron', amount: 1, chance: 1 }]);
+            expect(saved.outputs).toEqual([{ kind: 'item', id: 'minecraft:iron_ingot', amount: 1, chance: 1 }]);
+            expect(saved.catalysts).toEqual([]);
+        });
+    });
+
+    describe('storage', () => {
+        it('should reject unknown storage types', async () => {
+            await expect(importRecipes('/export', { storage: 'mongo' })).rejects.toThrow('Unknown storage mongo (use json or sqlite)');
+        });
+
+        (require('../src/sqlite-store').isSqliteAvailable() ? it.skip : it)('should fail early when node:sqlite is missing', async () => {
+            await expect(importRecipes('/export', { storage: 'sqlite' })).rejects.toThrow(/Node 22\.5 or newer/);
+            expect(mockUtils.findJsonFiles).not.toHaveBeenCalled();
+        });
+
+        it('should refuse a snapshot count that is not a whole number before importing anything', async () => {
+            await expect(importRecipes('/export', { keepSnapshots: 'abc' })).rejects.toThrow('keepSnapshots must be a whole number of snapshots, 0 or more (got "abc")');
+
+            mockUtils.loadImportConfig.mockReturnValue({ ...mockConfig, keepSnapshots: -1 });
+            await expect(importRecipes('/export')).rejects.toThrow('keepSnapshots in config/import.json must be a whole number of snapshots, 0 or more (got -1)');
+            expect(mockUtils.findJsonFiles).not.toHaveBeenCalled();
+        });
+
+        it('should record the storage in the manifest', async () => {
+            mockUtils.findJsonFiles.mockReturnValue(['/export/recipes/minecraft/glass.json']);
+            mockUtils.readJsonFile.mockReturnValue({ type: 'minecraft:smelting' });
+
+            await importRecipes('/export');
+
+            const manifestCall = mockUtils.writeJsonFile.mock.calls.find(([filePath]) => filePath.endsWith('import-manifest.json'));
+            expect(manifestCall[1].storage).toBe('json');
+        });
+    });
+
+    describe('schema diagnostics', () => {
+        it('should collect schema problems into the diagnostics report', async () => {
+            mockUtils.findJsonFiles.mockReturnValue(['/export/recipes/minecraft/broken_ingot.json']);
+            mockUtils.readJsonFile.mockReturnValue({ type: 'minecraft:smelting', ingredient: { item: 'minecraft:iron_ore' } });
+
+            const result = await importRecipes('/export');
+
+            expect(result.imported).toBe(1);
+            expect(result.diagnostics).toEqual([{
+                file: 'recipes/minecraft/broken_ingot.json',
+                id: 'minecraft:broken_ingot',
+                type: 'minecraft:smelting',
+                pointer: '/result',
+                problem: 'missing required field "result"'
+            }]);
+
+            const reportCall = mockUtils.writeJsonFile.mock.calls.find(call => call[0].endsWith('import-diagnostics.json'));
+            expect(reportCall[1]).toMatchObject({ input_path: '/export', total: 1, diagnostics: result.diagnostics });
+        });
+    });
+
+    describe('namespace override', () => {
+        it('should import files without a detectable namespace using the override', async () => {
+            mockUtils.findJsonFiles.mockReturnValue([`${testInputPath}/boat.json`]);
+            mockUtils.readJsonFile.mockReturnValue({ type: 'minecraft:crafting_shaped' });
+
+            const result = await importRecipes(testInputPath, { namespace: 'minecraft' });
+
+            expect(result.errors).toBe(0);
+            expect(result.byMod.minecraft).toBe(1);
+        });
+    });
+
+    describe('incremental import', () => {
+        const manifestFor = (files) => ({
+            version: require('../src/import-manifest').MANIFEST_VERSION,
+            config_hash: require('../src/import-manifest').hashConfig(mockConfig),
+            namespace: null,
+            known_mods: ['minecraft'],
+            files
+        });
+
+        // Serves the previous manifest and previously saved mod files from a fake data directory
+        function mockPreviousImport(manifest, savedRecipes, sourceRecipes) {
+            jest.spyOn(fs, 'existsSync').mockImplementation(filePath =>
+                filePath.endsWith('import-manifest.json') ||
+                Object.keys(savedRecipes).some(mod => filePath.endsWith(`${mod}.json`))
+            );
+            jest.spyOn(fs, 'readdirSync').mockReturnValue(Object.keys(savedRecipes).map(mod => `${mod}.json`));
+            jest.spyOn(fs, 'rmSync').mockImplementation(() => {});
+
+            mockUtils.readJsonFile.mockImplementation(filePath => {
+                if (filePath.endsWith('import-manifest.json')) {
+                    return manifest;
+                }
+                const savedMod = Object.keys(savedRecipes).find(mod => filePath.endsWith(path.join('recipes', `${mod}.json`)));
+                if (savedMod && !filePath.startsWith(testInputPath)) {
+                    return savedRecipes[savedMod];
+                }
+                return sourceRecipes[filePath];
+            });
+        }
+
+        it('should only reparse added and changed files', async () => {
+            const files = [
+                `${testInputPath}/recipes/minecraft/boat.json`,
+                `${testInputPath}/recipes/minecraft/sword.json`,
+                `${testInputPath}/recipes/minecraft/torch.json`
+            ];
+            mockUtils.findJsonFiles.mockReturnValue(files);
+
+            mockPreviousImport(
+                manifestFor({
+                    'recipes/minecraft/boat.json': { hash: `hash:${files[0]}`, mod: 'minecraft', id: 'minecraft:boat' },
+                    'recipes/minecraft/sword.json': { hash: 'outdated', mod: 'minecraft', id: 'minecraft:sword' }
+                }),
+                {
+                    minecraft: [
+                        { id: 'minecraft:boat', mod: 'minecraft', type: 'minecraft:crafting_shaped', source: 'recipes/minecraft/boat.json' },
+                        { id: 'minecraft:sword', mod: 'minecraft', type: 'minecraft:crafting_shaped', source: 'recipes/minecraft/sword.json', data: { old: true } }
+                    ]
+                },
+                {
+                    [files[1]]: { type: 'minecraft:crafting_shaped' },
+                    [files[2]]: { type: 'minecraft:crafting_shapeless' }
+                }
+            );
+
+            const result = await importRecipes(testInputPath, { incremental: true });
+
+            expect(result.incremental).toBe(true);
+            expect(result.total).toBe(2);
+            expect(result.unchanged).toBe(1);
+            expect(result.changes.added).toEqual([{ file: 'recipes/minecraft/torch.json', id: 'minecraft:torch' }]);
+            expect(result.changes.changed).toEqual([{ file: 'recipes/minecraft/sword.json', id: 'minecraft:sword' }]);
+            expect(result.changes.removed).toEqual([]);
+            expect(mockUtils.readJsonFile).not.toHaveBeenCalledWith(files[0]);
+            expect(mockUtils.readHashedJsonFile.mock.calls).toEqual([
+                [files[0], `hash:${files[0]}`],
+                [files[1], 'outdated'],
+                [files[2], undefined]
+            ]);
+
+            const writeCall = mockUtils.writeJsonFile.mock.calls.find(call => call[0].endsWith('minecraft.json'));
+            expect(writeCall[1].map(recipe => recipe.id).sort()).toEqual(['minecraft:boat', 'minecraft:sword', 'minecraft:torch']);
+            expect(writeCall[1].find(recipe => recipe.id === 'minecraft:sword').data).toEqual({ type: 'minecraft:crafting_shaped' });
+        });
+
+        it('should drop recipes of removed files and leave emptied mod files out', async () => {
+            mockUtils.findJsonFiles.mockReturnValue([]);
+
+            mockPreviousImport(
+                manifestFor({
+                    'recipes/minecraft/boat.json': { hash: 'abc', mod: 'minecraft', id: 'minecraft:boat' }
+                }),
+                {
+                    minecraft: [{ id: 'minecraft:boat', mod: 'minecraft', source: 'recipes/minecraft/boat.json' }]
+                },
+                {}
+            );
+
+            const result = await importRecipes(testInputPath, { incremental: true });
+
+            expect(result.changes.removed).toEqual([{ file: 'recipes/minecraft/boat.json', id: 'minecraft:boat' }]);
+            expect(mockUtils.writeJsonFile.mock.calls.some(([filePath]) => filePath.endsWith('minecraft.json'))).toBe(false);
+            expect(result.updatedMods).toEqual(['minecraft']);
+        });
+
+        it('should keep the file diff when a mod is removed and only re-evaluate recipes with conditions', async () => {
+            const files = [
+                `${testInputPath}/recipes/minecraft/boat.json`,
+                `${testInputPath}/recipes/minecraft/brass_boat.json`
+            ];
+            const conditional = { type: 'minecraft:crafting_shaped', 'neoforge:conditions': [{ type: 'neoforge:mod_loaded', modid: 'create' }] };
+            mockUtils.findJsonFiles.mockReturnValue(files);
+
+            mockPreviousImport(
+                {
+                    ...manifestFor({
+                        'recipes/minecraft/boat.json': { hash: `hash:${files[0]}`, mod: 'minecraft', id: 'minecraft:boat' },
+                        'recipes/minecraft/brass_boat.json': { hash: `hash:${files[1]}`, mod: 'minecraft', id: 'minecraft:brass_boat', conditions: true },
+                        'recipes/create/brass.json': { hash: 'abc', mod: 'create', id: 'create:brass' }
+                    }),
+                    known_mods: ['create', 'minecraft']
+                },
+                {
+                    minecraft: [
+                        { id: 'minecraft:boat', mod: 'minecraft', source: 'recipes/minecraft/boat.json', load_status: 'active', data: { type: 'minecraft:crafting_shaped' } },
+                        { id: 'minecraft:brass_boat', mod: 'minecraft', source: 'recipes/minecraft/brass_boat.json', load_status: 'active', data: conditional }
+                    ],
+                    create: [{ id: 'create:brass', mod: 'create', source: 'recipes/create/brass.json', load_status: 'active' }]
+                },
+                {}
+            );
+
+            const result = await importRecipes(testInputPath, { incremental: true });
+
+            expect(result.incremental).toBe(true);
+            expect(result.unchanged).toBe(2);
+            expect(result.changes.removed).toEqual([{ file: 'recipes/create/brass.json', id: 'create:brass' }]);
+            expect(result.updatedMods).toEqual(['create', 'minecraft']);
+            // Unchanged files are not read again, even the one whose load status flipped
+            expect(mockUtils.readJsonFile).not.toHaveBeenCalledWith(files[0]);
+            expect(mockUtils.readJsonFile).not.toHaveBeenCalledWith(files[1]);
+
+            const writeCall = mockUtils.writeJsonFile.mock.calls.find(call => call[0].endsWith('minecraft.json'));
+            expect(writeCall[1].map(recipe => [recipe.id, recipe.load_status])).toEqual([
+                ['minecraft:boat', 'active'],
+                ['minecraft:brass_boat', 'inactive']
+            ]);
+        });
+
+        it('should fall back to a full import when the config changed', async () => {
+            const files = [`${testInputPath}/recipes/minecraft/boat.json`];
+            mockUtils.findJsonFiles.mockReturnValue(files);
+
+            mockPreviousImport(
+                { ...manifestFor({ 'recipes/minecraft/boat.json': { hash: `hash:${files[0]}`, mod: 'minecraft', id: 'minecraft:boat' } }), config_hash: 'stale' },
+                {},
+                { [files[0]]: { type: 'minecraft:crafting_shaped' } }
+            );
+
+            const result = await importRecipes(testInputPath, { incremental: true });
+
+            expect(result.incremental).toBe(false);
+            expect(result.imported).toBe(1);
+        });
+
+        it('should save a manifest of hashed source files', async () => {
+            const files = [`${testInputPath}/recipes/minecraft/boat.json`];
+            mockUtils.findJsonFiles.mockReturnValue(files);
+            mockUtils.readJsonFile.mockReturnValue({ type: 'minecraft:crafting_shaped' });
+
+            await importRecipes(testInputPath);
+
+            // A full import hashes what it parses; nothing reads the file a second time
+            expect(mockUtils.readHashedJsonFile).toHaveBeenCalledTimes(1);
+            expect(mockUtils.readJsonFile).toHaveBeenCalledTimes(1);
+
+            const manifestCall = mockUtils.writeJsonFile.mock.calls.find(call => call[0].endsWith('import-manifest.json'));
+            expect(Object.keys(manifestCall[1].files)).toEqual(['recipes/minecraft/boat.json']);
+            expect(manifestCall[1].files['recipes/minecraft/boat.json']).toMatchObject({
+                hash: `hash:${files[0]}`,
+                mod: 'minecraft',
+                id: 'minecraft:boat'
+            });
+        });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,92 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { toReportId, createReport, saveReport, listReports, loadReport } = require('../src/import-reports');
+
+describe('import-reports.js', () => {
+    const reportsDir = path.join(__dirname, 'temp-reports');
+
+    function makeStats(overrides = {}) {
+        return {
+            total: 3,
+            imported: 2,
+            skipped: 1,
+            ignored: 0,
+            errors: 0,
+            incremental: false,
+            byMod: { minecraft: 2 },
+            skippedMods: new Set(['zeta', 'alpha']),
+            skippedTypes: new Set(['create:mixing']),
+            diagnostics: [],
+            fileErrors: [],
+            ...overrides
+        };
+    }
+
+    function makeReport(startedAt, stats = makeStats()) {
+        return createReport(stats, {
+            inputPath: '/export',
+            configHash: 'abc123',
+            startedAt: new Date(startedAt),
+            finishedAt: new Date(new Date(startedAt).getTime() + 1500),
+            timings: { scan_ms: 100, parse_ms: 1200, write_ms: 200 }
+        });
+    }
+
+    beforeEach(() => {
+        fs.rmSync(reportsDir, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+        fs.rmSync(reportsDir, { recursive: true, force: true });
+    });
+
+    describe('createReport', () => {
+        it('should convert sets to sorted arrays and add run details', () => {
+            const report = makeReport('2025-09-20T10:00:00.000Z');
+
+            expect(report.id).toBe(toReportId('2025-09-20T10:00:00.000Z'));
+            expect(report.input_path).toBe('/export');
+            expect(report.config_hash).toBe('abc123');
+            expect(report.timings.total_ms).toBe(1500);
+            expect(report.stats.skippedMods).toEqual(['alpha', 'zeta']);
+            expect(report.stats.skippedTypes).toEqual(['create:mixing']);
+            expect(JSON.parse(JSON.stringify(report)).stats.skippedMods).toEqual(['alpha', 'zeta']);
+        });
+    });
+
+    describe('toReportId', () => {
+        it('should produce file-name-safe IDs', () => {
+            expect(toReportId('2025-09-20T10:00:00.000Z')).toBe('2025-09-20T10-00-00-000Z');
+        });
+    });
+
+    describe('saveReport / listReports / loadReport', () => {
+        it('should list saved reports newest first', () => {
+            saveReport(reportsDir, makeReport('2025-09-20T10:00:00.000Z'));
+            saveReport(reportsDir, makeReport('2025-09-21T10:00:00.000Z', makeStats({ errors: 2 })));
+
+            const reports = listReports(reportsDir);
+
+            expect(reports.map(report => report.id)).toEqual(['2025-09-21T10-00-00-000Z', '2025-09-20T10-00-00-000Z']);
+            expect(reports[0]).toMatchObject({ errors: 2, imported: 2, skipped_mods: 2, duration_ms: 1500 });
+        });
+
+        it('should return an empty list when no imports ran yet', () => {
+            expect(listReports(reportsDir)).toEqual([]);
+        });
+
+        it('should load a report by ID', () => {
+            const report = makeReport('2025-09-20T10:00:00.000Z');
+            saveReport(reportsDir, report);
+
+            expect(loadReport(reportsDir, report.id)).toMatchObject({ id: report.id, input_path: '/export' });
+            expect(loadReport(reportsDir, 'missing')).toBeNull();
+        });
+
+        it('should refuse IDs that could leave the reports directory', () => {
+            expect(loadReport(reportsDir, '../metadata')).toBeNull();
+        });
+    });
+});
\ No newline at end of file
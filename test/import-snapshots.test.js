@@ -0,0 +1,193 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseKeepSnapshots, beginStaging, swapIn, recoverSwap, listSnapshots, pruneSnapshots, rollback } = require('../src/import-snapshots');
+
+describe('import-snapshots.js', () => {
+    let dataDir;
+
+    const write = (relativePath, value) => {
+        const filePath = path.join(dataDir, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(value));
+    };
+    const read = relativePath => JSON.parse(fs.readFileSync(path.join(dataDir, relativePath), 'utf8'));
+    const exists = relativePath => fs.existsSync(path.join(dataDir, relativePath));
+
+    // Writes a complete import into a staging directory, as importRecipes() does
+    const stageImport = (mods, carryOver = []) => {
+        const stagingDir = beginStaging(dataDir, { carryOver });
+
+        for (const mod of mods) {
+            write(path.join('.staging', 'recipes', `${mod}.json`), [{ id: `${mod}:thing` }]);
+        }
+        write(path.join('.staging', 'metadata.json'), { total_recipes: mods.length, generated_at: '2024-01-01T00:00:00.000Z' });
+
+        return stagingDir;
+    };
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pattern-press-snapshots-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    describe('beginStaging', () => {
+        it('should start from an empty directory with the carried-over entries copied in', () => {
+            write('recipes/create.json', [{ id: 'create:a' }]);
+            write('.staging/leftover.json', {});
+
+            const stagingDir = beginStaging(dataDir, { carryOver: ['recipes/create.json', 'recipes/missing.json'] });
+
+            expect(stagingDir).toBe(path.join(dataDir, '.staging'));
+            expect(fs.readdirSync(stagingDir)).toEqual(['recipes']);
+            expect(read('.staging/recipes/create.json')).toEqual([{ id: 'create:a' }]);
+            expect(read('recipes/create.json')).toEqual([{ id: 'create:a' }]);
+        });
+    });
+
+    describe('swapIn', () => {
+        it('should install the first import without a snapshot', () => {
+            const snapshot = swapIn(dataDir, stageImport(['minecraft']));
+
+            expect(snapshot).toBeNull();
+            expect(read('recipes/minecraft.json')).toEqual([{ id: 'minecraft:thing' }]);
+            expect(exists('.staging')).toBe(false);
+            expect(exists('.swap.json')).toBe(false);
+            expect(listSnapshots(dataDir)).toEqual([]);
+        });
+
+        it('should move the live data to a snapshot and drop files of mods that are gone', () => {
+            swapIn(dataDir, stageImport(['minecraft', 'oldmod']));
+            write('reports/report.json', {});
+
+            const snapshot = swapIn(dataDir, stageImport(['minecraft']));
+
+            expect(snapshot).toEqual(expect.any(String));
+            expect(fs.readdirSync(path.join(dataDir, 'recipes'))).toEqual(['minecraft.json']);
+            expect(fs.readdirSync(path.join(dataDir, 'snapshots', snapshot, 'recipes')).sort()).toEqual(['minecraft.json', 'oldmod.json']);
+            expect(exists('reports/report.json')).toBe(true);
+        });
+
+        it('should keep only the newest snapshots', () => {
+            for (let run = 0; run < 5; run++) {
+                swapIn(dataDir, stageImport(['minecraft']), { keep: 2 });
+            }
+
+            expect(listSnapshots(dataDir)).toHaveLength(2);
+        });
+
+        it('should refuse a snapshot count that is not a whole number without touching the data', () => {
+            for (let run = 0; run < 3; run++) {
+                swapIn(dataDir, stageImport(['minecraft']));
+            }
+
+            expect(() => swapIn(dataDir, stageImport(['create']), { keep: NaN })).toThrow('keep must be a whole number of snapshots, 0 or more (got NaN)');
+            expect(() => pruneSnapshots(dataDir, 1.5)).toThrow('(got 1.5)');
+            expect(fs.readdirSync(path.join(dataDir, 'recipes'))).toEqual(['minecraft.json']);
+            expect(listSnapshots(dataDir)).toHaveLength(2);
+        });
+    });
+
+    describe('parseKeepSnapshots', () => {
+        it('should read whole numbers from config and CLI text and reject anything else', () => {
+            expect(parseKeepSnapshots('0')).toBe(0);
+            expect(parseKeepSnapshots(' 5 ')).toBe(5);
+            expect(parseKeepSnapshots(2)).toBe(2);
+            expect(() => parseKeepSnapshots('abc', '--keep')).toThrow('--keep must be a whole number of snapshots, 0 or more (got "abc")');
+            expect(() => parseKeepSnapshots('-1')).toThrow('(got "-1")');
+            expect(() => parseKeepSnapshots(null)).toThrow('(got null)');
+        });
+    });
+
+    describe('recoverSwap', () => {
+        it('should do nothing without a journal', () => {
+            expect(recoverSwap(dataDir)).toBe(false);
+        });
+
+        it('should finish a swap interrupted while retiring the live data', () => {
+            write('recipes/oldmod.json', []);
+            write('metadata.json', { total_recipes: 1 });
+            const stagingDir = stageImport(['minecraft']);
+
+            // Crashed after moving the recipes but before the metadata
+            fs.mkdirSync(path.join(dataDir, 'snapshots', 'crashed'), { recursive: true });
+            fs.renameSync(path.join(dataDir, 'recipes'), path.join(dataDir, 'snapshots', 'crashed', 'recipes'));
+            write('.swap.json', { snapshot: 'crashed', source: stagingDir, phase: 'retire' });
+
+            expect(recoverSwap(dataDir)).toBe(true);
+            expect(fs.readdirSync(path.join(dataDir, 'recipes'))).toEqual(['minecraft.json']);
+            expect(read('metadata.json')).toEqual(expect.objectContaining({ total_recipes: 1, generated_at: expect.any(String) }));
+            expect(read('snapshots/crashed/metadata.json')).toEqual({ total_recipes: 1 });
+            expect(exists('snapshots/crashed/recipes/oldmod.json')).toBe(true);
+            expect(exists('.swap.json')).toBe(false);
+        });
+
+        it('should finish a swap interrupted while installing the new data', () => {
+            const stagingDir = stageImport(['minecraft']);
+            fs.mkdirSync(path.join(dataDir, 'snapshots', 'crashed'), { recursive: true });
+            fs.renameSync(path.join(stagingDir, 'metadata.json'), path.join(dataDir, 'metadata.json'));
+            write('.swap.json', { snapshot: 'crashed', source: stagingDir, phase: 'install' });
+
+            recoverSwap(dataDir);
+
+            expect(read('recipes/minecraft.json')).toEqual([{ id: 'minecraft:thing' }]);
+            expect(exists('metadata.json')).toBe(true);
+            expect(exists('.staging')).toBe(false);
+        });
+    });
+
+    describe('listSnapshots and pruneSnapshots', () => {
+        it('should list snapshots newest first with their recipe counts', () => {
+            write('snapshots/2024-01-01T00-00-00-000Z/metadata.json', { total_recipes: 10, generated_at: '2024-01-01' });
+            write('snapshots/2024-02-01T00-00-00-000Z/metadata.json', { total_recipes: 12, generated_at: '2024-02-01' });
+            fs.mkdirSync(path.join(dataDir, 'snapshots', '2024-03-01T00-00-00-000Z'));
+
+            expect(listSnapshots(dataDir)).toEqual([
+                { id: '2024-03-01T00-00-00-000Z', total_recipes: null, generated_at: null },
+                { id: '2024-02-01T00-00-00-000Z', total_recipes: 12, generated_at: '2024-02-01' },
+                { id: '2024-01-01T00-00-00-000Z', total_recipes: 10, generated_at: '2024-01-01' }
+            ]);
+
+            expect(pruneSnapshots(dataDir, 1)).toEqual(['2024-02-01T00-00-00-000Z', '2024-01-01T00-00-00-000Z']);
+            expect(listSnapshots(dataDir).map(snapshot => snapshot.id)).toEqual(['2024-03-01T00-00-00-000Z']);
+        });
+    });
+
+    describe('rollback', () => {
+        it('should restore the previous data and keep the replaced data so it can be undone', () => {
+            swapIn(dataDir, stageImport(['minecraft', 'oldmod']));
+            swapIn(dataDir, stageImport(['minecraft']));
+
+            const { restored, saved } = rollback(dataDir);
+
+            expect(restored.total_recipes).toBe(2);
+            expect(fs.readdirSync(path.join(dataDir, 'recipes')).sort()).toEqual(['minecraft.json', 'oldmod.json']);
+            expect(listSnapshots(dataDir).map(snapshot => snapshot.id)).toEqual([saved]);
+
+            rollback(dataDir, { to: saved });
+            expect(fs.readdirSync(path.join(dataDir, 'recipes'))).toEqual(['minecraft.json']);
+        });
+
+        it('should report no saved snapshot when keep 0 prunes it', () => {
+            swapIn(dataDir, stageImport(['minecraft', 'oldmod']));
+            swapIn(dataDir, stageImport(['minecraft']));
+
+            const { restored, saved } = rollback(dataDir, { keep: 0 });
+
+            expect(restored.total_recipes).toBe(2);
+            expect(saved).toBeNull();
+            expect(listSnapshots(dataDir)).toEqual([]);
+            expect(swapIn(dataDir, stageImport(['create']), { keep: 0 })).toBeNull();
+        });
+
+        it('should fail without snapshots or for an unknown one', () => {
+            expect(() => rollback(dataDir)).toThrow('No snapshots to roll back to');
+            expect(() => rollback(dataDir, { to: 'nope' })).toThrow('No snapshot named nope');
+        });
+    });
+});
\ No newline at end of file
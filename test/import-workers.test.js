@@ -0,0 +1,81 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { defaultWorkerCount, readJsonFiles } = require('../src/import-workers');
+const { hashFile } = require('../src/utils');
+
+/**
+ * Collects everything an async iterator yields
+ */
+async function collect(iterator) {
+    const results = [];
+    for await (const result of iterator) {
+        results.push(result);
+    }
+    return results;
+}
+
+describe('import-workers.js', () => {
+    let testDir;
+    let filePaths;
+
+    beforeEach(() => {
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-workers-'));
+        filePaths = Array.from({ length: 7 }, (_, i) => {
+            const filePath = path.join(testDir, `recipe_${i}.json`);
+            fs.writeFileSync(filePath, i === 3 ? '{ broken' : JSON.stringify({ type: 'minecraft:crafting_shaped', n: i }));
+            return filePath;
+        });
+    });
+
+    afterEach(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it('should default to no workers on a single core and cap large machines', () => {
+        const cpus = jest.spyOn(os, 'availableParallelism');
+
+        cpus.mockReturnValue(1);
+        expect(defaultWorkerCount()).toBe(0);
+        cpus.mockReturnValue(4);
+        expect(defaultWorkerCount()).toBe(3);
+        cpus.mockReturnValue(64);
+        expect(defaultWorkerCount()).toBe(8);
+
+        cpus.mockRestore();
+    });
+
+    it('should read files in this thread without workers', async () => {
+        const results = await collect(readJsonFiles(filePaths));
+
+        expect(results.map(result => result.filePath)).toEqual(filePaths);
+        expect(results[0].data).toEqual({ type: 'minecraft:crafting_shaped', n: 0 });
+        expect(results[3].error.message).toMatch(/^Failed to read JSON file .*recipe_3\.json/);
+    });
+
+    it('should give the same results in the same order on a worker pool', async () => {
+        const inThread = await collect(readJsonFiles(filePaths));
+        const pooled = await collect(readJsonFiles(filePaths, { workers: 2, minFiles: 1, batchSize: 2 }));
+
+        expect(pooled.map(result => result.filePath)).toEqual(filePaths);
+        expect(pooled.map(result => result.data)).toEqual(inThread.map(result => result.data));
+        expect(pooled[3].error.message).toBe(inThread[3].error.message);
+        expect(pooled.map(result => result.hash)).toEqual(inThread.map(result => result.hash));
+    });
+
+    it('should hash each file from the same read and skip parsing files with a known hash', async () => {
+        const knownHashes = [hashFile(filePaths[0]), 'outdated', undefined, hashFile(filePaths[3])];
+
+        for (const options of [{}, { workers: 2, minFiles: 1, batchSize: 2 }]) {
+            const results = await collect(readJsonFiles(filePaths, { ...options, knownHashes }));
+
+            expect(results.map(result => result.hash)).toEqual(filePaths.map(hashFile));
+            expect(results[0]).toEqual({ filePath: filePaths[0], hash: knownHashes[0], unchanged: true });
+            expect(results[1].data).toEqual({ type: 'minecraft:crafting_shaped', n: 1 });
+            // A broken file that has not changed is not parsed again either
+            expect(results[3]).toEqual({ filePath: filePaths[3], hash: knownHashes[3], unchanged: true });
+        }
+    });
+});
\ No newline at end of file
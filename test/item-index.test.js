@@ -0,0 +1,58 @@
+'use strict';
+
+const { stackKey, buildItemIndex, expandItemQuery, lookupItemRecipes } = require('../src/item-index');
+const { stack, recipe } = require('./helpers/recipe-fixtures');
+
+describe('item-index.js', () => {
+    const recipes = [
+        recipe('minecraft:copper_block', [stack('tag', 'c:ingots/copper')], [stack('item', 'minecraft:copper_block')]),
+        recipe('create:pressing/copper', [stack('item', 'minecraft:copper_ingot')], [stack('item', 'create:copper_sheet')], {
+            catalysts: [stack('item', 'create:mechanical_press')]
+        }),
+        recipe('minecraft:copper_ingot', [stack('item', 'minecraft:raw_copper', 1, { alternatives: [stack('item', 'minecraft:copper_ore')] })], [
+            stack('item', 'minecraft:copper_ingot'),
+            stack('fluid', 'minecraft:water')
+        ]),
+        { id: 'legacy:recipe', data: {} }
+    ];
+    const tags = {
+        'c:ingots/copper': { items: ['minecraft:copper_ingot'], tags: [], missing: [] },
+        'c:ingots': { items: ['minecraft:copper_ingot', 'minecraft:iron_ingot'], tags: ['c:ingots/copper'], missing: [] }
+    };
+
+    it('should key item tags with a # and everything else by ID', () => {
+        expect(stackKey(stack('tag', 'c:ingots/copper'))).toBe('#c:ingots/copper');
+        expect(stackKey(stack('fluid', '#c:water'))).toBe('#c:water');
+        expect(stackKey(stack('item', 'minecraft:stick'))).toBe('minecraft:stick');
+    });
+
+    it('should index outputs as producers and inputs, alternatives and catalysts as consumers', () => {
+        const index = buildItemIndex(recipes);
+
+        expect(index.producers.get('minecraft:copper_ingot')).toEqual([2]);
+        expect(index.producers.get('minecraft:water')).toEqual([2]);
+        expect(index.consumers.get('#c:ingots/copper')).toEqual([0]);
+        expect(index.consumers.get('minecraft:copper_ore')).toEqual([2]);
+        expect(index.consumers.get('create:mechanical_press')).toEqual([1]);
+    });
+
+    it('should expand items to their tags and tags to their items', () => {
+        expect(expandItemQuery('minecraft:copper_ingot', tags)).toEqual(['minecraft:copper_ingot', '#c:ingots/copper', '#c:ingots']);
+        expect(expandItemQuery('#c:ingots/copper', tags)).toEqual(['#c:ingots/copper', 'minecraft:copper_ingot']);
+        expect(expandItemQuery('#constructor', tags)).toEqual(['#constructor']);
+        expect(expandItemQuery('#c:unknown', tags)).toEqual(['#c:unknown']);
+        expect(expandItemQuery('minecraft:stick')).toEqual(['minecraft:stick']);
+    });
+
+    it('should find producers and tag-aware consumers in recipe order', () => {
+        const index = buildItemIndex(recipes);
+        const ids = found => found.map(recipe => recipe.id);
+
+        expect(ids(lookupItemRecipes(index, 'producers', expandItemQuery('minecraft:copper_ingot', tags)))).toEqual(['minecraft:copper_ingot']);
+        expect(ids(lookupItemRecipes(index, 'consumers', expandItemQuery('minecraft:copper_ingot', tags))))
+            .toEqual(['minecraft:copper_block', 'create:pressing/copper']);
+        expect(ids(lookupItemRecipes(index, 'consumers', expandItemQuery('#c:ingots/copper', tags))))
+            .toEqual(['minecraft:copper_block', 'create:pressing/copper']);
+        expect(lookupItemRecipes(index, 'consumers', ['minecraft:stick'])).toEqual([]);
+    });
+});
\ No newline at end of file
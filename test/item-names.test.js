@@ -0,0 +1,82 @@
+'use strict';
+
+const { extractLangFile, buildNameDictionary, getResultItemId } = require('../src/item-names');
+
+describe('item-names.js', () => {
+    describe('extractLangFile', () => {
+        it('should read namespace and locale from lang file paths', () => {
+            expect(extractLangFile('/pack/assets/create/lang/en_us.json')).toEqual({ namespace: 'create', locale: 'en_us' });
+            expect(extractLangFile('/mods/create.jar!/assets/create/lang/de_DE.json')).toEqual({ namespace: 'create', locale: 'de_de' });
+            expect(extractLangFile('C:\\packs\\assets\\minecraft\\lang\\fr_fr.json')).toEqual({ namespace: 'minecraft', locale: 'fr_fr' });
+        });
+
+        it('should ignore other files', () => {
+            expect(extractLangFile('/pack/assets/create/models/item/brass_ingot.json')).toBeNull();
+            expect(extractLangFile('/pack/data/create/recipe/crushing/ore.json')).toBeNull();
+            expect(extractLangFile('lang/en_us.json')).toBeNull();
+        });
+    });
+
+    describe('buildNameDictionary', () => {
+        it('should map item and block keys to item IDs', () => {
+            const names = buildNameDictionary([{
+                locale: 'en_us',
+                data: {
+                    'item.create.brass_ingot': 'Brass Ingot',
+                    'block.create.brass_block': 'Block of Brass',
+                    'item.create.brass_ingot.tooltip': 'Tooltip text',
+                    'itemGroup.create.base': 'Create',
+                    'create.gui.title': 'Not an item'
+                }
+            }]);
+
+            expect(names).toEqual({
+                'create:brass_ingot': 'Brass Ingot',
+                'create:brass_block': 'Block of Brass'
+            });
+        });
+
+        it('should prefer item names over block names for the same ID', () => {
+            const names = buildNameDictionary([{
+                locale: 'en_us',
+                data: { 'item.farmersdelight.rice': 'Rice', 'block.farmersdelight.rice': 'Rice Crop' }
+            }]);
+
+            expect(names['farmersdelight:rice']).toBe('Rice');
+        });
+
+        it('should let later files override earlier ones', () => {
+            const names = buildNameDictionary([
+                { locale: 'en_us', data: { 'item.minecraft.stick': 'Stick' } },
+                { locale: 'en_us', data: { 'item.minecraft.stick': 'Twig' } }
+            ]);
+
+            expect(names['minecraft:stick']).toBe('Twig');
+        });
+
+        it('should fall back to en_us names missing from the requested locale', () => {
+            const names = buildNameDictionary([
+                { locale: 'en_us', data: { 'item.minecraft.stick': 'Stick', 'item.minecraft.coal': 'Coal' } },
+                { locale: 'de_de', data: { 'item.minecraft.stick': 'Stock' } },
+                { locale: 'fr_fr', data: { 'item.minecraft.coal': 'Charbon' } }
+            ], 'de_de');
+
+            expect(names).toEqual({ 'minecraft:stick': 'Stock', 'minecraft:coal': 'Coal' });
+        });
+    });
+
+    describe('getResultItemId', () => {
+        it('should find the result item in the common result shapes', () => {
+            expect(getResultItemId({ result: { id: 'minecraft:oak_boat' } })).toBe('minecraft:oak_boat');
+            expect(getResultItemId({ result: { item: 'minecraft:torch', count: 4 } })).toBe('minecraft:torch');
+            expect(getResultItemId({ result: 'minecraft:stone' })).toBe('minecraft:stone');
+            expect(getResultItemId({ results: [{ id: 'create:crushed_raw_copper' }, { id: 'minecraft:xp' }] })).toBe('create:crushed_raw_copper');
+            expect(getResultItemId({ result: [{ result: { id: 'actuallyadditions:black_quartz' }, chance: 1 }] })).toBe('actuallyadditions:black_quartz');
+        });
+
+        it('should return null for recipes without an item result', () => {
+            expect(getResultItemId({ type: 'minecraft:crafting_special_bookcloning' })).toBeNull();
+            expect(getResultItemId(null)).toBeNull();
+        });
+    });
+});
\ No newline at end of file
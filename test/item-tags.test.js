@@ -0,0 +1,93 @@
+'use strict';
+
+const { extractTagId, parseTagValue, mergeTagFiles, resolveTags, toTagMembership } = require('../src/item-tags');
+
+describe('item-tags.js', () => {
+    describe('extractTagId', () => {
+        it('should read tag IDs from item tag paths', () => {
+            expect(extractTagId('/pack/data/c/tags/item/ingots/copper.json')).toBe('c:ingots/copper');
+            expect(extractTagId('/pack/data/minecraft/tags/items/logs.json')).toBe('minecraft:logs');
+            expect(extractTagId('/mods/create.jar!/data/create/tags/item/blaze_burner_fuel/special.json')).toBe('create:blaze_burner_fuel/special');
+            expect(extractTagId('C:\\pack\\data\\c\\tags\\item\\gems.json')).toBe('c:gems');
+        });
+
+        it('should ignore recipes and other tag registries', () => {
+            expect(extractTagId('/pack/data/create/recipe/crushing/ore.json')).toBeNull();
+            expect(extractTagId('/pack/data/minecraft/tags/block/logs.json')).toBeNull();
+        });
+    });
+
+    describe('parseTagValue', () => {
+        it('should parse items, tag references and optional entries', () => {
+            expect(parseTagValue('minecraft:oak_log')).toEqual({ item: 'minecraft:oak_log', required: true });
+            expect(parseTagValue('#minecraft:logs')).toEqual({ tag: 'minecraft:logs', required: true });
+            expect(parseTagValue({ id: 'create:zinc_ingot', required: false })).toEqual({ item: 'create:zinc_ingot', required: false });
+            expect(parseTagValue({ id: '#c:ores' })).toEqual({ tag: 'c:ores', required: true });
+            expect(parseTagValue(42)).toBeNull();
+        });
+    });
+
+    describe('mergeTagFiles', () => {
+        it('should append values from every file for a tag', () => {
+            const definitions = mergeTagFiles([
+                { id: 'c:ingots', data: { values: ['minecraft:iron_ingot'] }, source: 'a.jar!/data/c/tags/item/ingots.json' },
+                { id: 'c:ingots', data: { values: ['create:zinc_ingot'] }, source: 'b.jar!/data/c/tags/item/ingots.json' }
+            ]);
+
+            expect(definitions['c:ingots'].values.map(value => value.item)).toEqual(['minecraft:iron_ingot', 'create:zinc_ingot']);
+            expect(definitions['c:ingots'].sources).toHaveLength(2);
+        });
+
+        it('should drop earlier values when a file sets replace', () => {
+            const definitions = mergeTagFiles([
+                { id: 'c:ingots', data: { values: ['minecraft:iron_ingot'] }, source: 'mod.jar' },
+                { id: 'c:ingots', data: { replace: true, values: ['minecraft:gold_ingot'] }, source: 'pack.zip' }
+            ]);
+
+            expect(definitions['c:ingots']).toEqual({
+                values: [{ item: 'minecraft:gold_ingot', required: true }],
+                sources: ['pack.zip']
+            });
+        });
+    });
+
+    describe('resolveTags', () => {
+        it('should resolve nested tag references to items', () => {
+            const tags = resolveTags(mergeTagFiles([
+                { id: 'minecraft:logs', data: { values: ['#minecraft:oak_logs', 'minecraft:birch_log'] }, source: 'a' },
+                { id: 'minecraft:oak_logs', data: { values: ['minecraft:oak_log', 'minecraft:oak_wood'] }, source: 'b' },
+                { id: 'c:logs', data: { values: ['#minecraft:logs', 'minecraft:oak_log'] }, source: 'c' }
+            ]));
+
+            expect(tags['c:logs'].items).toEqual(['minecraft:birch_log', 'minecraft:oak_log', 'minecraft:oak_wood']);
+            expect(tags['c:logs'].tags).toEqual(['minecraft:logs']);
+            expect(tags['minecraft:oak_logs'].items).toEqual(['minecraft:oak_log', 'minecraft:oak_wood']);
+        });
+
+        it('should report required references to unknown tags but not optional ones', () => {
+            const tags = resolveTags(mergeTagFiles([
+                { id: 'c:ores', data: { values: ['#c:ores/tin', { id: '#c:ores/zinc', required: false }, 'minecraft:iron_ore'] }, source: 'a' }
+            ]));
+
+            expect(tags['c:ores'].items).toEqual(['minecraft:iron_ore']);
+            expect(tags['c:ores'].missing).toEqual(['c:ores/tin']);
+        });
+
+        it('should break circular references', () => {
+            const tags = resolveTags(mergeTagFiles([
+                { id: 'a:one', data: { values: ['#a:two', 'a:item_one'] }, source: 'a' },
+                { id: 'a:two', data: { values: ['#a:one', 'a:item_two'] }, source: 'b' }
+            ]));
+
+            expect(tags['a:one'].items).toEqual(['a:item_one', 'a:item_two']);
+            expect(tags['a:two'].missing).toEqual(['a:one (circular reference)']);
+        });
+    });
+
+    describe('toTagMembership', () => {
+        it('should map tag IDs to item lists', () => {
+            expect(toTagMembership({ 'c:gems': { items: ['minecraft:diamond'], tags: [], missing: [], sources: [] } }))
+                .toEqual({ 'c:gems': ['minecraft:diamond'] });
+        });
+    });
+});
\ No newline at end of file
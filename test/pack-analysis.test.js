@@ -0,0 +1,87 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadAnalysisConfig, analyzePack, formatAnalysisMarkdown } = require('../src/pack-analysis');
+const { stack, recipe } = require('./helpers/recipe-fixtures');
+
+describe('pack-analysis.js', () => {
+    const tags = {
+        'c:ingots/tin': { items: ['mekanism:ingot_tin'], tags: [], missing: [] },
+        'c:gems/ruby': { items: ['kubejs:ruby'], tags: [], missing: [] }
+    };
+    const ids = findings => findings.map(finding => finding.id);
+
+    it('should list inputs no recipe makes unless they are allowlisted or another option is obtainable', () => {
+        const report = analyzePack([
+            recipe('kubejs:gear', [stack('item', 'kubejs:mystery_dust'), stack('item', 'minecraft:raw_iron')], [stack('item', 'kubejs:gear')]),
+            recipe('kubejs:bronze', [stack('tag', 'c:ingots/tin')], [stack('item', 'kubejs:bronze')]),
+            recipe('mekanism:tin', [stack('item', 'mekanism:raw_tin')], [stack('item', 'mekanism:ingot_tin')]),
+            recipe('kubejs:ring', [stack('tag', 'c:gems/ruby', 1, { alternatives: [stack('item', 'kubejs:gear')] }), stack('tag', 'c:gems/sapphire')],
+                [stack('item', 'kubejs:ring')], { catalysts: [stack('item', 'kubejs:hammer')] })
+        ], { tags, obtainable: ['*:raw_*'] });
+
+        expect(report.unobtainable).toEqual([
+            { id: '#c:gems/sapphire', kind: 'tag', recipes: ['kubejs:ring'] },
+            { id: 'kubejs:hammer', kind: 'item', recipes: ['kubejs:ring'] },
+            { id: 'kubejs:mystery_dust', kind: 'item', recipes: ['kubejs:gear'] }
+        ]);
+    });
+
+    it('should list outputs nothing uses, counting tag inputs and skipping end products', () => {
+        const report = analyzePack([
+            recipe('mekanism:tin', [stack('item', 'mekanism:raw_tin')], [stack('item', 'mekanism:ingot_tin')]),
+            recipe('kubejs:bronze', [stack('tag', 'c:ingots/tin')], [stack('item', 'kubejs:bronze')]),
+            recipe('kubejs:bronze_sword', [stack('item', 'kubejs:bronze', 2)], [stack('item', 'kubejs:bronze_sword')]),
+            recipe('kubejs:old', [stack('item', 'kubejs:bronze')], [stack('item', 'kubejs:unused')], { load_status: 'inactive' })
+        ], { tags, obtainable: ['*:raw_*'], endProducts: ['*:*_sword'] });
+
+        expect(ids(report.orphans)).toEqual([]);
+
+        const withInactive = analyzePack([
+            recipe('kubejs:old', [stack('item', 'kubejs:bronze')], [stack('item', 'kubejs:unused')], { load_status: 'inactive' })
+        ], { includeInactive: true });
+        expect(withInactive.orphans).toEqual([{ id: 'kubejs:unused', kind: 'item', recipes: ['kubejs:old'] }]);
+    });
+
+    it('should find conversion loops that gain items but not balanced ones', () => {
+        const report = analyzePack([
+            recipe('minecraft:iron_block', [stack('item', 'minecraft:iron_ingot', 9)], [stack('item', 'minecraft:iron_block')]),
+            recipe('minecraft:iron_ingot_from_block', [stack('item', 'minecraft:iron_block')], [stack('item', 'minecraft:iron_ingot', 9)]),
+            recipe('kubejs:tin_block', [stack('tag', 'c:ingots/tin', 9)], [stack('item', 'kubejs:tin_block')]),
+            recipe('kubejs:tin_from_block', [stack('item', 'kubejs:tin_block')], [stack('item', 'mekanism:ingot_tin', 10)]),
+            recipe('kubejs:lucky', [stack('item', 'minecraft:gold_nugget')], [stack('item', 'minecraft:gold_nugget', 2, { chance: 0.1 })])
+        ], { tags });
+
+        expect(report.loops).toEqual([
+            { items: ['kubejs:tin_block', 'mekanism:ingot_tin', 'kubejs:tin_block'], gain: 1.111, recipes: ['kubejs:tin_from_block', 'kubejs:tin_block'] }
+        ]);
+        expect(report.summary).toEqual({ recipes: 5, unobtainable: 0, orphans: 0, loops: 1 });
+    });
+
+    it('should render every finding with its recipe IDs', () => {
+        const report = analyzePack([
+            recipe('kubejs:gear', [stack('item', 'kubejs:mystery_dust')], [stack('item', 'kubejs:gear')])
+        ]);
+        const markdown = formatAnalysisMarkdown(report, { dataset: 'atm10' });
+
+        expect(markdown).toContain('# Pack analysis: atm10');
+        expect(markdown).toContain('- kubejs:mystery_dust, needed by `kubejs:gear`');
+        expect(markdown).toContain('- kubejs:gear, made by `kubejs:gear`');
+        expect(markdown).not.toContain('Gain loops');
+    });
+
+    it('should load the allowlists, or empty ones without a config file', () => {
+        const configPath = path.join(os.tmpdir(), `pattern-press-analysis-${process.pid}.json`);
+        fs.writeFileSync(configPath, JSON.stringify({ obtainable: ['minecraft:*_log'] }));
+
+        try {
+            expect(loadAnalysisConfig(configPath)).toEqual({ obtainable: ['minecraft:*_log'], endProducts: [] });
+            expect(loadAnalysisConfig(`${configPath}.missing`)).toEqual({ obtainable: [], endProducts: [] });
+            expect(loadAnalysisConfig().obtainable).toContain('minecraft:water');
+        } finally {
+            fs.rmSync(configPath, { force: true });
+        }
+    });
+});
\ No newline at end of file
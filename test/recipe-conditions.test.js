@@ -0,0 +1,98 @@
+'use strict';
+
+const { createConditionContext, getRecipeConditions, evaluateCondition, evaluateConditions } = require('../src/recipe-conditions');
+
+describe('recipe-conditions.js', () => {
+    const context = createConditionContext({ mods: ['minecraft', 'create', 'mekanism'] });
+
+    describe('getRecipeConditions', () => {
+        it('should collect conditions from every supported key', () => {
+            const conditions = getRecipeConditions({
+                'neoforge:conditions': [{ type: 'neoforge:true' }],
+                'forge:conditions': [{ type: 'forge:false' }],
+                conditions: [{ type: 'forge:mod_loaded', modid: 'create' }]
+            });
+
+            expect(conditions).toHaveLength(3);
+        });
+
+        it('should return an empty list for recipes without conditions', () => {
+            expect(getRecipeConditions({ type: 'minecraft:smelting' })).toEqual([]);
+            expect(getRecipeConditions(null)).toEqual([]);
+        });
+    });
+
+    describe('evaluateCondition', () => {
+        it('should check mod_loaded against the known mods', () => {
+            expect(evaluateCondition({ type: 'neoforge:mod_loaded', modid: 'create' }, context)).toBe(true);
+            expect(evaluateCondition({ type: 'forge:mod_loaded', modid: 'thermal' }, context)).toBe(false);
+        });
+
+        it('should combine conditions with not/and/or', () => {
+            const notThermal = { type: 'neoforge:not', value: { type: 'neoforge:mod_loaded', modid: 'thermal' } };
+            const createAndThermal = {
+                type: 'neoforge:and',
+                values: [{ type: 'neoforge:mod_loaded', modid: 'create' }, { type: 'neoforge:mod_loaded', modid: 'thermal' }]
+            };
+            const createOrThermal = { ...createAndThermal, type: 'neoforge:or' };
+
+            expect(evaluateCondition(notThermal, context)).toBe(true);
+            expect(evaluateCondition(createAndThermal, context)).toBe(false);
+            expect(evaluateCondition(createOrThermal, context)).toBe(true);
+        });
+
+        it('should return null when a condition cannot be decided', () => {
+            expect(evaluateCondition({ type: 'neoforge:tag_empty', tag: 'c:ingots/tin' }, context)).toBeNull();
+            expect(evaluateCondition({ type: 'somemod:config_enabled' }, context)).toBeNull();
+            expect(evaluateCondition({ type: 'neoforge:not', value: { type: 'somemod:config_enabled' } }, context)).toBeNull();
+        });
+
+        it('should evaluate tag conditions when tags are known', () => {
+            const tagContext = createConditionContext({
+                mods: ['minecraft'],
+                tags: { 'c:ingots/tin': [], 'c:ingots/copper': ['minecraft:copper_ingot'] }
+            });
+
+            expect(evaluateCondition({ type: 'neoforge:tag_empty', tag: 'c:ingots/tin' }, tagContext)).toBe(true);
+            expect(evaluateCondition({ type: 'neoforge:tag_empty', tag: 'c:ingots/copper' }, tagContext)).toBe(false);
+        });
+
+        it('should reject items from mods that are not loaded', () => {
+            expect(evaluateCondition({ type: 'neoforge:item_exists', item: 'thermal:tin_ingot' }, context)).toBe(false);
+            expect(evaluateCondition({ type: 'neoforge:item_exists', item: 'create:brass_ingot' }, context)).toBeNull();
+        });
+
+        it('should understand fabric load conditions', () => {
+            expect(evaluateCondition({ condition: 'fabric:all_mods_loaded', values: ['create', 'mekanism'] }, context)).toBe(true);
+            expect(evaluateCondition({ condition: 'fabric:any_mod_loaded', values: ['thermal'] }, context)).toBe(false);
+        });
+    });
+
+    describe('evaluateConditions', () => {
+        it('should treat recipes without conditions as active', () => {
+            expect(evaluateConditions({ type: 'minecraft:smelting' }, context)).toBe('active');
+        });
+
+        it('should require every condition to pass', () => {
+            const recipe = {
+                'neoforge:conditions': [
+                    { type: 'neoforge:mod_loaded', modid: 'create' },
+                    { type: 'neoforge:mod_loaded', modid: 'thermal' }
+                ]
+            };
+
+            expect(evaluateConditions(recipe, context)).toBe('inactive');
+        });
+
+        it('should report unknown when nothing fails but something is undecided', () => {
+            const recipe = {
+                'neoforge:conditions': [
+                    { type: 'neoforge:mod_loaded', modid: 'create' },
+                    { type: 'neoforge:not', value: { type: 'neoforge:tag_empty', tag: 'c:ingots/tin' } }
+                ]
+            };
+
+            expect(evaluateConditions(recipe, context)).toBe('unknown');
+        });
+    });
+});
\ No newline at end of file
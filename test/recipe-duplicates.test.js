@@ -0,0 +1,154 @@
+'use strict';
+
+const { buildUnificationTags, findDuplicateRecipes, filterDuplicateGroups, formatDuplicatesMarkdown } = require('../src/recipe-duplicates');
+const { normalizeRecipe } = require('../src/recipe-normalizer');
+
+// Builds a stored recipe the way the importer does
+function recipe(id, type, data, extra = {}) {
+    const fullData = { type, ...data };
+    return { id, mod: id.split(':')[0], type, source: `${id}.json`, load_status: 'active', data: fullData, ...normalizeRecipe(fullData), ...extra };
+}
+
+const tags = {
+    'c:ingots': { items: ['create:copper_ingot', 'minecraft:copper_ingot', 'minecraft:iron_ingot'] },
+    'c:ingots/copper': { items: ['create:copper_ingot', 'minecraft:copper_ingot'] },
+    'c:ingots/iron': { items: ['minecraft:iron_ingot'] },
+    'minecraft:beacon_payment_items': { items: ['minecraft:copper_ingot', 'minecraft:iron_ingot'] }
+};
+
+describe('recipe-duplicates.js', () => {
+    describe('buildUnificationTags', () => {
+        it('should map items to their smallest material tag', () => {
+            expect(buildUnificationTags(tags)).toEqual({
+                'create:copper_ingot': 'c:ingots/copper',
+                'minecraft:copper_ingot': 'c:ingots/copper',
+                'minecraft:iron_ingot': 'c:ingots/iron'
+            });
+        });
+
+        it('should handle datasets without tags', () => {
+            expect(buildUnificationTags()).toEqual({});
+        });
+    });
+
+    describe('findDuplicateRecipes', () => {
+        const smelting = (id, result, extra) => recipe(id, 'minecraft:smelting', { ingredient: { tag: 'c:raw_materials/copper' }, result: { id: result } }, extra);
+
+        it('should group the same recipe JSON under several IDs as exact duplicates', () => {
+            const report = findDuplicateRecipes([
+                smelting('minecraft:copper_ingot', 'minecraft:copper_ingot'),
+                smelting('jaopca:smelting/copper', 'minecraft:copper_ingot'),
+                smelting('minecraft:iron_ingot', 'minecraft:iron_ingot')
+            ], { tags });
+
+            expect(report.summary).toEqual({ recipes: 3, exact: 1, equivalent: 0, redundant: 1 });
+            expect(report.groups[0]).toMatchObject({
+                kind: 'exact',
+                type: 'minecraft:smelting',
+                unified_by: [],
+                recipes: [
+                    { id: 'jaopca:smelting/copper', mod: 'jaopca', source: 'jaopca:smelting/copper.json', outputs: ['minecraft:copper_ingot'] },
+                    { id: 'minecraft:copper_ingot', mod: 'minecraft', source: 'minecraft:copper_ingot.json', outputs: ['minecraft:copper_ingot'] }
+                ]
+            });
+        });
+
+        it('should group recipes whose outputs share a material tag as equivalent', () => {
+            const report = findDuplicateRecipes([
+                smelting('minecraft:copper_ingot', 'minecraft:copper_ingot'),
+                smelting('create:smelting/copper', 'create:copper_ingot'),
+                smelting('minecraft:iron_from_copper', 'minecraft:iron_ingot')
+            ], { tags });
+
+            expect(report.summary).toEqual({ recipes: 3, exact: 0, equivalent: 1, redundant: 1 });
+            expect(report.groups[0].kind).toBe('equivalent');
+            expect(report.groups[0].unified_by).toEqual(['c:ingots/copper']);
+            expect(report.groups[0].recipes.map(entry => entry.id)).toEqual(['create:smelting/copper', 'minecraft:copper_ingot']);
+        });
+
+        it('should treat recipes with the same model but different JSON as equivalent', () => {
+            const report = findDuplicateRecipes([
+                recipe('a:torch', 'minecraft:crafting_shaped', { pattern: ['C', 'S'], key: { C: { item: 'minecraft:coal' }, S: { item: 'minecraft:stick' } }, result: { id: 'minecraft:torch', count: 4 } }),
+                recipe('b:torch', 'minecraft:crafting_shaped', { pattern: ['X', 'Y'], key: { X: { item: 'minecraft:coal' }, Y: { item: 'minecraft:stick' } }, result: { id: 'minecraft:torch', count: 4 } })
+            ]);
+
+            expect(report.groups).toHaveLength(1);
+            expect(report.groups[0]).toMatchObject({ kind: 'equivalent', unified_by: [] });
+        });
+
+        it('should list exact duplicates inside an equivalent group on their own too', () => {
+            const report = findDuplicateRecipes([
+                smelting('minecraft:copper_ingot', 'minecraft:copper_ingot'),
+                smelting('jaopca:copper_ingot', 'minecraft:copper_ingot'),
+                smelting('create:copper_ingot', 'create:copper_ingot')
+            ], { tags });
+
+            expect(report.groups.map(group => [group.kind, group.recipes.length])).toEqual([['equivalent', 3], ['exact', 2]]);
+            expect(report.summary.redundant).toBe(2);
+        });
+
+        it('should not match recipes of different types, amounts or catalysts', () => {
+            const report = findDuplicateRecipes([
+                recipe('a:glass', 'minecraft:smelting', { ingredient: { item: 'minecraft:sand' }, result: { id: 'minecraft:glass' } }),
+                recipe('a:glass_blasting', 'minecraft:blasting', { ingredient: { item: 'minecraft:sand' }, result: { id: 'minecraft:glass' } }),
+                recipe('b:glass', 'minecraft:smelting', { ingredient: { item: 'minecraft:sand' }, result: { id: 'minecraft:glass', count: 2 } })
+            ]);
+
+            expect(report.groups).toEqual([]);
+        });
+
+        it('should skip inactive recipes unless asked for them', () => {
+            const recipes = [
+                recipe('a:glass', 'minecraft:smelting', { ingredient: { item: 'minecraft:sand' }, result: { id: 'minecraft:glass' } }),
+                recipe('b:glass', 'minecraft:smelting', { ingredient: { item: 'minecraft:sand' }, result: { id: 'minecraft:glass' } }, { load_status: 'inactive' })
+            ];
+
+            expect(findDuplicateRecipes(recipes).groups).toHaveLength(0);
+            expect(findDuplicateRecipes(recipes, { includeInactive: true }).groups).toHaveLength(1);
+        });
+
+        it('should normalize recipes imported before the normalized model', () => {
+            const legacy = data => ({ id: `x:${data.n}`, mod: 'x', type: 'minecraft:smelting', data: { type: 'minecraft:smelting', ingredient: { item: 'minecraft:sand' }, result: { id: 'minecraft:glass' } } });
+
+            expect(findDuplicateRecipes([legacy({ n: 1 }), legacy({ n: 2 })]).summary.exact).toBe(1);
+        });
+    });
+
+    describe('filterDuplicateGroups', () => {
+        const groups = [
+            { kind: 'exact', type: 'minecraft:smelting', recipes: [{ id: 'a:one', mod: 'a' }] },
+            { kind: 'equivalent', type: 'create:crushing', recipes: [{ id: 'b:one', mod: 'b' }, { id: 'c:one', mod: 'c' }] }
+        ];
+
+        it('should filter by kind, type and mod', () => {
+            expect(filterDuplicateGroups(groups, { kind: 'exact' })).toEqual([groups[0]]);
+            expect(filterDuplicateGroups(groups, { type: 'create:crushing' })).toEqual([groups[1]]);
+            expect(filterDuplicateGroups(groups, { mod: 'c' })).toEqual([groups[1]]);
+            expect(filterDuplicateGroups(groups)).toEqual(groups);
+        });
+    });
+
+    describe('formatDuplicatesMarkdown', () => {
+        it('should render a summary and one section per kind', () => {
+            const markdown = formatDuplicatesMarkdown({
+                summary: { recipes: 3, exact: 0, equivalent: 1, redundant: 1 },
+                groups: [{
+                    kind: 'equivalent',
+                    type: 'minecraft:smelting',
+                    unified_by: ['c:ingots/copper'],
+                    recipes: [
+                        { id: 'create:smelting/copper', outputs: ['create:copper_ingot'] },
+                        { id: 'minecraft:copper_ingot', outputs: ['minecraft:copper_ingot'] }
+                    ]
+                }]
+            }, { dataset: 'atm10' });
+
+            expect(markdown).toContain('# Duplicate recipes: atm10');
+            expect(markdown).toContain('- Redundant recipes: 1');
+            expect(markdown).toContain('## Equivalent recipes (1)');
+            expect(markdown).toContain('### minecraft:smelting via #c:ingots/copper');
+            expect(markdown).toContain('- `create:smelting/copper` → create:copper_ingot');
+            expect(markdown).not.toContain('## Exact duplicates');
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,64 @@
+'use strict';
+
+const { selectSubgraph, buildRecipeGraph, formatGraphDot, formatGraphMl, formatGraph } = require('../src/recipe-graph');
+const { stack, recipe } = require('./helpers/recipe-fixtures');
+
+describe('recipe-graph.js', () => {
+    const tags = { 'minecraft:planks': { items: ['minecraft:oak_planks'], tags: [], missing: [] } };
+    const recipes = [
+        recipe('minecraft:oak_planks', [stack('item', 'minecraft:oak_log')], [stack('item', 'minecraft:oak_planks', 4)]),
+        recipe('minecraft:stick', [stack('tag', 'minecraft:planks', 2)], [stack('item', 'minecraft:stick', 4)]),
+        recipe('minecraft:torch', [stack('item', 'minecraft:coal', 1, { alternatives: [stack('item', 'minecraft:charcoal')] }), stack('item', 'minecraft:stick')],
+            [stack('item', 'minecraft:torch', 4)]),
+        recipe('create:milling/torch', [stack('item', 'minecraft:torch')], [stack('item', 'minecraft:glowstone_dust', 1, { chance: 0.25 })], {
+            type: 'create:milling',
+            catalysts: [stack('item', 'create:millstone')]
+        })
+    ];
+    const ids = selected => selected.map(entry => entry.id);
+
+    it('should select the recipes up or down from a root within the depth', () => {
+        expect(ids(selectSubgraph(recipes, 'minecraft:torch', { tags }))).toEqual(['minecraft:oak_planks', 'minecraft:stick', 'minecraft:torch']);
+        expect(ids(selectSubgraph(recipes, 'minecraft:torch', { depth: 2, tags }))).toEqual(['minecraft:stick', 'minecraft:torch']);
+        expect(ids(selectSubgraph(recipes, 'minecraft:oak_planks', { direction: 'down', tags }))).toEqual(['minecraft:stick', 'minecraft:torch', 'create:milling/torch']);
+        expect(ids(selectSubgraph(recipes, 'minecraft:stick', { direction: 'both', depth: 1, tags }))).toEqual(['minecraft:stick', 'minecraft:torch']);
+    });
+
+    it('should link inputs, alternatives and catalysts to recipes, recipes to outputs and items to their tags', () => {
+        const graph = buildRecipeGraph(recipes, { tags, names: { 'minecraft:stick': 'Stick' } });
+
+        expect(graph.summary).toEqual({ recipes: 4, items: 9, edges: 12 });
+        expect(graph.nodes).toEqual(expect.arrayContaining([
+            { id: 'recipe:minecraft:stick', kind: 'recipe', label: 'minecraft:stick', mod: 'minecraft', type: 'minecraft:crafting_shaped' },
+            { id: 'item:minecraft:stick', kind: 'item', item: 'minecraft:stick', label: 'Stick' },
+            { id: 'tag:minecraft:planks', kind: 'tag', item: 'minecraft:planks', label: '#minecraft:planks' }
+        ]));
+        expect(graph.edges).toEqual(expect.arrayContaining([
+            { source: 'tag:minecraft:planks', target: 'recipe:minecraft:stick', role: 'input', amount: 2 },
+            { source: 'item:minecraft:charcoal', target: 'recipe:minecraft:torch', role: 'input', amount: 1, alternative: true },
+            { source: 'item:create:millstone', target: 'recipe:create:milling/torch', role: 'catalyst', amount: 1 },
+            { source: 'recipe:create:milling/torch', target: 'item:minecraft:glowstone_dust', role: 'output', amount: 1, chance: 0.25 },
+            { source: 'item:minecraft:oak_planks', target: 'tag:minecraft:planks', role: 'member' }
+        ]));
+    });
+
+    it('should write DOT with escaped IDs and labelled amounts', () => {
+        const graph = buildRecipeGraph([recipe('kubejs:"quoted"', [stack('item', 'minecraft:coal')], [stack('item', 'minecraft:torch', 4, { chance: 0.5 })])]);
+        const dot = formatGraphDot(graph);
+
+        expect(dot).toMatch(/^digraph recipes \{/);
+        expect(dot).toContain('"recipe:kubejs:\\"quoted\\"" [label="kubejs:\\"quoted\\"", tooltip="minecraft:crafting_shaped", shape=ellipse];');
+        expect(dot).toContain('"item:minecraft:coal" -> "recipe:kubejs:\\"quoted\\"";');
+        expect(dot).toContain('-> "item:minecraft:torch" [label="4 (50%)"];');
+    });
+
+    it('should write GraphML with node and edge data', () => {
+        const graph = buildRecipeGraph([recipe('kubejs:a&b', [stack('item', 'minecraft:coal')], [stack('item', 'minecraft:torch', 4)])]);
+        const graphml = formatGraphMl(graph);
+
+        expect(graphml).toContain('<key id="role" for="edge" attr.name="role" attr.type="string"/>');
+        expect(graphml).toContain('<node id="recipe:kubejs:a&amp;b"><data key="kind">recipe</data><data key="label">kubejs:a&amp;b</data>');
+        expect(graphml).toContain('<edge id="e1" source="recipe:kubejs:a&amp;b" target="item:minecraft:torch"><data key="role">output</data><data key="amount">4</data><data key="chance">1</data></edge>');
+        expect(JSON.parse(formatGraph(graph, 'json')).summary).toEqual({ recipes: 1, items: 2, edges: 2 });
+    });
+});
\ No newline at end of file
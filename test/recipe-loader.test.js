@@ -3,6 +3,7 @@
 const fs = require('fs');
 const path = require('path');
 const RecipeLoader = require('../src/recipe-loader');
+const { parseSearchQuery } = require('../src/recipe-query');
 
 describe('recipe-loader.js', () => {
     let recipeLoader;
@@ -181,11 +182,38 @@ describe('recipe-loader.js', () => {
             expect(result).toHaveLength(2);
         });
 
+        it('should evaluate structured search queries', () => {
+            const ids = search => recipeLoader.filterRecipes(testRecipes, { search }).map(r => r.id);
+
+            expect(ids('boat -type:crafting_shapeless')).toEqual(['boat1']);
+            expect(ids('mod:mekanism OR sword')).toEqual(['sword', 'chem1']);
+            expect(() => recipeLoader.filterRecipes(testRecipes, { search: '(boat' })).toThrow('Missing )');
+        });
+
+        it('should use a query the caller parsed already instead of parsing the search again', () => {
+            const query = parseSearchQuery('mod:mekanism');
+
+            expect(recipeLoader.filterRecipes(testRecipes, { query }).map(r => r.id)).toEqual(['chem1']);
+            expect(recipeLoader.filterRecipes(testRecipes, { search: '(unparsed', query: null })).toHaveLength(testRecipes.length);
+        });
+
         it('should return all recipes when no filters applied', () => {
             const result = recipeLoader.filterRecipes(testRecipes, {});
 
             expect(result).toEqual(testRecipes);
         });
+
+        it('should hide inactive recipes unless requested', () => {
+            const recipes = [
+                ...testRecipes,
+                { id: 'compat', mod: 'minecraft', type: 'minecraft:crafting_shaped', name: 'compat_boat', load_status: 'inactive' },
+                { id: 'maybe', mod: 'minecraft', type: 'minecraft:crafting_shaped', name: 'maybe_boat', load_status: 'unknown' }
+            ];
+
+            expect(recipeLoader.filterRecipes(recipes, {}).map(r => r.id)).not.toContain('compat');
+            expect(recipeLoader.filterRecipes(recipes, {}).map(r => r.id)).toContain('maybe');
+            expect(recipeLoader.filterRecipes(recipes, { includeInactive: true })).toHaveLength(6);
+        });
     });
 
     describe('paginate', () => {
@@ -228,6 +256,52 @@ describe('recipe-loader.js', () => {
         });
     });
 
+    describe('findRecipes', () => {
+        it('should filter and paginate recipes from the JSON files', () => {
+            const loader = new RecipeLoader({ dataDir: testDataDir });
+            fs.mkdirSync(path.join(testDataDir, 'recipes'));
+            fs.writeFileSync(path.join(testDataDir, 'recipes', 'minecraft.json'), JSON.stringify([
+                { id: 'minecraft:stick', name: 'stick', mod: 'minecraft', type: 'minecraft:crafting_shaped', load_status: 'active' },
+                { id: 'minecraft:torch', name: 'torch', mod: 'minecraft', type: 'minecraft:crafting_shaped', load_status: 'active' },
+                { id: 'minecraft:glass', name: 'glass', mod: 'minecraft', type: 'minecraft:smelting', load_status: 'active' }
+            ]));
+            fs.writeFileSync(path.join(testDataDir, 'recipes', 'create.json'), JSON.stringify([
+                { id: 'create:shaft', name: 'shaft', mod: 'create', type: 'minecraft:crafting_shaped', load_status: 'inactive' }
+            ]));
+
+            const result = loader.findRecipes({ type: 'minecraft:crafting_shaped' }, 1, 1);
+
+            expect(result.recipes.map(recipe => recipe.id)).toEqual(['minecraft:stick']);
+            expect(result.pagination).toEqual({ page: 1, limit: 1, total: 2, totalPages: 2, hasNext: true, hasPrev: false });
+            expect(loader.findRecipes({ mod: 'create', includeInactive: true }).recipes.map(recipe => recipe.id)).toEqual(['create:shaft']);
+        });
+    });
+
+    describe('findItemRecipes', () => {
+        it('should find the recipes that make and use an item, matching its tags', () => {
+            const loader = new RecipeLoader({ dataDir: testDataDir });
+            const stack = (kind, id) => ({ kind, id, amount: 1, chance: 1 });
+            fs.mkdirSync(path.join(testDataDir, 'recipes'));
+            fs.writeFileSync(path.join(testDataDir, 'tags.json'), JSON.stringify({
+                tags: { 'c:ingots/iron': { items: ['minecraft:iron_ingot'], tags: [], missing: [] } }
+            }));
+            fs.writeFileSync(path.join(testDataDir, 'recipes', 'minecraft.json'), JSON.stringify([
+                { id: 'minecraft:iron_ingot', name: 'iron_ingot', mod: 'minecraft', type: 'minecraft:smelting', load_status: 'active', inputs: [stack('item', 'minecraft:raw_iron')], outputs: [stack('item', 'minecraft:iron_ingot')] },
+                { id: 'minecraft:bucket', name: 'bucket', mod: 'minecraft', type: 'minecraft:crafting_shaped', load_status: 'active', inputs: [stack('tag', 'c:ingots/iron')], outputs: [stack('item', 'minecraft:bucket')] },
+                { id: 'minecraft:iron_block', name: 'iron_block', mod: 'minecraft', type: 'minecraft:crafting_shaped', load_status: 'inactive', inputs: [stack('item', 'minecraft:iron_ingot')], outputs: [stack('item', 'minecraft:iron_block')] }
+            ]));
+
+            const ids = result => result.recipes.map(recipe => recipe.id);
+
+            expect(ids(loader.findItemRecipes('minecraft:iron_ingot', 'producers'))).toEqual(['minecraft:iron_ingot']);
+            expect(ids(loader.findItemRecipes('minecraft:iron_ingot', 'consumers'))).toEqual(['minecraft:bucket']);
+            expect(ids(loader.findItemRecipes('minecraft:iron_ingot', 'consumers', { includeInactive: true })))
+                .toEqual(['minecraft:bucket', 'minecraft:iron_block']);
+            expect(loader.findItemRecipes('#c:ingots/iron', 'consumers', { includeInactive: true }, 1, 1).pagination)
+                .toEqual({ page: 1, limit: 1, total: 2, totalPages: 2, hasNext: true, hasPrev: false });
+        });
+    });
+
     describe('getStats', () => {
         it('should generate correct statistics', () => {
             const testRecipes = [
@@ -256,6 +330,89 @@ describe('recipe-loader.js', () => {
         });
     });
 
+    describe('dataset directory', () => {
+        it('should read recipes and metadata from the given dataset directory', () => {
+            const datasetDir = path.join(testDataDir, 'dataset');
+            fs.mkdirSync(path.join(datasetDir, 'recipes'), { recursive: true });
+            fs.writeFileSync(path.join(datasetDir, 'recipes', 'create.json'), JSON.stringify([{ id: 'create:a', mod: 'create' }]));
+            fs.writeFileSync(path.join(datasetDir, 'metadata.json'), JSON.stringify({ total_recipes: 1, mods: ['create'] }));
+
+            const loader = new RecipeLoader({ dataDir: datasetDir });
+
+            expect(loader.getAvailableMods()).toEqual(['create']);
+            expect(loader.getMetadata()).toEqual({ total_recipes: 1, mods: ['create'] });
+        });
+    });
+
+    describe('tags', () => {
+        it('should return an empty map when no tags were imported', () => {
+            const loader = new RecipeLoader({ dataDir: testDataDir });
+
+            expect(loader.loadTags()).toEqual({});
+            expect(loader.getTag('c:ingots')).toBeNull();
+        });
+
+        it('should look up tags with or without a leading #', () => {
+            fs.writeFileSync(path.join(testDataDir, 'tags.json'), JSON.stringify({
+                total: 1,
+                tags: { 'c:ingots/copper': { items: ['minecraft:copper_ingot'], tags: [], missing: [], sources: [] } }
+            }));
+            const loader = new RecipeLoader({ dataDir: testDataDir });
+
+            expect(loader.getTag('#c:ingots/copper')).toEqual({
+                id: 'c:ingots/copper',
+                items: ['minecraft:copper_ingot'],
+                tags: [],
+                missing: [],
+                sources: []
+            });
+            expect(loader.getTag('c:ingots/copper').items).toEqual(['minecraft:copper_ingot']);
+        });
+    });
+
+    describe('item names', () => {
+        it('should return an empty dictionary when no lang files were imported', () => {
+            const loader = new RecipeLoader({ dataDir: testDataDir });
+
+            expect(loader.loadNames()).toEqual({ locale: null, names: {} });
+        });
+
+        it('should search recipes by the display name of their result', () => {
+            fs.writeFileSync(path.join(testDataDir, 'names.json'), JSON.stringify({
+                locale: 'en_us',
+                total: 1,
+                names: { 'create:brass_ingot': 'Brass Ingot' }
+            }));
+            const loader = new RecipeLoader({ dataDir: testDataDir });
+            const recipes = [
+                { id: 'create:mixing/brass_ingot', name: 'mixing_brass', data: { results: [{ id: 'create:brass_ingot' }] } },
+                { id: 'minecraft:stick', name: 'stick', data: { result: { id: 'minecraft:stick' } } }
+            ];
+
+            expect(loader.loadNames().locale).toBe('en_us');
+            expect(loader.filterRecipes(recipes, { search: 'brass ingot' }).map(r => r.id)).toEqual(['create:mixing/brass_ingot']);
+        });
+
+        it('should prefer the normalized outputs when searching by display name', () => {
+            fs.writeFileSync(path.join(testDataDir, 'names.json'), JSON.stringify({
+                locale: 'en_us',
+                total: 1,
+                names: { 'mekanism:enriched_iron': 'Enriched Iron' }
+            }));
+            const loader = new RecipeLoader({ dataDir: testDataDir });
+            const recipes = [
+                {
+                    id: 'mekanism:enriching/iron',
+                    name: 'iron',
+                    data: { item_output: { count: 1, id: 'mekanism:enriched_iron' } },
+                    outputs: [{ kind: 'item', id: 'mekanism:enriched_iron', amount: 1, chance: 1 }]
+                }
+            ];
+
+            expect(loader.filterRecipes(recipes, { search: 'enriched iron' })).toHaveLength(1);
+        });
+    });
+
     describe('clearCache', () => {
         it('should clear the cache', () => {
             const testRecipes = [{ id: 'test' }];
@@ -0,0 +1,175 @@
+'use strict';
+
+const { parseStack, normalizeRecipe } = require('../src/recipe-normalizer');
+
+describe('recipe-normalizer.js', () => {
+    describe('parseStack', () => {
+        it('should parse item and tag strings', () => {
+            expect(parseStack('minecraft:stick')).toEqual({ kind: 'item', id: 'minecraft:stick', amount: 1, chance: 1 });
+            expect(parseStack('#c:rods/wooden')).toEqual({ kind: 'tag', id: 'c:rods/wooden', amount: 1, chance: 1 });
+        });
+
+        it('should parse item, tag, fluid and chemical objects with amounts and chances', () => {
+            expect(parseStack({ id: 'minecraft:torch', count: 4 })).toEqual({ kind: 'item', id: 'minecraft:torch', amount: 4, chance: 1 });
+            expect(parseStack({ item: 'create:cinder_flour', chance: 0.25 })).toEqual({ kind: 'item', id: 'create:cinder_flour', amount: 1, chance: 0.25 });
+            expect(parseStack({ tag: 'c:ingots/iron' })).toEqual({ kind: 'tag', id: 'c:ingots/iron', amount: 1, chance: 1 });
+            expect(parseStack({ fluid: 'minecraft:water', amount: 250 })).toEqual({ kind: 'fluid', id: 'minecraft:water', amount: 250, chance: 1 });
+            expect(parseStack({ fluidTag: 'c:milk', amount: 500 })).toEqual({ kind: 'fluid', id: '#c:milk', amount: 500, chance: 1 });
+            expect(parseStack({ chemical: 'mekanism:oxygen', amount: 10 })).toEqual({ kind: 'chemical', id: 'mekanism:oxygen', amount: 10, chance: 1 });
+            expect(parseStack({ gas: 'mekanism:hydrogen', amount: 2 })).toEqual({ kind: 'chemical', id: 'mekanism:hydrogen', amount: 2, chance: 1 });
+        });
+
+        it('should use the field kind for stacks that only carry an ID', () => {
+            expect(parseStack({ tag: 'c:water', amount: 100 }, 'fluid')).toEqual({ kind: 'fluid', id: '#c:water', amount: 100, chance: 1 });
+            expect(parseStack({ id: 'mekanism:sulfuric_acid', amount: 1 }, 'chemical')).toEqual({ kind: 'chemical', id: 'mekanism:sulfuric_acid', amount: 1, chance: 1 });
+        });
+
+        it('should unwrap sized and chanced stacks', () => {
+            expect(parseStack({ ingredient: { tag: 'c:dusts/redstone' }, count: 2 })).toEqual({ kind: 'tag', id: 'c:dusts/redstone', amount: 2, chance: 1 });
+            expect(parseStack({ result: { id: 'actuallyadditions:black_quartz' }, chance: 0.5 })).toEqual({ kind: 'item', id: 'actuallyadditions:black_quartz', amount: 1, chance: 0.5 });
+            expect(parseStack({ item: { item: 'minecraft:diamond' } })).toEqual({ kind: 'item', id: 'minecraft:diamond', amount: 1, chance: 1 });
+        });
+
+        it('should keep the other options of an "any of" slot as alternatives', () => {
+            expect(parseStack([{ item: 'minecraft:coal' }, { item: 'minecraft:charcoal' }])).toEqual({
+                kind: 'item',
+                id: 'minecraft:coal',
+                amount: 1,
+                chance: 1,
+                alternatives: [{ kind: 'item', id: 'minecraft:charcoal', amount: 1, chance: 1 }]
+            });
+            expect(parseStack({ type: 'neoforge:compound', children: [{ tag: 'c:gems/diamond' }] })).toEqual({ kind: 'tag', id: 'c:gems/diamond', amount: 1, chance: 1 });
+        });
+
+        it('should return null for shapes it does not understand', () => {
+            expect(parseStack({ type: 'fabric:custom_data', base: 'x' })).toBeNull();
+            expect(parseStack(null)).toBeNull();
+            expect(parseStack(42)).toBeNull();
+            expect(parseStack([])).toBeNull();
+        });
+    });
+
+    describe('normalizeRecipe', () => {
+        it('should count shaped crafting inputs from the pattern', () => {
+            const model = normalizeRecipe({
+                type: 'minecraft:crafting_shaped',
+                pattern: ['###', ' | ', ' | '],
+                key: { '#': { tag: 'minecraft:planks' }, '|': { item: 'minecraft:stick' }, 'X': { item: 'minecraft:unused' } },
+                result: { id: 'minecraft:wooden_pickaxe', count: 1 }
+            });
+
+            expect(model.inputs).toEqual([
+                { kind: 'tag', id: 'minecraft:planks', amount: 3, chance: 1 },
+                { kind: 'item', id: 'minecraft:stick', amount: 2, chance: 1 }
+            ]);
+            expect(model.outputs).toEqual([{ kind: 'item', id: 'minecraft:wooden_pickaxe', amount: 1, chance: 1 }]);
+            expect(model.catalysts).toEqual([]);
+        });
+
+        it('should list one input per shapeless ingredient', () => {
+            const model = normalizeRecipe({
+                type: 'minecraft:crafting_shapeless',
+                ingredients: ['minecraft:sugar', 'minecraft:egg', '#c:crops/wheat'],
+                result: { id: 'minecraft:cake' }
+            });
+
+            expect(model.inputs.map(stack => `${stack.kind} ${stack.id}`)).toEqual([
+                'item minecraft:sugar',
+                'item minecraft:egg',
+                'tag c:crops/wheat'
+            ]);
+        });
+
+        it('should read fluid inputs and chanced outputs of Create recipes', () => {
+            const model = normalizeRecipe({
+                type: 'create:mixing',
+                ingredients: [{ tag: 'c:ingots/copper' }, { type: 'fluid_stack', fluid: 'minecraft:lava', amount: 100 }],
+                results: [{ id: 'create:brass_ingot', count: 2 }, { id: 'create:cinder_flour', chance: 0.1 }],
+                heat_requirement: 'heated'
+            });
+
+            expect(model.inputs).toEqual([
+                { kind: 'tag', id: 'c:ingots/copper', amount: 1, chance: 1 },
+                { kind: 'fluid', id: 'minecraft:lava', amount: 100, chance: 1 }
+            ]);
+            expect(model.outputs).toEqual([
+                { kind: 'item', id: 'create:brass_ingot', amount: 2, chance: 1 },
+                { kind: 'item', id: 'create:cinder_flour', amount: 1, chance: 0.1 }
+            ]);
+        });
+
+        it('should read chemical fields of Mekanism recipes', () => {
+            const model = normalizeRecipe({
+                type: 'mekanism:chemical_infusing',
+                left_input: { tag: 'mekanism:hydrogen', amount: 1 },
+                right_input: { chemical: 'mekanism:chlorine', amount: 1 },
+                output: { id: 'mekanism:hydrogen_chloride', amount: 1 }
+            });
+
+            expect(model.inputs).toEqual([
+                { kind: 'tag', id: 'mekanism:hydrogen', amount: 1, chance: 1 },
+                { kind: 'chemical', id: 'mekanism:chlorine', amount: 1, chance: 1 }
+            ]);
+            expect(model.outputs).toEqual([{ kind: 'item', id: 'mekanism:hydrogen_chloride', amount: 1, chance: 1 }]);
+
+            expect(normalizeRecipe({
+                type: 'mekanism:rotary',
+                fluid_input: { tag: 'c:water', amount: 1 },
+                chemical_output: { id: 'mekanism:water_vapor', amount: 1 }
+            })).toEqual({
+                inputs: [{ kind: 'fluid', id: '#c:water', amount: 1, chance: 1 }],
+                outputs: [{ kind: 'chemical', id: 'mekanism:water_vapor', amount: 1, chance: 1 }],
+                catalysts: []
+            });
+        });
+
+        it('should read a bare fluid field as a fluid input', () => {
+            expect(normalizeRecipe({
+                type: 'tconstruct:casting_table',
+                fluid: { tag: 'c:molten_iron', amount: 90 },
+                result: 'minecraft:iron_ingot'
+            }).inputs).toEqual([{ kind: 'fluid', id: '#c:molten_iron', amount: 90, chance: 1 }]);
+        });
+
+        it('should treat smithing base, addition and template as inputs', () => {
+            const model = normalizeRecipe({
+                type: 'minecraft:smithing_transform',
+                template: 'minecraft:netherite_upgrade_smithing_template',
+                base: 'minecraft:diamond_sword',
+                addition: '#c:ingots/netherite',
+                result: { id: 'minecraft:netherite_sword' }
+            });
+
+            expect(model.inputs.map(stack => stack.id)).toEqual([
+                'minecraft:netherite_upgrade_smithing_template',
+                'minecraft:diamond_sword',
+                'c:ingots/netherite'
+            ]);
+        });
+
+        it('should list items that are not used up as catalysts', () => {
+            expect(normalizeRecipe({
+                type: 'create:deploying',
+                ingredients: [{ item: 'create:andesite_alloy' }, { tag: 'c:tools/wrench' }],
+                results: [{ id: 'create:shaft' }],
+                keepHeldItem: true
+            })).toEqual({
+                inputs: [{ kind: 'item', id: 'create:andesite_alloy', amount: 1, chance: 1 }],
+                outputs: [{ kind: 'item', id: 'create:shaft', amount: 1, chance: 1 }],
+                catalysts: [{ kind: 'tag', id: 'c:tools/wrench', amount: 1, chance: 1 }]
+            });
+
+            expect(normalizeRecipe({
+                type: 'immersiveengineering:metal_press',
+                input: { tag: 'c:ingots/iron' },
+                mold: 'immersiveengineering:mold_plate',
+                result: { tag: 'c:plates/iron' }
+            }).catalysts).toEqual([{ kind: 'item', id: 'immersiveengineering:mold_plate', amount: 1, chance: 1 }]);
+        });
+
+        it('should return an empty model for recipes without inputs or outputs', () => {
+            expect(normalizeRecipe({ type: 'minecraft:crafting_special_bookcloning' })).toEqual({ inputs: [], outputs: [], catalysts: [] });
+            expect(normalizeRecipe(null)).toEqual({ inputs: [], outputs: [], catalysts: [] });
+        });
+    });
+});
\ No newline at end of file
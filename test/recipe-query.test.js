@@ -0,0 +1,114 @@
+'use strict';
+
+const { parseSearchQuery, isPlainTextQuery, compileSearchQuery, matchesQueryPattern } = require('../src/recipe-query');
+const { stack, recipe } = require('./helpers/recipe-fixtures');
+
+describe('recipe-query.js', () => {
+    const tags = {
+        'c:dusts': { items: ['create:crushed_raw_iron', 'mekanism:dust_iron'], tags: [], missing: [] },
+        'c:ores/iron': { items: ['minecraft:iron_ore'], tags: [], missing: [] }
+    };
+    const recipes = [
+        recipe('create:crushing/iron_ore', [stack('tag', 'c:ores/iron')], [stack('item', 'create:crushed_raw_iron'), stack('item', 'minecraft:cobblestone', 1, { chance: 0.12 })], {
+            type: 'create:crushing',
+            data: { processingTime: 250, results: [{ id: 'create:crushed_raw_iron' }, { id: 'minecraft:cobblestone', chance: 0.12 }] }
+        }),
+        recipe('jaopca:create.crushing.iron', [stack('item', 'minecraft:iron_ore')], [stack('item', 'create:crushed_raw_iron')], {
+            type: 'create:crushing',
+            data: { processingTime: 400 }
+        }),
+        recipe('mekanism:crushing/iron', [stack('item', 'minecraft:raw_iron')], [stack('item', 'mekanism:dust_iron')], {
+            type: 'mekanism:crushing',
+            category: 'machines',
+            catalysts: [stack('item', 'mekanism:crusher')]
+        }),
+        recipe('minecraft:iron_ingot', [stack('item', 'minecraft:raw_iron', 1, { alternatives: [stack('item', 'minecraft:iron_ore')] })], [stack('item', 'minecraft:iron_ingot')], {
+            type: 'minecraft:smelting',
+            category: 'misc',
+            data: { cookingtime: 200, result: { id: 'minecraft:iron_ingot' } }
+        })
+    ];
+    const search = (query, names = {}) => recipes.filter(compileSearchQuery(parseSearchQuery(query), { tags, names })).map(entry => entry.id);
+
+    it('should parse qualifiers, phrases, negation and precedence', () => {
+        expect(parseSearchQuery('mod:create type:crushing -mod:jaopca "iron ore"')).toEqual({
+            and: [
+                { field: 'mod', value: 'create' },
+                { field: 'type', value: 'crushing' },
+                { not: { field: 'mod', value: 'jaopca' } },
+                { field: 'text', value: 'iron ore' }
+            ]
+        });
+        expect(parseSearchQuery('a b OR NOT (c | in:"#c:dusts")')).toEqual({
+            or: [
+                { and: [{ field: 'text', value: 'a' }, { field: 'text', value: 'b' }] },
+                { not: { or: [{ field: 'text', value: 'c' }, { field: 'input', value: '#c:dusts' }] } }
+            ]
+        });
+        expect(parseSearchQuery('json:processingTime>=200')).toEqual({ field: 'json', path: 'processingTime', operator: '>=', value: '200' });
+        expect(parseSearchQuery('  ')).toBeNull();
+        expect(isPlainTextQuery(parseSearchQuery('"Iron Ingot"'))).toBe(true);
+        expect(isPlainTextQuery(parseSearchQuery('minecraft:stick'))).toBe(true);
+        expect(isPlainTextQuery(parseSearchQuery('mod:minecraft'))).toBe(false);
+    });
+
+    it('should report where a query is malformed', () => {
+        expect(() => parseSearchQuery('mod:create "iron')).toThrow('Unclosed quote at position 12 of "mod:create "iron"');
+        expect(() => parseSearchQuery('(mod:create OR type:crushing')).toThrow('Missing ) at position 29');
+        expect(() => parseSearchQuery('mod:create)')).toThrow('Unexpected ) at position 11');
+        expect(() => parseSearchQuery('mod:create OR')).toThrow('Expected a term at position 14');
+        expect(() => parseSearchQuery('type:')).toThrow('Missing value for type: at position 1');
+        expect(() => parseSearchQuery('out:/iron(/')).toThrow('Regular expressions are not supported in queries, use * and ? globs: /iron(/');
+        expect(() => parseSearchQuery('() iron')).toThrow(expect.objectContaining({ message: expect.stringContaining('Empty group'), position: 0 }));
+        expect(() => parseSearchQuery(`iron out:${'a?'.repeat(101)}`)).toThrow('Pattern longer than 200 characters at position 6');
+    });
+
+    it('should match mods, types and categories, with globs and bare type paths', () => {
+        expect(search('mod:create type:crushing')).toEqual(['create:crushing/iron_ore']);
+        expect(search('type:crushing -mod:jaopca')).toEqual(['create:crushing/iron_ore', 'mekanism:crushing/iron']);
+        expect(search('type:mekanism:* OR category:misc')).toEqual(['mekanism:crushing/iron', 'minecraft:iron_ingot']);
+        expect(search('mod:jaopca OR mod:mek?nism')).toEqual(['jaopca:create.crushing.iron', 'mekanism:crushing/iron']);
+    });
+
+    it('should match globs piece by piece', () => {
+        expect(matchesQueryPattern('create:*', 'create:crushing')).toBe(true);
+        expect(matchesQueryPattern('*:*_dust', 'mekanism:dust_iron')).toBe(false);
+        expect(matchesQueryPattern('a*b?d*e', 'axbbcdxe')).toBe(true);
+        expect(matchesQueryPattern('a*ab', 'aab')).toBe(true);
+        expect(matchesQueryPattern('ab*ba', 'aba')).toBe(false);
+        expect(matchesQueryPattern('?', '')).toBe(false);
+        expect(matchesQueryPattern('*', '')).toBe(true);
+    });
+
+    it('should refuse backtracking regexes and match long globs quickly', () => {
+        expect(() => parseSearchQuery('in:/(.*)*z/')).toThrow('Regular expressions are not supported in queries');
+
+        const started = Date.now();
+        const glob = `out:${'*a'.repeat(40)}*z`;
+        const slow = recipe(`minecraft:${'a'.repeat(5000)}`, [], [stack('item', `minecraft:${'a'.repeat(5000)}`)]);
+        expect(recipes.concat(slow).filter(compileSearchQuery(parseSearchQuery(glob), { tags }))).toEqual([]);
+        expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    it('should match inputs and outputs tag-aware, including alternatives and catalysts', () => {
+        expect(search('out:#c:dusts')).toEqual(['create:crushing/iron_ore', 'jaopca:create.crushing.iron', 'mekanism:crushing/iron']);
+        expect(search('in:minecraft:iron_ore')).toEqual(['create:crushing/iron_ore', 'jaopca:create.crushing.iron', 'minecraft:iron_ingot']);
+        expect(search('in:mekanism:crusher')).toEqual(['mekanism:crushing/iron']);
+        expect(search('output:*:cobble*')).toEqual(['create:crushing/iron_ore']);
+        expect(search('tag:c:ores/iron')).toEqual(['create:crushing/iron_ore', 'jaopca:create.crushing.iron', 'minecraft:iron_ingot']);
+    });
+
+    it('should match raw JSON paths by presence, text and number', () => {
+        expect(search('json:cookingtime')).toEqual(['minecraft:iron_ingot']);
+        expect(search('json:processingTime>300')).toEqual(['jaopca:create.crushing.iron']);
+        expect(search('json:results.id=minecraft:cobblestone')).toEqual(['create:crushing/iron_ore']);
+        expect(search('json:results.1.chance<0.5')).toEqual(['create:crushing/iron_ore']);
+        expect(search('json:result.id=*_ingot')).toEqual(['minecraft:iron_ingot']);
+    });
+
+    it('should keep matching plain words against IDs, names and result display names', () => {
+        expect(search('IRON_ORE')).toEqual(['create:crushing/iron_ore']);
+        expect(search('"pulverized iron"', { 'mekanism:dust_iron': 'Pulverized Iron' })).toEqual(['mekanism:crushing/iron']);
+        expect(search('iron -crushing')).toEqual(['minecraft:iron_ingot']);
+    });
+});
\ No newline at end of file
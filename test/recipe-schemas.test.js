@@ -0,0 +1,98 @@
+'use strict';
+
+const { hasSchema, validateRecipe } = require('../src/recipe-schemas');
+
+describe('recipe-schemas.js', () => {
+    describe('hasSchema', () => {
+        it('should know the rendered vanilla recipe types', () => {
+            expect(hasSchema('minecraft:crafting_shaped')).toBe(true);
+            expect(hasSchema('minecraft:smelting')).toBe(true);
+            expect(hasSchema('mekanism:enriching')).toBe(false);
+        });
+    });
+
+    describe('validateRecipe', () => {
+        it('should accept a valid shaped recipe', () => {
+            const recipe = {
+                type: 'minecraft:crafting_shaped',
+                pattern: ['##', '# '],
+                key: { '#': { tag: 'minecraft:planks' } },
+                result: { id: 'minecraft:crafting_table', count: 1 }
+            };
+
+            expect(validateRecipe('minecraft:crafting_shaped', recipe)).toEqual([]);
+        });
+
+        it('should report missing required fields with a JSON pointer', () => {
+            const problems = validateRecipe('minecraft:smelting', { ingredient: { item: 'minecraft:iron_ore' } });
+
+            expect(problems).toEqual([{ pointer: '/result', problem: 'missing required field "result"' }]);
+        });
+
+        it('should report malformed ingredients', () => {
+            const problems = validateRecipe('minecraft:crafting_shapeless', {
+                ingredients: [{ item: 'minecraft:stick' }, { count: 2 }, 'not an id'],
+                result: { id: 'minecraft:torch' }
+            });
+
+            expect(problems).toEqual([
+                { pointer: '/ingredients/1', problem: 'ingredient needs an "item" or "tag"' },
+                { pointer: '/ingredients/2', problem: 'expected a namespaced ID like minecraft:stick, got "not an id"' }
+            ]);
+        });
+
+        it('should accept string ingredients, tag lists and custom ingredients', () => {
+            const problems = validateRecipe('minecraft:crafting_shapeless', {
+                ingredients: ['minecraft:stick', '#c:rods/wooden', [{ tag: 'c:coal' }, { item: 'minecraft:charcoal' }], { type: 'neoforge:compound', children: [] }],
+                result: 'minecraft:torch'
+            });
+
+            expect(problems).toEqual([]);
+        });
+
+        it('should report bad result counts', () => {
+            const problems = validateRecipe('minecraft:stonecutting', {
+                ingredient: { item: 'minecraft:stone' },
+                result: { id: 'minecraft:stone_slab', count: 0 }
+            });
+
+            expect(problems).toEqual([{ pointer: '/result/count', problem: 'count must be a positive integer, got 0' }]);
+        });
+
+        it('should check shaped patterns against the key', () => {
+            const problems = validateRecipe('minecraft:crafting_shaped', {
+                pattern: ['AB', 'A'],
+                key: { A: { item: 'minecraft:stick' } },
+                result: { id: 'minecraft:ladder' }
+            });
+
+            expect(problems).toEqual([
+                { pointer: '/pattern', problem: 'pattern rows have different widths' },
+                { pointer: '/pattern/0', problem: 'symbol "B" is not defined in key' }
+            ]);
+        });
+
+        it('should escape special characters in pointers', () => {
+            const problems = validateRecipe('minecraft:crafting_shaped', {
+                pattern: ['/'],
+                key: { '/': { count: 1 } },
+                result: { id: 'minecraft:stick' }
+            });
+
+            expect(problems).toEqual([{ pointer: '/key/~1', problem: 'ingredient needs an "item" or "tag"' }]);
+        });
+
+        it('should validate nested result lists', () => {
+            const problems = validateRecipe('actuallyadditions:crushing', {
+                ingredient: { tag: 'c:ores/iron' },
+                result: [{ result: { id: 'minecraft:raw_iron', count: 2 } }, { chance: 0.5 }]
+            });
+
+            expect(problems).toEqual([{ pointer: '/result/1/result', problem: 'missing required field "result"' }]);
+        });
+
+        it('should pass recipe types without a schema', () => {
+            expect(validateRecipe('mekanism:enriching', {})).toEqual([]);
+        });
+    });
+});
\ No newline at end of file
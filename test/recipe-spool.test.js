@@ -0,0 +1,37 @@
+'use strict';
+
+const fs = require('fs');
+const { createRecipeSpool } = require('../src/recipe-spool');
+
+describe('recipe-spool.js', () => {
+    it('should hand back each mod\'s recipes in the order they were added', async () => {
+        const spool = createRecipeSpool();
+
+        spool.add('create', { id: 'create:a' });
+        spool.add('minecraft', { id: 'minecraft:b' });
+        spool.add('create', { id: 'create:c' });
+
+        expect(spool.mods()).toEqual(['create', 'minecraft']);
+        expect(await spool.take('create')).toEqual([{ id: 'create:a' }, { id: 'create:c' }]);
+        expect(await spool.take('create')).toEqual([]);
+        spool.close();
+    });
+
+    it('should spill to temp files past the buffer limit and read them back', async () => {
+        const spool = createRecipeSpool({ maxBuffered: 2 });
+        const appendSpy = jest.spyOn(fs, 'appendFileSync');
+
+        for (let i = 0; i < 5; i++) {
+            spool.add(i % 2 === 0 ? 'create' : 'minecraft', { id: `recipe_${i}`, data: { n: i } });
+        }
+
+        expect(appendSpy).toHaveBeenCalled();
+        expect((await spool.take('create')).map(recipe => recipe.id)).toEqual(['recipe_0', 'recipe_2', 'recipe_4']);
+        expect(await spool.take('minecraft')).toEqual([{ id: 'recipe_1', data: { n: 1 } }, { id: 'recipe_3', data: { n: 3 } }]);
+
+        const spoolFile = appendSpy.mock.calls[0][0];
+        spool.close();
+        expect(fs.existsSync(spoolFile)).toBe(false);
+        appendSpy.mockRestore();
+    });
+});
\ No newline at end of file
@@ -28,6 +28,26 @@ function createTestServer() {
         getStats: jest.fn().mockReturnValue({ total: 0, byMod: {}, byType: {}, mods: [] })
     };
 
+    // Mock dataset lookup for testing
+    const mockDatasets = {
+        listDatasets: jest.fn().mockReturnValue([]),
+        datasetExists: jest.fn().mockReturnValue(true)
+    };
+
+    function getRecipeLoader(req, res) {
+        const dataset = req.query.dataset || 'default';
+
+        if (dataset !== 'default' && !mockDatasets.datasetExists(dataset)) {
+            res.status(404).json({
+                error: 'Dataset not found',
+                message: `No imported dataset named ${dataset}`
+            });
+            return null;
+        }
+
+        return mockLoader;
+    }
+
     // Routes with mock loader
     app.get('/', (req, res) => {
         const indexPath = path.join(__dirname, '..', 'public', 'index.html');
@@ -55,18 +75,20 @@ function createTestServer() {
 
     app.get('/recipes', (req, res) => {
         try {
-            const { mod, type, search, page = 1, limit = 20 } = req.query;
+            const { mod, type, search, inactive, page = 1, limit = 20 } = req.query;
+            const recipeLoader = getRecipeLoader(req, res);
+            if (!recipeLoader) return;
 
             let recipes;
             if (mod) {
-                recipes = mockLoader.loadMod(mod);
+                recipes = recipeLoader.loadMod(mod);
             } else {
-                recipes = mockLoader.loadAllRecipes();
+                recipes = recipeLoader.loadAllRecipes();
             }
 
-            const filters = { mod, type, search };
-            const filteredRecipes = mockLoader.filterRecipes(recipes, filters);
-            const result = mockLoader.paginate(filteredRecipes, page, limit);
+            const filters = { mod, type, search, includeInactive: inactive === 'true' };
+            const filteredRecipes = recipeLoader.filterRecipes(recipes, filters);
+            const result = recipeLoader.paginate(filteredRecipes, page, limit);
 
             res.json(result);
         } catch (error) {
@@ -89,6 +111,17 @@ function createTestServer() {
         }
     });
 
+    app.get('/datasets', (req, res) => {
+        try {
+            res.json({ datasets: mockDatasets.listDatasets(), default: 'default' });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to list datasets',
+                message: error.message
+            });
+        }
+    });
+
     app.post('/import', (req, res) => {
         res.json({
             success: false,
@@ -96,17 +129,19 @@ function createTestServer() {
         });
     });
 
-    return { app, mockLoader };
+    return { app, mockLoader, mockDatasets };
 }
 
 describe('server.js', () => {
     let testServer;
     let mockLoader;
+    let mockDatasets;
 
     beforeEach(() => {
         const server = createTestServer();
         testServer = server.app;
         mockLoader = server.mockLoader;
+        mockDatasets = server.mockDatasets;
         jest.clearAllMocks();
     });
 
@@ -153,7 +188,8 @@ describe('server.js', () => {
             expect(mockLoader.filterRecipes).toHaveBeenCalledWith(mockRecipes, {
                 mod: undefined,
                 type: undefined,
-                search: undefined
+                search: undefined,
+                includeInactive: false
             });
         });
 
@@ -175,6 +211,15 @@ describe('server.js', () => {
             expect(mockLoader.loadAllRecipes).not.toHaveBeenCalled();
         });
 
+        it('should include inactive recipes when requested', async () => {
+            const response = await request(testServer).get('/recipes?inactive=true');
+
+            expect(response.status).toBe(200);
+            expect(mockLoader.filterRecipes).toHaveBeenCalledWith([], expect.objectContaining({
+                includeInactive: true
+            }));
+        });
+
         it('should handle errors gracefully', async () => {
             mockLoader.loadAllRecipes.mockImplementation(() => {
                 throw new Error('Database error');
@@ -190,6 +235,45 @@ describe('server.js', () => {
         });
     });
 
+    describe('GET /datasets', () => {
+        it('should list imported datasets', async () => {
+            const datasets = [
+                { name: 'default', total_recipes: 10, mods: 2, generated_at: '2025-09-20T10:00:00.000Z' },
+                { name: 'atm10-2.1', total_recipes: 20, mods: 4, generated_at: '2025-09-21T10:00:00.000Z' }
+            ];
+            mockDatasets.listDatasets.mockReturnValue(datasets);
+
+            const response = await request(testServer)
+                .get('/datasets')
+                .expect(200);
+
+            expect(response.body).toEqual({ datasets, default: 'default' });
+        });
+    });
+
+    describe('dataset selector', () => {
+        it('should return 404 for unknown datasets', async () => {
+            mockDatasets.datasetExists.mockReturnValue(false);
+
+            const response = await request(testServer)
+                .get('/recipes?dataset=missing')
+                .expect(404);
+
+            expect(response.body.error).toBe('Dataset not found');
+            expect(mockLoader.loadAllRecipes).not.toHaveBeenCalled();
+        });
+
+        it('should serve the default dataset without checking it exists', async () => {
+            mockDatasets.datasetExists.mockReturnValue(false);
+
+            await request(testServer)
+                .get('/recipes')
+                .expect(200);
+
+            expect(mockDatasets.datasetExists).not.toHaveBeenCalled();
+        });
+    });
+
     describe('GET /stats', () => {
         it('should return recipe statistics', async () => {
             const mockStats = {
@@ -248,4 +332,422 @@ describe('server.js', () => {
             expect(response.headers['access-control-allow-origin']).toBe('*');
         });
     });
-});
\ No newline at end of file
+});
+
+// The real app, against a dataset written to a temp data root for the run
+describe('server.js app', () => {
+    const os = require('os');
+    // Read once when src/datasets.js loads, so it is set before the first require
+    const dataRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'pattern-press-data-'));
+    process.env.PATTERN_PRESS_DATA_ROOT = dataRoot;
+
+    const { getDataDir } = require('../src/datasets');
+    const dataset = `server-test-${process.pid}`;
+    const dataDir = getDataDir(dataset);
+    const { stack, recipe } = require('./helpers/recipe-fixtures');
+    const importRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'pattern-press-server-'));
+    let app;
+
+    beforeAll(() => {
+        // POST /import may only read from here
+        process.env.PATTERN_PRESS_IMPORT_ROOTS = importRoot;
+
+        fs.mkdirSync(path.join(dataDir, 'recipes'), { recursive: true });
+        fs.writeFileSync(path.join(dataDir, 'recipes', 'minecraft.json'), JSON.stringify([
+            recipe('minecraft:oak_planks', [stack('tag', 'minecraft:logs')], [stack('item', 'minecraft:oak_planks', 4)]),
+            recipe('minecraft:stick', [stack('item', 'minecraft:oak_planks', 2)], [stack('item', 'minecraft:stick', 4)]),
+            recipe('minecraft:torch', [stack('item', 'minecraft:coal'), stack('item', 'minecraft:stick')], [stack('item', 'minecraft:torch', 4)])
+        ]));
+        fs.writeFileSync(path.join(dataDir, 'metadata.json'), JSON.stringify({
+            generated_at: '2026-01-01T00:00:00.000Z', total_recipes: 3, mods: ['minecraft'], recipe_types: ['minecraft:crafting_shaped'], categories: []
+        }));
+        fs.writeFileSync(path.join(dataDir, 'tags.json'), JSON.stringify({
+            tags: { 'minecraft:logs': { items: ['minecraft:oak_log'], tags: [], missing: [], sources: [] } }
+        }));
+        fs.writeFileSync(path.join(dataDir, 'names.json'), JSON.stringify({ locale: 'en_us', total: 1, names: { 'minecraft:stick': 'Stick' } }));
+
+        app = require('../src/server');
+    });
+
+    afterAll(() => {
+        delete process.env.PATTERN_PRESS_IMPORT_ROOTS;
+        delete process.env.PATTERN_PRESS_DATA_ROOT;
+        fs.rmSync(dataRoot, { recursive: true, force: true });
+        fs.rmSync(importRoot, { recursive: true, force: true });
+    });
+
+    it('should not parse the host process arguments when required', () => {
+        const argv = process.argv;
+        process.argv = [...argv, '--not-a-server-flag'];
+
+        try {
+            jest.isolateModules(() => {
+                expect(() => require('../src/server')).not.toThrow();
+            });
+        } finally {
+            process.argv = argv;
+        }
+    });
+
+    describe('GET /events', () => {
+        it('should open an event stream', async () => {
+            const http = require('http');
+            const server = app.listen(0);
+
+            try {
+                const { headers, firstChunk } = await new Promise((resolve, reject) => {
+                    http.get(`http://127.0.0.1:${server.address().port}/events`, response => {
+                        response.once('data', chunk => {
+                            resolve({ headers: response.headers, firstChunk: chunk.toString() });
+                            response.destroy();
+                        });
+                    }).on('error', reject);
+                });
+
+                expect(headers['content-type']).toBe('text/event-stream');
+                expect(firstChunk).toBe(': connected\n\n');
+            } finally {
+                server.close();
+            }
+        });
+    });
+
+    describe('GET /datasets', () => {
+        it('should list the imported datasets with their summaries', async () => {
+            const response = await request(app).get('/datasets');
+
+            expect(response.status).toBe(200);
+            expect(response.body.default).toBe('default');
+            expect(response.body.datasets).toContainEqual(expect.objectContaining({ name: dataset, total_recipes: 3, mods: 1 }));
+        });
+
+        it('should return 404 for an unknown dataset selector', async () => {
+            const response = await request(app).get('/recipes?dataset=no-such-dataset');
+
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Dataset not found');
+        });
+    });
+
+    describe('GET /diff', () => {
+        it('should diff two datasets as JSON or Markdown', async () => {
+            const response = await request(app).get(`/diff?from=${dataset}&to=${dataset}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ from: dataset, to: dataset, summary: { added: 0, removed: 0, changed: 0, unchanged: 3 } });
+
+            const markdown = await request(app).get(`/diff?from=${dataset}&to=${dataset}&format=markdown`);
+            expect(markdown.headers['content-type']).toMatch(/^text\/markdown/);
+        });
+
+        it('should reject a diff without both datasets or with an unknown one', async () => {
+            expect((await request(app).get(`/diff?from=${dataset}`)).status).toBe(400);
+            expect((await request(app).get(`/diff?from=${dataset}&to=no-such-dataset`)).status).toBe(404);
+        });
+    });
+
+    describe('GET /tags', () => {
+        it('should list tags and return one tag with its members', async () => {
+            const list = await request(app).get(`/tags?dataset=${dataset}&search=%23minecraft`);
+
+            expect(list.status).toBe(200);
+            expect(list.body.tags).toEqual([{ id: 'minecraft:logs', count: 1 }]);
+
+            const tag = await request(app).get(`/tags/minecraft:logs?dataset=${dataset}`);
+            expect(tag.status).toBe(200);
+            expect(tag.body).toMatchObject({ id: 'minecraft:logs', items: ['minecraft:oak_log'] });
+        });
+
+        it('should return 404 for an unknown tag', async () => {
+            const response = await request(app).get(`/tags/c:ingots/unobtainium?dataset=${dataset}`);
+
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Tag not found');
+
+            // Not even names that exist on every plain object
+            const constructor = await request(app).get(`/tags/constructor?dataset=${dataset}`);
+            const proto = await request(app).get(`/tags/%23__proto__?dataset=${dataset}`);
+            expect([constructor.status, proto.status]).toEqual([404, 404]);
+        });
+    });
+
+    describe('GET /names', () => {
+        it('should return the display names and search recipes by them', async () => {
+            const names = await request(app).get(`/names?dataset=${dataset}`);
+
+            expect(names.status).toBe(200);
+            expect(names.body).toEqual({ locale: 'en_us', names: { 'minecraft:stick': 'Stick' } });
+
+            const recipes = await request(app).get(`/recipes?dataset=${dataset}&search=STICK`);
+            expect(recipes.body.recipes.map(entry => entry.id)).toEqual(['minecraft:stick']);
+        });
+
+        it('should return 404 for names of an unknown dataset', async () => {
+            expect((await request(app).get('/names?dataset=no-such-dataset')).status).toBe(404);
+        });
+    });
+
+    describe('POST /import and /import/jobs', () => {
+        const importedDataset = `${dataset}-import`;
+
+        afterAll(() => {
+            fs.rmSync(getDataDir(importedDataset), { recursive: true, force: true });
+        });
+
+        it('should import a path inside an import root as a background job', async () => {
+            const exportDir = path.join(importRoot, 'kubejs');
+            fs.mkdirSync(path.join(exportDir, 'recipes', 'minecraft'), { recursive: true });
+            fs.writeFileSync(path.join(exportDir, 'recipes', 'minecraft', 'stick.json'), JSON.stringify({
+                type: 'minecraft:crafting_shaped',
+                pattern: ['#', '#'],
+                key: { '#': { item: 'minecraft:oak_planks' } },
+                result: { id: 'minecraft:stick', count: 4 }
+            }));
+
+            const started = await request(app).post('/import').send({ path: exportDir, dataset: importedDataset });
+            expect(started.status).toBe(202);
+            expect(started.body.job).toMatchObject({ dataset: importedDataset, trigger: 'request' });
+
+            let job = started.body.job;
+            for (let attempt = 0; attempt < 100 && !['done', 'failed'].includes(job.status); attempt++) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+                job = (await request(app).get(`/import/jobs/${job.id}`)).body;
+            }
+
+            expect(job).toMatchObject({ status: 'done', summary: { imported: 1 } });
+
+            const list = await request(app).get('/import/jobs');
+            expect(list.body.jobs.map(entry => entry.id)).toContain(job.id);
+            expect(list.body).not.toHaveProperty('importRoots');
+        });
+
+        it('should answer missing and forbidden paths alike', async () => {
+            const outside = await request(app).post('/import').send({ path: path.dirname(importRoot) });
+            const missing = await request(app).post('/import').send({ path: path.join(importRoot, 'missing') });
+            const missingOutside = await request(app).post('/import').send({ path: '/no/such/dir' });
+
+            expect([outside.status, missing.status, missingOutside.status]).toEqual([400, 400, 400]);
+            expect(outside.body.error).toBe('Import path not allowed');
+            expect(missing.body.message).toBe(`Import path is not an existing path inside the allowed import roots: ${path.join(importRoot, 'missing')}`);
+            expect(missingOutside.body.message).toBe('Import path is not an existing path inside the allowed import roots: /no/such/dir');
+        });
+
+        it('should reject bad dataset names, bad uploads and unknown jobs', async () => {
+            expect((await request(app).post('/import').send({ path: importRoot, dataset: '../etc' })).status).toBe(400);
+
+            const upload = await request(app).post('/import?name=notes.txt').set('Content-Type', 'application/zip').send(Buffer.from('PK'));
+            expect(upload.status).toBe(400);
+            expect(upload.body.error).toBe('Invalid upload');
+
+            expect((await request(app).get('/import/jobs/9999')).status).toBe(404);
+        });
+    });
+
+    describe('GET /duplicates', () => {
+        const duplicatesDataset = `${dataset}-duplicates`;
+
+        beforeAll(() => {
+            const duplicatesDir = getDataDir(duplicatesDataset);
+            const planks = () => [stack('item', 'minecraft:oak_planks', 2)];
+
+            fs.mkdirSync(path.join(duplicatesDir, 'recipes'), { recursive: true });
+            fs.writeFileSync(path.join(duplicatesDir, 'recipes', 'minecraft.json'), JSON.stringify([
+                recipe('minecraft:stick', planks(), [stack('item', 'minecraft:stick', 4)]),
+                recipe('minecraft:stick_copy', planks(), [stack('item', 'minecraft:stick', 4)])
+            ]));
+            fs.writeFileSync(path.join(duplicatesDir, 'metadata.json'), JSON.stringify({
+                generated_at: '2026-01-01T00:00:00.000Z', total_recipes: 2, mods: ['minecraft'], recipe_types: ['minecraft:crafting_shaped'], categories: []
+            }));
+        });
+
+        afterAll(() => {
+            fs.rmSync(getDataDir(duplicatesDataset), { recursive: true, force: true });
+        });
+
+        it('should group duplicate recipes as JSON or Markdown', async () => {
+            const response = await request(app).get(`/duplicates?dataset=${duplicatesDataset}&kind=exact`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.summary).toMatchObject({ recipes: 2, exact: 1, redundant: 1 });
+            expect(response.body.groups.map(group => group.recipes.map(entry => entry.id))).toEqual([['minecraft:stick', 'minecraft:stick_copy']]);
+
+            const markdown = await request(app).get(`/duplicates?dataset=${duplicatesDataset}&format=markdown`);
+            expect(markdown.headers['content-type']).toMatch(/^text\/markdown/);
+            expect(markdown.text).toContain('- `minecraft:stick_copy` → minecraft:stick');
+
+            const none = await request(app).get(`/duplicates?dataset=${dataset}`);
+            expect(none.body.groups).toEqual([]);
+        });
+
+        it('should reject an unknown kind', async () => {
+            const response = await request(app).get(`/duplicates?dataset=${duplicatesDataset}&kind=similar`);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Invalid kind');
+        });
+    });
+
+    describe('GET /items/:id/recipes and /usages', () => {
+        it('should return the recipes producing an item with its display name', async () => {
+            const response = await request(app).get(`/items/minecraft:stick/recipes?dataset=${dataset}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.item).toEqual({ id: 'minecraft:stick', name: 'Stick' });
+            expect(response.body.recipes.map(entry => entry.id)).toEqual(['minecraft:stick']);
+            expect(response.body.pagination).toMatchObject({ total: 1 });
+        });
+
+        it('should find usages through tags, for items and for %23 tags', async () => {
+            const item = await request(app).get(`/items/minecraft:oak_log/usages?dataset=${dataset}`);
+            const tag = await request(app).get(`/items/%23minecraft:logs/usages?dataset=${dataset}`);
+
+            expect(item.body.item).toEqual({ id: 'minecraft:oak_log', name: null });
+            expect(item.body.recipes.map(entry => entry.id)).toEqual(['minecraft:oak_planks']);
+            expect(tag.body.recipes.map(entry => entry.id)).toEqual(['minecraft:oak_planks']);
+        });
+
+        it('should return nothing for an unknown item and 404 for an unknown dataset', async () => {
+            const unknown = await request(app).get(`/items/minecraft:bedrock/recipes?dataset=${dataset}`);
+            expect(unknown.status).toBe(200);
+            expect(unknown.body.recipes).toEqual([]);
+
+            const missing = await request(app).get('/items/minecraft:stick/usages?dataset=no-such-dataset');
+            expect(missing.status).toBe(404);
+            expect(missing.body.error).toBe('Dataset not found');
+        });
+
+        it('should 404 for IDs that only exist on the object prototype', async () => {
+            const proto = await request(app).get(`/items/__proto__/recipes?dataset=${dataset}`);
+            const constructor = await request(app).get(`/items/constructor/usages?dataset=${dataset}`);
+
+            expect([proto.status, constructor.status]).toEqual([404, 404]);
+            expect(proto.body).toEqual({ error: 'Item not found', message: '__proto__ is not an item or #tag ID (namespace:path)' });
+
+            const search = await request(app).get(`/recipes?dataset=${dataset}&search=tag:constructor`);
+            expect(search.status).toBe(200);
+            expect(search.body.recipes).toEqual([]);
+        });
+    });
+
+    describe('GET /plan', () => {
+        it('should plan the raw materials of an item as JSON or Markdown', async () => {
+            const response = await request(app).get(`/plan?dataset=${dataset}&item=minecraft:torch&amount=4`);
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ dataset, tree: { id: 'minecraft:torch', amount: 4, crafts: 1 } });
+            expect(response.body.raw).toEqual([
+                { id: 'minecraft:coal', kind: 'item', amount: 1 },
+                { id: 'minecraft:oak_log', kind: 'item', amount: 1 }
+            ]);
+
+            const markdown = await request(app).get(`/plan?dataset=${dataset}&item=minecraft:torch&format=markdown`);
+            expect(markdown.headers['content-type']).toMatch(/^text\/markdown/);
+            expect(markdown.text).toContain('minecraft:oak_log');
+        });
+
+        it('should reject a missing item, a bad amount or a malformed preference', async () => {
+            const missing = await request(app).get(`/plan?dataset=${dataset}`);
+            const amount = await request(app).get(`/plan?dataset=${dataset}&item=minecraft:torch&amount=-2`);
+            const prefer = await request(app).get(`/plan?dataset=${dataset}&item=minecraft:torch&prefer=minecraft:stick`);
+
+            expect([missing.status, amount.status, prefer.status]).toEqual([400, 400, 400]);
+            expect(missing.body.error).toBe('Invalid plan request');
+            expect(prefer.body.message).toBe('Invalid preference: minecraft:stick (use <item>=<recipe ID> or #<tag>=<item>)');
+        });
+
+        it('should reject an infinite or oversized amount and regex or overlong patterns', async () => {
+            const infinite = await request(app).get(`/plan?dataset=${dataset}&item=minecraft:torch&amount=Infinity`);
+            const huge = await request(app).get(`/plan?dataset=${dataset}&item=minecraft:torch&amount=1e9`);
+            const regex = await request(app).get(`/plan?dataset=${dataset}&item=minecraft:torch&exclude_mod=/(/`);
+            const overlong = await request(app).get(`/plan?dataset=${dataset}&item=minecraft:torch&raw=${'a*'.repeat(101)}`);
+
+            expect([infinite.status, huge.status, regex.status, overlong.status]).toEqual([400, 400, 400, 400]);
+            expect(infinite.body.message).toBe('item is required and amount must be a number from above 0 up to 1000000');
+            expect(regex.body).toEqual({
+                error: 'Invalid plan request',
+                message: 'Regular expressions are not supported in queries, use * and ? globs: /(/'
+            });
+            expect(overlong.body.message).toBe('Pattern longer than 200 characters');
+        });
+    });
+
+    describe('GET /graph', () => {
+        it('should export the subgraph around a root as JSON', async () => {
+            const response = await request(app).get(`/graph?dataset=${dataset}&root=minecraft:torch&depth=2`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.summary.recipes).toBe(2);
+            expect(response.body.nodes).toContainEqual(expect.objectContaining({ id: 'item:minecraft:stick', label: 'Stick' }));
+        });
+
+        it('should send DOT as a download', async () => {
+            const response = await request(app).get(`/graph?dataset=${dataset}&format=dot`);
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toMatch(/^text\/vnd\.graphviz/);
+            expect(response.headers['content-disposition']).toBe('attachment; filename="recipes.dot"');
+            expect(response.text).toMatch(/^digraph /);
+        });
+
+        it('should reject a bad format, direction or depth', async () => {
+            const responses = await Promise.all(['format=svg', 'direction=sideways', 'depth=0', 'depth=deep'].map(query =>
+                request(app).get(`/graph?dataset=${dataset}&root=minecraft:torch&${query}`)));
+
+            expect(responses.map(response => response.status)).toEqual([400, 400, 400, 400]);
+            expect(responses[0].body.error).toBe('Invalid graph request');
+        });
+    });
+
+    describe('GET /analysis', () => {
+        it('should report orphan outputs, with the allowlisted logs and coal obtainable, as JSON or Markdown', async () => {
+            const response = await request(app).get(`/analysis?dataset=${dataset}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.dataset).toBe(dataset);
+            expect(response.body.summary).toEqual({ recipes: 3, unobtainable: 0, orphans: 1, loops: 0 });
+            expect(response.body.orphans.map(entry => entry.id)).toEqual(['minecraft:torch']);
+
+            const markdown = await request(app).get(`/analysis?dataset=${dataset}&format=markdown`);
+            expect(markdown.headers['content-type']).toMatch(/^text\/markdown/);
+            expect(markdown.text).toContain('minecraft:torch');
+        });
+
+        it('should return 404 for an unknown dataset', async () => {
+            const response = await request(app).get('/analysis?dataset=no-such-dataset');
+
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Dataset not found');
+        });
+    });
+
+    describe('search queries', () => {
+        it('should filter /recipes and the item lookups with a query', async () => {
+            const recipes = await request(app).get(`/recipes?dataset=${dataset}&search=${encodeURIComponent('in:#minecraft:logs OR out:minecraft:torch')}`);
+            expect(recipes.body.recipes.map(entry => entry.id)).toEqual(['minecraft:oak_planks', 'minecraft:torch']);
+
+            const usages = await request(app).get(`/items/minecraft:stick/usages?dataset=${dataset}&search=${encodeURIComponent('-torch')}`);
+            expect(usages.status).toBe(200);
+            expect(usages.body.recipes).toEqual([]);
+        });
+
+        it('should answer a malformed query with 400 and where the problem is', async () => {
+            const responses = await Promise.all([
+                `/recipes?dataset=${dataset}&search=${encodeURIComponent('mod:create "iron')}`,
+                `/items/minecraft:stick/recipes?dataset=${dataset}&search=${encodeURIComponent('mod:create "iron')}`,
+                `/graph?dataset=${dataset}&search=${encodeURIComponent('mod:create "iron')}`
+            ].map(url => request(app).get(url)));
+
+            expect(responses.map(response => response.status)).toEqual([400, 400, 400]);
+
+            const regex = await request(app).get(`/recipes?dataset=${dataset}&search=${encodeURIComponent('in:/(.*)*z/')}`);
+            expect(regex.status).toBe(400);
+            expect(regex.body.message).toMatch(/^Regular expressions are not supported in queries/);
+
+            expect(responses[0].body).toEqual({
+                error: 'Invalid search query',
+                message: 'Unclosed quote at position 12 of "mod:create "iron"',
+                position: 11
+            });
+        });
+    });
+});
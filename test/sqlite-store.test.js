@@ -0,0 +1,144 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SQLITE_FILE, isSqliteAvailable, SqliteStore } = require('../src/sqlite-store');
+const RecipeLoader = require('../src/recipe-loader');
+
+// node:sqlite ships with Node 22.5+; on older versions only the error path can be tested
+const describeWithSqlite = isSqliteAvailable() ? describe : describe.skip;
+
+function recipe(id, extra = {}) {
+    const [mod, name] = id.split(':');
+    return {
+        id,
+        mod,
+        type: 'minecraft:smelting',
+        name,
+        category: null,
+        load_status: 'active',
+        source: `data/${mod}/recipe/${name}.json`,
+        data: { type: 'minecraft:smelting' },
+        inputs: [{ kind: 'tag', id: 'c:sands', amount: 1, chance: 1, alternatives: [{ kind: 'item', id: 'minecraft:red_sand', amount: 1, chance: 1 }] }],
+        outputs: [{ kind: 'item', id: `${mod}:${name}`, amount: 1, chance: 1 }],
+        catalysts: [],
+        ...extra
+    };
+}
+
+describe('sqlite-store.js', () => {
+    (isSqliteAvailable() ? it.skip : it)('should explain that SQLite storage needs a newer Node', () => {
+        expect(() => new SqliteStore(':memory:')).toThrow(/Node 22\.5 or newer/);
+    });
+
+    describeWithSqlite('SqliteStore', () => {
+        let store;
+
+        beforeEach(() => {
+            store = new SqliteStore(':memory:');
+        });
+
+        afterEach(() => {
+            store.close();
+        });
+
+        it('should write, replace and remove mod recipes in import order', () => {
+            store.writeMod('minecraft', [recipe('minecraft:glass'), recipe('minecraft:brick')]);
+            store.writeMod('create', [recipe('create:zinc_ingot')]);
+
+            expect(store.getMods()).toEqual(['create', 'minecraft']);
+            expect(store.loadMod('minecraft').map(entry => entry.id)).toEqual(['minecraft:glass', 'minecraft:brick']);
+            expect(store.loadMod('minecraft')[0]).toEqual(recipe('minecraft:glass'));
+
+            store.writeMod('minecraft', [recipe('minecraft:stone')]);
+            expect(store.queryRecipes({}).recipes.map(entry => entry.id)).toEqual(['create:zinc_ingot', 'minecraft:stone']);
+
+            store.removeMod('create');
+            expect(store.getMods()).toEqual(['minecraft']);
+        });
+
+        it('should index every option of an ingredient slot and every output', () => {
+            store.writeMod('minecraft', [recipe('minecraft:glass')]);
+
+            expect(store.db.prepare('SELECT slot, kind, item_id FROM ingredients ORDER BY item_id').all().map(row => ({ ...row }))).toEqual([
+                { slot: 0, kind: 'tag', item_id: 'c:sands' },
+                { slot: 0, kind: 'item', item_id: 'minecraft:red_sand' }
+            ]);
+            expect(store.db.prepare('SELECT item_id FROM outputs').all().map(row => row.item_id)).toEqual(['minecraft:glass']);
+
+            store.removeMod('minecraft');
+            expect(store.db.prepare('SELECT COUNT(*) AS count FROM ingredients').get().count).toBe(0);
+        });
+
+        it('should filter, search and page in SQL', () => {
+            store.writeMod('minecraft', [
+                recipe('minecraft:glass'),
+                recipe('minecraft:brick', { load_status: 'inactive' }),
+                recipe('minecraft:stone', { type: 'minecraft:blasting' })
+            ]);
+            store.writeNames({ 'minecraft:glass': 'Glass Pane 100%' });
+
+            expect(store.queryRecipes({}).total).toBe(2);
+            expect(store.queryRecipes({ includeInactive: true }).total).toBe(3);
+            expect(store.queryRecipes({ type: 'minecraft:blasting' }).recipes.map(entry => entry.id)).toEqual(['minecraft:stone']);
+            expect(store.queryRecipes({ search: 'pane 100%' }).recipes.map(entry => entry.id)).toEqual(['minecraft:glass']);
+            expect(store.queryRecipes({ search: '_' }).total).toBe(0);
+
+            const page = store.queryRecipes({ includeInactive: true }, 2, 2);
+            expect(page).toEqual({ recipes: [expect.objectContaining({ id: 'minecraft:stone' })], total: 3 });
+        });
+
+        it('should look up the recipes producing or consuming item index keys', () => {
+            store.writeMod('minecraft', [
+                recipe('minecraft:glass'),
+                recipe('minecraft:brick', { inputs: [{ kind: 'fluid', id: '#c:water', amount: 1000, chance: 1 }] }),
+                recipe('minecraft:stone', { load_status: 'inactive', outputs: [{ kind: 'item', id: 'minecraft:glass', amount: 1, chance: 1 }] })
+            ]);
+            const ids = result => result.recipes.map(entry => entry.id);
+
+            expect(ids(store.queryItemRecipes('producers', ['minecraft:glass']))).toEqual(['minecraft:glass']);
+            expect(ids(store.queryItemRecipes('producers', ['minecraft:glass'], { includeInactive: true }))).toEqual(['minecraft:glass', 'minecraft:stone']);
+            expect(ids(store.queryItemRecipes('consumers', ['minecraft:red_sand']))).toEqual(['minecraft:glass']);
+            expect(ids(store.queryItemRecipes('consumers', ['#c:sands']))).toEqual(['minecraft:glass']);
+            expect(ids(store.queryItemRecipes('consumers', ['#c:water']))).toEqual(['minecraft:brick']);
+            expect(store.queryItemRecipes('consumers', ['minecraft:glass']).total).toBe(0);
+        });
+
+        it('should store tags and count recipes per mod and type', () => {
+            const tags = { 'c:sands': { items: ['minecraft:sand', 'minecraft:red_sand'], tags: [], missing: [], sources: [] } };
+            store.writeTags(tags);
+            store.writeMod('minecraft', [recipe('minecraft:glass'), recipe('minecraft:stone', { type: 'minecraft:blasting' })]);
+
+            expect(store.db.prepare('SELECT tag_id FROM tag_items WHERE item_id = ?').get('minecraft:red_sand').tag_id).toBe('c:sands');
+            expect(store.getStats()).toEqual({
+                total: 2,
+                byMod: { minecraft: 2 },
+                byType: { 'minecraft:smelting': 1, 'minecraft:blasting': 1 },
+                mods: ['minecraft']
+            });
+        });
+
+        it('should back RecipeLoader when a dataset has recipes.sqlite', () => {
+            const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pattern-press-sqlite-'));
+            const fileStore = new SqliteStore(path.join(dataDir, SQLITE_FILE));
+            fileStore.writeMod('minecraft', [recipe('minecraft:glass'), recipe('minecraft:brick')]);
+            fileStore.close();
+
+            try {
+                const loader = new RecipeLoader({ dataDir });
+
+                expect(loader.getAvailableMods()).toEqual(['minecraft']);
+                expect(loader.loadAllRecipes()).toHaveLength(2);
+                expect(loader.findRecipes({ search: 'brick' }).pagination.total).toBe(1);
+                expect(loader.findRecipes({ search: '"brick"' }).pagination.total).toBe(1);
+                expect(loader.findRecipes({ search: 'in:#c:sands -glass' }).recipes.map(entry => entry.id)).toEqual(['minecraft:brick']);
+                expect(loader.findItemRecipes('minecraft:red_sand', 'consumers').pagination.total).toBe(2);
+                expect(loader.getStats().total).toBe(2);
+                loader.clearCache();
+            } finally {
+                fs.rmSync(dataDir, { recursive: true, force: true });
+            }
+        });
+    });
+});
\ No newline at end of file
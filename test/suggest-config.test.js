@@ -0,0 +1,166 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { scanExport, buildProposal, formatConfigDiff } = require('../src/suggest-config');
+
+describe('suggest-config.js', () => {
+    const testDir = path.join(__dirname, 'temp-suggest');
+    const config = {
+        mods: ['minecraft', 'create'],
+        ignoredMods: ['kubejs'],
+        recipeTypes: ['minecraft:crafting_shaped', 'create:crushing'],
+        ignoredRecipeTypes: ['minecraft:crafting_special_bookcloning'],
+        logging: { logSkipped: true }
+    };
+
+    function writeRecipe(relativePath, data) {
+        const filePath = path.join(testDir, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, typeof data === 'string' ? data : JSON.stringify(data));
+    }
+
+    beforeEach(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+
+        writeRecipe('recipes/minecraft/boat.json', { type: 'minecraft:crafting_shaped' });
+        writeRecipe('recipes/minecraft/book.json', { type: 'minecraft:crafting_special_bookcloning' });
+        writeRecipe('recipes/minecraft/glass.json', { type: 'minecraft:smelting' });
+        writeRecipe('recipes/create/crushing/ore.json', { type: 'create:crushing' });
+        writeRecipe('recipes/create/mixing/brass.json', { type: 'create:mixing' });
+        writeRecipe('recipes/create/mixing/chocolate.json', { type: 'create:mixing' });
+        writeRecipe('recipes/kubejs/custom.json', { type: 'minecraft:crafting_shaped' });
+        writeRecipe('recipes/mekanism/crushing/a.json', { type: 'mekanism:crushing' });
+        writeRecipe('recipes/mekanism/crushing/b.json', { type: 'mekanism:crushing' });
+        writeRecipe('recipes/mekanism/bin.json', { type: 'minecraft:crafting_shaped' });
+        writeRecipe('recipes/mekanism/enriching.json', { type: 'mekanism:enriching' });
+        writeRecipe('recipes/botania/petal.json', { type: 'botania:petal_apothecary' });
+        writeRecipe('recipes/minecraft/broken.json', '{ not json');
+
+        jest.spyOn(console, 'warn').mockImplementation();
+    });
+
+    afterEach(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    describe('scanExport', () => {
+        it('should count files by outcome', () => {
+            const scan = scanExport(testDir, config);
+
+            expect(scan.totals).toEqual({ files: 13, supported: 2, ignored: 2, unsupported: 8, errors: 1 });
+            expect(scan.errors).toEqual([{ file: 'recipes/minecraft/broken.json', error: expect.any(String) }]);
+        });
+
+        it('should group unsupported mods with type counts and examples, most common first', () => {
+            const scan = scanExport(testDir, config);
+
+            expect(scan.unsupportedMods.map(group => group.mod)).toEqual(['mekanism', 'botania']);
+            expect(scan.unsupportedMods[0]).toMatchObject({
+                count: 4,
+                types: {
+                    'mekanism:crushing': 2,
+                    'minecraft:crafting_shaped': 1,
+                    'mekanism:enriching': 1
+                }
+            });
+            expect(scan.unsupportedMods[0].examples).toHaveLength(3);
+        });
+
+        it('should group unsupported types of supported mods', () => {
+            const scan = scanExport(testDir, config);
+
+            expect(scan.unsupportedTypes).toEqual([
+                {
+                    type: 'create:mixing',
+                    count: 2,
+                    mods: ['create'],
+                    examples: expect.arrayContaining(['recipes/create/mixing/brass.json', 'recipes/create/mixing/chocolate.json'])
+                },
+                {
+                    type: 'minecraft:smelting',
+                    count: 1,
+                    mods: ['minecraft'],
+                    examples: ['recipes/minecraft/glass.json']
+                }
+            ]);
+        });
+    });
+
+    describe('buildProposal', () => {
+        it('should leave everything undecided without rules', () => {
+            const proposal = buildProposal(scanExport(testDir, config), config);
+
+            expect(proposal.changes).toEqual({ mods: [], ignoredMods: [], recipeTypes: [], ignoredRecipeTypes: [] });
+            expect(proposal.undecided).toEqual({
+                mods: ['mekanism', 'botania'],
+                types: ['create:mixing', 'minecraft:smelting']
+            });
+            expect(proposal.config).toEqual(config);
+        });
+
+        it('should support a mod and whitelist every type it uses', () => {
+            const proposal = buildProposal(scanExport(testDir, config), config, { allowMods: ['mekanism'] });
+
+            expect(proposal.changes.mods).toEqual(['mekanism']);
+            // minecraft:crafting_shaped is already supported, so only the new types are added
+            expect(proposal.changes.recipeTypes).toEqual(['mekanism:crushing', 'mekanism:enriching']);
+            expect(proposal.config.mods).toEqual(['minecraft', 'create', 'mekanism']);
+        });
+
+        it('should whitelist unsupported types of an already supported mod', () => {
+            const proposal = buildProposal(scanExport(testDir, config), config, { allowMods: ['create'] });
+
+            expect(proposal.changes.recipeTypes).toEqual(['create:mixing']);
+            expect(proposal.undecided.types).toEqual(['minecraft:smelting']);
+        });
+
+        it('should let type rules override mod rules', () => {
+            const proposal = buildProposal(scanExport(testDir, config), config, {
+                allowMods: ['mekanism'],
+                ignoreTypes: ['mekanism:enriching'],
+                allowTypes: ['minecraft:*']
+            });
+
+            expect(proposal.changes.recipeTypes).toEqual(['mekanism:crushing', 'minecraft:smelting']);
+            expect(proposal.changes.ignoredRecipeTypes).toEqual(['mekanism:enriching']);
+        });
+
+        it('should ignore whatever no rule decided with ignoreRest', () => {
+            const proposal = buildProposal(scanExport(testDir, config), config, {
+                allowTypes: ['create:mixing'],
+                ignoreRest: true
+            });
+
+            expect(proposal.changes).toEqual({
+                mods: [],
+                ignoredMods: ['mekanism', 'botania'],
+                recipeTypes: ['create:mixing'],
+                ignoredRecipeTypes: ['minecraft:smelting']
+            });
+            expect(proposal.undecided).toEqual({ mods: [], types: [] });
+        });
+
+        it('should not modify the original config', () => {
+            buildProposal(scanExport(testDir, config), config, { ignoreRest: true });
+
+            expect(config.ignoredMods).toEqual(['kubejs']);
+        });
+    });
+
+    describe('formatConfigDiff', () => {
+        it('should list added entries per config key', () => {
+            const diff = formatConfigDiff({ mods: ['mekanism'], ignoredMods: [], recipeTypes: ['mekanism:crushing'], ignoredRecipeTypes: [] });
+
+            expect(diff).toBe([
+                '  "mods": [',
+                '+   "mekanism"',
+                '  ]',
+                '  "recipeTypes": [',
+                '+   "mekanism:crushing"',
+                '  ]'
+            ].join('\n'));
+        });
+    });
+});
\ No newline at end of file
@@ -2,7 +2,9 @@
 
 const fs = require('fs');
 const path = require('path');
-const { findJsonFiles, readJsonFile, ensureDirectoryExists, writeJsonFile, loadImportConfig } = require('../src/utils');
+const { createZip } = require('./helpers/create-zip');
+const { closeArchives } = require('../src/archive-reader');
+const { findJsonFiles, readJsonFile, hashFile, readHashedJsonFile, ensureDirectoryExists, writeJsonFile, loadImportConfig } = require('../src/utils');
 
 describe('utils.js', () => {
     const testDir = path.join(__dirname, 'temp');
@@ -15,6 +17,8 @@ describe('utils.js', () => {
     });
 
     afterEach(() => {
+        closeArchives();
+
         // Clean up test directory
         if (fs.existsSync(testDir)) {
             fs.rmSync(testDir, { recursive: true, force: true });
@@ -65,6 +69,45 @@ describe('utils.js', () => {
 
             expect(result).toHaveLength(2);
         });
+
+        it('should list recipe, item tag and lang entries from a jar given directly', () => {
+            const jarPath = path.join(testDir, 'create.jar');
+            ensureDirectoryExists(testDir);
+            createZip(jarPath, {
+                'data/create/recipe/crushing/copper_ore.json': '{}',
+                'data/create/recipes/legacy.json': '{}',
+                'data/create/tags/item/ores.json': '{}',
+                'data/create/loot_table/blocks/brass_block.json': '{}',
+                'assets/create/lang/en_us.json': '{}',
+                'assets/create/models/item/brass_ingot.json': '{}'
+            });
+
+            const result = findJsonFiles(jarPath);
+
+            expect(result).toEqual([
+                `${jarPath}!/data/create/recipe/crushing/copper_ore.json`,
+                `${jarPath}!/data/create/recipes/legacy.json`,
+                `${jarPath}!/data/create/tags/item/ores.json`,
+                `${jarPath}!/assets/create/lang/en_us.json`
+            ]);
+        });
+
+        it('should include recipe entries of archives found in a mods folder', () => {
+            const modsDir = path.join(testDir, 'mods');
+            ensureDirectoryExists(modsDir);
+            createZip(path.join(modsDir, 'mekanism.jar'), { 'data/mekanism/recipe/enriching.json': '{}' });
+            createZip(path.join(modsDir, 'tweaks.zip'), { 'data/kubejs/recipes/custom.json': '{}' });
+            fs.writeFileSync(path.join(modsDir, 'broken.jar'), 'not an archive');
+            jest.spyOn(console, 'warn').mockImplementation();
+
+            const result = findJsonFiles(modsDir);
+
+            expect(result).toHaveLength(2);
+            expect(result).toContain(`${path.join(modsDir, 'mekanism.jar')}!/data/mekanism/recipe/enriching.json`);
+            expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Could not read archive'));
+
+            console.warn.mockRestore();
+        });
     });
 
     describe('readJsonFile', () => {
@@ -91,6 +134,16 @@ describe('utils.js', () => {
             }).toThrow('Failed to read JSON file');
         });
 
+        it('should read JSON entries from inside an archive', () => {
+            const zipPath = path.join(testDir, 'pack.zip');
+            ensureDirectoryExists(testDir);
+            createZip(zipPath, { 'data/kubejs/recipe/custom.json': '\uFEFF{"type":"minecraft:smelting"}' });
+
+            const result = readJsonFile(`${zipPath}!/data/kubejs/recipe/custom.json`);
+
+            expect(result).toEqual({ type: 'minecraft:smelting' });
+        });
+
         it('should throw error for non-existent file', () => {
             expect(() => {
                 readJsonFile('/non/existent/file.json');
@@ -98,6 +151,55 @@ describe('utils.js', () => {
         });
     });
 
+    describe('hashFile', () => {
+        it('should return the same hash for identical content', () => {
+            ensureDirectoryExists(testDir);
+            fs.writeFileSync(path.join(testDir, 'a.json'), '{"type":"minecraft:smelting"}');
+            fs.writeFileSync(path.join(testDir, 'b.json'), '{"type":"minecraft:smelting"}');
+
+            expect(hashFile(path.join(testDir, 'a.json'))).toBe(hashFile(path.join(testDir, 'b.json')));
+        });
+
+        it('should return a different hash when content changes', () => {
+            const testFile = path.join(testDir, 'recipe.json');
+
+            ensureDirectoryExists(testDir);
+            fs.writeFileSync(testFile, '{"type":"minecraft:smelting"}');
+            const before = hashFile(testFile);
+            fs.writeFileSync(testFile, '{"type":"minecraft:blasting"}');
+
+            expect(hashFile(testFile)).not.toBe(before);
+        });
+    });
+
+    describe('readHashedJsonFile', () => {
+        it('should hash and parse from one read, and skip parsing when the hash is known', () => {
+            const testFile = path.join(testDir, 'recipe.json');
+
+            ensureDirectoryExists(testDir);
+            fs.writeFileSync(testFile, '\uFEFF{"type":"minecraft:smelting"}');
+            const hash = hashFile(testFile);
+
+            expect(readHashedJsonFile(testFile)).toEqual({ hash, data: { type: 'minecraft:smelting' } });
+            expect(readHashedJsonFile(testFile, hash)).toEqual({ hash, unchanged: true });
+        });
+
+        it('should return errors with the hash, or with null if the file cannot be read', () => {
+            const testFile = path.join(testDir, 'broken.json');
+
+            ensureDirectoryExists(testDir);
+            fs.writeFileSync(testFile, '{ broken');
+
+            const broken = readHashedJsonFile(testFile);
+            expect(broken.hash).toBe(hashFile(testFile));
+            expect(broken.error.message).toMatch(/^Failed to read JSON file .*broken\.json/);
+
+            const missing = readHashedJsonFile('/non/existent/file.json');
+            expect(missing.hash).toBeNull();
+            expect(missing.error.message).toContain('Failed to read JSON file');
+        });
+    });
+
     describe('ensureDirectoryExists', () => {
         it('should create directory if it does not exist', () => {
             const newDir = path.join(testDir, 'new', 'nested', 'dir');
@@ -133,6 +235,24 @@ describe('utils.js', () => {
             expect(written).toEqual(testData);
         });
 
+        it('should stream arrays with the same output as JSON.stringify', () => {
+            const testFile = path.join(testDir, 'recipes.json');
+            const testData = [
+                { id: 'minecraft:boat', data: { key: { '#': { item: 'minecraft:oak_planks' } }, pattern: ['# #', '###'] } },
+                'line\nbreak',
+                undefined,
+                [],
+                { nested: [[1, 2], {}] }
+            ];
+
+            ensureDirectoryExists(testDir);
+            writeJsonFile(testFile, testData);
+            writeJsonFile(path.join(testDir, 'empty.json'), []);
+
+            expect(fs.readFileSync(testFile, 'utf8')).toBe(JSON.stringify(testData, null, 2));
+            expect(fs.readFileSync(path.join(testDir, 'empty.json'), 'utf8')).toBe('[]');
+        });
+
         it('should format JSON with proper indentation', () => {
             const testFile = path.join(testDir, 'formatted.json');
             const testData = { nested: { object: true } };
@@ -0,0 +1,129 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isWatchedFile, hasChanges, watchImport } = require('../src/watch-import');
+const { importRecipes } = require('../src/import-recipes');
+
+jest.mock('../src/import-recipes', () => ({
+    importRecipes: jest.fn()
+}));
+
+const noChanges = { added: [], changed: [], removed: [] };
+
+describe('watch-import.js', () => {
+    let inputDir;
+    let watcher;
+    let fireChange;
+
+    // Stand-in for fs.watch that lets tests fire change events
+    const fakeWatch = jest.fn((target, options, listener) => {
+        fireChange = filename => listener('change', filename);
+        return { close: jest.fn() };
+    });
+
+    // Lets the awaited import and its follow-ups run
+    const settle = async () => {
+        for (let i = 0; i < 5; i++) {
+            await Promise.resolve();
+        }
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.clearAllMocks();
+        inputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-import-'));
+        importRecipes.mockResolvedValue({ incremental: true, changes: { ...noChanges, changed: [{ file: 'a.json' }] }, updatedMods: ['create'] });
+    });
+
+    afterEach(() => {
+        if (watcher) {
+            watcher.close();
+        }
+        jest.useRealTimers();
+        fs.rmSync(inputDir, { recursive: true, force: true });
+    });
+
+    describe('isWatchedFile', () => {
+        it('should only react to files that can change the import', () => {
+            expect(isWatchedFile('data/create/recipe/brass.json')).toBe(true);
+            expect(isWatchedFile('create-6.0.jar')).toBe(true);
+            expect(isWatchedFile('pack.ZIP')).toBe(true);
+            expect(isWatchedFile('notes.txt~')).toBe(false);
+            expect(isWatchedFile(null)).toBe(true);
+        });
+    });
+
+    describe('hasChanges', () => {
+        it('should report full imports and incremental imports that changed files', () => {
+            expect(hasChanges({ incremental: false, changes: noChanges })).toBe(true);
+            expect(hasChanges({ incremental: true, changes: { ...noChanges, removed: [{ file: 'a.json' }] } })).toBe(true);
+            expect(hasChanges({ incremental: true, changes: noChanges })).toBe(false);
+        });
+    });
+
+    describe('watchImport', () => {
+        it('should debounce changes into one incremental import', async () => {
+            const onImport = jest.fn();
+            watcher = watchImport(inputDir, { dataset: 'atm10', debounceMs: 200, onImport, watch: fakeWatch });
+
+            fireChange('recipes/create/a.json');
+            jest.advanceTimersByTime(100);
+            fireChange('recipes/create/b.json');
+            jest.advanceTimersByTime(200);
+            await settle();
+
+            expect(fakeWatch).toHaveBeenCalledWith(inputDir, { recursive: true }, expect.any(Function));
+            expect(importRecipes).toHaveBeenCalledTimes(1);
+            expect(importRecipes).toHaveBeenCalledWith(inputDir, { dataset: 'atm10', incremental: true, silent: true });
+            expect(onImport).toHaveBeenCalledWith(expect.objectContaining({ updatedMods: ['create'] }), ['recipes/create/a.json', 'recipes/create/b.json']);
+        });
+
+        it('should ignore files that cannot affect the import', () => {
+            watcher = watchImport(inputDir, { debounceMs: 200, watch: fakeWatch });
+
+            fireChange('kubejs/server.log');
+            jest.advanceTimersByTime(500);
+
+            expect(importRecipes).not.toHaveBeenCalled();
+        });
+
+        it('should queue another import for changes made during an import', async () => {
+            let finishImport;
+            importRecipes.mockImplementationOnce(() => new Promise(resolve => {
+                finishImport = () => resolve({ incremental: true, changes: noChanges, updatedMods: [] });
+            }));
+            const onImport = jest.fn();
+            watcher = watchImport(inputDir, { debounceMs: 200, onImport, watch: fakeWatch });
+
+            fireChange('a.json');
+            jest.advanceTimersByTime(200);
+            fireChange('b.json');
+            jest.advanceTimersByTime(200);
+            expect(importRecipes).toHaveBeenCalledTimes(1);
+
+            finishImport();
+            await settle();
+
+            expect(importRecipes).toHaveBeenCalledTimes(2);
+            expect(onImport).toHaveBeenLastCalledWith(expect.anything(), ['b.json']);
+        });
+
+        it('should report import failures and keep watching', async () => {
+            importRecipes.mockRejectedValueOnce(new Error('Invalid JSON'));
+            const onError = jest.fn();
+            watcher = watchImport(inputDir, { debounceMs: 200, onError, watch: fakeWatch });
+
+            fireChange('a.json');
+            jest.advanceTimersByTime(200);
+            await settle();
+            fireChange('a.json');
+            jest.advanceTimersByTime(200);
+            await settle();
+
+            expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Invalid JSON' }));
+            expect(importRecipes).toHaveBeenCalledTimes(2);
+        });
+    });
+});
\ No newline at end of file